@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// check-graph-schema.js
+// Report drift between the canonical graph schema, the Cypher in src/ and a live database
+//
+// Usage:
+//   node scripts/check-graph-schema.js              Check code and the database in NEO4J_URI
+//   node scripts/check-graph-schema.js --code-only  Check code only (no database needed)
+//   node scripts/check-graph-schema.js --verbose    Also list info-level findings
+//
+// Exits with code 1 when any error-level drift is found.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { checkSchemaDrift } from "../src/database/schema-drift.js";
+import { verifyConnectivity, closeDriver } from "../src/database/neo4j-client.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, "../src");
+const SOURCE_EXTENSIONS = new Set([".js", ".jsx", ".ts", ".tsx"]);
+
+// The drift checker and schema mention legacy names on purpose
+const IGNORED_FILES = new Set([
+  path.join(SRC_DIR, "database/graph-schema.js"),
+  path.join(SRC_DIR, "database/schema-drift.js"),
+]);
+
+const SEVERITY_ICONS = { error: "❌", warning: "⚠️ ", info: "ℹ️ " };
+
+function collectSourceFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...collectSourceFiles(fullPath));
+    } else if (
+      SOURCE_EXTENSIONS.has(path.extname(entry.name)) &&
+      !IGNORED_FILES.has(fullPath)
+    ) {
+      files.push({
+        file: path.relative(path.resolve(SRC_DIR, ".."), fullPath),
+        source: fs.readFileSync(fullPath, "utf8"),
+      });
+    }
+  }
+  return files;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const codeOnly = args.includes("--code-only");
+  const verbose = args.includes("--verbose");
+
+  if (!codeOnly) {
+    const connection = await verifyConnectivity();
+    if (!connection.connected) {
+      console.error(`❌ Could not connect to Neo4j: ${connection.error}`);
+      console.error("Use --code-only to check the code without a database.");
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const sourceFiles = collectSourceFiles(SRC_DIR);
+  console.log(`Scanning ${sourceFiles.length} source files for Cypher...`);
+
+  const { issues, summary, referencesScanned } = await checkSchemaDrift({
+    sourceFiles,
+    checkData: !codeOnly,
+  });
+
+  console.log(`Checked ${referencesScanned} schema references in code`);
+  if (!codeOnly) {
+    console.log(`Checked live database at ${process.env.NEO4J_URI || "default URI"}`);
+  }
+
+  for (const issue of issues) {
+    if (issue.severity === "info" && !verbose) continue;
+    const location = issue.file ? ` (${issue.file}:${issue.line})` : "";
+    const hint = issue.suggestion ? ` → ${issue.suggestion}` : "";
+    console.log(
+      `${SEVERITY_ICONS[issue.severity]} [${issue.source}] ${issue.message}${location}${hint}`
+    );
+  }
+
+  console.log(
+    `\n${summary.errors} error(s), ${summary.warnings} warning(s), ${summary.info} info`
+  );
+
+  if (!summary.ok) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Schema check failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDriver());
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// evaluate-assistant.js
+// Run the golden set of gardening questions against the assistant's answer
+// paths, score the answers and compare the run with an earlier one
+//
+// Usage:
+//   node scripts/evaluate-assistant.js                          Every case on every path
+//   node scripts/evaluate-assistant.js --provider mock          Use the mock LLM (or vertex, openai)
+//   node scripts/evaluate-assistant.js --paths stochastic,llm   Only these paths
+//   node scripts/evaluate-assistant.js --cases kerry-soil       Only these cases
+//   node scripts/evaluate-assistant.js --compare <report.json>  Compare with this report
+//   node scripts/evaluate-assistant.js --out <dir>              Write reports here
+//   node scripts/evaluate-assistant.js --verbose                Show the endpoints' logging
+//
+// Paths: deterministic (/api/gardening-question/deterministic), stochastic
+// (/api/gardening-question/stochastic) and llm (/api/garden). All three run
+// against the configured graph backend, including GRAPH_BACKEND=memory.
+//
+// Each run writes <timestamp>-<provider>.json to the report directory
+// (default evaluation-reports/). Without --compare the run is compared
+// with the latest earlier report there, and the comparison is written next
+// to it as <timestamp>-<provider>.comparison.md.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_REPORT_DIR = path.resolve(__dirname, "../evaluation-reports");
+
+const STATUS_ICONS = { ok: "✅", error: "❌", skipped: "⏭️ " };
+
+function parseArgs(argv) {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? null : argv[index + 1];
+  };
+  const listOf = (flag) => valueOf(flag)?.split(",").filter(Boolean) || null;
+
+  return {
+    provider: valueOf("--provider"),
+    paths: listOf("--paths"),
+    cases: listOf("--cases"),
+    compare: valueOf("--compare"),
+    outDir: path.resolve(valueOf("--out") || DEFAULT_REPORT_DIR),
+    verbose: argv.includes("--verbose"),
+  };
+}
+
+function jsonRequest(url, body) {
+  return new Request(`http://localhost${url}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+async function readJson(response) {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(
+      data.message || data.details || data.error || `HTTP ${response.status}`
+    );
+  }
+  return data;
+}
+
+/**
+ * The answer paths, each turning its endpoint's response into an outcome
+ * for scoring (see assistant-evaluation.js)
+ */
+function createRunners({ deterministic, stochastic, garden }) {
+  return {
+    deterministic: {
+      async run(testCase) {
+        if (!testCase.deterministic) return null;
+        const data = await readJson(
+          await deterministic.POST({
+            request: jsonRequest("/api/gardening-question/deterministic", {
+              ...testCase.deterministic,
+              question: testCase.question,
+            }),
+          })
+        );
+        const answer = data.answer || "";
+        return {
+          answer: answer.replace("SHOWING_PLANT_CARDS", "").trim(),
+          entities: null,
+          // The GraphRAG assistant shows plant cards when the answer asks for them
+          cardType: answer.includes("SHOWING_PLANT_CARDS") ? "plant" : null,
+          retrieved: [
+            testCase.deterministic.countyName,
+            ...(data.results || []).map((result) => result.plantName),
+          ],
+        };
+      },
+    },
+    stochastic: {
+      async run(testCase) {
+        const data = await readJson(
+          await stochastic.POST({
+            request: jsonRequest("/api/gardening-question/stochastic", {
+              question: testCase.question,
+            }),
+          })
+        );
+        return {
+          answer: data.answer || "",
+          entities: data.entities || null,
+          cardType: data.cards?.length > 0 ? data.cardType : null,
+          retrieved: (data.sourceFacts || []).map((fact) => fact.text || fact),
+        };
+      },
+    },
+    llm: {
+      async run(testCase) {
+        const data = await readJson(
+          await garden.POST({
+            request: jsonRequest("/api/garden", { query: testCase.question }),
+          })
+        );
+        return {
+          answer: data.content || "",
+          entities: null,
+          cardType: data.cards?.length > 0 ? data.cardType : null,
+          // Only the tool calling agent retrieves anything
+          retrieved: data.toolTrace?.length
+            ? data.toolTrace.map(
+                (call) =>
+                  `${call.name} ${JSON.stringify(call.args)} ${
+                    call.summary || ""
+                  }`
+              )
+            : null,
+        };
+      },
+    },
+  };
+}
+
+/**
+ * Run a function with the endpoints' console logging silenced
+ */
+async function quietly(fn, verbose) {
+  if (verbose) return fn();
+
+  const saved = {};
+  for (const method of ["log", "info", "warn", "debug"]) {
+    saved[method] = console[method];
+    console[method] = () => {};
+  }
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+function latestReport(dir, excludeFile) {
+  if (!fs.existsSync(dir)) return null;
+  const reports = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json") && file !== excludeFile)
+    .sort();
+  return reports.length > 0
+    ? path.join(dir, reports[reports.length - 1])
+    : null;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.provider) process.env.LLM_PROVIDER = options.provider;
+
+  // Loaded after the provider is set, so the LLM client picks it up
+  const { GOLDEN_SET, GOLDEN_SET_VERSION } = await import(
+    "../src/data/evaluation-golden-set.js"
+  );
+  const evaluation = await import("../src/utils/assistant-evaluation.js");
+  const { getLLMConfig } = await import("../src/utils/llm-client.js");
+  const { getGraphBackend } = await import("../src/database/graph-store.js");
+  const { closeDriver } = await import("../src/database/neo4j-client.js");
+
+  const runners = createRunners({
+    deterministic: await import(
+      "../src/pages/api/gardening-question/deterministic.js"
+    ),
+    stochastic: await import(
+      "../src/pages/api/gardening-question/stochastic.js"
+    ),
+    garden: await import("../src/pages/api/garden.js"),
+  });
+
+  try {
+    const paths = options.paths || Object.values(evaluation.EVALUATION_PATHS);
+    const unknownPath = paths.find((name) => !runners[name]);
+    if (unknownPath) {
+      throw new Error(
+        `Unknown path "${unknownPath}" (use ${Object.keys(runners).join(", ")})`
+      );
+    }
+
+    const cases = options.cases
+      ? GOLDEN_SET.filter((testCase) => options.cases.includes(testCase.id))
+      : GOLDEN_SET;
+    if (cases.length === 0) throw new Error("No golden set cases selected");
+
+    const { provider } = getLLMConfig();
+    const graphBackend = getGraphBackend();
+    const startedAt = new Date().toISOString();
+    console.log(
+      `Evaluating ${cases.length} case(s) on ${paths.join(
+        ", "
+      )} with the ${provider} provider and ${graphBackend} graph backend (golden set v${GOLDEN_SET_VERSION})`
+    );
+
+    const results = [];
+    for (const testCase of cases) {
+      for (const pathName of paths) {
+        const runner = runners[pathName];
+        const result = { caseId: testCase.id, path: pathName };
+        const started = Date.now();
+
+        try {
+          const outcome = await quietly(
+            () => runner.run(testCase),
+            options.verbose
+          );
+          if (!outcome) {
+            Object.assign(result, {
+              status: "skipped",
+              reason: "no parameters for this path",
+            });
+          } else {
+            const warnings = await quietly(
+              () =>
+                evaluation.checkAnswerGrounding(
+                  testCase.question,
+                  outcome.answer
+                ),
+              options.verbose
+            );
+            const { scores, details } = evaluation.scoreOutcome(
+              testCase,
+              outcome,
+              warnings
+            );
+            Object.assign(result, {
+              status: "ok",
+              durationMs: Date.now() - started,
+              scores,
+              details,
+              answer: outcome.answer,
+            });
+          }
+        } catch (error) {
+          Object.assign(result, { status: "error", error: error.message });
+        }
+
+        results.push(result);
+        const scores = result.scores
+          ? evaluation.EVALUATION_METRICS.map(
+              (metric) =>
+                `${metric}=${
+                  result.scores[metric] === null
+                    ? "–"
+                    : result.scores[metric].toFixed(2)
+                }`
+            ).join(" ")
+          : result.error || result.reason;
+        console.log(
+          `${STATUS_ICONS[result.status]} ${
+            testCase.id
+          } [${pathName}] ${scores}`
+        );
+      }
+    }
+
+    const report = {
+      formatVersion: evaluation.REPORT_FORMAT_VERSION,
+      goldenSetVersion: GOLDEN_SET_VERSION,
+      startedAt,
+      provider,
+      graphBackend,
+      gardenAgent: process.env.GARDEN_AGENT !== "false",
+      paths,
+      caseIds: cases.map((testCase) => testCase.id),
+      summary: evaluation.summarizeResults(results),
+      results,
+    };
+
+    console.log(`\n${evaluation.formatSummaryTable(report)}`);
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+    const baseName = `${startedAt.replace(/[:.]/g, "-")}-${provider}`;
+    const reportFile = path.join(options.outDir, `${baseName}.json`);
+    const baselineFile =
+      options.compare || latestReport(options.outDir, `${baseName}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(
+      `\nReport written to ${path.relative(process.cwd(), reportFile)}`
+    );
+
+    if (baselineFile) {
+      const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+      const comparison = evaluation.compareReports(baseline, report);
+      const comparisonText = evaluation.formatComparison(comparison);
+      const comparisonFile = path.join(
+        options.outDir,
+        `${baseName}.comparison.md`
+      );
+      fs.writeFileSync(comparisonFile, comparisonText);
+
+      console.log(
+        `Compared with ${path.basename(baselineFile)}: ${
+          comparison.regressions.length
+        } regression(s), ${comparison.improvements.length} improvement(s), ${
+          comparison.newErrors.length
+        } new error(s)`
+      );
+      if (comparison.goldenSetChanged) {
+        console.log("⚠️  The golden set version differs from the baseline's");
+      }
+      console.log(
+        `Comparison written to ${path.relative(process.cwd(), comparisonFile)}`
+      );
+    }
+  } finally {
+    await closeDriver();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Evaluation failed:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// migrate-graph.js
+// Build or upgrade the Neo4j knowledge graph from the data in src/data
+//
+// Usage:
+//   node scripts/migrate-graph.js status          Show the state of every migration
+//   node scripts/migrate-graph.js up [--dry-run]  Apply pending and changed migrations
+//   node scripts/migrate-graph.js up --to 004     Apply migrations up to and including 004
+//   node scripts/migrate-graph.js up --force      Re-run every migration
+//   node scripts/migrate-graph.js reset --yes     Delete all graph data, then re-run with `up`
+//
+// Point it at your own database with NEO4J_URI, NEO4J_USERNAME and NEO4J_PASSWORD
+// (e.g. NEO4J_URI=neo4j://localhost:7687 for a local Neo4j container).
+
+import {
+  getMigrationStatus,
+  runMigrations,
+  resetGraph,
+} from "../src/database/migration-runner.js";
+import { verifyConnectivity, closeDriver } from "../src/database/neo4j-client.js";
+
+const STATE_ICONS = {
+  applied: "✅",
+  pending: "⏳",
+  changed: "🔄",
+  modified: "⚠️",
+};
+
+function parseArgs(argv) {
+  const [command = "status", ...rest] = argv;
+  const options = {
+    command,
+    dryRun: rest.includes("--dry-run"),
+    force: rest.includes("--force"),
+    yes: rest.includes("--yes"),
+    target: null,
+  };
+
+  const toIndex = rest.indexOf("--to");
+  if (toIndex !== -1) {
+    options.target = rest[toIndex + 1];
+  }
+
+  return options;
+}
+
+async function printStatus() {
+  const status = await getMigrationStatus();
+
+  console.log("\nKnowledge graph migrations:");
+  for (const migration of status) {
+    const appliedAt = migration.appliedAt
+      ? ` (applied ${new Date(migration.appliedAt).toISOString()})`
+      : "";
+    const kind = migration.repeatable ? "repeatable" : "versioned";
+    console.log(
+      `${STATE_ICONS[migration.state]} ${migration.id} ${migration.name} [${kind}] - ${migration.state}${appliedAt}`
+    );
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.target === undefined) {
+    console.error("❌ --to needs a migration id, e.g. --to 004");
+    process.exitCode = 1;
+    return;
+  }
+
+  const connection = await verifyConnectivity();
+  if (!connection.connected) {
+    console.error(`❌ Could not connect to Neo4j: ${connection.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  switch (options.command) {
+    case "status":
+      await printStatus();
+      break;
+
+    case "up": {
+      const summary = await runMigrations({
+        dryRun: options.dryRun,
+        force: options.force,
+        target: options.target,
+      });
+
+      for (const warning of summary.warnings) {
+        console.warn(`⚠️  ${warning}`);
+      }
+
+      if (summary.applied.length === 0) {
+        console.log("✅ Knowledge graph is up to date");
+      } else {
+        const verb = options.dryRun ? "Would apply" : "Applied";
+        for (const migration of summary.applied) {
+          const duration =
+            migration.durationMs !== undefined ? ` in ${migration.durationMs}ms` : "";
+          console.log(
+            `✅ ${verb} ${migration.id} ${migration.name} (${migration.state})${duration}`
+          );
+        }
+      }
+      break;
+    }
+
+    case "reset":
+      if (!options.yes) {
+        console.error(
+          "❌ reset deletes every node in the target database. Re-run with --yes to confirm."
+        );
+        process.exitCode = 1;
+        break;
+      }
+      await resetGraph();
+      console.log("✅ Graph data deleted. Run `up` to rebuild it.");
+      break;
+
+    default:
+      console.error(`❌ Unknown command: ${options.command}`);
+      console.error("Expected one of: status, up, reset");
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDriver());
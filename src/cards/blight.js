@@ -0,0 +1,100 @@
+// src/cards/blight.js
+// Potato blight risk card for the county a question is about, from
+// utils/blight-risk.js
+
+import { CARD_TYPES, defineCardType } from "./registry.js";
+import { countyFor } from "./weather.js";
+import {
+  BLIGHT_MODELS,
+  BLIGHT_RISK_LEVELS,
+  getBlightRisk,
+} from "../utils/blight-risk.js";
+import { getWeatherCounties } from "../utils/weather-client.js";
+
+const BLIGHT_PATTERN = /\bblight\w*\b/i;
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+async function blightCard(county) {
+  const risk = await getBlightRisk(county);
+  return { id: `blight_${county.toLowerCase()}`, ...risk };
+}
+
+const windowSchema = {
+  type: "object",
+  required: ["start", "end", "level"],
+  properties: {
+    start: { type: "string" },
+    end: { type: "string" },
+    hours: { type: "number" },
+    level: { type: "string", enum: Object.values(BLIGHT_RISK_LEVELS) },
+    minTemperature: { type: "number" },
+    minHumidity: { type: "number" },
+  },
+};
+
+export default defineCardType({
+  type: CARD_TYPES.BLIGHT,
+  // Ahead of the weather and companion cards: a blight question about
+  // potatoes wants the risk, not the neighbours
+  detect: {
+    query: {
+      priority: 2,
+      matches: (query) => BLIGHT_PATTERN.test(query),
+    },
+    response: {
+      priority: 2,
+      matches: (query) => BLIGHT_PATTERN.test(query),
+    },
+  },
+  select: async ({ query, entities }) => [
+    await blightCard(countyFor(query, entities)),
+  ],
+  reference: {
+    use: "the potato blight risk for a county over the coming days",
+    describe: () => [getWeatherCounties().join(", ")],
+    find: async (id) => {
+      const county = String(id).toLowerCase();
+      if (!getWeatherCounties().includes(county)) return null;
+      return blightCard(capitalize(county));
+    },
+  },
+  schema: {
+    type: "object",
+    required: ["id", "county", "model", "level", "windows", "days"],
+    properties: {
+      id: { type: "string" },
+      county: { type: "string" },
+      issuedAt: { type: ["string", "null"] },
+      model: { type: "string", enum: Object.values(BLIGHT_MODELS) },
+      modelName: { type: "string" },
+      level: { type: "string", enum: Object.values(BLIGHT_RISK_LEVELS) },
+      advice: { type: "string" },
+      windows: { type: "array", items: windowSchema },
+      days: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["date", "level"],
+          properties: {
+            date: { type: "string" },
+            blightHours: { type: "number" },
+            humidHours: { type: "number" },
+            minTemperature: { type: "number" },
+            level: { type: "string", enum: Object.values(BLIGHT_RISK_LEVELS) },
+          },
+        },
+      },
+    },
+  },
+  display: {
+    title: (message) => `Blight risk for ${message.cards?.[0]?.data.county}`,
+    buttonLabel: "View Risk Days",
+    itemsPerRow: 1,
+    maxCollapsedItems: 1,
+  },
+  renderer: {
+    load: () => import("../components/weather/BlightRiskCard.jsx"),
+    props: (risk) => ({ risk }),
+  },
+});
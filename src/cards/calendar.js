@@ -0,0 +1,115 @@
+// src/cards/calendar.js
+// Month calendar cards: the month's tasks plus what to sow and harvest,
+// from src/data/gardening-tasks.js and the planting calendar
+
+import { CARD_TYPES, defineCardType } from "./registry.js";
+import { plants } from "../data/plants.js";
+import { gardeningTasks } from "../data/gardening-tasks.js";
+import { PLANTING_CALENDAR } from "../data/plant-graph-data.js";
+import { MONTHS } from "../database/migrations/002-calendar.js";
+
+const CALENDAR_PATTERN =
+  /\b(sow\w*|plant(?:ing)?|harvest\w*|calendar|in season)\b/i;
+
+const MONTH_PATTERN = new RegExp(
+  `\\b(${MONTHS.map((month) => month.name).join("|")})\\b`,
+  "gi"
+);
+
+/**
+ * Month numbers a question mentions: month entities, else month names
+ */
+function monthsFor(query, entities) {
+  const fromEntities = (entities?.months || []).map((month) =>
+    Number(month.id)
+  );
+  const fromText = [...(query || "").matchAll(MONTH_PATTERN)].map(
+    ([name]) =>
+      MONTHS.find((month) => month.name.toLowerCase() === name.toLowerCase())
+        .number
+  );
+  return [...new Set([...fromEntities, ...fromText])].filter(
+    (number) => number >= 1 && number <= 12
+  );
+}
+
+const plantsFor = (number, kind) =>
+  plants
+    .filter((plant) => PLANTING_CALENDAR[plant.id]?.[kind].includes(number))
+    .map((plant) => plant.commonName);
+
+/**
+ * Card data for one month
+ * @param {number} number - Month number, 1-12
+ */
+function calendarCard(number) {
+  const month = MONTHS[number - 1];
+  return {
+    id: `calendar_${number}`,
+    month: number,
+    name: month.name,
+    season: month.season,
+    tasks: gardeningTasks.find((entry) => entry.month === number)?.tasks || [],
+    sowing: plantsFor(number, "plant"),
+    harvesting: plantsFor(number, "harvest"),
+  };
+}
+
+const matches = (query, entities) =>
+  CALENDAR_PATTERN.test(query) && monthsFor(query, entities).length > 0;
+
+export default defineCardType({
+  type: CARD_TYPES.CALENDAR,
+  detect: {
+    query: { priority: 15, matches },
+    response: { priority: 15, matches: (query) => matches(query) },
+  },
+  select: ({ query, entities }) =>
+    monthsFor(query, entities).slice(0, 2).map(calendarCard),
+  reference: {
+    use: "what to do, sow and harvest in a month",
+    describe: () => MONTHS.map((month) => `${month.number} ${month.name}`),
+    find: (id) => {
+      const number = Number(id);
+      return Number.isInteger(number) && number >= 1 && number <= 12
+        ? calendarCard(number)
+        : null;
+    },
+  },
+  schema: {
+    type: "object",
+    required: ["id", "month", "name", "tasks", "sowing", "harvesting"],
+    properties: {
+      id: { type: "string" },
+      month: { type: "integer" },
+      name: { type: "string" },
+      season: { type: "string" },
+      tasks: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["id", "title"],
+          properties: {
+            id: { type: "string" },
+            title: { type: "string" },
+          },
+        },
+      },
+      sowing: { type: "array", items: { type: "string" } },
+      harvesting: { type: "array", items: { type: "string" } },
+    },
+  },
+  display: {
+    title: (message) =>
+      `${message.cards
+        ?.map((card) => card.data.name)
+        .join(" and ")} in the garden`,
+    buttonLabel: "View Month",
+    itemsPerRow: 1,
+    maxCollapsedItems: 1,
+  },
+  renderer: {
+    load: () => import("../components/garden/MonthCalendarCard.jsx"),
+    props: (calendar) => ({ calendar }),
+  },
+});
@@ -0,0 +1,137 @@
+// src/cards/companion.js
+// Companion planting cards from the COMPANION_TO and ANTAGONISTIC_TO
+// relationships in the plant graph
+
+import { CARD_TYPES, defineCardType } from "./registry.js";
+import { plants } from "../data/plants.js";
+import { COMPANION_PLANTINGS } from "../data/plant-graph-data.js";
+
+const COMPANION_PATTERN =
+  /\b(companions?|antagonis\w*|(?:grow|plant)\w*\s+(?:\w+\s+)?(?:with|next to|beside|near|together))\b/i;
+
+const MAX_PLANTS = 3;
+
+/**
+ * Companions and antagonists of plants, by plant name. The graph store is
+ * imported on demand so the browser bundle never pulls in the driver.
+ */
+async function plantConnections(plantNames) {
+  const { getGraphStore } = await import("../database/graph-store.js");
+  return getGraphStore().getPlantConnections(plantNames);
+}
+
+/**
+ * Card data for each plant that has companion relationships
+ */
+async function companionCards(plantList) {
+  const connections = await plantConnections(
+    plantList.map((plant) => plant.commonName)
+  );
+
+  return plantList.flatMap((plant) => {
+    const relationships = connections[plant.commonName]?.relationships || [];
+    if (relationships.length === 0) return [];
+
+    const ofType = (type) =>
+      relationships
+        .filter((relationship) => relationship.type === type)
+        .map(({ plantName, notes }) => ({ plantName, notes }));
+
+    return [
+      {
+        id: `companion_${plant.id}`,
+        plantId: plant.id,
+        plantName: plant.commonName,
+        companions: ofType("COMPANION_TO"),
+        antagonists: ofType("ANTAGONISTIC_TO"),
+      },
+    ];
+  });
+}
+
+/**
+ * Plants a question is about: plant entities, else plant names in the text
+ */
+function plantsFor(query, entities) {
+  const ids = new Set(
+    (entities?.plants || []).map((plant) => String(plant.id))
+  );
+  const lowerQuery = (query || "").toLowerCase();
+
+  return plants
+    .filter(
+      (plant) =>
+        ids.has(String(plant.id)) ||
+        lowerQuery.includes(plant.commonName.toLowerCase())
+    )
+    .slice(0, MAX_PLANTS);
+}
+
+// Plants the graph has companion relationships from
+const plantsWithCompanions = () => {
+  const names = new Set(COMPANION_PLANTINGS.map((pairing) => pairing.plant1));
+  return plants.filter((plant) => names.has(plant.commonName));
+};
+
+const relationshipSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["plantName"],
+    properties: {
+      plantName: { type: "string" },
+      notes: { type: ["string", "null"] },
+    },
+  },
+};
+
+export default defineCardType({
+  type: CARD_TYPES.COMPANION,
+  detect: {
+    query: {
+      priority: 3,
+      matches: (query) => COMPANION_PATTERN.test(query),
+    },
+    response: {
+      priority: 3,
+      matches: (query) => COMPANION_PATTERN.test(query),
+    },
+  },
+  select: ({ query, entities }) => companionCards(plantsFor(query, entities)),
+  reference: {
+    use: "companion planting for a plant",
+    describe: () =>
+      plantsWithCompanions().map((plant) => `${plant.id} ${plant.commonName}`),
+    find: async (id) => {
+      const plant = plantsWithCompanions().find(
+        (other) => String(other.id) === String(id)
+      );
+      if (!plant) return null;
+      const [card] = await companionCards([plant]);
+      return card || null;
+    },
+  },
+  schema: {
+    type: "object",
+    required: ["id", "plantName", "companions", "antagonists"],
+    properties: {
+      id: { type: "string" },
+      plantId: { type: ["integer", "string"] },
+      plantName: { type: "string" },
+      companions: relationshipSchema,
+      antagonists: relationshipSchema,
+    },
+  },
+  display: {
+    title: (message) =>
+      `Companion planting for ${message.cards
+        ?.map((card) => card.data.plantName)
+        .join(", ")}`,
+    buttonLabel: "View Companions",
+    itemsPerRow: 2,
+  },
+  renderer: {
+    load: () => import("../components/plants/CompanionPlantingCard.jsx"),
+    props: (companion) => ({ companion }),
+  },
+});
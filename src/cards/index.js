@@ -0,0 +1,44 @@
+// src/cards/index.js
+// The card types the assistant can show. To add a card type, write a
+// definition module in this directory (see registry.js) and register it
+// here; detection, selection, structured references and rendering all come
+// from the definition.
+
+import { registerCardType } from "./registry.js";
+import plant from "./plant.js";
+import task from "./task.js";
+import soil from "./soil.js";
+import sustainability from "./sustainability.js";
+import practice from "./practice.js";
+import weather from "./weather.js";
+import companion from "./companion.js";
+import calendar from "./calendar.js";
+import blight from "./blight.js";
+import pest from "./pest.js";
+
+[
+  plant,
+  task,
+  soil,
+  sustainability,
+  practice,
+  weather,
+  companion,
+  calendar,
+  blight,
+  pest,
+].forEach(registerCardType);
+
+export {
+  CARD_TYPES,
+  defineCardType,
+  registerCardType,
+  getCardDefinition,
+  getCardDefinitions,
+  getCardMarkers,
+  detectCardTypeFromQuery,
+  detectCardTypeFromResponse,
+  selectCardsForResponse,
+  resolveCardReference,
+  validateCardData,
+} from "./registry.js";
@@ -0,0 +1,105 @@
+// src/cards/pest.js
+// Pest and disease cards from src/data/garden-pest-data.js: how to spot
+// each one, the plants it affects and how to control it
+
+import { CARD_TYPES, defineCardType, mentions } from "./registry.js";
+import { GARDEN_PESTS } from "../data/garden-pest-data.js";
+
+const PEST_PATTERN = /\b(pests?|diseases?|bugs?|infest\w*)\b/i;
+
+const MAX_PESTS = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Each pest with a pattern matching its name or any alias, singular or plural
+const PEST_MATCHERS = GARDEN_PESTS.map((pest) => ({
+  pest,
+  pattern: new RegExp(
+    `\\b(?:${[pest.name, ...pest.aliases]
+      .map((name) => escapeRegExp(name.toLowerCase()))
+      .join("|")})s?\\b`,
+    "i"
+  ),
+}));
+
+/**
+ * Pests a text names, in GARDEN_PESTS order
+ */
+function pestsNamedIn(text) {
+  return PEST_MATCHERS.filter(({ pattern }) => pattern.test(text || "")).map(
+    ({ pest }) => pest
+  );
+}
+
+/**
+ * Pests a question is about: pest entities, else pests named in the question
+ * or answer, else the pests of the plants it mentions
+ */
+function pestsFor(query, content, entities) {
+  const ids = new Set((entities?.pests || []).map((pest) => pest.id));
+  const named =
+    ids.size > 0
+      ? GARDEN_PESTS.filter((pest) => ids.has(pest.id))
+      : pestsNamedIn(`${query} ${content || ""}`);
+  if (named.length > 0) return named.slice(0, MAX_PESTS);
+
+  const plantNames = new Set(
+    (entities?.plants || []).map((plant) => plant.name)
+  );
+  return GARDEN_PESTS.filter((pest) =>
+    pest.affects.some((plantName) => plantNames.has(plantName))
+  ).slice(0, MAX_PESTS);
+}
+
+const stringList = { type: "array", items: { type: "string" } };
+
+export default defineCardType({
+  type: CARD_TYPES.PEST,
+  // After the blight card, which answers blight questions with the forecast
+  // risk, and ahead of the weather card
+  detect: {
+    query: {
+      priority: 4,
+      matches: (query, entities) =>
+        mentions(entities, "pests") ||
+        PEST_PATTERN.test(query) ||
+        pestsNamedIn(query).length > 0,
+    },
+    response: {
+      priority: 4,
+      matches: (query) =>
+        PEST_PATTERN.test(query) || pestsNamedIn(query).length > 0,
+    },
+  },
+  select: ({ query, content, entities }) => pestsFor(query, content, entities),
+  reference: {
+    use: "a garden pest or disease",
+    describe: () => GARDEN_PESTS.map((pest) => `${pest.id} ${pest.name}`),
+    find: (id) => GARDEN_PESTS.find((pest) => pest.id === id) || null,
+  },
+  schema: {
+    type: "object",
+    required: ["id", "name", "kind", "affects", "signs", "control"],
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      kind: { type: "string", enum: ["pest", "disease"] },
+      aliases: stringList,
+      affects: stringList,
+      signs: { type: "string" },
+      control: stringList,
+    },
+  },
+  display: {
+    title: (message) =>
+      `Pests and diseases: ${message.cards
+        ?.map((card) => card.data.name)
+        .join(", ")}`,
+    buttonLabel: "View Pests",
+    itemsPerRow: 2,
+  },
+  renderer: {
+    load: () => import("../components/plants/PestCard.jsx"),
+    props: (pest) => ({ pest }),
+  },
+});
@@ -0,0 +1,74 @@
+// src/cards/plant.js
+// Plant cards for plants in src/data/plants.js
+
+import { CARD_TYPES, defineCardType, mentions } from "./registry.js";
+import { plants } from "../data/plants.js";
+import { getPlantCards } from "../utils/cards.js";
+
+export default defineCardType({
+  type: CARD_TYPES.PLANT,
+  detect: {
+    marker: "SHOWING_PLANT_CARDS",
+    query: {
+      priority: 10,
+      matches: (query, entities) => {
+        const lowerQuery = query.toLowerCase();
+        return (
+          (lowerQuery.includes("plant") &&
+            (lowerQuery.includes("recommend") ||
+              lowerQuery.includes("grow"))) ||
+          lowerQuery.includes("what vegetable") ||
+          lowerQuery.includes("what flowers") ||
+          lowerQuery.includes("what plants") ||
+          lowerQuery.includes("companion plant") ||
+          mentions(entities, "plants")
+        );
+      },
+    },
+    response: {
+      priority: 20,
+      matches: (query, content) => {
+        const lowercaseContent = content.toLowerCase();
+        return Boolean(
+          (lowercaseContent.includes("plant") ||
+            lowercaseContent.includes("flower") ||
+            lowercaseContent.includes("shrub") ||
+            lowercaseContent.includes("tree")) &&
+            (lowercaseContent.includes("recommend") ||
+              lowercaseContent.includes("suggestion") ||
+              content.match(/\*\s+[A-Z][a-z]+\s+[a-z]+:/) || // Pattern like "* Plant name:"
+              content.match(/\*\s+\*[A-Z][a-z]+\s+[a-z]+\*/)) // Pattern like "* *Plant name*"
+        );
+      },
+    },
+  },
+  select: ({ query, content }) =>
+    getPlantCards(query, content).map((card) => card.data),
+  reference: {
+    use: "plant recommendations",
+    describe: () => plants.map((plant) => `${plant.id} ${plant.commonName}`),
+    find: (id) =>
+      plants.find((plant) => String(plant.id) === String(id)) || null,
+  },
+  schema: {
+    type: "object",
+    required: ["id", "commonName"],
+    properties: {
+      id: { type: ["integer", "string"] },
+      commonName: { type: "string" },
+      latinName: { type: "string" },
+      imageUrl: { type: "string" },
+    },
+  },
+  display: {
+    title: (message) =>
+      `${message.cards?.length} Plants suitable for your garden`,
+    buttonLabel: "View Plants",
+    itemsPerRow: 2,
+    maxCollapsedItems: 2,
+  },
+  renderer: {
+    load: () => import("../components/plants/PlantCard.jsx"),
+    props: (plant) => ({ plant }),
+  },
+});
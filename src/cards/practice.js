@@ -0,0 +1,68 @@
+// src/cards/practice.js
+// Sustainable gardening practice cards for the practices in
+// src/data/sustainability-metrics.js
+
+import { CARD_TYPES, defineCardType } from "./registry.js";
+import {
+  getAllPractices,
+  getPracticeById,
+  getPracticesByImpact,
+} from "../data/sustainability-metrics.js";
+
+// Questions about a specific practice rather than sustainability in general
+const PRACTICE_PATTERN =
+  /\b(practices?|rainwater|water butts?|mulch\w*|compost\w*|no-dig|wildlife[- ]friendly|green manure)\b/i;
+
+const MAX_PRACTICES = 3;
+
+export default defineCardType({
+  type: CARD_TYPES.PRACTICE,
+  detect: {
+    query: {
+      priority: 35,
+      matches: (query) => PRACTICE_PATTERN.test(query),
+    },
+    response: {
+      priority: 5,
+      matches: (query) => PRACTICE_PATTERN.test(query),
+    },
+  },
+  // Practices the answer or question names, else the high-impact ones
+  select: ({ query, content }) => {
+    const text = `${query} ${content}`.toLowerCase();
+    const named = getAllPractices().filter((practice) =>
+      text.includes(practice.name.toLowerCase())
+    );
+    return (named.length > 0 ? named : getPracticesByImpact("high")).slice(
+      0,
+      MAX_PRACTICES
+    );
+  },
+  reference: {
+    use: "sustainable gardening practices",
+    describe: () =>
+      getAllPractices().map((practice) => `${practice.id} ${practice.name}`),
+    find: (id) => getPracticeById(id),
+  },
+  schema: {
+    type: "object",
+    required: ["id", "name", "description"],
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      impact: { type: "string" },
+      difficulty: { type: "string" },
+      sdgs: { type: "array", items: { type: "string" } },
+    },
+  },
+  display: {
+    title: (message) => `${message.cards?.length} Sustainable practices to try`,
+    buttonLabel: "View Practices",
+    itemsPerRow: 1,
+  },
+  renderer: {
+    load: () => import("../components/sustainability/PracticeCard.jsx"),
+    props: (practice) => ({ practice }),
+  },
+});
@@ -0,0 +1,295 @@
+// src/cards/registry.js
+// Registry of the card types the assistant can show under an answer. Each
+// card type is one definition module in this directory declaring:
+//
+// - detect: how to tell from a question or an answer that the card fits
+// - select: how to pick the card data for a question and answer
+// - reference: how the model refers to one card in a structured payload
+//   (see utils/card-references.js), and which ids it may use
+// - schema: the shape of the card data, checked before a card is sent
+// - display and renderer: how CardContainer.jsx shows the cards
+//
+// Definitions are registered in index.js, which is what the rest of the app
+// imports. Renderers are loaded on demand, so definitions stay plain
+// JavaScript that runs on the server without JSX or React.
+
+import logger from "../utils/unified-logger.js";
+
+export const CARD_TYPES = {
+  PLANT: "plant",
+  TASK: "task",
+  SOIL: "soil",
+  SUSTAINABILITY: "sustainability",
+  PRACTICE: "practice",
+  WEATHER: "weather",
+  COMPANION: "companion",
+  CALENDAR: "calendar",
+  BLIGHT: "blight",
+  PEST: "pest",
+};
+
+const definitions = new Map();
+
+/**
+ * Check a card type definition and fill in defaults
+ * @param {Object} definition
+ * @param {string} definition.type - Card type name, used in card objects and payloads
+ * @param {Object} definition.detect - { marker, query: { priority, matches(query, entities) }, response: { priority, matches(query, content) } }, all optional
+ * @param {Function} definition.select - async ({ query, content, entities }) => Array of card data
+ * @param {Object} definition.reference - Optional { describe() -> prompt lines, find(id) -> card data or null, may be async }
+ * @param {Object} definition.schema - JSON Schema (subset) for the card data
+ * @param {Object} definition.display - { title(message, { isExpanded }), buttonLabel, itemsPerRow, maxCollapsedItems }
+ * @param {Object|null} definition.renderer - { load: () => import(component), props: (data) => component props }, null when the container renders the cards itself
+ * @returns {Object} The definition
+ */
+export function defineCardType(definition) {
+  const { type, select, schema, display, renderer } = definition;
+
+  if (!type || typeof type !== "string") {
+    throw new Error("Card type definitions need a type name");
+  }
+  if (typeof select !== "function") {
+    throw new Error(`Card type "${type}" needs a select function`);
+  }
+  if (!schema || typeof schema !== "object") {
+    throw new Error(`Card type "${type}" needs a schema for its data`);
+  }
+  if (!display || typeof display.title !== "function") {
+    throw new Error(`Card type "${type}" needs a display title`);
+  }
+  if (renderer && typeof renderer.load !== "function") {
+    throw new Error(`Card type "${type}" has a renderer without a loader`);
+  }
+
+  return {
+    detect: {},
+    reference: null,
+    renderer: null,
+    ...definition,
+    display: {
+      buttonLabel: "Expand",
+      itemsPerRow: 1,
+      maxCollapsedItems: 2,
+      ...display,
+    },
+  };
+}
+
+/**
+ * Add a card type to the registry, replacing any with the same name
+ * @param {Object} definition - See defineCardType
+ * @returns {Object} The registered definition
+ */
+export function registerCardType(definition) {
+  const checked = defineCardType(definition);
+  if (definitions.has(checked.type)) {
+    logger.warn(`Replacing card type "${checked.type}"`);
+  }
+  definitions.set(checked.type, checked);
+  return checked;
+}
+
+/**
+ * @param {string} type - Card type name
+ * @returns {Object|null} The definition, or null for an unknown type
+ */
+export function getCardDefinition(type) {
+  return definitions.get(type) || null;
+}
+
+/**
+ * @returns {Array<Object>} Every registered definition, in registration order
+ */
+export function getCardDefinitions() {
+  return [...definitions.values()];
+}
+
+/**
+ * Whether extracted entities (see utils/entity-extraction.js) include a group
+ * @param {Object|null} entities - Grouped entities, if available
+ * @param {string} group - Group name such as "plants" or "counties"
+ * @returns {boolean}
+ */
+export function mentions(entities, group) {
+  return (entities?.[group]?.length ?? 0) > 0;
+}
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "integer":
+      return Number.isInteger(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Check a value against a JSON Schema subset: type (a name or a list),
+ * enum, required, properties and items
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {string} path - Where the value is, for error messages
+ * @returns {Array<string>} Problems found; empty when the value is valid
+ */
+export function validateCardData(schema, value, path = "data") {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path} should be ${types.join(" or ")}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+  if (matchesType(value, "object")) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateCardData(property, value[key], `${path}.${key}`)
+        );
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      errors.push(...validateCardData(schema.items, item, `${path}[${index}]`))
+    );
+  }
+  return errors;
+}
+
+/**
+ * Wrap card data as a card once it matches the type's schema
+ * @param {Object} definition - Card type definition
+ * @param {Object} data - Card data
+ * @returns {{card: Object|null, errors: Array<string>}}
+ */
+export function toCard(definition, data) {
+  const errors = validateCardData(definition.schema, data);
+  return {
+    card: errors.length === 0 ? { type: definition.type, data } : null,
+    errors,
+  };
+}
+
+/**
+ * Text markers the model may add to a plain-text answer to ask for cards
+ * @returns {Array<{type: string, marker: string}>}
+ */
+export function getCardMarkers() {
+  return getCardDefinitions()
+    .filter((definition) => definition.detect.marker)
+    .map((definition) => ({
+      type: definition.type,
+      marker: definition.detect.marker,
+    }));
+}
+
+/**
+ * Run one kind of detection rule over the definitions, lowest priority first
+ */
+function detectWith(kind, ...args) {
+  const rules = getCardDefinitions()
+    .filter((definition) => definition.detect[kind])
+    .sort((a, b) => a.detect[kind].priority - b.detect[kind].priority);
+
+  const match = rules.find((definition) =>
+    definition.detect[kind].matches(...args)
+  );
+  return match ? match.type : null;
+}
+
+/**
+ * Pick a card type from what the question asks about
+ * @param {string} query - The user's question
+ * @param {Object} entities - Entities extracted from the question, if available
+ * @returns {string|null} Card type, or null when no card fits
+ */
+export function detectCardTypeFromQuery(query, entities = null) {
+  return detectWith("query", query, entities);
+}
+
+/**
+ * Pick a card type from an answer that has no card marker
+ * @param {string} query - The user's question
+ * @param {string} content - The answer text
+ * @returns {string|null} Card type, or null when no card fits
+ */
+export function detectCardTypeFromResponse(query, content) {
+  return detectWith("response", query, content);
+}
+
+/**
+ * Select the cards of one type for a question and answer. Card data that
+ * does not match the type's schema is dropped.
+ * @param {string} query - The user's question
+ * @param {Object} response
+ * @param {string} response.content - The answer text
+ * @param {string} response.cardType - Card type to select
+ * @param {Object} response.entities - Entities extracted from the question, if available
+ * @returns {Promise<Array>} Cards, { type, data }
+ */
+export async function selectCardsForResponse(
+  query,
+  { content = "", cardType, entities = null } = {}
+) {
+  const definition = getCardDefinition(cardType);
+  if (!definition) return [];
+
+  let selected;
+  try {
+    selected = await definition.select({ query, content, entities });
+  } catch (error) {
+    logger.warn(`Failed to select ${cardType} cards: ${error.message}`);
+    return [];
+  }
+
+  return (selected || []).flatMap((data) => {
+    const { card, errors } = toCard(definition, data);
+    if (errors.length > 0) {
+      logger.warn(`Dropped a ${cardType} card`, { errors });
+    }
+    return card ? [card] : [];
+  });
+}
+
+/**
+ * Look up the card a structured payload refers to
+ * @param {Object} reference - { type, id }
+ * @returns {Promise<{card: Object|null, error: string|null}>}
+ */
+export async function resolveCardReference(reference) {
+  const definition = getCardDefinition(reference?.type);
+  if (!definition?.reference) {
+    return { card: null, error: `unknown type "${reference?.type}"` };
+  }
+
+  const { id } = reference;
+  if (id === undefined || id === null || id === "") {
+    return { card: null, error: "missing id" };
+  }
+
+  let data;
+  try {
+    data = await definition.reference.find(id);
+  } catch (error) {
+    return { card: null, error: `${reference.type} "${id}": ${error.message}` };
+  }
+  if (!data) {
+    return { card: null, error: `no ${reference.type} with id "${id}"` };
+  }
+
+  const { card, errors } = toCard(definition, data);
+  return { card, error: card ? null : errors.join("; ") };
+}
@@ -0,0 +1,95 @@
+// src/cards/soil.js
+// Soil type cards for the Irish soil types in src/data/irish-soil-data.js
+
+import { CARD_TYPES, defineCardType, mentions } from "./registry.js";
+import {
+  IRISH_SOIL_TYPES,
+  COUNTY_SOIL_MAPPING,
+} from "../data/irish-soil-data.js";
+import { getSoilCards } from "../utils/cards.js";
+
+/**
+ * Card data for a soil type, with the soil's details for the renderer
+ */
+function soilTypeData(soilType, county = null) {
+  const soil = IRISH_SOIL_TYPES[soilType];
+  if (!soil) return null;
+  return {
+    id: county
+      ? `soil_county_${county.toLowerCase().replace(/\s+/g, "")}`
+      : `soil_type_${soilType}`,
+    soilType,
+    cardType: county ? "county" : "type",
+    ...(county && { county }),
+    soil,
+  };
+}
+
+export default defineCardType({
+  type: CARD_TYPES.SOIL,
+  detect: {
+    query: {
+      priority: 30,
+      matches: (query, entities) => {
+        const lowerQuery = query.toLowerCase();
+        return (
+          (lowerQuery.includes("soil") &&
+            (lowerQuery.includes("county") ||
+              lowerQuery.includes("type") ||
+              mentions(entities, "counties"))) ||
+          mentions(entities, "soilTypes")
+        );
+      },
+    },
+  },
+  // Keyword cards name a county or a soil type; both become soil type cards
+  select: ({ query, content }) =>
+    getSoilCards(query, content)
+      .map(({ data }) =>
+        data.county
+          ? soilTypeData(
+              COUNTY_SOIL_MAPPING[data.county.toLowerCase()],
+              data.county
+            )
+          : soilTypeData(data.soilType)
+      )
+      .filter(Boolean),
+  reference: {
+    use: "soil types",
+    describe: () =>
+      Object.entries(IRISH_SOIL_TYPES).map(
+        ([key, soil]) => `${key} ${soil.name}`
+      ),
+    find: (id) => soilTypeData(id),
+  },
+  schema: {
+    type: "object",
+    required: ["id", "soilType", "soil"],
+    properties: {
+      id: { type: "string" },
+      soilType: { type: "string", enum: Object.keys(IRISH_SOIL_TYPES) },
+      county: { type: "string" },
+      soil: {
+        type: "object",
+        required: ["name", "description"],
+        properties: {
+          name: { type: "string" },
+          description: { type: "string" },
+        },
+      },
+    },
+  },
+  display: {
+    // Soil questions also get the county's soil details (message.soilInfo)
+    title: (message) =>
+      message.soilInfo
+        ? `Soil information for ${message.soilInfo.county}`
+        : `${message.cards?.length} Irish soil types`,
+    buttonLabel: "View Soil Details",
+    itemsPerRow: 1,
+  },
+  renderer: {
+    load: () => import("../components/soil/SoilTypeCard.jsx"),
+    props: ({ soil, county }) => ({ soil, county }),
+  },
+});
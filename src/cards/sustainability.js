@@ -0,0 +1,88 @@
+// src/cards/sustainability.js
+// Sustainability impact cards: the carbon savings of growing a plant or crop
+// instead of buying it
+
+import { CARD_TYPES, defineCardType } from "./registry.js";
+import { foodCarbonFootprint } from "../data/sustainability-metrics.js";
+import { getSustainabilityCards } from "../utils/cards.js";
+
+export default defineCardType({
+  type: CARD_TYPES.SUSTAINABILITY,
+  detect: {
+    marker: "SHOWING_SUSTAINABILITY_CARDS",
+    query: {
+      priority: 40,
+      matches: (query) => {
+        const lowerQuery = query.toLowerCase();
+        return (
+          lowerQuery.includes("sustain") ||
+          lowerQuery.includes("environment") ||
+          lowerQuery.includes("carbon") ||
+          lowerQuery.includes("footprint") ||
+          lowerQuery.includes("eco")
+        );
+      },
+    },
+    response: {
+      priority: 10,
+      matches: (query, content) => {
+        const lowercaseContent = content.toLowerCase();
+        const lowercaseQuery = query.toLowerCase();
+        return (
+          (lowercaseQuery.includes("carbon") ||
+            lowercaseQuery.includes("footprint") ||
+            lowercaseQuery.includes("sustainability") ||
+            lowercaseQuery.includes("sustainable") ||
+            lowercaseQuery.includes("eco-friendly") ||
+            lowercaseQuery.includes("environment") ||
+            lowercaseQuery.includes("sdg")) &&
+          (lowercaseContent.includes("carbon") ||
+            lowercaseContent.includes("footprint") ||
+            lowercaseContent.includes("emissions") ||
+            lowercaseContent.includes("sustainable") ||
+            lowercaseContent.includes("environmental impact"))
+        );
+      },
+    },
+  },
+  select: ({ query, content }) =>
+    getSustainabilityCards(query, content).map((card) => card.data),
+  reference: {
+    use: "the carbon savings of growing a crop instead of buying it",
+    describe: () => Object.keys(foodCarbonFootprint.storeBought),
+    find: (id) =>
+      foodCarbonFootprint.storeBought[id]
+        ? {
+            id: `food_sustainability_${id}`,
+            isFoodSustainability: true,
+            crop: id,
+            quantity: 1,
+          }
+        : null,
+  },
+  schema: {
+    type: "object",
+    required: ["id"],
+    properties: {
+      id: { type: "string" },
+      plantName: { type: "string" },
+      crop: { type: "string" },
+      quantity: { type: "number" },
+      gardenArea: { type: "number" },
+    },
+  },
+  display: {
+    title: (message, { isExpanded }) =>
+      `${message.cards?.length} Sustainability impact ${
+        isExpanded ? "details" : "information available"
+      }`,
+    buttonLabel: "View Impact",
+    itemsPerRow: 1,
+    maxCollapsedItems: 1,
+  },
+  renderer: {
+    load: () =>
+      import("../components/sustainability/SustainabilityImpactCard.jsx"),
+    props: (impact) => ({ impact }),
+  },
+});
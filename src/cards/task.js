@@ -0,0 +1,85 @@
+// src/cards/task.js
+// Gardening task cards for tasks in src/data/gardening-tasks.js. The
+// container shows them in the gardening calendar rather than one by one.
+
+import { CARD_TYPES, defineCardType, mentions } from "./registry.js";
+import { gardeningTasks } from "../data/gardening-tasks.js";
+import { MONTHS } from "../database/migrations/002-calendar.js";
+import { getTaskCards } from "../utils/cards.js";
+
+export default defineCardType({
+  type: CARD_TYPES.TASK,
+  detect: {
+    marker: "SHOWING_TASK_CARDS",
+    query: {
+      priority: 20,
+      matches: (query, entities) => {
+        const lowerQuery = query.toLowerCase();
+        return (
+          (lowerQuery.includes("task") ||
+            lowerQuery.includes("job") ||
+            lowerQuery.includes("what to do") ||
+            lowerQuery.includes("garden chore")) &&
+          (lowerQuery.includes("month") ||
+            lowerQuery.includes("season") ||
+            lowerQuery.includes("spring") ||
+            lowerQuery.includes("summer") ||
+            lowerQuery.includes("autumn") ||
+            lowerQuery.includes("winter") ||
+            mentions(entities, "months") ||
+            mentions(entities, "seasons"))
+        );
+      },
+    },
+    response: {
+      priority: 30,
+      matches: (query, content) => {
+        const lowercaseContent = content.toLowerCase();
+        return (
+          (lowercaseContent.includes("task") ||
+            lowercaseContent.includes("jobs") ||
+            lowercaseContent.includes("chore") ||
+            lowercaseContent.includes("to do") ||
+            lowercaseContent.includes("todo")) &&
+          (lowercaseContent.includes("garden") ||
+            lowercaseContent.includes("planting") ||
+            lowercaseContent.includes("maintenance"))
+        );
+      },
+    },
+  },
+  select: ({ query, content }) =>
+    getTaskCards(query, content).map((card) => card.data),
+  reference: {
+    use: "gardening tasks",
+    describe: () =>
+      gardeningTasks.map(
+        (month) =>
+          `${MONTHS[month.month - 1].name}: ${month.tasks
+            .map((task) => `${task.id} ${task.title}`)
+            .join("; ")}`
+      ),
+    find: (id) =>
+      gardeningTasks
+        .flatMap((month) => month.tasks)
+        .find((task) => task.id === id) || null,
+  },
+  schema: {
+    type: "object",
+    required: ["id", "title"],
+    properties: {
+      id: { type: "string" },
+      title: { type: "string" },
+      description: { type: "string" },
+      category: { type: "string" },
+      priority: { type: "string" },
+    },
+  },
+  display: {
+    title: (message) => `${message.cards?.length} Gardening tasks available`,
+    buttonLabel: "View Calendar",
+    itemsPerRow: 1,
+    maxCollapsedItems: 2,
+  },
+  renderer: null,
+});
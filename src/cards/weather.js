@@ -0,0 +1,105 @@
+// src/cards/weather.js
+// Current weather card for the county a question is about, from
+// utils/weather-client.js
+
+import { CARD_TYPES, defineCardType } from "./registry.js";
+import {
+  getCurrentWeather,
+  getWeatherCounties,
+} from "../utils/weather-client.js";
+import { extractCountyFromQuery } from "../utils/soil-client.js";
+
+const WEATHER_PATTERN =
+  /\b(weather|forecast|rain\w*|temperatures?|wind\w*|frost\w*|sunny|showers?)\b/i;
+
+const DEFAULT_COUNTY = "Dublin";
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+/**
+ * The county a question is about: the first county entity, else one named
+ * in the text, else Dublin
+ */
+export function countyFor(query, entities) {
+  return (
+    entities?.counties?.[0]?.name ||
+    extractCountyFromQuery(query || "") ||
+    DEFAULT_COUNTY
+  );
+}
+
+async function weatherCard(county) {
+  const weather = await getCurrentWeather(county);
+  return { id: `weather_${county.toLowerCase()}`, county, ...weather };
+}
+
+export default defineCardType({
+  type: CARD_TYPES.WEATHER,
+  detect: {
+    query: {
+      priority: 5,
+      matches: (query) => WEATHER_PATTERN.test(query),
+    },
+    response: {
+      priority: 5,
+      matches: (query) => WEATHER_PATTERN.test(query),
+    },
+  },
+  select: async ({ query, entities }) => [
+    await weatherCard(countyFor(query, entities)),
+  ],
+  reference: {
+    use: "the current weather and forecast for a county",
+    describe: () => [getWeatherCounties().join(", ")],
+    find: async (id) => {
+      const county = String(id).toLowerCase();
+      if (!getWeatherCounties().includes(county)) return null;
+      return weatherCard(capitalize(county));
+    },
+  },
+  schema: {
+    type: "object",
+    required: ["id", "county", "temperature", "forecast"],
+    properties: {
+      id: { type: "string" },
+      county: { type: "string" },
+      date: { type: ["string", "object"] },
+      temperature: { type: "number" },
+      rainfall: { type: "number" },
+      windSpeed: { type: "number" },
+      windDirection: { type: "string" },
+      humidity: { type: "number" },
+      weatherDescription: { type: "string" },
+      forecast: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["date", "temperature"],
+          properties: {
+            date: { type: "string" },
+            temperature: {
+              type: "object",
+              required: ["min", "max"],
+              properties: {
+                min: { type: "number" },
+                max: { type: "number" },
+              },
+            },
+            rainfall: { type: "number" },
+            description: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  display: {
+    title: (message) => `Weather for ${message.cards?.[0]?.data.county}`,
+    buttonLabel: "View Forecast",
+    itemsPerRow: 1,
+    maxCollapsedItems: 1,
+  },
+  renderer: {
+    load: () => import("../components/weather/WeatherCard.jsx"),
+    props: (weather) => ({ weather }),
+  },
+});
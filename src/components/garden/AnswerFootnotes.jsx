@@ -0,0 +1,59 @@
+import React from "react";
+
+const SOURCE_LABELS = {
+  graph: "Knowledge graph",
+  teagasc: "Teagasc soil data",
+  tasks: "Gardening tasks",
+  local: "Garden data",
+};
+
+// Footnotes for the facts an answer cited, and warnings for claims the
+// knowledge graph could not back up (see utils/grounding.js)
+const AnswerFootnotes = ({ citations, warnings }) => {
+  const hasCitations = citations && citations.length > 0;
+  const hasWarnings = warnings && warnings.length > 0;
+  if (!hasCitations && !hasWarnings) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 text-base-content/80">
+      {hasCitations && (
+        <ol className="space-y-1">
+          {citations.map((citation) => (
+            <li
+              key={citation.id}
+              className="text-xs flex gap-2"
+              title={citation.id}
+            >
+              <span className="font-medium">[{citation.number}]</span>
+              <span>
+                {citation.text}
+                <span className="opacity-60">
+                  {" "}
+                  —{" "}
+                  {citation.source?.label ||
+                    SOURCE_LABELS[citation.source?.type] ||
+                    "Source"}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {hasWarnings && (
+        <ul className="mt-2 space-y-1">
+          {warnings.map((warning, i) => (
+            <li key={i} className="text-xs flex gap-2 text-warning">
+              <span>!</span>
+              <span>{warning.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AnswerFootnotes;
@@ -1,11 +1,17 @@
-import React, { useState } from "react";
-import PlantCard from "../plants/PlantCard";
-import TaskCard from "./TaskCard";
+import React, { Suspense, lazy, useState } from "react";
 import SoilInfo from "../soil/SoilInfo";
 import GardeningCalendar from "./GardeningCalendar";
-import PlantSustainabilityInfo from "../sustainability/PlantSustainabilityInfo";
-import FoodSustainabilityInfo from "../sustainability/FoodSustainabilityInfo";
-import { CARD_TYPES } from "../../utils/cards";
+import { CARD_TYPES, getCardDefinition } from "../../cards";
+
+// Card type -> its lazily loaded renderer component
+const renderers = new Map();
+
+const getRenderer = (definition) => {
+  if (!renderers.has(definition.type)) {
+    renderers.set(definition.type, lazy(definition.renderer.load));
+  }
+  return renderers.get(definition.type);
+};
 
 /**
  * CardContainer - A standardized container component for various card types
@@ -14,7 +20,7 @@ import { CARD_TYPES } from "../../utils/cards";
  * @param {Object} props.message - Message containing cards or soilInfo
  * @param {number} props.index - Index of the message in the message list
  * @param {number} props.messagesLength - Total number of messages
- * @param {string} props.type - Card type: 'plant', 'task', 'sustainability', or 'soil'
+ * @param {string} props.type - Card type, one of CARD_TYPES (see src/cards)
  * @param {boolean} props.isExpanded - Whether the container is expanded
  * @param {Function} props.setExpanded - Function to update expanded state
  */
@@ -32,56 +38,15 @@ const CardContainer = ({
   // State to track if all plant cards are shown
   const [showAllPlants, setShowAllPlants] = useState(false);
 
-  // Determine container display settings based on card type
-  let itemsPerRow, maxCollapsedItems, initialVisibleItems;
-
-  switch (type) {
-    case CARD_TYPES.PLANT:
-      itemsPerRow = 2; // 2 cards per row for plants
-      maxCollapsedItems = 2; // Show 2 plant cards initially when expanded
-      initialVisibleItems = 0; // Don't show any plant cards initially (collapsed state)
-      break;
-    case CARD_TYPES.TASK:
-      itemsPerRow = 1; // Single column for tasks
-      maxCollapsedItems = 2;
-      initialVisibleItems = 0; // Don't show any task cards initially
-      break;
-    case CARD_TYPES.SUSTAINABILITY:
-      itemsPerRow = 1; // Single column for sustainability
-      maxCollapsedItems = 1;
-      initialVisibleItems = 0; // Don't show sustainability cards initially
-      break;
-    case CARD_TYPES.SOIL:
-      itemsPerRow = 1; // Single column for soil
-      maxCollapsedItems = 0; // Special case - controlled differently
-      initialVisibleItems = 0;
-      break;
-    default:
-      itemsPerRow = 1;
-      maxCollapsedItems = 2;
-      initialVisibleItems = 0; // Default to not showing cards initially
-  }
+  // Display settings come from the card type's definition
+  const definition = getCardDefinition(type);
+  const { itemsPerRow, maxCollapsedItems, buttonLabel } = definition
+    ? definition.display
+    : { itemsPerRow: 1, maxCollapsedItems: 2, buttonLabel: "Expand" };
 
-  // Format the alert title based on card type
-  let alertTitle;
-  switch (type) {
-    case CARD_TYPES.PLANT:
-      alertTitle = `${message.cards?.length} Plants suitable for your garden`;
-      break;
-    case CARD_TYPES.TASK:
-      alertTitle = `${message.cards?.length} Gardening tasks available`;
-      break;
-    case CARD_TYPES.SUSTAINABILITY:
-      alertTitle = `${message.cards?.length} Sustainability impact ${
-        isExpanded ? "details" : "information available"
-      }`;
-      break;
-    case CARD_TYPES.SOIL:
-      alertTitle = `Soil information for ${message.soilInfo.county}`;
-      break;
-    default:
-      alertTitle = "Information";
-  }
+  const alertTitle = definition
+    ? definition.display.title(message, { isExpanded })
+    : "Information";
 
   // Always show the expand button for all card types
   const showButton = type === CARD_TYPES.SOIL || message.cards?.length > 0;
@@ -103,42 +68,21 @@ const CardContainer = ({
     return message.cards?.length || 0;
   };
 
-  // Render different card types
+  // Render a card with its type's renderer
   const renderCard = (card) => {
-    // Skip rendering if card type is null or undefined
-    if (!card.type) {
+    const cardDefinition = getCardDefinition(card.type);
+    // Skip cards without a renderer, e.g. tasks shown in the calendar
+    if (!cardDefinition?.renderer) {
       return null;
     }
 
-    switch (card.type) {
-      case CARD_TYPES.PLANT:
-        return <PlantCard plant={card.data} key={card.data.id} />;
-      case CARD_TYPES.SUSTAINABILITY:
-        // Check if this is a food sustainability card with crop data
-        if (card.data.isFoodSustainability) {
-          return (
-            <FoodSustainabilityInfo
-              crop={card.data.crop}
-              quantity={card.data.quantity}
-              gardenArea={card.data.gardenArea}
-              key={card.data.id}
-            />
-          );
-        } else {
-          // Regular plant sustainability
-          return (
-            <PlantSustainabilityInfo
-              plantName={card.data.plantName}
-              quantity={card.data.quantity}
-              isOrganic={card.data.isOrganic}
-              showDetailedBreakdown={card.data.showDetailedBreakdown}
-              key={card.data.id}
-            />
-          );
-        }
-      default:
-        return null;
-    }
+    const Renderer = getRenderer(cardDefinition);
+    return (
+      <Renderer
+        key={card.data.id}
+        {...cardDefinition.renderer.props(card.data)}
+      />
+    );
   };
 
   const handleToggleExpand = () => {
@@ -247,23 +191,14 @@ const CardContainer = ({
               handleToggleExpand();
             }}
           >
-            {index === messagesLength - 1 && isExpanded
-              ? "Hide"
-              : type === CARD_TYPES.TASK
-              ? "View Calendar"
-              : type === CARD_TYPES.SUSTAINABILITY
-              ? "View Impact"
-              : type === CARD_TYPES.SOIL
-              ? "View Soil Details"
-              : type === CARD_TYPES.PLANT
-              ? "View Plants"
-              : "Expand"}
+            {index === messagesLength - 1 && isExpanded ? "Hide" : buttonLabel}
           </button>
         )}
       </div>
 
       {/* Special case for soil info */}
       {type === CARD_TYPES.SOIL &&
+        message.soilInfo &&
         index === messagesLength - 1 &&
         isExpanded && <SoilInfo county={message.soilInfo.county} />}
 
@@ -298,9 +233,13 @@ const CardContainer = ({
             itemsPerRow > 1 ? "md:grid-cols-2" : ""
           } gap-4 mt-2 mb-4`}
         >
-          {message.cards
-            .slice(0, itemsToShow())
-            .map((card) => renderCard(card))}
+          <Suspense
+            fallback={<span className="loading loading-spinner loading-md" />}
+          >
+            {message.cards
+              .slice(0, itemsToShow())
+              .map((card) => renderCard(card))}
+          </Suspense>
         </div>
       )}
 
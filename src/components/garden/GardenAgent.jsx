@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect, createRef } from "react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
-import { selectCardsForResponse, CARD_TYPES } from "../../utils/cards";
+import { CARD_TYPES } from "../../cards";
 import { samplePlants } from "../../data/plants";
 import { sampleTasks } from "../../data/gardening-tasks";
 import CardContainer from "./CardContainer";
@@ -12,6 +12,11 @@ import {
   formatTimeString,
 } from "../../utils/date-utils";
 import GardeningCalendar from "./GardeningCalendar";
+import QueryAttemptHistory from "../graphrag/QueryAttemptHistory";
+import ToolCallTrace from "./ToolCallTrace";
+import AnswerFootnotes from "./AnswerFootnotes";
+import { readSSEEvents } from "../../utils/sse";
+import { getGardenPlants } from "../../utils/garden-plants-store";
 
 const GardenAgent = () => {
   const [messages, setMessages] = useState([
@@ -24,19 +29,24 @@ const GardenAgent = () => {
   ]);
   const [input, setInput] = useState("");
   const [isTyping, setIsTyping] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  // Tools the assistant has called so far for the answer in progress
+  const [toolActivity, setToolActivity] = useState([]);
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [providerInfo, setProviderInfo] = useState({
     provider: "vertex",
     model: "gemini-2.0-flash-001",
   });
-  const [soilInfoExpanded, setSoilInfoExpanded] = useState(false);
-  const [taskInfoExpanded, setTaskInfoExpanded] = useState(false);
-  const [plantsExpanded, setPlantsExpanded] = useState(false);
-  const [sustainabilityExpanded, setSustainabilityExpanded] = useState(false);
+  // Card type -> whether the latest message's cards of that type are expanded
+  const [expandedCardTypes, setExpandedCardTypes] = useState({});
   const [calendarOverlayOpen, setCalendarOverlayOpen] = useState(false);
   const [currentCalendarTasks, setCurrentCalendarTasks] = useState([]);
   const messagesEndRef = useRef(null);
   const calendarOverlayRef = useRef(null);
+  // Aborts the response being streamed, which also cancels the upstream request
+  const streamControllerRef = useRef(null);
+  // Server-side conversation session, shared by both assistant modes
+  const sessionIdRef = useRef(null);
 
   // GraphRAG mode state
   const [isGraphRAGMode, setIsGraphRAGMode] = useState(false);
@@ -45,10 +55,15 @@ const GardenAgent = () => {
   const [generatedQuery, setGeneratedQuery] = useState("");
   const [showGeneratedQuery, setShowGeneratedQuery] = useState(false);
 
+  // Expanded cards other than plant cards hold the drawer open
+  const holdsDrawerOpen = Object.entries(expandedCardTypes).some(
+    ([type, expanded]) => expanded && type !== CARD_TYPES.PLANT
+  );
+
   // Prevent drawer from closing when clicking expanded content
   useEffect(() => {
     // Force drawer to stay open if content is expanded
-    if (soilInfoExpanded || taskInfoExpanded || sustainabilityExpanded) {
+    if (holdsDrawerOpen) {
       setDrawerOpen(true);
 
       // Force the body to have scrolling enabled
@@ -68,7 +83,7 @@ const GardenAgent = () => {
         }
       };
     }
-  }, [soilInfoExpanded, taskInfoExpanded, sustainabilityExpanded]);
+  }, [holdsDrawerOpen]);
 
   // Auto-scroll to the bottom when messages change
   useEffect(() => {
@@ -81,65 +96,135 @@ const GardenAgent = () => {
     if (messages.length > 0) {
       setTimeout(() => scrollToBottom(), 100);
     }
-  }, [
-    plantsExpanded,
-    soilInfoExpanded,
-    taskInfoExpanded,
-    sustainabilityExpanded,
-    showSourceFacts,
-    showGeneratedQuery,
-  ]);
+  }, [expandedCardTypes, showSourceFacts, showGeneratedQuery]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
+  // Stop any response still streaming when the chat unmounts
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
+
+  // Stop the response being streamed
+  const handleStop = () => {
+    streamControllerRef.current?.abort();
+  };
+
+  // Request a streamed response and show its text as it arrives. The text
+  // goes into an assistant message added on the first token, which the
+  // caller later replaces with the finished message.
+  const streamResponse = async (url, body, stream) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+      },
+      body: JSON.stringify({
+        ...body,
+        sessionId: sessionIdRef.current,
+        stream: true,
+      }),
+      signal: stream.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("API response error:", response.status, errorText);
+      throw new Error(`Failed to get response from ${url}: ${response.status}`);
+    }
+
+    // Answers that need no model call (e.g. off-topic questions) come back as JSON
+    if (!response.headers.get("Content-Type")?.includes("text/event-stream")) {
+      const done = await response.json();
+      if (done.sessionId) sessionIdRef.current = done.sessionId;
+      return { done, metadata: {} };
+    }
+
+    let metadata = {};
+    let done = null;
+
+    for await (const { event, data } of readSSEEvents(response.body)) {
+      const payload = JSON.parse(data);
+
+      if (event === "metadata") {
+        metadata = payload;
+      } else if (event === "tool") {
+        setToolActivity((calls) => [...calls, payload.call]);
+      } else if (event === "token") {
+        stream.content += payload.text;
+        const content = stream.content;
+
+        if (!stream.started) {
+          stream.started = true;
+          setIsTyping(false);
+          setMessages((prevMessages) => [
+            ...prevMessages,
+            {
+              role: "assistant",
+              content,
+              timestamp: new Date(),
+              isGraphRAG: isGraphRAGMode,
+              isStreaming: true,
+            },
+          ]);
+        } else {
+          setMessages((prevMessages) => [
+            ...prevMessages.slice(0, -1),
+            { ...prevMessages[prevMessages.length - 1], content },
+          ]);
+        }
+      } else if (event === "done") {
+        done = payload;
+      } else if (event === "error") {
+        throw new Error(payload.error || "Streaming failed");
+      }
+    }
+
+    if (!done) {
+      throw new Error("Stream ended before the response was complete");
+    }
+
+    const sessionId = done.sessionId || metadata.sessionId;
+    if (sessionId) sessionIdRef.current = sessionId;
+    return { done, metadata };
+  };
+
   // Handle GraphRAG query
-  const handleGraphRAGQuery = async (userInput, conversationHistory) => {
+  const handleGraphRAGQuery = async (
+    userInput,
+    conversationHistory,
+    stream
+  ) => {
     try {
-      // Call the GraphRAG API endpoint
-      const response = await fetch("/api/gardening-question/stochastic", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
+      // Call the GraphRAG API endpoint, streaming the answer
+      const { done, metadata } = await streamResponse(
+        "/api/gardening-question/stochastic",
+        {
           question: userInput,
           conversationHistory,
-        }),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(
-          "GraphRAG API response error:",
-          response.status,
-          errorText
-        );
-        throw new Error(
-          `Failed to get response from GraphRAG assistant: ${response.status}`
-        );
-      }
+        },
+        stream
+      );
 
-      const data = await response.json();
+      const data = { ...metadata, ...done };
       console.log("GraphRAG API response:", data);
 
-      // Determine if we need to create cards based on the query and response
-      const cardType = determineCardTypeFromQuery(userInput, data.answer);
-      let cards = [];
-
-      if (cardType) {
-        // Generate appropriate cards based on the identified type
-        cards = generateCardsForGraphRAG(userInput, data, cardType);
-        console.log(
-          `Generated ${cards.length} ${cardType} cards for GraphRAG mode`
-        );
-      }
+      // The server picks the cards from the extracted entities and the answer
+      const cardType = data.cardType || null;
+      const cards = Array.isArray(data.cards) ? data.cards : [];
+      console.log(
+        `Received ${cards.length} ${cardType} cards for GraphRAG mode`
+      );
 
       return {
         content: data.answer,
         sourceFacts: data.sourceFacts || [],
+        citations: data.citations || [],
+        groundingWarnings: data.groundingWarnings || [],
         generatedQuery: data.generatedQuery || "",
+        queryRejection: data.queryRejection || null,
+        queryAttempts: data.queryAttempts || [],
         cardType: cardType,
         cards: cards,
       };
@@ -149,85 +234,12 @@ const GardenAgent = () => {
     }
   };
 
-  // Helper function to determine card type from query and response
-  const determineCardTypeFromQuery = (query, response) => {
-    const combinedText = (query + " " + response).toLowerCase();
-
-    // Check for plant-related content
-    if (
-      (combinedText.includes("plant") &&
-        (combinedText.includes("recommend") ||
-          combinedText.includes("grow"))) ||
-      combinedText.includes("what vegetable") ||
-      combinedText.includes("what flowers") ||
-      combinedText.includes("what plants") ||
-      combinedText.includes("companion plant")
-    ) {
-      return CARD_TYPES.PLANT;
-    }
-
-    // Check for task-related content
-    if (
-      (combinedText.includes("task") ||
-        combinedText.includes("job") ||
-        combinedText.includes("what to do") ||
-        combinedText.includes("garden chore")) &&
-      (combinedText.includes("month") ||
-        combinedText.includes("season") ||
-        combinedText.includes("spring") ||
-        combinedText.includes("summer") ||
-        combinedText.includes("autumn") ||
-        combinedText.includes("winter"))
-    ) {
-      return CARD_TYPES.TASK;
-    }
-
-    // Check for soil-related content
-    if (
-      combinedText.includes("soil") &&
-      (combinedText.includes("county") || combinedText.includes("type"))
-    ) {
-      return CARD_TYPES.SOIL;
-    }
-
-    // Check for sustainability-related content
-    if (
-      combinedText.includes("sustain") ||
-      combinedText.includes("environment") ||
-      combinedText.includes("carbon") ||
-      combinedText.includes("footprint") ||
-      combinedText.includes("eco")
-    ) {
-      return CARD_TYPES.SUSTAINABILITY;
-    }
-
-    return null;
-  };
-
-  // Generate appropriate cards for GraphRAG mode
-  const generateCardsForGraphRAG = (query, data, cardType) => {
-    // Use the existing selectCardsForResponse function with our data
-    const { answer, sourceFacts, entities } = data;
-
-    // Create a compatible response object for the card selection function
-    const compatibleResponse = {
-      content: answer,
-      cardType: cardType,
-    };
-
-    // Use the existing card selection logic
-    return selectCardsForResponse(query, compatibleResponse);
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (input.trim() === "") return;
+    if (input.trim() === "" || isTyping || isStreaming) return;
 
     // Reset any expanded state when submitting a new query
-    if (soilInfoExpanded) setSoilInfoExpanded(false);
-    if (taskInfoExpanded) setTaskInfoExpanded(false);
-    if (sustainabilityExpanded) setSustainabilityExpanded(false);
-    if (plantsExpanded) setPlantsExpanded(false);
+    setExpandedCardTypes({});
     if (showSourceFacts) setShowSourceFacts(false);
     if (showGeneratedQuery) setShowGeneratedQuery(false);
 
@@ -241,6 +253,17 @@ const GardenAgent = () => {
     setMessages((prevMessages) => [...prevMessages, userMessage]);
     setInput("");
     setIsTyping(true);
+    setIsStreaming(true);
+    setToolActivity([]);
+
+    // Tracks the streamed text so a stopped response keeps what arrived
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    const stream = {
+      signal: controller.signal,
+      started: false,
+      content: "",
+    };
 
     // Open the drawer when chat starts
     if (!drawerOpen && messages.length <= 1) {
@@ -260,13 +283,18 @@ const GardenAgent = () => {
         // Use GraphRAG system for the query
         const graphRAGResponse = await handleGraphRAGQuery(
           input,
-          conversationHistory
+          conversationHistory,
+          stream
         );
 
         aiResponse = {
           content: graphRAGResponse.content,
           sourceFacts: graphRAGResponse.sourceFacts,
+          citations: graphRAGResponse.citations,
+          groundingWarnings: graphRAGResponse.groundingWarnings,
           generatedQuery: graphRAGResponse.generatedQuery,
+          queryRejection: graphRAGResponse.queryRejection,
+          queryAttempts: graphRAGResponse.queryAttempts,
           cards: graphRAGResponse.cards || [],
         };
 
@@ -274,41 +302,23 @@ const GardenAgent = () => {
         setSourceFacts(graphRAGResponse.sourceFacts || []);
         setGeneratedQuery(graphRAGResponse.generatedQuery || "");
       } else {
-        // Use regular Vertex AI system
-        const requestBody = JSON.stringify({
-          query: input,
-          conversationHistory,
-        });
-
-        console.log("Sending request to garden API:", requestBody);
-
-        const response = await fetch("/api/garden", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
+        // Use the regular assistant, streaming its answer
+        console.log("Sending request to garden API:", input);
+
+        const { done } = await streamResponse(
+          "/api/garden",
+          {
+            query: input,
+            conversationHistory,
+            // For weather alerts naming the plants in the gardener's garden
+            gardenPlants: getGardenPlants(),
           },
-          body: requestBody,
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error("API response error:", response.status, errorText);
-          throw new Error(
-            `Failed to get response from garden assistant: ${response.status}`
-          );
-        }
-
-        const responseText = await response.text();
-        console.log("API response text:", responseText);
+          stream
+        );
 
-        try {
-          aiResponse = JSON.parse(responseText);
-          // Log the LLM response to the console
-          console.log("LLM Response:", aiResponse);
-        } catch (error) {
-          console.error("Error parsing API response:", error);
-          throw new Error("Invalid response format from garden assistant");
-        }
+        aiResponse = done;
+        // Log the LLM response to the console
+        console.log("LLM Response:", aiResponse);
       }
 
       // Check if this is a soil-related query (for regular mode)
@@ -319,10 +329,8 @@ const GardenAgent = () => {
 
       console.log("Soil related query:", isSoilRelated, "County:", county);
 
-      // Select appropriate cards to display based on the response (for regular mode only)
-      const cards = !isGraphRAGMode
-        ? selectCardsForResponse(input, aiResponse)
-        : aiResponse.cards || [];
+      // Use the cards the server resolved (see src/cards)
+      const cards = aiResponse.cards || [];
       console.log("Selected cards:", cards);
       console.log("Card count:", cards.length);
 
@@ -337,7 +345,11 @@ const GardenAgent = () => {
       if (isGraphRAGMode) {
         responseObj.isGraphRAG = true;
         responseObj.sourceFacts = aiResponse.sourceFacts || [];
+        responseObj.citations = aiResponse.citations || [];
+        responseObj.groundingWarnings = aiResponse.groundingWarnings || [];
         responseObj.generatedQuery = aiResponse.generatedQuery || "";
+        responseObj.queryRejection = aiResponse.queryRejection || null;
+        responseObj.queryAttempts = aiResponse.queryAttempts || [];
 
         // Add cards to GraphRAG responses if available
         if (aiResponse.cards && aiResponse.cards.length > 0) {
@@ -349,6 +361,11 @@ const GardenAgent = () => {
           responseObj.cards = cards;
         }
 
+        // Add the tools the assistant called for this answer
+        if (aiResponse.toolTrace && aiResponse.toolTrace.length > 0) {
+          responseObj.toolTrace = aiResponse.toolTrace;
+        }
+
         // Add soil info if it's a soil-related query (regular mode only)
         if (isSoilRelated) {
           responseObj.soilInfo = {
@@ -359,7 +376,12 @@ const GardenAgent = () => {
         }
       }
 
-      setMessages((prevMessages) => [...prevMessages, responseObj]);
+      // Replace the streamed message with the finished one
+      setMessages((prevMessages) =>
+        stream.started
+          ? [...prevMessages.slice(0, -1), responseObj]
+          : [...prevMessages, responseObj]
+      );
 
       // After the message is added, make sure to scroll properly
       setTimeout(() => {
@@ -383,6 +405,22 @@ const GardenAgent = () => {
         document.documentElement.style.overflow = "auto";
       }, 200);
     } catch (error) {
+      if (controller.signal.aborted) {
+        // Stopped by the user: keep whatever text had arrived
+        console.log("Response stopped by the user");
+        if (stream.started) {
+          setMessages((prevMessages) => [
+            ...prevMessages.slice(0, -1),
+            {
+              ...prevMessages[prevMessages.length - 1],
+              isStreaming: false,
+              stopped: true,
+            },
+          ]);
+        }
+        return;
+      }
+
       console.error("Error processing query:", error);
       // Add fallback response in case of error
       const errorResponse = {
@@ -391,9 +429,18 @@ const GardenAgent = () => {
           "I'm sorry, I'm having trouble accessing my gardening knowledge at the moment. Please try again in a moment.",
         timestamp: new Date(),
       };
-      setMessages((prevMessages) => [...prevMessages, errorResponse]);
+      setMessages((prevMessages) =>
+        stream.started
+          ? [...prevMessages.slice(0, -1), errorResponse]
+          : [...prevMessages, errorResponse]
+      );
     } finally {
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null;
+      }
       setIsTyping(false);
+      setIsStreaming(false);
+      setToolActivity([]);
     }
   };
 
@@ -435,10 +482,7 @@ const GardenAgent = () => {
   // Toggle between regular mode and GraphRAG mode
   const toggleGraphRAGMode = () => {
     // Reset any expanded states
-    setSoilInfoExpanded(false);
-    setTaskInfoExpanded(false);
-    setSustainabilityExpanded(false);
-    setPlantsExpanded(false);
+    setExpandedCardTypes({});
     setShowSourceFacts(false);
     setShowGeneratedQuery(false);
 
@@ -484,19 +528,20 @@ const GardenAgent = () => {
   // Determine the card container type based on message content
   const getCardType = (message) => {
     if (message.soilInfo) {
-      return "soil";
-    } else if (message.cards && message.cards.length > 0) {
-      if (message.cards[0].type === CARD_TYPES.TASK) {
-        return "task";
-      } else if (message.cards[0].type === CARD_TYPES.SUSTAINABILITY) {
-        return "sustainability";
-      } else {
-        return "plant";
-      }
+      return CARD_TYPES.SOIL;
     }
-    return null;
+    return message.cards?.[0]?.type || null;
   };
 
+  // Expanded state of a message's card container, kept per card type
+  const isCardTypeExpanded = (message) =>
+    Boolean(expandedCardTypes[getCardType(message)]);
+  const setCardTypeExpanded = (message) => (expanded) =>
+    setExpandedCardTypes((previous) => ({
+      ...previous,
+      [getCardType(message)]: expanded,
+    }));
+
   // Toggle showing source facts for GraphRAG responses
   const toggleSourceFacts = (messageIndex) => {
     if (messages[messageIndex] && messages[messageIndex].isGraphRAG) {
@@ -653,9 +698,26 @@ const GardenAgent = () => {
                             <ReactMarkdown remarkPlugins={[remarkGfm]}>
                               {message.content}
                             </ReactMarkdown>
+                            {message.isStreaming && (
+                              <span className="loading loading-dots loading-xs ml-1"></span>
+                            )}
                           </div>
+                          {message.stopped && (
+                            <div className="text-xs opacity-70 mt-1">
+                              Response stopped
+                            </div>
+                          )}
                         </div>
 
+                        {/* Tools the assistant called for this answer */}
+                        <ToolCallTrace calls={message.toolTrace} />
+
+                        {/* Cited facts and unsupported claims */}
+                        <AnswerFootnotes
+                          citations={message.citations}
+                          warnings={message.groundingWarnings}
+                        />
+
                         {/* GraphRAG specific UI */}
                         {message.isGraphRAG && (
                           <div className="graph-rag-container my-2">
@@ -698,10 +760,10 @@ const GardenAgent = () => {
                                       <ul className="text-sm list-disc pl-5 space-y-1">
                                         {message.sourceFacts.map((fact, i) => (
                                           <li
-                                            key={i}
+                                            key={fact.id || i}
                                             className="text-base-content/80"
                                           >
-                                            {fact}
+                                            {fact.text || fact}
                                           </li>
                                         ))}
                                       </ul>
@@ -738,6 +800,13 @@ const GardenAgent = () => {
                                     : "Show Generated Query"}
                                 </button>
 
+                                {message.queryRejection && (
+                                  <p className="mt-2 text-xs text-warning">
+                                    The generated query was blocked:{" "}
+                                    {message.queryRejection.reason}
+                                  </p>
+                                )}
+
                                 {showGeneratedQuery && (
                                   <div className="mt-2 p-3 bg-base-100 rounded-box shadow-sm">
                                     <p className="text-xs text-base-content/70 mb-2">
@@ -748,6 +817,13 @@ const GardenAgent = () => {
                                     <pre className="text-sm text-base-content/80 bg-base-200 p-2 rounded overflow-x-auto">
                                       {message.generatedQuery}
                                     </pre>
+
+                                    {message.queryAttempts &&
+                                      message.queryAttempts.length > 1 && (
+                                        <QueryAttemptHistory
+                                          attempts={message.queryAttempts}
+                                        />
+                                      )}
                                   </div>
                                 )}
                               </div>
@@ -761,26 +837,8 @@ const GardenAgent = () => {
                                   index={index}
                                   messagesLength={messages.length}
                                   type={getCardType(message)}
-                                  isExpanded={
-                                    getCardType(message) === "soil"
-                                      ? soilInfoExpanded
-                                      : getCardType(message) === "task"
-                                      ? taskInfoExpanded
-                                      : getCardType(message) ===
-                                        "sustainability"
-                                      ? sustainabilityExpanded
-                                      : plantsExpanded
-                                  }
-                                  setExpanded={
-                                    getCardType(message) === "soil"
-                                      ? setSoilInfoExpanded
-                                      : getCardType(message) === "task"
-                                      ? setTaskInfoExpanded
-                                      : getCardType(message) ===
-                                        "sustainability"
-                                      ? setSustainabilityExpanded
-                                      : setPlantsExpanded
-                                  }
+                                  isExpanded={isCardTypeExpanded(message)}
+                                  setExpanded={setCardTypeExpanded(message)}
                                 />
                               </div>
                             )}
@@ -796,24 +854,8 @@ const GardenAgent = () => {
                               index={index}
                               messagesLength={messages.length}
                               type={getCardType(message)}
-                              isExpanded={
-                                getCardType(message) === "soil"
-                                  ? soilInfoExpanded
-                                  : getCardType(message) === "task"
-                                  ? taskInfoExpanded
-                                  : getCardType(message) === "sustainability"
-                                  ? sustainabilityExpanded
-                                  : plantsExpanded
-                              }
-                              setExpanded={
-                                getCardType(message) === "soil"
-                                  ? setSoilInfoExpanded
-                                  : getCardType(message) === "task"
-                                  ? setTaskInfoExpanded
-                                  : getCardType(message) === "sustainability"
-                                  ? setSustainabilityExpanded
-                                  : setPlantsExpanded
-                              }
+                              isExpanded={isCardTypeExpanded(message)}
+                              setExpanded={setCardTypeExpanded(message)}
                             />
                           </div>
                         )}
@@ -829,9 +871,12 @@ const GardenAgent = () => {
               <div className="p-4 mt-4">
                 <div className="chat chat-start">
                   <ChatAvatar type="assistant" />
-                  <div className="chat-bubble bg-emerald-800 text-white flex gap-1 items-center">
-                    <span className="loading loading-dots loading-sm"></span>
-                    <span>Bloom is thinking...</span>
+                  <div className="chat-bubble bg-emerald-800 text-white">
+                    <div className="flex gap-1 items-center">
+                      <span className="loading loading-dots loading-sm"></span>
+                      <span>Bloom is thinking...</span>
+                    </div>
+                    <ToolCallTrace calls={toolActivity} live />
                   </div>
                 </div>
               </div>
@@ -857,26 +902,40 @@ const GardenAgent = () => {
                   className="input input-bordered flex-1"
                   suppressHydrationWarning={true}
                 />
-                <button
-                  type="submit"
-                  className="btn btn-primary"
-                  disabled={isTyping}
-                >
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    className="h-6 w-6"
-                    fill="none"
-                    viewBox="0 0 24 24"
-                    stroke="currentColor"
+                {isStreaming ? (
+                  <button
+                    type="button"
+                    className="btn btn-outline btn-error"
+                    onClick={handleStop}
+                    title="Stop response"
                   >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"
-                    />
-                  </svg>
-                </button>
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-6 w-6"
+                      fill="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <rect x="6" y="6" width="12" height="12" rx="2" />
+                    </svg>
+                  </button>
+                ) : (
+                  <button type="submit" className="btn btn-primary">
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-6 w-6"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"
+                      />
+                    </svg>
+                  </button>
+                )}
               </div>
               <div className="text-xs text-base-content/50 mt-2">
                 {isGraphRAGMode ? (
@@ -2,10 +2,15 @@ import React, { useState, useEffect } from "react";
 import MonthlyTasks from "./MonthlyTasks";
 import { getTasksForUpcomingMonths } from "../../data/gardening-tasks";
 import { getCurrentMonth, getMonthName } from "../../utils/date-utils";
+import {
+  GARDEN_PLANTS_EVENT,
+  getGardenPlants,
+} from "../../utils/garden-plants-store";
 
 const GardeningCalendar = ({
   months = 3,
   queryTasks: initialQueryTasks = [],
+  county: initialCounty = "Dublin",
 }) => {
   const [upcomingTasks, setUpcomingTasks] = useState([]);
   const [categoryFilter, setCategoryFilter] = useState("all");
@@ -17,6 +22,9 @@ const GardeningCalendar = ({
   const [selectedMonth, setSelectedMonth] = useState(null);
   const [displayMonths, setDisplayMonths] = useState(months);
   const [currentDisplayMode, setCurrentDisplayMode] = useState("default");
+  const [county, setCounty] = useState(initialCounty);
+  const [gardenPlants, setGardenPlants] = useState([]);
+  const [alertTasks, setAlertTasks] = useState([]);
 
   // Available categories for filtering
   const categories = [
@@ -111,6 +119,44 @@ const GardeningCalendar = ({
     }, 500);
   }, [displayMonths, selectedMonth, showQueryTasks, currentDisplayMode]);
 
+  // Follow the county selector and the gardener's plants, for weather alerts
+  useEffect(() => {
+    setGardenPlants(getGardenPlants());
+
+    const handleCountyChange = (event) => setCounty(event.detail);
+    const handlePlantsChange = (event) => setGardenPlants(event.detail);
+    document.addEventListener("countyChange", handleCountyChange);
+    window.addEventListener(GARDEN_PLANTS_EVENT, handlePlantsChange);
+
+    return () => {
+      document.removeEventListener("countyChange", handleCountyChange);
+      window.removeEventListener(GARDEN_PLANTS_EVENT, handlePlantsChange);
+    };
+  }, []);
+
+  // Frost, gale, heavy rain and heat alerts from the forecast, as tasks
+  useEffect(() => {
+    const params = new URLSearchParams({
+      county,
+      plants: gardenPlants.join(","),
+    });
+    let cancelled = false;
+
+    fetch(`/api/weather-alerts?${params}`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (!cancelled) setAlertTasks(data.tasks || []);
+      })
+      .catch((error) => {
+        console.error("Could not load weather alerts for the calendar:", error);
+        if (!cancelled) setAlertTasks([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [county, gardenPlants]);
+
   useEffect(() => {
     // Update state when props change
     if (queryTasks?.length > 0) {
@@ -165,6 +211,11 @@ const GardeningCalendar = ({
       .filter((monthData) => monthData.tasks && monthData.tasks.length > 0);
   }, [upcomingTasks, queryTasks, categoryFilter, showQueryTasks]);
 
+  const filteredAlertTasks =
+    categoryFilter === "all"
+      ? alertTasks
+      : alertTasks.filter((task) => task.category === categoryFilter);
+
   if (isLoading) {
     return (
       <div className="card bg-base-100 shadow-xl">
@@ -215,6 +266,16 @@ const GardeningCalendar = ({
           </button>
         </div>
 
+        {filteredAlertTasks.length > 0 && (
+          <MonthlyTasks
+            monthData={{
+              name: `Weather alerts for ${county}`,
+              tasks: filteredAlertTasks,
+            }}
+            expanded
+          />
+        )}
+
         {filteredTasks.length === 0 ? (
           <div className="alert">
             <svg
@@ -0,0 +1,50 @@
+import React from "react";
+
+/**
+ * MonthCalendarCard - A month in the garden: its tasks and what to sow and
+ * harvest
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.calendar - { name, season, tasks, sowing, harvesting }
+ */
+const MonthCalendarCard = ({ calendar }) => {
+  const renderPlants = (title, plantNames, badgeClass) =>
+    plantNames.length > 0 && (
+      <div className="mt-2">
+        <h4 className="font-medium text-sm mb-1">{title}</h4>
+        <div className="flex flex-wrap gap-1">
+          {plantNames.map((plantName) => (
+            <span key={plantName} className={`badge ${badgeClass}`}>
+              {plantName}
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+
+  return (
+    <div className="card bg-base-100 shadow-md">
+      <div className="card-body p-4">
+        <div className="flex justify-between items-center">
+          <h3 className="card-title text-lg">{calendar.name}</h3>
+          {calendar.season && (
+            <span className="badge badge-ghost">{calendar.season}</span>
+          )}
+        </div>
+
+        {calendar.tasks.length > 0 && (
+          <ul className="list-disc list-inside text-sm space-y-1">
+            {calendar.tasks.map((task) => (
+              <li key={task.id}>{task.title}</li>
+            ))}
+          </ul>
+        )}
+
+        {renderPlants("Sow and plant", calendar.sowing, "badge-success")}
+        {renderPlants("Harvest", calendar.harvesting, "badge-warning")}
+      </div>
+    </div>
+  );
+};
+
+export default MonthCalendarCard;
@@ -0,0 +1,50 @@
+import React from "react";
+
+const TOOL_LABELS = {
+  getCurrentWeather: "Checked the weather",
+  getSoilDataByLocation: "Looked up the soil",
+  getGraphPlantRecommendations: "Found plant recommendations",
+  getTasksForMonth: "Looked up the month's tasks",
+  getRelatedPlants: "Looked up companion plants",
+  calculateCarbonSavings: "Calculated carbon savings",
+};
+
+// Lists the tools the assistant called for an answer (see
+// utils/gardening-agent.js). While the answer is still coming, `live` shows
+// the calls as they happen.
+const ToolCallTrace = ({ calls, live = false }) => {
+  if (!calls || calls.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={live ? "mt-1" : "mt-2 text-base-content/80"}>
+      {!live && (
+        <p className="text-xs text-base-content/60 mb-1">
+          Looked up for this answer:
+        </p>
+      )}
+      <ol className="space-y-1">
+        {calls.map((call, i) => (
+          <li
+            key={i}
+            className="text-xs flex items-center gap-2"
+            title={JSON.stringify(call.args)}
+          >
+            <span className={call.ok ? "text-emerald-500" : "text-amber-500"}>
+              {call.ok ? "✓" : "!"}
+            </span>
+            <span className="font-medium">
+              {TOOL_LABELS[call.name] || call.name}
+            </span>
+            <span className="opacity-70">
+              {call.ok ? call.summary : `failed: ${call.error}`}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default ToolCallTrace;
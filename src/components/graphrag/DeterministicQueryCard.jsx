@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 
-const DeterministicQueryCard = ({ onSubmit }) => {
+const DeterministicQueryCard = ({ onSubmit, fallbackInfo }) => {
   const [formData, setFormData] = useState({
     countyName: "",
     plantType: "Vegetable",
@@ -45,15 +45,21 @@ const DeterministicQueryCard = ({ onSubmit }) => {
     "Wicklow",
   ];
 
-  // Plant types based on actual plants in the database
-  const plantTypes = [
-    "Vegetable", // Leek, Kale, Potato, Cabbage, Onion
-    "Wildflower", // Irish Wildflower Mix, Irish Primrose
-    "Tree", // Hawthorn
-  ];
+  // Values of the Plant `type` property in the database
+  const plantTypes = ["Vegetable", "Fruit", "Wildflower", "Shrub", "Tree"];
 
-  // Soil types as they appear in the database
-  const soilTypes = ["Clay", "Sandy", "Loam", "Peat", "Chalky"];
+  // SoilType node names in the database
+  const soilTypes = [
+    "Brown Earth",
+    "Grey-Brown Podzolic",
+    "Gley",
+    "Peat",
+    "Acid Brown Earth",
+    "Brown Podzolic",
+    "Alluvial",
+    "Rendzina",
+    "Podzol",
+  ];
 
   // Seasons based on planting/harvesting months in the database
   const seasons = ["Spring", "Summer", "Autumn", "Winter"];
@@ -287,6 +293,20 @@ const DeterministicQueryCard = ({ onSubmit }) => {
           </button>
         </div>
       </form>
+
+      {/* Tell the user when the search had to be widened to find results */}
+      {fallbackInfo?.explanation && (
+        <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-md">
+          <p className="text-sm text-amber-800">{fallbackInfo.explanation}</p>
+          {fallbackInfo.relaxations?.length > 0 && (
+            <ul className="mt-2 text-xs text-amber-700 list-disc list-inside">
+              {fallbackInfo.relaxations.map((relaxation) => (
+                <li key={relaxation.constraint}>{relaxation.description}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 };
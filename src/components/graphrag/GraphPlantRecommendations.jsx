@@ -1,13 +1,20 @@
 import { useState } from "react";
 import CountySelector from "../common/CountySelector";
+import ScoreBreakdown from "../plants/ScoreBreakdown";
+import {
+  WEIGHT_PROFILES,
+  DEFAULT_WEIGHT_PROFILE,
+} from "../../utils/recommendation-profiles";
 
 export default function GraphPlantRecommendations() {
   const [loading, setLoading] = useState(false);
   const [recommendations, setRecommendations] = useState([]);
+  const [fallbackReason, setFallbackReason] = useState(null);
   const [county, setCounty] = useState("Dublin");
   const [sunExposure, setSunExposure] = useState("Full Sun");
   const [nativeOnly, setNativeOnly] = useState(false);
   const [plantType, setPlantType] = useState([]);
+  const [profile, setProfile] = useState(DEFAULT_WEIGHT_PROFILE);
 
   const handleCountyChange = (newCounty) => {
     setCounty(newCounty);
@@ -39,6 +46,7 @@ export default function GraphPlantRecommendations() {
 
     setLoading(true);
     setRecommendations([]);
+    setFallbackReason(null);
 
     try {
       const response = await fetch("/api/graph-recommendations", {
@@ -51,6 +59,7 @@ export default function GraphPlantRecommendations() {
           sunExposure,
           nativeOnly,
           plantType,
+          profile,
         }),
       });
 
@@ -58,6 +67,7 @@ export default function GraphPlantRecommendations() {
 
       if (response.ok) {
         setRecommendations(data.recommendations || []);
+        setFallbackReason(data.fallbackReason);
       } else {
         console.error("Error fetching recommendations:", data.error);
       }
@@ -103,6 +113,26 @@ export default function GraphPlantRecommendations() {
               <option value="Full Shade">Full Shade</option>
             </select>
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Priority
+            </label>
+            <select
+              value={profile}
+              onChange={(e) => setProfile(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md"
+            >
+              {Object.entries(WEIGHT_PROFILES).map(([key, weightProfile]) => (
+                <option key={key} value={key}>
+                  {weightProfile.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              {WEIGHT_PROFILES[profile].description}
+            </p>
+          </div>
         </div>
 
         <div className="mb-4">
@@ -179,6 +209,13 @@ export default function GraphPlantRecommendations() {
         </button>
       </form>
 
+      {fallbackReason && recommendations.length > 0 && (
+        <p className="mb-4 text-sm text-amber-700">
+          The knowledge graph is unavailable, so these recommendations come
+          from local plant data.
+        </p>
+      )}
+
       {recommendations.length > 0 && (
         <div className="recommendations-grid grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {recommendations.map((plant) => (
@@ -238,6 +275,8 @@ export default function GraphPlantRecommendations() {
                   </div>
                 )}
 
+                <ScoreBreakdown breakdown={plant.breakdown} />
+
                 {plant.plantRelationships &&
                   plant.plantRelationships.length > 0 && (
                     <div className="mt-3 pt-3 border-t border-gray-100">
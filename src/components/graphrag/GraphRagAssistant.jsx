@@ -3,15 +3,21 @@ import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
 import DeterministicQueryCard from "./DeterministicQueryCard";
 import PlantCard from "../plants/PlantCard"; // Import PlantCard component
+import QueryAttemptHistory from "./QueryAttemptHistory";
+import AnswerFootnotes from "../garden/AnswerFootnotes";
 
 export default function GraphRagAssistant() {
   const [loading, setLoading] = useState(false);
   const [question, setQuestion] = useState("");
   const [answer, setAnswer] = useState("");
   const [sourceFacts, setSourceFacts] = useState([]);
+  const [grounding, setGrounding] = useState(null); // Citations and warnings
   const [showSourceFacts, setShowSourceFacts] = useState(false);
   const [isStochastic, setIsStochastic] = useState(false);
   const [generatedQuery, setGeneratedQuery] = useState("");
+  const [queryRejection, setQueryRejection] = useState(null);
+  const [queryAttempts, setQueryAttempts] = useState([]);
+  const [fallbackInfo, setFallbackInfo] = useState(null);
   const [showGeneratedQuery, setShowGeneratedQuery] = useState(false);
   const [queryResults, setQueryResults] = useState([]);
   const [showQueryResults, setShowQueryResults] = useState(false);
@@ -88,8 +94,12 @@ export default function GraphRagAssistant() {
     // Clear any previous results when switching modes
     setAnswer("");
     setSourceFacts([]);
+    setGrounding(null);
     setShowSourceFacts(false);
     setGeneratedQuery("");
+    setQueryRejection(null);
+    setQueryAttempts([]);
+    setFallbackInfo(null);
     setShowGeneratedQuery(false);
     setQueryResults([]);
     setShowQueryResults(false);
@@ -110,8 +120,12 @@ export default function GraphRagAssistant() {
     // Clear any previous results when switching modes
     setAnswer("");
     setSourceFacts([]);
+    setGrounding(null);
     setShowSourceFacts(false);
     setGeneratedQuery("");
+    setQueryRejection(null);
+    setQueryAttempts([]);
+    setFallbackInfo(null);
     setShowGeneratedQuery(false);
     setQueryResults([]);
     setShowQueryResults(false);
@@ -148,7 +162,11 @@ export default function GraphRagAssistant() {
     setLoading(true);
     setAnswer("");
     setSourceFacts([]);
+    setGrounding(null);
     setGeneratedQuery("");
+    setQueryRejection(null);
+    setQueryAttempts([]);
+    setFallbackInfo(null);
     setQueryResults([]);
     setApiError(null); // Clear previous errors
     setShowQueryResults(false);
@@ -183,10 +201,23 @@ export default function GraphRagAssistant() {
           setSourceFacts(data.sourceFacts);
         }
 
+        setGrounding({
+          citations: data.citations || [],
+          warnings: data.groundingWarnings || [],
+        });
+
         if (data.generatedQuery) {
           setGeneratedQuery(data.generatedQuery);
         }
 
+        if (data.queryRejection) {
+          setQueryRejection(data.queryRejection);
+        }
+
+        if (data.queryAttempts) {
+          setQueryAttempts(data.queryAttempts);
+        }
+
         if (data.results && data.results.length > 0) {
           setQueryResults(data.results);
 
@@ -216,8 +247,12 @@ export default function GraphRagAssistant() {
     setLoading(true);
     setAnswer("");
     setSourceFacts([]);
+    setGrounding(null);
     setShowSourceFacts(false);
     setGeneratedQuery("");
+    setQueryRejection(null);
+    setQueryAttempts([]);
+    setFallbackInfo(null);
     setShowGeneratedQuery(false);
     setQueryResults([]);
     setShowQueryResults(false);
@@ -257,6 +292,10 @@ export default function GraphRagAssistant() {
         if (data.query) {
           setGeneratedQuery(data.query);
         }
+
+        if (data.fallbackInfo?.fallbackUsed) {
+          setFallbackInfo(data.fallbackInfo);
+        }
       } else {
         console.error("Error fetching deterministic answer:", data.error);
         setAnswer(
@@ -342,7 +381,10 @@ export default function GraphRagAssistant() {
 
         {!isStochastic && (
           <div className="deterministic-mode-container">
-            <DeterministicQueryCard onSubmit={handleDeterministicSubmit} />
+            <DeterministicQueryCard
+              onSubmit={handleDeterministicSubmit}
+              fallbackInfo={fallbackInfo}
+            />
             {loading && (
               <div className="mt-4 text-center">
                 <span className="inline-block px-4 py-2 bg-emerald-100 text-emerald-800 rounded-md">
@@ -367,6 +409,12 @@ export default function GraphRagAssistant() {
           <div className="prose prose-sm sm:prose-base lg:prose-lg xl:prose-xl 2xl:prose-2xl max-w-none overflow-x-auto">
             <ReactMarkdown remarkPlugins={[remarkGfm]}>{answer}</ReactMarkdown>
           </div>
+          {grounding && (
+            <AnswerFootnotes
+              citations={grounding.citations}
+              warnings={grounding.warnings}
+            />
+          )}
 
           {plantCards.length > 0 && (
             <div className="mt-4 pt-3 border-t border-emerald-100">
@@ -440,8 +488,8 @@ export default function GraphRagAssistant() {
                   </p>
                   <ul className="text-sm list-disc pl-5 space-y-1">
                     {sourceFacts.map((fact, i) => (
-                      <li key={i} className="text-gray-600">
-                        {fact}
+                      <li key={fact.id || i} className="text-gray-600">
+                        {fact.text || fact}
                       </li>
                     ))}
                   </ul>
@@ -477,6 +525,12 @@ export default function GraphRagAssistant() {
                   : "Show Generated Query"}
               </button>
 
+              {queryRejection && (
+                <p className="mt-2 text-xs text-amber-700">
+                  The generated query was blocked: {queryRejection.reason}
+                </p>
+              )}
+
               {showGeneratedQuery && (
                 <div className="mt-2 p-3 bg-white rounded border border-emerald-100">
                   <p className="text-xs text-gray-500 mb-2">
@@ -486,6 +540,10 @@ export default function GraphRagAssistant() {
                   <pre className="text-sm text-gray-600 bg-gray-50 p-2 rounded overflow-x-auto">
                     {generatedQuery}
                   </pre>
+
+                  {queryAttempts.length > 1 && (
+                    <QueryAttemptHistory attempts={queryAttempts} />
+                  )}
                 </div>
               )}
             </div>
@@ -0,0 +1,54 @@
+import React from "react";
+
+const STATUS_LABELS = {
+  success: "Returned results",
+  empty: "No results",
+  rejected: "Blocked",
+  error: "Failed",
+};
+
+const STATUS_CLASSES = {
+  success: "text-emerald-700",
+  empty: "text-gray-500",
+  rejected: "text-amber-700",
+  error: "text-red-700",
+};
+
+// Lists each generated Cypher query and its outcome when the stochastic
+// endpoint needed more than one attempt
+const QueryAttemptHistory = ({ attempts }) => {
+  if (!attempts || attempts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-3">
+      <p className="text-xs text-gray-500 mb-2">
+        The query was repaired {attempts.length - 1} time
+        {attempts.length === 2 ? "" : "s"} before this answer:
+      </p>
+      <ol className="space-y-2">
+        {attempts.map((attempt) => (
+          <li key={attempt.attempt} className="text-xs">
+            <div className="flex items-center gap-2">
+              <span className="font-medium">Attempt {attempt.attempt}</span>
+              <span className={STATUS_CLASSES[attempt.status] || ""}>
+                {STATUS_LABELS[attempt.status] || attempt.status}
+                {attempt.status === "success" &&
+                  ` (${attempt.rowCount} rows)`}
+              </span>
+            </div>
+            <pre className="mt-1 text-gray-600 bg-gray-50 p-2 rounded overflow-x-auto">
+              {attempt.executedQuery || attempt.query || "(no query)"}
+            </pre>
+            {attempt.error && (
+              <p className="mt-1 text-gray-500">{attempt.error.reason}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default QueryAttemptHistory;
@@ -0,0 +1,47 @@
+import React from "react";
+
+/**
+ * CompanionPlantingCard - Plants that grow well with a plant, and plants
+ * to keep away from it
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.companion - { plantName, companions, antagonists }, each a list of { plantName, notes }
+ */
+const CompanionPlantingCard = ({ companion }) => {
+  const renderList = (relationships, badgeClass) => (
+    <ul className="space-y-1">
+      {relationships.map((relationship) => (
+        <li key={relationship.plantName} className="text-sm">
+          <span className={`badge ${badgeClass} mr-2`}>
+            {relationship.plantName}
+          </span>
+          {relationship.notes}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="card bg-base-100 shadow-md">
+      <div className="card-body p-4">
+        <h3 className="card-title text-lg">{companion.plantName}</h3>
+
+        {companion.companions.length > 0 && (
+          <div>
+            <h4 className="font-medium text-sm mb-1">Grows well with</h4>
+            {renderList(companion.companions, "badge-success")}
+          </div>
+        )}
+
+        {companion.antagonists.length > 0 && (
+          <div className="mt-2">
+            <h4 className="font-medium text-sm mb-1">Keep away from</h4>
+            {renderList(companion.antagonists, "badge-error")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompanionPlantingCard;
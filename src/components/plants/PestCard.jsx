@@ -0,0 +1,52 @@
+import React from "react";
+
+/**
+ * PestCard - How to spot a garden pest or disease, the plants it affects
+ * and how to control it
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pest - { name, kind, affects, signs, control } from garden-pest-data.js
+ */
+const PestCard = ({ pest }) => {
+  return (
+    <div className="card bg-base-100 shadow-md">
+      <div className="card-body p-4">
+        <h3 className="card-title text-lg">
+          {pest.name}
+          <span
+            className={`badge ${
+              pest.kind === "disease" ? "badge-warning" : "badge-error"
+            }`}
+          >
+            {pest.kind}
+          </span>
+        </h3>
+
+        <p className="text-sm">{pest.signs}</p>
+
+        {pest.affects.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {pest.affects.map((plantName) => (
+              <span key={plantName} className="badge badge-outline badge-sm">
+                {plantName}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {pest.control.length > 0 && (
+          <div className="mt-2">
+            <h4 className="font-medium text-sm mb-1">What to do</h4>
+            <ul className="list-disc list-inside space-y-1 text-sm">
+              {pest.control.map((step) => (
+                <li key={step}>{step}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PestCard;
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import PlantSustainabilityInfo from "./PlantSustainabilityInfo";
+import ScoreBreakdown from "./ScoreBreakdown";
 
 const PlantCard = ({ plant }) => {
   const [showDetails, setShowDetails] = useState(false);
@@ -136,6 +137,7 @@ const PlantCard = ({ plant }) => {
 
         {showDetails && (
           <div className="mt-4">
+            <ScoreBreakdown breakdown={plant.breakdown} />
             <div className="divider">Sustainability Impact</div>
             <PlantSustainabilityInfo
               plantName={plant.commonName || plant.latinName}
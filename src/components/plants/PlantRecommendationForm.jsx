@@ -1,4 +1,8 @@
 import React, { useState } from "react";
+import {
+  WEIGHT_PROFILES,
+  DEFAULT_WEIGHT_PROFILE,
+} from "../../utils/recommendation-profiles";
 
 const PlantRecommendationForm = ({ onSubmit, isLoading }) => {
   const [formData, setFormData] = useState({
@@ -6,6 +10,7 @@ const PlantRecommendationForm = ({ onSubmit, isLoading }) => {
     sunExposure: "Full Sun",
     plantType: [],
     nativeOnly: false,
+    profile: DEFAULT_WEIGHT_PROFILE,
   });
 
   const irishCounties = [
@@ -208,6 +213,29 @@ const PlantRecommendationForm = ({ onSubmit, isLoading }) => {
             </div>
           </div>
 
+          <div className="form-control mb-4">
+            <label className="label">
+              <span className="label-text">What matters most?</span>
+            </label>
+            <select
+              name="profile"
+              value={formData.profile}
+              onChange={handleInputChange}
+              className="select select-bordered w-full"
+            >
+              {Object.entries(WEIGHT_PROFILES).map(([key, profile]) => (
+                <option key={key} value={key}>
+                  {profile.label}
+                </option>
+              ))}
+            </select>
+            <label className="label">
+              <span className="label-text-alt">
+                {WEIGHT_PROFILES[formData.profile].description}
+              </span>
+            </label>
+          </div>
+
           <div className="form-control mb-4">
             <label className="label cursor-pointer justify-start gap-2">
               <input
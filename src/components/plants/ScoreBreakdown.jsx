@@ -0,0 +1,42 @@
+import React from "react";
+
+// "Why this plant": the points each scoring factor contributed to a
+// recommendation (see src/utils/recommendation-profiles.js)
+const ScoreBreakdown = ({ breakdown }) => {
+  if (!breakdown || breakdown.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2">
+      <p className="text-xs font-semibold mb-1">Why this plant</p>
+      <ul className="space-y-1">
+        {breakdown.map((factor) => (
+          <li key={factor.factor} className="text-xs">
+            <div className="flex justify-between gap-2">
+              <span>{factor.label}</span>
+              <span className="font-medium">
+                {factor.points}/{factor.maxPoints}
+              </span>
+            </div>
+            <div className="h-1 bg-gray-200 rounded">
+              <div
+                className="h-1 bg-emerald-500 rounded"
+                style={{
+                  width: `${
+                    factor.maxPoints > 0
+                      ? (factor.points / factor.maxPoints) * 100
+                      : 0
+                  }%`,
+                }}
+              />
+            </div>
+            <span className="text-gray-500">{factor.reason}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
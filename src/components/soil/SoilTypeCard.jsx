@@ -0,0 +1,42 @@
+import React from "react";
+
+/**
+ * SoilTypeCard - One Irish soil type, as shown under an assistant answer
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.soil - Soil type from IRISH_SOIL_TYPES
+ * @param {string} props.county - County the soil was picked for, if any
+ */
+const SoilTypeCard = ({ soil, county = null }) => {
+  return (
+    <div className="card bg-base-100 shadow-md">
+      <div className="card-body p-4">
+        <h3 className="card-title text-lg">
+          {soil.name}
+          {county && <span className="badge badge-ghost">{county}</span>}
+        </h3>
+        <p className="text-sm">{soil.description}</p>
+        <div className="flex flex-wrap gap-2">
+          {soil.ph && (
+            <span className="badge badge-outline">
+              pH {soil.ph.min}–{soil.ph.max}
+            </span>
+          )}
+          {soil.texture && (
+            <span className="badge badge-outline">{soil.texture}</span>
+          )}
+          {soil.drainage && (
+            <span className="badge badge-outline">
+              Drainage: {soil.drainage}
+            </span>
+          )}
+        </div>
+        {soil.gardeningNotes && (
+          <p className="text-sm mt-2">{soil.gardeningNotes}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SoilTypeCard;
@@ -0,0 +1,33 @@
+import React from "react";
+import PlantSustainabilityInfo from "./PlantSustainabilityInfo";
+import FoodSustainabilityInfo from "./FoodSustainabilityInfo";
+
+/**
+ * SustainabilityImpactCard - Carbon savings of growing a crop or plant
+ * instead of buying it
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.impact - Sustainability card data, for a crop (isFoodSustainability) or a plant
+ */
+const SustainabilityImpactCard = ({ impact }) => {
+  if (impact.isFoodSustainability) {
+    return (
+      <FoodSustainabilityInfo
+        crop={impact.crop}
+        quantity={impact.quantity}
+        gardenArea={impact.gardenArea}
+      />
+    );
+  }
+
+  return (
+    <PlantSustainabilityInfo
+      plantName={impact.plantName}
+      quantity={impact.quantity}
+      isOrganic={impact.isOrganic}
+      showDetailedBreakdown={impact.showDetailedBreakdown}
+    />
+  );
+};
+
+export default SustainabilityImpactCard;
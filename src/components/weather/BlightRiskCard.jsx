@@ -0,0 +1,90 @@
+import React from "react";
+
+const LEVEL_BADGES = {
+  high: "badge-error",
+  moderate: "badge-warning",
+  low: "badge-success",
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString("en-IE", {
+    weekday: "short",
+    day: "numeric",
+  });
+
+const formatTime = (time) =>
+  new Date(time).toLocaleString("en-IE", {
+    timeZone: "Europe/Dublin",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+/**
+ * BlightRiskCard - Potato blight risk for a county over the coming days, as
+ * shown under an assistant answer
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.risk - Risk from getBlightRisk, plus the card id
+ */
+const BlightRiskCard = ({ risk }) => {
+  return (
+    <div className="card bg-base-100 shadow-md">
+      <div className="card-body p-4">
+        <div className="flex justify-between items-center">
+          <h3 className="card-title text-lg">{risk.county}</h3>
+          <span className={`badge ${LEVEL_BADGES[risk.level]}`}>
+            {risk.level} risk
+          </span>
+        </div>
+
+        {risk.advice && <p className="text-sm">{risk.advice}</p>}
+
+        {risk.windows?.length > 0 && (
+          <ul className="text-sm space-y-1">
+            {risk.windows.map((window) => (
+              <li key={window.start} className="flex gap-2">
+                <span
+                  className={`badge badge-sm ${LEVEL_BADGES[window.level]}`}
+                >
+                  {window.level}
+                </span>
+                <span>
+                  {formatTime(window.start)} – {formatTime(window.end)} (
+                  {window.hours} h, min {window.minTemperature}°C,{" "}
+                  {window.minHumidity}% RH)
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {risk.days?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {risk.days.map((day) => (
+              <div
+                key={day.date}
+                className="bg-base-200 rounded-lg p-2 flex-1 min-w-[70px] text-center text-xs"
+                title={`${day.blightHours} h warm and humid`}
+              >
+                <div className="font-medium">{formatDay(day.date)}</div>
+                <span className={`badge badge-xs ${LEVEL_BADGES[day.level]}`}>
+                  {day.level}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="text-xs opacity-60">
+          {risk.modelName}
+          {risk.issuedAt &&
+            ` · Met Éireann forecast issued ${formatTime(risk.issuedAt)}`}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BlightRiskCard;
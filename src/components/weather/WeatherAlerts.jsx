@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from "react";
+import {
+  GARDEN_PLANTS_EVENT,
+  getGardenPlants,
+  addGardenPlant,
+  removeGardenPlant,
+} from "../../utils/garden-plants-store";
+
+const SEVERITY_ALERTS = {
+  warning: "alert-error",
+  watch: "alert-warning",
+};
+
+/**
+ * WeatherAlerts - Frost, gale, heavy rain and heat alerts for a county,
+ * naming the plants in the gardener's garden that are at risk. The plants
+ * are edited here and kept in localStorage.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.county - County to load alerts for
+ */
+const WeatherAlerts = ({ county }) => {
+  const [plants, setPlants] = useState([]);
+  const [newPlant, setNewPlant] = useState("");
+  const [alerts, setAlerts] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPlants(getGardenPlants());
+
+    // The store announces every change, including the ones made here
+    const handlePlantsChange = (event) => setPlants(event.detail);
+    window.addEventListener(GARDEN_PLANTS_EVENT, handlePlantsChange);
+    return () =>
+      window.removeEventListener(GARDEN_PLANTS_EVENT, handlePlantsChange);
+  }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ county, plants: plants.join(",") });
+    let cancelled = false;
+
+    fetch(`/api/weather-alerts?${params}`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (cancelled) return;
+        if (data.error) throw new Error(data.error);
+        setAlerts(data.alerts);
+        setError(null);
+      })
+      .catch(() => {
+        if (!cancelled) setError("Could not check the forecast for alerts");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [county, plants]);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (newPlant.trim()) {
+      addGardenPlant(newPlant);
+      setNewPlant("");
+    }
+  };
+
+  return (
+    <div>
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      {!error && alerts.length === 0 && (
+        <p className="text-sm opacity-70">
+          No frost, gales, heavy rain or heat in the forecast for {county}.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {alerts.map((alert) => (
+          <div
+            key={alert.id}
+            className={`alert ${SEVERITY_ALERTS[alert.severity]} py-2`}
+          >
+            <div>
+              <div className="font-medium">{alert.message}</div>
+              <div className="text-xs">{alert.action}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-4">
+        <h4 className="text-sm font-medium mb-2">My plants</h4>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {plants.map((plant) => (
+            <span key={plant} className="badge badge-outline gap-1">
+              {plant}
+              <button
+                className="opacity-60 hover:opacity-100"
+                onClick={() => removeGardenPlant(plant)}
+                aria-label={`Remove ${plant}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+        <form className="join w-full" onSubmit={handleAdd}>
+          <input
+            type="text"
+            className="input input-bordered input-sm join-item flex-1"
+            placeholder="Add a plant, e.g. courgettes"
+            value={newPlant}
+            onChange={(e) => setNewPlant(e.target.value)}
+          />
+          <button type="submit" className="btn btn-sm join-item">
+            Add
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WeatherAlerts;
@@ -0,0 +1,63 @@
+import React from "react";
+
+/**
+ * WeatherCard - Current weather and the next few days for a county, as
+ * shown under an assistant answer
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.weather - Weather from getCurrentWeather, plus the county
+ */
+const WeatherCard = ({ weather }) => {
+  return (
+    <div className="card bg-base-100 shadow-md">
+      <div className="card-body p-4">
+        <div className="flex justify-between items-center">
+          <h3 className="card-title text-lg">{weather.county}</h3>
+          <span className="badge badge-primary">
+            {weather.weatherDescription}
+          </span>
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-sm">
+          <span className="text-2xl font-bold mr-2">
+            {Math.round(weather.temperature)}°C
+          </span>
+          <span className="badge badge-outline">
+            Rain: {weather.rainfall} mm
+          </span>
+          <span className="badge badge-outline">
+            Wind: {weather.windSpeed} {weather.units?.windSpeed || "km/h"}{" "}
+            {weather.windDirection}
+          </span>
+          <span className="badge badge-outline">
+            Humidity: {weather.humidity}%
+          </span>
+        </div>
+
+        {weather.forecast?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {weather.forecast.slice(0, 3).map((day) => (
+              <div
+                key={day.date}
+                className="bg-base-200 rounded-lg p-2 flex-1 min-w-[100px] text-center text-sm"
+              >
+                <div className="font-medium">
+                  {new Date(day.date).toLocaleDateString("en-IE", {
+                    weekday: "short",
+                  })}
+                </div>
+                <div>{day.description}</div>
+                <div className="font-bold">
+                  {Math.round(day.temperature.max)}° /{" "}
+                  {Math.round(day.temperature.min)}°
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WeatherCard;
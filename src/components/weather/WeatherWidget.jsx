@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { getCurrentWeather } from "../../utils/weather-client";
+import WeatherAlerts from "./WeatherAlerts";
 
 const WeatherWidget = () => {
   const [weather, setWeather] = useState(null);
@@ -118,8 +119,14 @@ const WeatherWidget = () => {
 
           <div className="stat">
             <div className="stat-title">Wind</div>
-            <div className="stat-value text-lg">{weather.windSpeed} km/h</div>
-            <div className="stat-desc">{weather.windDirection}</div>
+            <div className="stat-value text-lg">
+              {weather.windSpeed} {weather.units?.windSpeed || "km/h"}
+            </div>
+            <div className="stat-desc">
+              {weather.windDirection}
+              {weather.windGust != null &&
+                `, gusts ${weather.windGust} ${weather.units.windGust}`}
+            </div>
           </div>
 
           <div className="stat">
@@ -145,19 +152,24 @@ const WeatherWidget = () => {
               ></path>
             </svg>
             <span>
-              {weather.rainfall > 5
-                ? "Avoid watering today as rainfall is sufficient. Good day for indoor seedling preparation."
-                : weather.temperature > 20
-                ? "Water plants in the early morning or evening to minimize evaporation."
-                : "Moderate conditions today - ideal for general garden maintenance."}
+              {weather.watering?.recommendation ||
+                (weather.rainfall > 5
+                  ? "Avoid watering today as rainfall is sufficient. Good day for indoor seedling preparation."
+                  : weather.temperature > 20
+                  ? "Water plants in the early morning or evening to minimize evaporation."
+                  : "Moderate conditions today - ideal for general garden maintenance.")}
             </span>
           </div>
         </div>
 
+        <div className="divider">Alerts</div>
+
+        <WeatherAlerts county={county} />
+
         <div className="divider">Forecast</div>
 
         <div className="flex flex-wrap justify-between gap-2">
-          {weather.forecast.slice(0, 3).map((day, index) => (
+          {weather.forecast.map((day, index) => (
             <div
               key={index}
               className="card bg-base-200 shadow-sm p-2 flex-1 min-w-[120px]"
@@ -174,6 +186,11 @@ const WeatherWidget = () => {
                   {Math.round(day.temperature.min)}°
                 </div>
                 <div className="text-xs mt-1">Rain: {day.rainfall}mm</div>
+                {day.windGustMax != null && (
+                  <div className="text-xs">
+                    Gusts: {day.windGustMax} {weather.units.windGust}
+                  </div>
+                )}
               </div>
             </div>
           ))}
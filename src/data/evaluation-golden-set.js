@@ -0,0 +1,167 @@
+/**
+ * Golden set of Irish gardening questions for the assistant evaluation
+ * (see scripts/evaluate-assistant.js and utils/assistant-evaluation.js)
+ *
+ * Each case lists what a good answer path should find and say:
+ * - expectedEntities: canonical entity names by group, as extractEntities returns them
+ * - expectedPlants: plants the retrieved data should include
+ * - expectedCardType: card type the answer should show; null for no cards, left out when any card will do
+ * - mustMention / mustNotMention: terms the answer must or must not contain (case-insensitive); an array is a set of alternatives
+ * - deterministic: parameters for the deterministic GraphRAG path; cases without them skip that path
+ *
+ * Bump GOLDEN_SET_VERSION whenever a case is added, removed or changes what
+ * it expects, so reports from different versions are not compared as like
+ * for like.
+ */
+
+export const GOLDEN_SET_VERSION = 1;
+
+export const GOLDEN_SET = [
+  {
+    id: "carrot-sowing-galway",
+    question: "When should I sow carrots in Galway?",
+    expectedEntities: { plants: ["Carrot"], counties: ["Galway"] },
+    expectedPlants: ["Carrot"],
+    expectedCardType: "plant",
+    mustMention: [["March", "April", "May"]],
+    mustNotMention: ["January", "December"],
+    deterministic: { countyName: "Galway", plantType: "Vegetable" },
+  },
+  {
+    id: "leek-companions",
+    question: "What grows well with leeks?",
+    expectedEntities: { plants: ["Leek"] },
+    expectedPlants: ["Leek", "Carrot", "Wild Strawberry"],
+    expectedCardType: "companion",
+    mustMention: ["carrot"],
+    mustNotMention: [],
+  },
+  {
+    id: "potato-antagonists",
+    question: "What should I not plant near potatoes?",
+    expectedEntities: { plants: ["Potato"] },
+    expectedPlants: ["Potato", "Cabbage", "Kale", "Raspberry"],
+    expectedCardType: "companion",
+    mustMention: [["cabbage", "kale", "raspberr"]],
+    mustNotMention: [],
+  },
+  {
+    id: "kerry-soil",
+    question: "What soil is in County Kerry?",
+    expectedEntities: { counties: ["Kerry"] },
+    expectedPlants: [],
+    expectedCardType: "soil",
+    mustMention: [["podzol", "Knockboy"]],
+    mustNotMention: [],
+  },
+  {
+    id: "november-tasks",
+    question: "What gardening jobs should I do in November?",
+    expectedEntities: { months: ["November"] },
+    expectedPlants: [],
+    expectedCardType: "task",
+    mustMention: [["bare-root", "bare root", "roses", "fleece"]],
+    mustNotMention: [],
+  },
+  {
+    id: "rhubarb-harvest",
+    question: "When can I harvest rhubarb?",
+    expectedEntities: { plants: ["Rhubarb"] },
+    expectedPlants: ["Rhubarb"],
+    expectedCardType: "plant",
+    mustMention: [["March", "April", "May", "June", "July"]],
+    mustNotMention: ["October", "November", "December"],
+  },
+  {
+    id: "slugs-cabbage",
+    question: "How do I stop slugs eating my cabbage?",
+    expectedEntities: { plants: ["Cabbage"], pests: ["Slugs and Snails"] },
+    expectedPlants: ["Cabbage"],
+    mustMention: ["slug"],
+    mustNotMention: ["metaldehyde"],
+  },
+  {
+    id: "potato-blight",
+    question: "How do I protect my potatoes from blight?",
+    expectedEntities: { plants: ["Potato"], pests: ["Potato Blight"] },
+    expectedPlants: ["Potato"],
+    mustMention: ["blight"],
+    mustNotMention: [],
+  },
+  {
+    id: "pollinator-shrubs-cork",
+    question: "Which native shrubs attract pollinators in Cork?",
+    expectedEntities: { counties: ["Cork"] },
+    expectedPlants: ["Heather"],
+    expectedCardType: "plant",
+    mustMention: [["heather", "hawthorn"]],
+    mustNotMention: [],
+    deterministic: { countyName: "Cork", plantType: "Shrub" },
+  },
+  {
+    id: "mayo-vegetables",
+    question: "Recommend vegetables for heavy clay soil in Mayo",
+    expectedEntities: { counties: ["Mayo"] },
+    expectedPlants: [],
+    expectedCardType: "plant",
+    mustMention: [["cabbage", "kale", "leek", "potato"]],
+    mustNotMention: [],
+    deterministic: { countyName: "Mayo", plantType: "Vegetable" },
+  },
+  {
+    id: "kale-frost-donegal",
+    question: "Is it too cold to plant out kale this week in Donegal?",
+    expectedEntities: { plants: ["Kale"], counties: ["Donegal"] },
+    expectedPlants: ["Kale"],
+    expectedCardType: "weather",
+    mustMention: [["frost", "temperature", "weather"]],
+    mustNotMention: [],
+  },
+  {
+    id: "potato-carbon",
+    question: "How much carbon do I save by growing my own potatoes?",
+    expectedEntities: { plants: ["Potato"] },
+    expectedPlants: ["Potato"],
+    expectedCardType: "sustainability",
+    mustMention: [["carbon", "CO2", "CO₂"]],
+    mustNotMention: [],
+  },
+  {
+    id: "march-sowing",
+    question: "What should I sow in March?",
+    expectedEntities: { months: ["March"] },
+    expectedPlants: ["Potato", "Carrot", "Onion"],
+    expectedCardType: "calendar",
+    mustMention: [["potato", "carrot", "onion", "cabbage", "leek"]],
+    mustNotMention: [],
+  },
+  {
+    id: "compost-heap",
+    question: "How do I start a compost heap?",
+    expectedEntities: {},
+    expectedPlants: [],
+    expectedCardType: "practice",
+    mustMention: ["compost"],
+    mustNotMention: [],
+  },
+  {
+    id: "raspberry-pruning",
+    question: "When do I prune raspberries?",
+    expectedEntities: { plants: ["Raspberry"] },
+    expectedPlants: ["Raspberry"],
+    expectedCardType: "plant",
+    mustMention: ["cane"],
+    mustNotMention: [],
+  },
+  {
+    id: "off-topic-hurling",
+    question: "Who won the All-Ireland hurling final?",
+    expectedEntities: {},
+    expectedPlants: [],
+    expectedCardType: null,
+    mustMention: ["gardening"],
+    mustNotMention: ["Kilkenny", "Limerick"],
+  },
+];
+
+export default GOLDEN_SET;
@@ -0,0 +1,214 @@
+/**
+ * Common pests and diseases in Irish gardens
+ * Names, the other names gardeners use for them, the plants in plants.js
+ * they usually affect, how to spot them and how to control them
+ */
+
+export const GARDEN_PESTS = [
+  {
+    id: "slugs-and-snails",
+    name: "Slugs and Snails",
+    kind: "pest",
+    aliases: ["slug", "snail"],
+    affects: ["Cabbage", "Kale", "Potato", "Wild Strawberry", "Leek"],
+    signs: "Ragged holes in leaves, slime trails and seedlings eaten overnight",
+    control: [
+      "Go out with a torch on damp evenings and pick them off",
+      "Set beer traps sunk level with the soil",
+      "Protect seedlings with copper tape or grit",
+      "Encourage frogs, hedgehogs and ground beetles",
+    ],
+  },
+  {
+    id: "potato-blight",
+    name: "Potato Blight",
+    kind: "disease",
+    aliases: ["blight", "late blight", "phytophthora"],
+    affects: ["Potato"],
+    signs:
+      "Brown patches on the leaves with white fuzz underneath in humid weather, then rotting tubers",
+    control: [
+      "Grow resistant varieties such as Sárpo Mira",
+      "Earth up well so spores do not reach the tubers",
+      "Cut down and remove infected stems, then wait two weeks before lifting",
+      "Watch for Met Éireann blight warnings in humid spells",
+    ],
+  },
+  {
+    id: "aphids",
+    name: "Aphids",
+    kind: "pest",
+    aliases: ["aphid", "greenfly", "blackfly", "whitefly"],
+    affects: ["Cabbage", "Kale", "Apple Tree (Irish Varieties)", "Raspberry"],
+    signs:
+      "Clusters of small green or black insects on the shoots, curled leaves and sticky honeydew",
+    control: [
+      "Squash small colonies or knock them off with a jet of water",
+      "Encourage ladybirds, hoverflies and lacewings",
+      "Go easy on nitrogen feed, which makes soft growth",
+    ],
+  },
+  {
+    id: "carrot-fly",
+    name: "Carrot Fly",
+    kind: "pest",
+    aliases: ["carrot root fly"],
+    affects: ["Carrot"],
+    signs: "Rusty brown tunnels in the roots and reddish leaves that wilt",
+    control: [
+      "Cover the crop with fine insect mesh",
+      "Put a 60 cm barrier around the bed",
+      "Sow thinly, as thinning releases the scent the flies follow",
+      "Sow after late May to miss the first generation",
+    ],
+  },
+  {
+    id: "cabbage-white",
+    name: "Cabbage White Butterfly",
+    kind: "pest",
+    aliases: ["cabbage white", "caterpillar", "cabbage caterpillar"],
+    affects: ["Cabbage", "Kale"],
+    signs:
+      "Yellow eggs under the leaves, then green caterpillars eating the leaves down to the veins",
+    control: [
+      "Cover brassicas with fine netting from spring",
+      "Check under the leaves weekly and rub off the eggs",
+      "Pick off caterpillars by hand",
+    ],
+  },
+  {
+    id: "clubroot",
+    name: "Clubroot",
+    kind: "disease",
+    aliases: ["club root"],
+    affects: ["Cabbage", "Kale"],
+    signs: "Swollen, distorted roots and plants that wilt on warm days",
+    control: [
+      "Lime the soil to raise the pH above 7",
+      "Rotate brassicas and keep them off affected ground for years",
+      "Raise plants in pots so they go out with a strong root system",
+      "Grow resistant varieties",
+    ],
+  },
+  {
+    id: "leek-moth",
+    name: "Leek Moth",
+    kind: "pest",
+    aliases: [],
+    affects: ["Leek", "Onion"],
+    signs:
+      "White patches and tunnels in the leaves, with small caterpillars inside",
+    control: [
+      "Cover the crop with fine insect mesh from spring to autumn",
+      "Remove and destroy damaged leaves",
+      "Rotate alliums",
+    ],
+  },
+  {
+    id: "onion-fly",
+    name: "Onion Fly",
+    kind: "pest",
+    aliases: [],
+    affects: ["Onion", "Leek"],
+    signs: "Yellowing, collapsing plants with white maggots in the bulbs",
+    control: [
+      "Grow from sets rather than seed",
+      "Cover the crop with fine insect mesh",
+      "Lift and destroy affected plants",
+    ],
+  },
+  {
+    id: "leek-rust",
+    name: "Leek Rust",
+    kind: "disease",
+    aliases: ["rust"],
+    affects: ["Leek"],
+    signs: "Bright orange spots on the leaves",
+    control: [
+      "Space plants for good air flow",
+      "Go easy on nitrogen feed",
+      "Remove infected leaves and rotate the crop",
+    ],
+  },
+  {
+    id: "vine-weevil",
+    name: "Vine Weevil",
+    kind: "pest",
+    aliases: ["weevil"],
+    affects: ["Wild Strawberry", "Fuchsia", "Hydrangea", "Heather"],
+    signs:
+      "Notched leaf edges from the adults, and potted plants that wilt as the grubs eat the roots",
+    control: [
+      "Check pots for white C-shaped grubs and remove them",
+      "Water pots with nematodes in spring or late summer",
+      "Pick off the adults at night",
+    ],
+  },
+  {
+    id: "powdery-mildew",
+    name: "Powdery Mildew",
+    kind: "disease",
+    aliases: ["mildew"],
+    affects: ["Gooseberry", "Apple Tree (Irish Varieties)"],
+    signs: "A white powdery coating on the leaves and shoots",
+    control: [
+      "Water the roots in dry spells, as stressed plants suffer most",
+      "Prune for open growth and good air flow",
+      "Remove infected shoots",
+    ],
+  },
+  {
+    id: "apple-scab",
+    name: "Apple Scab",
+    kind: "disease",
+    aliases: ["scab"],
+    affects: ["Apple Tree (Irish Varieties)"],
+    signs: "Dark olive blotches on the leaves and cracked, scabby fruit",
+    control: [
+      "Rake up and remove fallen leaves in autumn",
+      "Prune to open the tree up",
+      "Grow resistant varieties",
+    ],
+  },
+  {
+    id: "gooseberry-sawfly",
+    name: "Gooseberry Sawfly",
+    kind: "pest",
+    aliases: ["sawfly"],
+    affects: ["Gooseberry"],
+    signs:
+      "Green caterpillars stripping the leaves from the centre of the bush outwards",
+    control: [
+      "Check the centre of the bush from April",
+      "Pick off the larvae by hand",
+      "Prune to keep the bush open",
+    ],
+  },
+  {
+    id: "grey-mould",
+    name: "Grey Mould",
+    kind: "disease",
+    aliases: ["botrytis", "gray mold"],
+    affects: ["Wild Strawberry", "Raspberry"],
+    signs:
+      "Fuzzy grey mould on fruit, flowers and soft growth, worst in damp weather",
+    control: [
+      "Pick off and remove mouldy fruit",
+      "Space plants and mulch with straw to keep fruit off the soil",
+      "Water the soil, not the plants",
+    ],
+  },
+  {
+    id: "leatherjackets",
+    name: "Leatherjackets",
+    kind: "pest",
+    aliases: ["leatherjacket", "crane fly larvae"],
+    affects: ["Cabbage", "Potato"],
+    signs: "Plants cut off at the base, and yellow patches in lawns",
+    control: [
+      "Dig the soil in autumn so birds can get at the larvae",
+      "Water the soil with nematodes in autumn",
+      "Cover patches with black plastic overnight and collect the larvae in the morning",
+    ],
+  },
+];
@@ -0,0 +1,107 @@
+/**
+ * Names of plants commonly grown in Irish gardens, including many that are
+ * not in the knowledge graph
+ * Used to spot the plants an answer names, so that plants the graph knows
+ * nothing about can be flagged (see utils/grounding.js). Singular forms;
+ * plurals are matched automatically.
+ */
+
+export const GARDEN_PLANT_NAMES = [
+  // Vegetables
+  "artichoke",
+  "asparagus",
+  "aubergine",
+  "beetroot",
+  "broad bean",
+  "broccoli",
+  "brussels sprout",
+  "cabbage",
+  "carrot",
+  "cauliflower",
+  "celeriac",
+  "celery",
+  "chard",
+  "courgette",
+  "cucumber",
+  "french bean",
+  "garlic",
+  "kale",
+  "leek",
+  "lettuce",
+  "marrow",
+  "onion",
+  "parsnip",
+  "pea",
+  "pepper",
+  "potato",
+  "pumpkin",
+  "radish",
+  "rhubarb",
+  "rocket",
+  "runner bean",
+  "salad leaves",
+  "shallot",
+  "spinach",
+  "squash",
+  "swede",
+  "sweetcorn",
+  "tomato",
+  "turnip",
+
+  // Herbs
+  "basil",
+  "chive",
+  "coriander",
+  "dill",
+  "mint",
+  "oregano",
+  "parsley",
+  "rosemary",
+  "thyme",
+
+  // Fruit
+  "apple",
+  "blackberry",
+  "blackcurrant",
+  "blueberry",
+  "cherry",
+  "gooseberry",
+  "pear",
+  "plum",
+  "raspberry",
+  "redcurrant",
+  "strawberry",
+
+  // Flowers
+  "cornflower",
+  "cosmos",
+  "daffodil",
+  "dahlia",
+  "foxglove",
+  "geranium",
+  "heather",
+  "hydrangea",
+  "lavender",
+  "marigold",
+  "nasturtium",
+  "poppy",
+  "primrose",
+  "rose",
+  "sunflower",
+  "sweet pea",
+  "tulip",
+
+  // Trees and shrubs
+  "alder",
+  "azalea",
+  "birch",
+  "blackthorn",
+  "fuchsia",
+  "hawthorn",
+  "hazel",
+  "holly",
+  "oak",
+  "rhododendron",
+  "rowan",
+  "willow",
+];
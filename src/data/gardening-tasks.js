@@ -2,7 +2,7 @@
  * Database of gardening tasks specific to Irish growing conditions
  * Tasks are organized by month and category
  */
-import { getCurrentMonth, getMonthName } from "../utils/date-utils";
+import { getCurrentMonth, getMonthName } from "../utils/date-utils.js";
 
 export const gardeningTasks = [
   // January
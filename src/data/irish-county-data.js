@@ -0,0 +1,67 @@
+/**
+ * Irish county geography
+ *
+ * Land borders between the 26 counties of the Republic of Ireland, keyed by
+ * the lowercase county id used on County nodes (see COUNTY_SOIL_MAPPING).
+ * Borders with Northern Ireland are not listed because those counties are
+ * not in the knowledge graph.
+ */
+
+export const COUNTY_NEIGHBOURS = {
+  carlow: ["kildare", "kilkenny", "laois", "wexford", "wicklow"],
+  cavan: ["leitrim", "longford", "meath", "monaghan", "westmeath"],
+  clare: ["galway", "limerick", "tipperary"],
+  cork: ["kerry", "limerick", "tipperary", "waterford"],
+  donegal: ["leitrim"],
+  dublin: ["kildare", "meath", "wicklow"],
+  galway: ["clare", "mayo", "offaly", "roscommon", "tipperary"],
+  kerry: ["cork", "limerick"],
+  kildare: ["carlow", "dublin", "laois", "meath", "offaly", "wicklow"],
+  kilkenny: ["carlow", "laois", "tipperary", "waterford", "wexford"],
+  laois: ["carlow", "kildare", "kilkenny", "offaly", "tipperary"],
+  leitrim: ["cavan", "donegal", "longford", "roscommon", "sligo"],
+  limerick: ["clare", "cork", "kerry", "tipperary"],
+  longford: ["cavan", "leitrim", "roscommon", "westmeath"],
+  louth: ["meath", "monaghan"],
+  mayo: ["galway", "roscommon", "sligo"],
+  meath: ["cavan", "dublin", "kildare", "louth", "monaghan", "offaly", "westmeath"],
+  monaghan: ["cavan", "louth", "meath"],
+  offaly: ["galway", "kildare", "laois", "meath", "roscommon", "tipperary", "westmeath"],
+  roscommon: ["galway", "leitrim", "longford", "mayo", "offaly", "sligo", "westmeath"],
+  sligo: ["leitrim", "mayo", "roscommon"],
+  tipperary: ["clare", "cork", "galway", "kilkenny", "laois", "limerick", "offaly", "waterford"],
+  waterford: ["cork", "kilkenny", "tipperary", "wexford"],
+  westmeath: ["cavan", "longford", "meath", "offaly", "roscommon"],
+  wexford: ["carlow", "kilkenny", "waterford", "wicklow"],
+  wicklow: ["carlow", "dublin", "kildare", "wexford"],
+};
+
+// Irish-language county names, keyed like COUNTY_NEIGHBOURS
+export const COUNTY_IRISH_NAMES = {
+  carlow: "Ceatharlach",
+  cavan: "An Cabhán",
+  clare: "An Clár",
+  cork: "Corcaigh",
+  donegal: "Dún na nGall",
+  dublin: "Baile Átha Cliath",
+  galway: "Gaillimh",
+  kerry: "Ciarraí",
+  kildare: "Cill Dara",
+  kilkenny: "Cill Chainnigh",
+  laois: "Laois",
+  leitrim: "Liatroim",
+  limerick: "Luimneach",
+  longford: "An Longfort",
+  louth: "Lú",
+  mayo: "Maigh Eo",
+  meath: "An Mhí",
+  monaghan: "Muineachán",
+  offaly: "Uíbh Fhailí",
+  roscommon: "Ros Comáin",
+  sligo: "Sligeach",
+  tipperary: "Tiobraid Árann",
+  waterford: "Port Láirge",
+  westmeath: "An Iarmhí",
+  wexford: "Loch Garman",
+  wicklow: "Cill Mhantáin",
+};
@@ -0,0 +1,166 @@
+/**
+ * Supplementary plant facts used to build the knowledge graph
+ * Plant types, Irish sowing/harvest calendars, companion planting and
+ * pollinator relationships for the plants in plants.js
+ */
+
+// Plant type by plant id (matches the ids in plants.js)
+export const PLANT_TYPES = {
+  1: "Vegetable", // Potato
+  2: "Vegetable", // Cabbage
+  3: "Wildflower", // Irish Wildflower Mix
+  4: "Vegetable", // Leek
+  5: "Vegetable", // Kale
+  6: "Tree", // Hawthorn
+  7: "Wildflower", // Irish Primrose
+  8: "Vegetable", // Carrot
+  9: "Vegetable", // Rhubarb
+  10: "Fruit", // Apple Tree (Irish Varieties)
+  11: "Fruit", // Blackberry
+  12: "Vegetable", // Onion
+  13: "Wildflower", // Foxglove
+  14: "Fruit", // Wild Strawberry
+  15: "Shrub", // Fuchsia
+  16: "Shrub", // Hydrangea
+  17: "Shrub", // Heather
+  18: "Fruit", // Raspberry
+  19: "Fruit", // Gooseberry
+};
+
+// Sowing/planting and harvest months (1-12) by plant id, for Irish conditions
+export const PLANTING_CALENDAR = {
+  1: { plant: [3, 4, 5], harvest: [6, 7, 8, 9, 10] },
+  2: { plant: [3, 4, 5, 6], harvest: [1, 2, 3, 6, 7, 8, 9, 10, 11, 12] },
+  3: { plant: [3, 4, 9], harvest: [] },
+  4: { plant: [3, 4, 5, 6], harvest: [1, 2, 9, 10, 11, 12] },
+  5: { plant: [4, 5, 6], harvest: [1, 2, 3, 9, 10, 11, 12] },
+  6: { plant: [1, 2, 3, 11, 12], harvest: [] },
+  7: { plant: [3, 9, 10], harvest: [] },
+  8: { plant: [3, 4, 5, 6, 7], harvest: [6, 7, 8, 9, 10, 11] },
+  9: { plant: [1, 2, 3, 11, 12], harvest: [3, 4, 5, 6, 7] },
+  10: { plant: [1, 2, 3, 11, 12], harvest: [8, 9, 10] },
+  11: { plant: [1, 2, 3, 11, 12], harvest: [8, 9, 10] },
+  12: { plant: [3, 4, 9, 10], harvest: [7, 8, 9] },
+  13: { plant: [5, 6, 9, 10], harvest: [] },
+  14: { plant: [3, 4, 9], harvest: [6, 7, 8] },
+  15: { plant: [4, 5, 6], harvest: [] },
+  16: { plant: [3, 4, 10, 11], harvest: [] },
+  17: { plant: [3, 4, 9, 10], harvest: [] },
+  18: { plant: [1, 2, 3, 11, 12], harvest: [7, 8, 9] },
+  19: { plant: [1, 2, 3, 11, 12], harvest: [6, 7, 8] },
+};
+
+// Companion planting relationships between plants in plants.js
+export const COMPANION_PLANTINGS = [
+  {
+    plant1: "Carrot",
+    plant2: "Leek",
+    relationship: "COMPANION_TO",
+    notes: "Leeks repel carrot fly, carrots repel leek moth",
+  },
+  {
+    plant1: "Carrot",
+    plant2: "Onion",
+    relationship: "COMPANION_TO",
+    notes: "The smell of onions masks carrots from carrot fly",
+  },
+  {
+    plant1: "Cabbage",
+    plant2: "Onion",
+    relationship: "COMPANION_TO",
+    notes: "Onions help deter cabbage white caterpillars and aphids",
+  },
+  {
+    plant1: "Kale",
+    plant2: "Onion",
+    relationship: "COMPANION_TO",
+    notes: "Onions help deter brassica pests",
+  },
+  {
+    plant1: "Wild Strawberry",
+    plant2: "Leek",
+    relationship: "COMPANION_TO",
+    notes: "Alliums help protect strawberries from slugs and fungal disease",
+  },
+  {
+    plant1: "Potato",
+    plant2: "Cabbage",
+    relationship: "ANTAGONISTIC_TO",
+    notes: "Potatoes and cabbage compete for nutrients",
+  },
+  {
+    plant1: "Kale",
+    plant2: "Potato",
+    relationship: "ANTAGONISTIC_TO",
+    notes: "Both are heavy feeders and compete for nutrients",
+  },
+  {
+    plant1: "Raspberry",
+    plant2: "Potato",
+    relationship: "ANTAGONISTIC_TO",
+    notes: "Both are prone to verticillium wilt and blight",
+  },
+];
+
+// Pollinator types found in Irish gardens
+export const POLLINATORS = ["Bees", "Butterflies", "Hoverflies", "Moths", "Beetles"];
+
+// Pollinators attracted by each flowering plant
+export const POLLINATOR_ATTRACTIONS = [
+  {
+    plant: "Irish Wildflower Mix",
+    pollinators: ["Bees", "Butterflies", "Hoverflies", "Beetles"],
+  },
+  { plant: "Irish Primrose", pollinators: ["Bees", "Butterflies"] },
+  { plant: "Hawthorn", pollinators: ["Bees", "Butterflies", "Moths"] },
+  {
+    plant: "Apple Tree (Irish Varieties)",
+    pollinators: ["Bees", "Hoverflies"],
+  },
+  { plant: "Blackberry", pollinators: ["Bees", "Butterflies", "Hoverflies"] },
+  { plant: "Foxglove", pollinators: ["Bees"] },
+  { plant: "Wild Strawberry", pollinators: ["Bees", "Hoverflies"] },
+  { plant: "Fuchsia", pollinators: ["Bees"] },
+  { plant: "Heather", pollinators: ["Bees", "Butterflies", "Moths"] },
+  { plant: "Raspberry", pollinators: ["Bees"] },
+  { plant: "Gooseberry", pollinators: ["Bees"] },
+];
+
+// Other names gardeners use for each plant, by plant id. Plurals are matched
+// automatically, so only list words that differ from the plant name.
+export const PLANT_ALIASES = {
+  1: ["spud", "praties", "pratie", "seed potato", "earlies", "maincrop"],
+  2: ["cabbage plant", "spring greens", "savoy"],
+  3: ["wildflower", "wildflower meadow", "meadow flowers"],
+  4: ["baby leeks"],
+  5: ["curly kale", "cavolo nero", "borecole"],
+  6: ["whitethorn", "may tree", "quickthorn", "sceach"],
+  7: ["primrose", "primula vulgaris"],
+  8: ["carrot seedlings"],
+  9: ["rhubarb crowns"],
+  10: ["apple", "apple tree", "bramley", "eating apple", "cooking apple"],
+  11: ["bramble", "blackberry bush"],
+  12: ["onion sets", "shallot", "scallion"],
+  13: ["digitalis", "lusmore", "fairy thimbles"],
+  14: ["strawberry", "alpine strawberry"],
+  15: ["deora dé", "hardy fuchsia"],
+  16: ["hortensia", "mophead hydrangea"],
+  17: ["ling", "calluna", "erica"],
+  18: ["raspberry canes", "rasp"],
+  19: ["goosegog", "gooseberry bush"],
+};
+
+// Common crops with no Plant node, so questions about them are still
+// recognised. Extraction marks them `inGraph: false`; a plant the graph adds
+// later is matched from the graph instead.
+export const UNLISTED_PLANTS = [
+  { id: "courgette", name: "Courgette", type: "Vegetable", aliases: ["zucchini", "marrow"] },
+  { id: "pea", name: "Pea", type: "Vegetable", aliases: ["mangetout", "sugar snap", "petit pois"] },
+  { id: "broad-bean", name: "Broad Bean", type: "Vegetable", aliases: ["fava bean"] },
+  { id: "runner-bean", name: "Runner Bean", type: "Vegetable", aliases: ["french bean", "green bean"] },
+  { id: "tomato", name: "Tomato", type: "Vegetable", aliases: ["cherry tomato"] },
+  { id: "lettuce", name: "Lettuce", type: "Vegetable", aliases: ["salad leaves"] },
+  { id: "beetroot", name: "Beetroot", type: "Vegetable", aliases: ["beet"] },
+  { id: "parsnip", name: "Parsnip", type: "Vegetable" },
+  { id: "garlic", name: "Garlic", type: "Vegetable" },
+];
@@ -0,0 +1,159 @@
+/**
+ * How garden plants stand up to Irish weather extremes
+ * Used to tie weather alerts to the plants a gardener grows (see
+ * utils/weather-alerts.js). Names are singular, as in garden-plant-names.js;
+ * plurals are matched automatically.
+ */
+
+export const HARDINESS = {
+  TENDER: "tender",
+  HALF_HARDY: "half-hardy",
+  HARDY: "hardy",
+};
+
+// Lowest air temperature (°C) each group stands without cover. Tender
+// plants are at risk from ground frost, which forms on clear nights with
+// the air still a few degrees above freezing.
+export const HARDINESS_MIN_TEMPERATURE = {
+  [HARDINESS.TENDER]: 3,
+  [HARDINESS.HALF_HARDY]: 0,
+  [HARDINESS.HARDY]: -5,
+};
+
+export const PLANT_HARDINESS = {
+  // Vegetables
+  artichoke: HARDINESS.HALF_HARDY,
+  asparagus: HARDINESS.HARDY,
+  aubergine: HARDINESS.TENDER,
+  beetroot: HARDINESS.HARDY,
+  "broad bean": HARDINESS.HARDY,
+  broccoli: HARDINESS.HARDY,
+  "brussels sprout": HARDINESS.HARDY,
+  cabbage: HARDINESS.HARDY,
+  carrot: HARDINESS.HARDY,
+  cauliflower: HARDINESS.HARDY,
+  celeriac: HARDINESS.HALF_HARDY,
+  celery: HARDINESS.HALF_HARDY,
+  chard: HARDINESS.HARDY,
+  courgette: HARDINESS.TENDER,
+  cucumber: HARDINESS.TENDER,
+  "french bean": HARDINESS.TENDER,
+  garlic: HARDINESS.HARDY,
+  kale: HARDINESS.HARDY,
+  leek: HARDINESS.HARDY,
+  lettuce: HARDINESS.HALF_HARDY,
+  marrow: HARDINESS.TENDER,
+  onion: HARDINESS.HARDY,
+  parsnip: HARDINESS.HARDY,
+  pea: HARDINESS.HALF_HARDY,
+  pepper: HARDINESS.TENDER,
+  // The haulms are blackened by frost, though the tubers survive
+  potato: HARDINESS.TENDER,
+  pumpkin: HARDINESS.TENDER,
+  radish: HARDINESS.HARDY,
+  rhubarb: HARDINESS.HARDY,
+  rocket: HARDINESS.HALF_HARDY,
+  "runner bean": HARDINESS.TENDER,
+  "salad leaves": HARDINESS.HALF_HARDY,
+  shallot: HARDINESS.HARDY,
+  spinach: HARDINESS.HARDY,
+  squash: HARDINESS.TENDER,
+  swede: HARDINESS.HARDY,
+  sweetcorn: HARDINESS.TENDER,
+  tomato: HARDINESS.TENDER,
+  turnip: HARDINESS.HARDY,
+
+  // Herbs
+  basil: HARDINESS.TENDER,
+  chive: HARDINESS.HARDY,
+  coriander: HARDINESS.HALF_HARDY,
+  dill: HARDINESS.HALF_HARDY,
+  mint: HARDINESS.HARDY,
+  oregano: HARDINESS.HARDY,
+  parsley: HARDINESS.HARDY,
+  rosemary: HARDINESS.HARDY,
+  thyme: HARDINESS.HARDY,
+
+  // Fruit: the plants are hardy, but frost in flower costs the crop
+  apple: HARDINESS.HALF_HARDY,
+  blackberry: HARDINESS.HARDY,
+  blackcurrant: HARDINESS.HARDY,
+  blueberry: HARDINESS.HALF_HARDY,
+  cherry: HARDINESS.HALF_HARDY,
+  gooseberry: HARDINESS.HARDY,
+  pear: HARDINESS.HALF_HARDY,
+  plum: HARDINESS.HALF_HARDY,
+  raspberry: HARDINESS.HARDY,
+  redcurrant: HARDINESS.HARDY,
+  strawberry: HARDINESS.HALF_HARDY,
+
+  // Flowers
+  cornflower: HARDINESS.HARDY,
+  cosmos: HARDINESS.TENDER,
+  daffodil: HARDINESS.HARDY,
+  dahlia: HARDINESS.TENDER,
+  foxglove: HARDINESS.HARDY,
+  geranium: HARDINESS.TENDER,
+  heather: HARDINESS.HARDY,
+  hydrangea: HARDINESS.HALF_HARDY,
+  lavender: HARDINESS.HARDY,
+  marigold: HARDINESS.TENDER,
+  nasturtium: HARDINESS.TENDER,
+  poppy: HARDINESS.HARDY,
+  primrose: HARDINESS.HARDY,
+  rose: HARDINESS.HARDY,
+  sunflower: HARDINESS.TENDER,
+  "sweet pea": HARDINESS.HALF_HARDY,
+  tulip: HARDINESS.HARDY,
+  wildflower: HARDINESS.HARDY,
+
+  // Trees and shrubs
+  alder: HARDINESS.HARDY,
+  azalea: HARDINESS.HARDY,
+  birch: HARDINESS.HARDY,
+  blackthorn: HARDINESS.HARDY,
+  fuchsia: HARDINESS.HALF_HARDY,
+  hawthorn: HARDINESS.HARDY,
+  hazel: HARDINESS.HARDY,
+  holly: HARDINESS.HARDY,
+  oak: HARDINESS.HARDY,
+  rhododendron: HARDINESS.HARDY,
+  rowan: HARDINESS.HARDY,
+  willow: HARDINESS.HARDY,
+};
+
+// Tall, climbing or staked plants that strong gusts snap or flatten
+export const WIND_EXPOSED_PLANTS = [
+  "apple",
+  "broad bean",
+  "brussels sprout",
+  "cherry",
+  "cosmos",
+  "dahlia",
+  "french bean",
+  "pear",
+  "plum",
+  "raspberry",
+  "runner bean",
+  "sunflower",
+  "sweet pea",
+  "sweetcorn",
+  "tomato",
+];
+
+// Plants that bolt, scorch or stop setting in hot spells
+export const HEAT_SENSITIVE_PLANTS = [
+  "broccoli",
+  "cauliflower",
+  "coriander",
+  "lettuce",
+  "pea",
+  "radish",
+  "rocket",
+  "runner bean",
+  "salad leaves",
+  "spinach",
+  "strawberry",
+];
+
+export default PLANT_HARDINESS;
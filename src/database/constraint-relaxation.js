@@ -0,0 +1,257 @@
+/**
+ * Constraint Relaxation
+ *
+ * Declares how each plant-search constraint can be loosened when a query
+ * returns nothing, and plans the order in which relaxed searches are tried.
+ *
+ * Every constraint has a priority (higher means users care more about it, so
+ * it is relaxed later) and optional soft matches that stay close to the
+ * original value: a neighbouring county instead of the exact county, an
+ * adjacent season, or a soil with the same drainage class. Dropping a
+ * constraint is always the last resort.
+ */
+
+import { COUNTY_NEIGHBOURS } from "../data/irish-county-data.js";
+import { IRISH_SOIL_TYPES } from "../data/irish-soil-data.js";
+import { SEASONS } from "./migrations/002-calendar.js";
+import { toCountyId } from "./graph-schema.js";
+
+// Distance a constraint moves from the original request at each level
+export const RELAXATION_DISTANCE = { exact: 0, soft: 1, dropped: 2 };
+
+const toDisplayName = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+
+const listNames = (names) =>
+  names.length <= 1
+    ? names.join("")
+    : `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}`;
+
+/**
+ * Broad drainage class of a soil, e.g. "Good but shallow" -> "Good"
+ */
+function drainageClass(soil) {
+  return soil.drainage.split(/\s+(?:to|but)\s+/)[0];
+}
+
+/**
+ * Soil types other than `soilName` with the same drainage class
+ * @param {string} soilName - SoilType name, e.g. "Brown Earth"
+ * @returns {Array<string>} Similar soil names
+ */
+export function getSimilarSoils(soilName) {
+  const soils = Object.values(IRISH_SOIL_TYPES);
+  const soil = soils.find(
+    (candidate) => candidate.name.toLowerCase() === soilName.toLowerCase()
+  );
+  if (!soil) return [];
+
+  return soils
+    .filter(
+      (candidate) =>
+        candidate !== soil && drainageClass(candidate) === drainageClass(soil)
+    )
+    .map((candidate) => candidate.name);
+}
+
+/**
+ * Seasons either side of `season`, e.g. "Spring" -> ["Winter", "Summer"]
+ * @param {string} season - Season name
+ * @returns {Array<string>} Adjacent season names
+ */
+export function getAdjacentSeasons(season) {
+  const index = SEASONS.findIndex(
+    (name) => name.toLowerCase() === season.toLowerCase()
+  );
+  if (index === -1) return [];
+
+  return [
+    SEASONS[(index + SEASONS.length - 1) % SEASONS.length],
+    SEASONS[(index + 1) % SEASONS.length],
+  ];
+}
+
+/**
+ * Relaxable constraints of a plant search, keyed by search parameter.
+ * `softMatch` returns the looser value to search with, or null when there is
+ * no close alternative and the constraint can only be dropped.
+ */
+export const PLANT_SEARCH_CONSTRAINTS = [
+  {
+    key: "countyName",
+    label: "county",
+    priority: 4,
+    softMatch: (countyName) => {
+      const neighbours = COUNTY_NEIGHBOURS[toCountyId(countyName)] || [];
+      if (neighbours.length === 0) return null;
+      const names = neighbours.map(toDisplayName);
+      return {
+        value: names,
+        description: `neighbouring counties (${names.join(", ")})`,
+      };
+    },
+  },
+  {
+    key: "plantType",
+    label: "plant type",
+    priority: 3,
+    softMatch: () => null,
+  },
+  {
+    key: "season",
+    label: "season",
+    priority: 2,
+    softMatch: (season) => {
+      const seasons = getAdjacentSeasons(season);
+      if (seasons.length === 0) return null;
+      return {
+        value: seasons,
+        description: `adjacent seasons (${seasons.join(" or ")})`,
+      };
+    },
+  },
+  {
+    key: "soilType",
+    label: "soil type",
+    priority: 1,
+    softMatch: (soilType) => {
+      const soils = getSimilarSoils(soilType);
+      if (soils.length === 0) return null;
+      return {
+        value: soils,
+        description: `soils with similar drainage (${soils.join(", ")})`,
+      };
+    },
+  },
+];
+
+/**
+ * Each constraint set in `params` with its possible levels
+ */
+function describeLevels(params, constraints) {
+  return constraints
+    .filter((constraint) => params[constraint.key])
+    .map((constraint) => {
+      const original = params[constraint.key];
+      const soft = constraint.softMatch(original);
+      const levels = [{ level: "exact", value: original }];
+      if (soft) levels.push({ level: "soft", ...soft });
+      levels.push({ level: "dropped", value: null });
+      return { constraint, original, levels };
+    });
+}
+
+/**
+ * Plan relaxed versions of a search, closest to the original first
+ *
+ * The distance of a plan is the sum over constraints of the constraint's
+ * priority times how far it moved (soft 1, dropped 2), so unimportant
+ * constraints are relaxed before important ones and soft matches before drops.
+ *
+ * @param {Object} params - Original search parameters
+ * @param {Array<Object>} constraints - Constraint definitions
+ * @returns {Array<Object>} Plans of { params, relaxations, distance }, excluding the exact search
+ */
+export function planRelaxations(params, constraints = PLANT_SEARCH_CONSTRAINTS) {
+  const dimensions = describeLevels(params, constraints);
+
+  let combinations = [[]];
+  for (const dimension of dimensions) {
+    combinations = combinations.flatMap((combination) =>
+      dimension.levels.map((level) => [...combination, { dimension, level }])
+    );
+  }
+
+  return combinations
+    .map((combination) => {
+      const planParams = { ...params };
+      const relaxations = [];
+      let distance = 0;
+
+      for (const { dimension, level } of combination) {
+        const { constraint, original } = dimension;
+        planParams[constraint.key] = level.value;
+        distance += constraint.priority * RELAXATION_DISTANCE[level.level];
+
+        if (level.level !== "exact") {
+          relaxations.push({
+            constraint: constraint.key,
+            label: constraint.label,
+            level: level.level,
+            original,
+            value: level.value,
+            description:
+              level.level === "soft"
+                ? `Used ${level.description} instead of ${original}`
+                : `Removed ${constraint.label} (${original}) constraint`,
+          });
+        }
+      }
+
+      return { params: planParams, relaxations, distance };
+    })
+    .filter((plan) => plan.relaxations.length > 0)
+    .sort(
+      (a, b) =>
+        a.distance - b.distance ||
+        a.relaxations.length - b.relaxations.length
+    );
+}
+
+/**
+ * Whether `plan` can only return a subset of what `emptyPlan` returned.
+ * A dropped constraint matches everything, so a plan that keeps every
+ * constraint `emptyPlan` kept, at the same value, cannot find more.
+ */
+export function isNarrowerThan(plan, emptyPlan) {
+  return Object.keys(plan.params).every(
+    (key) =>
+      emptyPlan.params[key] === null ||
+      emptyPlan.params[key] === undefined ||
+      plan.params[key] === emptyPlan.params[key]
+  );
+}
+
+/**
+ * Explain in plain words how a relaxed result differs from the request
+ * @param {Array<Object>} relaxations - Relaxations of the successful plan
+ * @param {Array<Object>} records - Records it returned
+ * @returns {string} e.g. "No exact match in Leitrim, showing Sligo results"
+ */
+export function explainRelaxations(relaxations, records = []) {
+  if (relaxations.length === 0) {
+    return "Showing exact matches for your search.";
+  }
+
+  const sentences = relaxations.map((relaxation) => {
+    const { constraint, level, original, value } = relaxation;
+
+    if (level === "dropped") {
+      return `No matches for ${original}, so the ${relaxation.label} filter was removed`;
+    }
+
+    if (constraint === "countyName") {
+      const matched = [
+        ...new Set(records.flatMap((record) => record.matchedCounties || [])),
+      ];
+      return `No exact match in ${original}, showing ${listNames(
+        matched.length > 0 ? matched : value
+      )} results`;
+    }
+
+    if (constraint === "season") {
+      return `Nothing to plant or harvest in ${original}, showing ${listNames(
+        value
+      )} plants`;
+    }
+
+    if (constraint === "soilType") {
+      return `No plants listed for ${original} soil, showing plants for ${listNames(
+        value
+      )}, which drain similarly`;
+    }
+
+    return relaxation.description;
+  });
+
+  return `${sentences.join(". ")}.`;
+}
@@ -0,0 +1,658 @@
+/**
+ * Read-Only Cypher Sandbox
+ *
+ * Validates Cypher produced by an LLM before it reaches the database:
+ * - one statement only, starting with a read clause and ending in RETURN
+ * - no write clauses (CREATE, MERGE, DELETE, SET, ...) or procedure calls
+ * - only labels and relationship types declared in graph-schema.js
+ * - every RETURN capped by a LIMIT
+ *
+ * Valid queries run in a read transaction with a server-side timeout.
+ * Rejections are thrown as CypherSandboxError with a machine-readable code
+ * and a reason that can be shown to the user.
+ */
+
+import neo4j from "neo4j-driver";
+import { neo4jDriver, ensureDriverAvailable } from "./neo4j-client.js";
+import {
+  LABELS,
+  LEGACY_NAMES,
+  isKnownLabel,
+  isKnownRelationship,
+} from "./graph-schema.js";
+
+export const DEFAULT_MAX_LIMIT = 25;
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+export const SANDBOX_ERROR_CODES = {
+  EMPTY_QUERY: "EMPTY_QUERY",
+  PARSE_ERROR: "PARSE_ERROR",
+  MULTIPLE_STATEMENTS: "MULTIPLE_STATEMENTS",
+  NOT_A_READ_QUERY: "NOT_A_READ_QUERY",
+  WRITE_CLAUSE: "WRITE_CLAUSE",
+  PROCEDURE_CALL: "PROCEDURE_CALL",
+  UNKNOWN_LABEL: "UNKNOWN_LABEL",
+  UNKNOWN_RELATIONSHIP: "UNKNOWN_RELATIONSHIP",
+  MISSING_RETURN: "MISSING_RETURN",
+  TIMEOUT: "TIMEOUT",
+};
+
+// Clauses a generated query may start with
+const READ_START_KEYWORDS = new Set(["MATCH", "OPTIONAL", "WITH", "UNWIND", "RETURN"]);
+
+// Clauses that change data or the schema
+const WRITE_KEYWORDS = new Set([
+  "CREATE",
+  // The GQL synonym for CREATE in Neo4j 5
+  "INSERT",
+  "MERGE",
+  "DELETE",
+  "DETACH",
+  "SET",
+  "REMOVE",
+  "DROP",
+  "FOREACH",
+  "ALTER",
+  "RENAME",
+  "GRANT",
+  "DENY",
+  "REVOKE",
+]);
+
+// Clauses that run procedures, import data or administer the server. Only
+// reserved in clause position, so a variable may still be called start.
+const PROCEDURE_KEYWORDS = new Set([
+  "CALL",
+  "LOAD",
+  "USE",
+  "SHOW",
+  "START",
+  "STOP",
+  "TERMINATE",
+]);
+
+// Keywords followed by an expression, so a name after them is a variable
+const EXPRESSION_KEYWORDS = new Set([
+  "RETURN",
+  "WITH",
+  "DISTINCT",
+  "AS",
+  "UNWIND",
+  "WHERE",
+  "BY",
+  "SKIP",
+  "LIMIT",
+  "AND",
+  "OR",
+  "XOR",
+  "NOT",
+  "IN",
+  "IS",
+  "CONTAINS",
+  "CASE",
+  "WHEN",
+  "THEN",
+  "ELSE",
+  "YIELD",
+]);
+
+// Tokens that end an expression or clause, so a clause may follow them
+const CLAUSE_BOUNDARY_SYMBOLS = new Set([")", "]", "}"]);
+
+// Namespaced functions built into Cypher (e.g. date.truncate)
+const BUILT_IN_NAMESPACES = new Set([
+  "date",
+  "datetime",
+  "localdatetime",
+  "localtime",
+  "time",
+  "duration",
+  "point",
+]);
+
+// SchemaMigration nodes are internal bookkeeping, not gardening data
+const QUERYABLE_LABELS = new Set(
+  Object.values(LABELS).filter((label) => label !== LABELS.SCHEMA_MIGRATION)
+);
+
+/**
+ * Error raised when a query is rejected by the sandbox
+ */
+export class CypherSandboxError extends Error {
+  /**
+   * @param {string} code - One of SANDBOX_ERROR_CODES
+   * @param {string} message - Reason suitable for showing to users
+   * @param {Object} details - Extra context (offending keyword, name, ...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "CypherSandboxError";
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Structured form returned by API endpoints
+   * @returns {Object} { code, reason, ...details }
+   */
+  toJSON() {
+    return { code: this.code, reason: this.message, ...this.details };
+  }
+}
+
+/**
+ * Strip markdown code fences and surrounding whitespace from LLM output
+ * @param {string} text - Raw model response
+ * @returns {string} The query text
+ */
+export function extractCypher(text) {
+  if (!text || typeof text !== "string") {
+    return "";
+  }
+
+  return text
+    .replace(/```(?:cypher|sql)?\n?/gi, "")
+    .replace(/```\n?/g, "")
+    .trim();
+}
+
+/**
+ * Split a query into tokens, skipping whitespace and comments
+ * @param {string} query - Cypher query
+ * @returns {Array<{type: string, value: string, start: number, end: number, quoted?: boolean}>}
+ */
+export function tokenizeCypher(query) {
+  const tokens = [];
+  let i = 0;
+
+  const parseError = (message) =>
+    new CypherSandboxError(SANDBOX_ERROR_CODES.PARSE_ERROR, message, {
+      position: i,
+    });
+
+  while (i < query.length) {
+    const ch = query[i];
+    const next = query[i + 1];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "/" && next === "/") {
+      while (i < query.length && query[i] !== "\n") i++;
+    } else if (ch === "/" && next === "*") {
+      const end = query.indexOf("*/", i + 2);
+      if (end === -1) throw parseError("The query has an unterminated comment");
+      i = end + 2;
+    } else if (ch === "'" || ch === '"') {
+      i++;
+      while (i < query.length && query[i] !== ch) {
+        i += query[i] === "\\" ? 2 : 1;
+      }
+      if (i >= query.length) throw parseError("The query has an unterminated string");
+      i++;
+      tokens.push({ type: "string", value: query.slice(start, i), start, end: i });
+    } else if (ch === "`") {
+      const end = query.indexOf("`", i + 1);
+      if (end === -1) throw parseError("The query has an unterminated identifier");
+      i = end + 1;
+      tokens.push({
+        type: "identifier",
+        value: query.slice(start + 1, end),
+        quoted: true,
+        start,
+        end: i,
+      });
+    } else if (ch === "$") {
+      i++;
+      while (i < query.length && /\w/.test(query[i])) i++;
+      tokens.push({ type: "parameter", value: query.slice(start, i), start, end: i });
+    } else if (/\d/.test(ch)) {
+      while (i < query.length && /\d/.test(query[i])) i++;
+      // A single dot followed by a digit is a decimal; ".." is a range
+      if (query[i] === "." && /\d/.test(query[i + 1] || "")) {
+        i++;
+        while (i < query.length && /\d/.test(query[i])) i++;
+      }
+      tokens.push({ type: "number", value: query.slice(start, i), start, end: i });
+    } else if (/[A-Za-z_]/.test(ch)) {
+      while (i < query.length && /\w/.test(query[i])) i++;
+      tokens.push({ type: "identifier", value: query.slice(start, i), start, end: i });
+    } else {
+      const pair = query.slice(i, i + 2);
+      const width = ["<>", "<=", ">=", "=~", "->", "<-", "..", "+="].includes(pair)
+        ? 2
+        : 1;
+      i += width;
+      tokens.push({ type: "symbol", value: query.slice(start, i), start, end: i });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build the error for a label or relationship type outside the schema
+ */
+function unknownNameError(kind, name) {
+  const legacyNames =
+    kind === "label" ? LEGACY_NAMES.labels : LEGACY_NAMES.relationships;
+  const replacement = legacyNames[name] || null;
+  const code =
+    kind === "label"
+      ? SANDBOX_ERROR_CODES.UNKNOWN_LABEL
+      : SANDBOX_ERROR_CODES.UNKNOWN_RELATIONSHIP;
+
+  return new CypherSandboxError(
+    code,
+    `The query uses the ${kind} "${name}", which is not part of the gardening knowledge graph${
+      replacement ? ` (did you mean "${replacement}"?)` : ""
+    }`,
+    { name, suggestion: replacement }
+  );
+}
+
+/**
+ * Whether the token at `index` starts a clause rather than naming a
+ * variable: it opens the query or follows the end of an expression, and is
+ * followed by the clause's arguments (CALL db.labels(), SHOW INDEXES,
+ * CALL { ... })
+ */
+function isClausePosition(tokens, index) {
+  const previous = tokens[index - 1];
+  const following = tokens[index + 1];
+
+  const followsBoundary =
+    !previous ||
+    CLAUSE_BOUNDARY_SYMBOLS.has(previous.value) ||
+    ["number", "string", "parameter"].includes(previous.type) ||
+    (previous.type === "identifier" &&
+      (previous.quoted ||
+        !EXPRESSION_KEYWORDS.has(previous.value.toUpperCase())));
+  const takesArguments =
+    following?.type === "identifier" || following?.value === "{";
+
+  return followsBoundary && takesArguments;
+}
+
+/**
+ * Read the label or relationship type expression starting at `index`, just
+ * after its colon: names joined by | (or the older |:), & and :, negated
+ * with !, grouped in parentheses, or the % wildcard
+ * @param {Array<Object>} tokens - From tokenizeCypher
+ * @param {number} index - Index of the first token after the colon
+ * @param {Function} onName - Called with each name token
+ * @param {Object} options
+ * @param {boolean} options.inList - Whether the expression is in a list
+ *   comprehension, where an ungrouped | starts the projection instead
+ * @returns {number} Index of the last token of the expression
+ * @throws {CypherSandboxError} If the expression is incomplete
+ */
+function readLabelExpression(tokens, index, onName, { inList = false } = {}) {
+  let cursor = index;
+
+  const incomplete = () =>
+    new CypherSandboxError(
+      SANDBOX_ERROR_CODES.PARSE_ERROR,
+      "The query has an incomplete label or relationship type expression",
+      { position: tokens[cursor]?.start ?? tokens[tokens.length - 1].end }
+    );
+
+  const readTerm = () => {
+    const token = tokens[cursor];
+    if (token?.value === "!") {
+      cursor++;
+      readTerm();
+    } else if (token?.value === "%") {
+      cursor++;
+    } else if (token?.value === "(") {
+      cursor++;
+      readAlternatives(false);
+      if (tokens[cursor]?.value !== ")") throw incomplete();
+      cursor++;
+    } else if (token?.type === "identifier") {
+      onName(token);
+      cursor++;
+    } else {
+      throw incomplete();
+    }
+  };
+
+  const readAlternatives = (barEnds) => {
+    const separators = barEnds ? ["&", ":"] : ["|", "&", ":"];
+    readTerm();
+    while (separators.includes(tokens[cursor]?.value)) {
+      const separator = tokens[cursor].value;
+      cursor++;
+      if (separator === "|" && tokens[cursor]?.value === ":") cursor++;
+      readTerm();
+    }
+  };
+
+  readAlternatives(inList);
+  return cursor - 1;
+}
+
+/**
+ * Validate an LLM-generated query and cap its result size
+ * @param {string} query - Cypher query
+ * @param {Object} options
+ * @param {number} options.maxLimit - Largest LIMIT allowed on each RETURN
+ * @returns {Object} { query, labels, relationships, limitApplied }
+ * @throws {CypherSandboxError} If the query is not a safe read-only query
+ */
+export function validateReadOnlyCypher(
+  query,
+  { maxLimit = DEFAULT_MAX_LIMIT } = {}
+) {
+  if (!query || typeof query !== "string" || !query.trim()) {
+    throw new CypherSandboxError(
+      SANDBOX_ERROR_CODES.EMPTY_QUERY,
+      "No query was generated for this question"
+    );
+  }
+
+  let tokens = tokenizeCypher(query);
+  let text = query;
+
+  // Allow a single trailing semicolon
+  const last = tokens[tokens.length - 1];
+  if (last && last.value === ";") {
+    tokens = tokens.slice(0, -1);
+    text = text.slice(0, last.start);
+  }
+
+  if (tokens.some((token) => token.type === "symbol" && token.value === ";")) {
+    throw new CypherSandboxError(
+      SANDBOX_ERROR_CODES.MULTIPLE_STATEMENTS,
+      "Only a single query statement is allowed"
+    );
+  }
+
+  const labels = new Set();
+  const relationships = new Set();
+  // Open brackets, innermost last; a [ after - or <- holds a relationship
+  const brackets = [];
+  const closing = { ")": "(", "]": "[", "}": "{" };
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    const following = tokens[index + 1];
+    token.depth = brackets.length;
+
+    if (token.type === "symbol" && "([{".includes(token.value)) {
+      brackets.push({
+        open: token.value,
+        relationship:
+          token.value === "[" && ["-", "<-"].includes(previous?.value),
+      });
+      continue;
+    }
+
+    if (token.type === "symbol" && closing[token.value]) {
+      if (brackets.pop()?.open !== closing[token.value]) {
+        throw new CypherSandboxError(
+          SANDBOX_ERROR_CODES.PARSE_ERROR,
+          "The query has unbalanced brackets",
+          { position: token.start }
+        );
+      }
+      token.depth = brackets.length;
+      continue;
+    }
+
+    if (token.type === "symbol" && token.value === ":") {
+      const context = brackets[brackets.length - 1];
+      // In a map literal or projection the colon separates a key from its
+      // value; in a subquery ({ MATCH (n) WHERE n:Plant ... }) it does not
+      const keyStart = tokens[index - 2]?.value;
+      if (context?.open === "{" && ["{", ","].includes(keyStart)) continue;
+
+      // Elsewhere, including list comprehensions ([n IN nodes(p) WHERE
+      // n:Plant]), a colon starts a label expression
+      const kind = context?.relationship ? "relationship" : "label";
+      const inList = context?.open === "[" && !context.relationship;
+      const checkName = ({ value: name }) => {
+        if (kind === "label") {
+          if (!QUERYABLE_LABELS.has(name) || !isKnownLabel(name)) {
+            throw unknownNameError(kind, name);
+          }
+          labels.add(name);
+        } else {
+          if (!isKnownRelationship(name)) {
+            throw unknownNameError(kind, name);
+          }
+          relationships.add(name);
+        }
+      };
+      index = readLabelExpression(tokens, index + 1, checkName, { inList });
+      continue;
+    }
+
+    if (token.type !== "identifier" || token.quoted) continue;
+
+    // Property access (n.set) and map keys ({delete: 1}) are not clauses
+    const isPropertyName = previous?.value === ".";
+    const isMapKey =
+      following?.value === ":" && brackets[brackets.length - 1]?.open === "{";
+    if (isPropertyName || isMapKey) continue;
+
+    const keyword = token.value.toUpperCase();
+
+    if (WRITE_KEYWORDS.has(keyword)) {
+      throw new CypherSandboxError(
+        SANDBOX_ERROR_CODES.WRITE_CLAUSE,
+        `The query tried to modify data with ${keyword}, which is not allowed`,
+        { keyword }
+      );
+    }
+
+    if (PROCEDURE_KEYWORDS.has(keyword) && isClausePosition(tokens, index)) {
+      throw new CypherSandboxError(
+        SANDBOX_ERROR_CODES.PROCEDURE_CALL,
+        `The query used ${keyword}, but procedure calls and administration commands are not allowed`,
+        { keyword }
+      );
+    }
+
+    // Namespaced function calls such as apoc.create.node(...)
+    if (
+      following?.value === "." &&
+      tokens[index + 2]?.type === "identifier" &&
+      !BUILT_IN_NAMESPACES.has(token.value.toLowerCase())
+    ) {
+      let cursor = index + 2;
+      while (
+        tokens[cursor + 1]?.value === "." &&
+        tokens[cursor + 2]?.type === "identifier"
+      ) {
+        cursor += 2;
+      }
+      if (tokens[cursor + 1]?.value === "(") {
+        const name = tokens
+          .slice(index, cursor + 1)
+          .map((part) => part.value)
+          .join("");
+        throw new CypherSandboxError(
+          SANDBOX_ERROR_CODES.PROCEDURE_CALL,
+          `The query called ${name}(), but only built-in Cypher functions are allowed`,
+          { keyword: name }
+        );
+      }
+    }
+  }
+
+  if (brackets.length > 0) {
+    throw new CypherSandboxError(
+      SANDBOX_ERROR_CODES.PARSE_ERROR,
+      "The query has unbalanced brackets"
+    );
+  }
+
+  // Checked after the scan so writes and procedure calls get their own reason
+  if (
+    tokens.length === 0 ||
+    tokens[0].type !== "identifier" ||
+    !READ_START_KEYWORDS.has(tokens[0].value.toUpperCase())
+  ) {
+    throw new CypherSandboxError(
+      SANDBOX_ERROR_CODES.NOT_A_READ_QUERY,
+      "The generated text is not a read query (it must start with MATCH, OPTIONAL MATCH, WITH, UNWIND or RETURN)"
+    );
+  }
+
+  const isTopLevelKeyword = (token, keyword) =>
+    token.type === "identifier" &&
+    !token.quoted &&
+    token.depth === 0 &&
+    token.value.toUpperCase() === keyword;
+
+  // Each UNION branch has its own RETURN and LIMIT
+  const branches = [[]];
+  for (const token of tokens) {
+    if (isTopLevelKeyword(token, "UNION")) {
+      branches.push([]);
+    } else if (
+      !(isTopLevelKeyword(token, "ALL") && branches[branches.length - 1].length === 0)
+    ) {
+      branches[branches.length - 1].push(token);
+    }
+  }
+
+  const edits = [];
+  for (const branch of branches) {
+    const returnIndex = branch.findLastIndex((token) =>
+      isTopLevelKeyword(token, "RETURN")
+    );
+    if (returnIndex === -1) {
+      throw new CypherSandboxError(
+        SANDBOX_ERROR_CODES.MISSING_RETURN,
+        "The query does not return anything (it needs a RETURN clause)"
+      );
+    }
+
+    const branchEnd = branch[branch.length - 1].end;
+    const limitIndex = branch.findIndex(
+      (token, index) => index > returnIndex && isTopLevelKeyword(token, "LIMIT")
+    );
+
+    if (limitIndex === -1) {
+      edits.push({ start: branchEnd, end: branchEnd, text: ` LIMIT ${maxLimit}` });
+      continue;
+    }
+
+    // The limit expression runs to an OFFSET or SKIP after it
+    // (LIMIT 10 OFFSET 0), else to the end of the branch
+    const offsetIndex = branch.findIndex(
+      (token, index) =>
+        index > limitIndex &&
+        (isTopLevelKeyword(token, "OFFSET") || isTopLevelKeyword(token, "SKIP"))
+    );
+    const expression = branch.slice(
+      limitIndex + 1,
+      offsetIndex === -1 ? branch.length : offsetIndex
+    );
+    const isSmallLiteral =
+      expression.length === 1 &&
+      expression[0].type === "number" &&
+      Number.isInteger(Number(expression[0].value)) &&
+      Number(expression[0].value) <= maxLimit;
+
+    // Keep a literal limit up to maxLimit; cap larger or computed ones
+    if (!isSmallLiteral) {
+      const limitEnd = branch[limitIndex].end;
+      edits.push(
+        expression.length > 0
+          ? {
+              start: expression[0].start,
+              end: expression[expression.length - 1].end,
+              text: `${maxLimit}`,
+            }
+          : { start: limitEnd, end: limitEnd, text: ` ${maxLimit}` }
+      );
+    }
+  }
+
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    text = text.slice(0, edit.start) + edit.text + text.slice(edit.end);
+  }
+
+  return {
+    query: text.trim(),
+    labels: [...labels],
+    relationships: [...relationships],
+    limitApplied: edits.length > 0,
+  };
+}
+
+/**
+ * Convert a driver record to a plain object, unwrapping nodes to their properties
+ */
+function toPlainRecord(record) {
+  return record.keys.reduce((obj, key) => {
+    const value = record.get(key);
+    obj[key] = value && value.properties ? value.properties : value;
+    return obj;
+  }, {});
+}
+
+/**
+ * Validate a generated query and run it in a read transaction
+ * @param {string} query - Cypher query
+ * @param {Object} params - Query parameters
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Server-side transaction timeout
+ * @param {number} options.maxLimit - Largest LIMIT allowed on each RETURN
+ * @returns {Promise<Object>} { query, labels, relationships, limitApplied, records }
+ * @throws {CypherSandboxError} If the query is rejected or times out
+ */
+export async function runReadOnlyQuery(
+  query,
+  params = {},
+  { timeoutMs = DEFAULT_TIMEOUT_MS, maxLimit = DEFAULT_MAX_LIMIT } = {}
+) {
+  const validated = validateReadOnlyCypher(query, { maxLimit });
+
+  ensureDriverAvailable();
+  const session = neo4jDriver.session({
+    defaultAccessMode: neo4j.session.READ,
+  });
+
+  try {
+    const result = await session.executeRead(
+      (tx) => tx.run(validated.query, params),
+      { timeout: timeoutMs }
+    );
+
+    return { ...validated, records: result.records.map(toPlainRecord) };
+  } catch (error) {
+    const code = error.code || "";
+
+    if (code.includes("TransactionTimedOut")) {
+      throw new CypherSandboxError(
+        SANDBOX_ERROR_CODES.TIMEOUT,
+        `The query took longer than ${timeoutMs / 1000} seconds and was stopped`,
+        { timeoutMs }
+      );
+    }
+
+    // The database refuses writes in a read transaction; report it the same way
+    if (code === "Neo.ClientError.Statement.AccessMode") {
+      throw new CypherSandboxError(
+        SANDBOX_ERROR_CODES.WRITE_CLAUSE,
+        "The query tried to modify data, which is not allowed"
+      );
+    }
+
+    if (code.startsWith("Neo.ClientError.Statement.")) {
+      throw new CypherSandboxError(
+        SANDBOX_ERROR_CODES.PARSE_ERROR,
+        `The database could not run the query: ${error.message.split("\n")[0]}`
+      );
+    }
+
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
@@ -5,22 +5,53 @@
  * when the initial query returns no results.
  */
 
-import { neo4jDriver } from "./neo4j-client.js";
+import { getGraphStore } from "./graph-store.js";
+import { NODE_SCHEMA, isKnownLabel } from "./graph-schema.js";
+import { buildPlantQuery, createCypherBuilder } from "./plant-query-builder.js";
+import {
+  PLANT_SEARCH_CONSTRAINTS,
+  explainRelaxations,
+  isNarrowerThan,
+  planRelaxations,
+} from "./constraint-relaxation.js";
+
+// Queries per search, including the exact one; the last is always the loosest
+export const DEFAULT_MAX_FALLBACK_ATTEMPTS = 12;
 
 /**
  * Executes a query with fallback mechanisms that progressively relax constraints
  * until results are found or all fallback options are exhausted.
  *
+ * Relaxed searches are planned by constraint-relaxation.js: soft matches (a
+ * neighbouring county, an adjacent season, a soil with similar drainage) are
+ * tried before constraints are dropped, and the least important constraints
+ * are relaxed first. Searches that can only return a subset of an earlier
+ * empty search are skipped.
+ *
+ * Each search runs through the graph store (see graph-store.js), so it works
+ * on either backend. The Cypher the Neo4j store runs for it is returned for
+ * debugging.
+ *
  * @param {Object} params - The initial query parameters
  * @param {string} params.countyName - The county name
  * @param {string} params.plantType - The plant type
  * @param {string} params.soilType - The soil type
  * @param {string} params.season - The season
  * @param {string} params.growingProperty - The growing property to query for
- * @param {Function} buildQuery - Function that builds a Cypher query from parameters
- * @returns {Object} - Results and debug information about the query process
+ * @param {Object} options
+ * @param {Array<Object>} options.constraints - Relaxable constraint definitions
+ * @param {number} options.maxAttempts - Maximum number of queries, including the exact one
+ * @param {Object} options.store - Graph store to search (defaults to the configured one)
+ * @returns {Object} - { success, records, query, queryParams, originalParams, currentParams, fallbackUsed, fallbackAttempts, relaxations, distance, explanation }
  */
-export async function executeWithFallback(params, buildQuery) {
+export async function executeWithFallback(
+  params,
+  {
+    constraints = PLANT_SEARCH_CONSTRAINTS,
+    maxAttempts = DEFAULT_MAX_FALLBACK_ATTEMPTS,
+    store = getGraphStore(),
+  } = {}
+) {
   // Make a copy of the original parameters for reference
   const originalParams = { ...params };
 
@@ -29,7 +60,9 @@ export async function executeWithFallback(params, buildQuery) {
 
   // Start with all parameters
   let currentParams = { ...params };
-  let result = await executeQuery(currentParams, buildQuery);
+  let relaxations = [];
+  let distance = 0;
+  let result = await executeQuery(currentParams, store);
 
   // Log the first attempt
   fallbackAttempts.push({
@@ -37,202 +70,102 @@ export async function executeWithFallback(params, buildQuery) {
     params: { ...currentParams },
     resultCount: result.records.length,
     query: result.query,
+    queryParams: result.queryParams,
+    relaxations,
+    distance,
   });
 
-  // If we got results on the first try, return them
-  if (result.records.length > 0) {
+  // Every return has the same shape, whichever attempt succeeded
+  const finish = () => {
+    const success = result.records.length > 0;
     return {
-      success: true,
+      success,
       records: result.records,
       query: result.query,
-      params: currentParams,
-      fallbackUsed: false,
+      queryParams: result.queryParams,
+      originalParams,
+      currentParams,
+      fallbackUsed: success && fallbackAttempts.length > 1,
       fallbackAttempts,
+      relaxations: success ? relaxations : [],
+      distance: success ? distance : null,
+      explanation: success
+        ? explainRelaxations(relaxations, result.records)
+        : "No plants matched your search, even with every filter relaxed.",
     };
-  }
-
-  // Start fallback process - try removing one parameter at a time
-  const fallbackStrategies = [
-    // Strategy 1: Remove soil type constraint
-    () => {
-      const newParams = { ...currentParams, soilType: null };
-      return {
-        params: newParams,
-        description: `Removed soil type (${currentParams.soilType}) constraint`,
-      };
-    },
-
-    // Strategy 2: Remove plant type constraint
-    () => {
-      const newParams = { ...currentParams, plantType: null };
-      return {
-        params: newParams,
-        description: `Removed plant type (${currentParams.plantType}) constraint`,
-      };
-    },
-
-    // Strategy 3: Remove season constraint
-    () => {
-      const newParams = { ...currentParams, season: null };
-      return {
-        params: newParams,
-        description: `Removed season (${currentParams.season}) constraint`,
-      };
-    },
-
-    // Strategy 4: Keep only county and plant type
-    () => {
-      const newParams = {
-        ...currentParams,
-        soilType: null,
-        season: null,
-      };
-      return {
-        params: newParams,
-        description: "Kept only county and plant type constraints",
-      };
-    },
-
-    // Strategy 5: Keep only county and soil type
-    () => {
-      const newParams = {
-        ...currentParams,
-        plantType: null,
-        season: null,
-      };
-      return {
-        params: newParams,
-        description: "Kept only county and soil type constraints",
-      };
-    },
+  };
 
-    // Strategy 6: Keep only county
-    () => {
-      const newParams = {
-        ...currentParams,
-        plantType: null,
-        soilType: null,
-        season: null,
-      };
-      return {
-        params: newParams,
-        description: "Kept only county constraint",
-      };
-    },
+  // If we got results on the first try, return them
+  if (result.records.length > 0) {
+    return finish();
+  }
 
-    // Strategy 7: Remove county, keep others
-    () => {
-      const newParams = {
-        ...currentParams,
-        countyName: null,
-      };
-      return {
-        params: newParams,
-        description: `Removed county (${currentParams.countyName}) constraint`,
-      };
-    },
+  const plans = planRelaxations(originalParams, constraints);
+  const emptyPlans = [{ params: originalParams }];
 
-    // Strategy 8: Use only plant type
-    () => {
-      const newParams = {
-        ...currentParams,
-        countyName: null,
-        soilType: null,
-        season: null,
-      };
-      return {
-        params: newParams,
-        description: "Kept only plant type constraint",
-      };
-    },
+  // Try relaxed searches, closest to the original first, until we get results
+  for (let i = 0; i < plans.length; i++) {
+    let plan = plans[i];
+    if (emptyPlans.some((emptyPlan) => isNarrowerThan(plan, emptyPlan))) {
+      continue;
+    }
 
-    // Strategy 9: Most basic query, minimal constraints
-    () => {
-      const newParams = {
-        countyName: null,
-        plantType: null,
-        soilType: null,
-        season: null,
-        growingProperty: currentParams.growingProperty,
-      };
-      return {
-        params: newParams,
-        description: "Used minimal constraints, only keeping growing property",
-      };
-    },
-  ];
+    // Out of attempts: finish with the loosest search rather than giving up
+    if (fallbackAttempts.length === maxAttempts - 1) {
+      plan = plans[plans.length - 1];
+      i = plans.length;
+    }
 
-  // Try each fallback strategy in sequence until we get results
-  for (let i = 0; i < fallbackStrategies.length; i++) {
-    const strategy = fallbackStrategies[i];
-    const { params: newParams, description } = strategy();
-    currentParams = newParams;
+    currentParams = plan.params;
+    relaxations = plan.relaxations;
+    distance = plan.distance;
 
     // Execute query with new params
-    result = await executeQuery(currentParams, buildQuery);
+    result = await executeQuery(currentParams, store);
 
     // Log this attempt
     fallbackAttempts.push({
-      attempt: i + 2, // +2 because we already did attempt 1
+      attempt: fallbackAttempts.length + 1,
       params: { ...currentParams },
       resultCount: result.records.length,
-      description,
+      description: relaxations
+        .map((relaxation) => relaxation.description)
+        .join("; "),
       query: result.query,
+      queryParams: result.queryParams,
+      relaxations,
+      distance,
     });
 
     // If we got results, break out of the loop
     if (result.records.length > 0) {
       break;
     }
+    emptyPlans.push(plan);
   }
 
   // Return results with fallback information
-  return {
-    success: result.records.length > 0,
-    records: result.records,
-    query: result.query,
-    originalParams,
-    currentParams,
-    fallbackUsed: result.records.length > 0 && fallbackAttempts.length > 1,
-    fallbackAttempts,
-  };
+  return finish();
 }
 
 /**
  * Helper function to execute a single query
  *
- * @param {Object} params - Query parameters
- * @param {Function} buildQuery - Function to build Cypher query
+ * @param {Object} params - Search parameters
+ * @param {Object} store - Graph store to search
  * @returns {Object} - Query results
  */
-async function executeQuery(params, buildQuery) {
-  const query = buildQuery(params);
-  console.log(`Executing query with params:`, params);
-  console.log(`Query: ${query}`);
-
-  const session = neo4jDriver.session();
-  let records = [];
-
-  try {
-    const result = await session.run(query);
-    records = result.records || [];
+async function executeQuery(params, store) {
+  const { query, params: queryParams } = buildPlantQuery(params);
+  console.log(`Executing ${store.backend} search with params:`, params);
 
-    // Format records for easier consumption
-    const formattedRecords = records.map((record) => {
-      const recordObj = {};
-      record.keys.forEach((key) => {
-        recordObj[key] = record.get(key);
-      });
-      return recordObj;
-    });
+  const records = await store.searchPlantsByCriteria(params);
 
-    return {
-      records: formattedRecords,
-      query,
-    };
-  } finally {
-    await session.close();
-  }
+  return {
+    records,
+    query,
+    queryParams,
+  };
 }
 
 /**
@@ -240,27 +173,28 @@ async function executeQuery(params, buildQuery) {
  * This allows for dynamic query generation when some parameters are null
  *
  * @param {Object} params - Query parameters, some may be null
- * @param {string} nodeType - The primary node type to query
+ * @param {string} nodeType - The primary node label to query
  * @param {string} propertyName - The property to filter on
- * @returns {string} - A Cypher query
+ * @returns {Object} - { query, params }
  */
 export function buildDynamicQuery(params, nodeType, propertyName) {
-  // Start with basic MATCH clause
-  let query = `MATCH (n:${nodeType})`;
-  const whereConditions = [];
+  // Labels and property names are part of the query text, so only schema names are allowed
+  if (!isKnownLabel(nodeType)) {
+    throw new Error(`Unknown node label: ${nodeType}`);
+  }
+  if (!NODE_SCHEMA[nodeType].properties.includes(propertyName)) {
+    throw new Error(`Unknown ${nodeType} property: ${propertyName}`);
+  }
+
+  const builder = createCypherBuilder().match(`(n:${nodeType})`);
 
   // Add conditions based on available parameters
   if (params[propertyName]) {
-    whereConditions.push(`n.${propertyName} = "${params[propertyName]}"`);
-  }
-
-  // Add WHERE clause if we have conditions
-  if (whereConditions.length > 0) {
-    query += ` WHERE ${whereConditions.join(" AND ")}`;
+    builder
+      .where(`n.${propertyName} = $value`)
+      .param("value", params[propertyName]);
   }
 
   // Return limited results
-  query += ` RETURN n LIMIT 10`;
-
-  return query;
+  return builder.returns("n").limit(10).build();
 }
@@ -0,0 +1,292 @@
+/**
+ * Canonical Knowledge Graph Schema
+ *
+ * The single source of truth for every node label, property and relationship
+ * type in the Neo4j knowledge graph. Query builders should reference these
+ * constants instead of writing names inline, and the migrations in
+ * ./migrations build exactly this shape.
+ *
+ * Relationship types whose names were used inconsistently in earlier code
+ * (e.g. GROWS_IN, plantIn, suitableFor) are listed in LEGACY_NAMES so the
+ * drift checker can point at the canonical replacement.
+ */
+
+// Node labels
+export const LABELS = {
+  PLANT: "Plant",
+  SOIL_TYPE: "SoilType",
+  COUNTY: "County",
+  MONTH: "Month",
+  SEASON: "Season",
+  GARDENING_TASK: "GardeningTask",
+  GARDENING_PRACTICE: "GardeningPractice",
+  POLLINATOR_TYPE: "PollinatorType",
+  SDG: "SustainableDevelopmentGoal",
+  SCHEMA_MIGRATION: "SchemaMigration",
+};
+
+// Relationship types
+export const RELATIONSHIPS = {
+  GROWS_WELL_IN: "GROWS_WELL_IN",
+  HAS_DOMINANT_SOIL: "HAS_DOMINANT_SOIL",
+  SUITABLE_FOR: "SUITABLE_FOR",
+  PLANT_IN: "PLANT_IN",
+  HARVEST_IN: "HARVEST_IN",
+  COMPANION_TO: "COMPANION_TO",
+  ANTAGONISTIC_TO: "ANTAGONISTIC_TO",
+  ATTRACTS: "ATTRACTS",
+  PERFORMED_IN: "PERFORMED_IN",
+  BELONGS_TO: "BELONGS_TO",
+  SUPPORTS_GOAL: "SUPPORTS_GOAL",
+};
+
+/**
+ * Node definitions: the unique key, the property used for lookups by
+ * display name, and every property the migrations write
+ */
+export const NODE_SCHEMA = {
+  [LABELS.PLANT]: {
+    key: "id",
+    nameProperty: "name",
+    properties: [
+      "id",
+      "name",
+      "type",
+      "latinName",
+      "description",
+      "waterNeeds",
+      "sunNeeds",
+      "soilPreference",
+      "nativeToIreland",
+      "isPerennial",
+      "harvestSeason",
+      "floweringSeason",
+      "growingSeason",
+      "climateZones",
+      "imageUrl",
+      "sustainabilityRating",
+      "waterConservationRating",
+      "biodiversityValue",
+    ],
+  },
+  [LABELS.SOIL_TYPE]: {
+    key: "code",
+    nameProperty: "name",
+    properties: [
+      "code",
+      "name",
+      "type",
+      "description",
+      "characteristics",
+      "phMin",
+      "phMax",
+      "texture",
+      "nutrients",
+      "drainage",
+      "gardeningNotes",
+      "recommendations",
+    ],
+  },
+  [LABELS.COUNTY]: {
+    key: "id",
+    nameProperty: "name",
+    properties: ["id", "name"],
+  },
+  [LABELS.MONTH]: {
+    key: "number",
+    nameProperty: "name",
+    properties: ["number", "name", "order", "season"],
+  },
+  [LABELS.SEASON]: {
+    key: "name",
+    nameProperty: "name",
+    properties: ["name"],
+  },
+  [LABELS.GARDENING_TASK]: {
+    key: "id",
+    nameProperty: "title",
+    properties: ["id", "title", "description", "category", "priority"],
+  },
+  [LABELS.GARDENING_PRACTICE]: {
+    key: "id",
+    nameProperty: "name",
+    properties: [
+      "id",
+      "name",
+      "description",
+      "category",
+      "categoryKey",
+      "impact",
+      "difficulty",
+      "tips",
+    ],
+  },
+  [LABELS.POLLINATOR_TYPE]: {
+    key: "name",
+    nameProperty: "name",
+    properties: ["name"],
+  },
+  [LABELS.SDG]: {
+    key: "id",
+    nameProperty: "name",
+    properties: ["id", "number", "name", "description"],
+  },
+  [LABELS.SCHEMA_MIGRATION]: {
+    key: "id",
+    nameProperty: "name",
+    properties: ["id", "name", "checksum", "repeatable", "appliedAt", "runCount"],
+  },
+};
+
+// Relationship definitions with their endpoint labels and properties
+export const RELATIONSHIP_SCHEMA = {
+  [RELATIONSHIPS.GROWS_WELL_IN]: {
+    from: LABELS.PLANT,
+    to: LABELS.SOIL_TYPE,
+    properties: [],
+  },
+  [RELATIONSHIPS.HAS_DOMINANT_SOIL]: {
+    from: LABELS.COUNTY,
+    to: LABELS.SOIL_TYPE,
+    properties: [],
+  },
+  [RELATIONSHIPS.SUITABLE_FOR]: {
+    from: LABELS.PLANT,
+    to: LABELS.COUNTY,
+    properties: [],
+  },
+  [RELATIONSHIPS.PLANT_IN]: {
+    from: LABELS.PLANT,
+    to: LABELS.MONTH,
+    properties: [],
+  },
+  [RELATIONSHIPS.HARVEST_IN]: {
+    from: LABELS.PLANT,
+    to: LABELS.MONTH,
+    properties: [],
+  },
+  [RELATIONSHIPS.COMPANION_TO]: {
+    from: LABELS.PLANT,
+    to: LABELS.PLANT,
+    properties: ["notes"],
+  },
+  [RELATIONSHIPS.ANTAGONISTIC_TO]: {
+    from: LABELS.PLANT,
+    to: LABELS.PLANT,
+    properties: ["notes"],
+  },
+  [RELATIONSHIPS.ATTRACTS]: {
+    from: LABELS.PLANT,
+    to: LABELS.POLLINATOR_TYPE,
+    properties: [],
+  },
+  [RELATIONSHIPS.PERFORMED_IN]: {
+    from: LABELS.GARDENING_TASK,
+    to: LABELS.MONTH,
+    properties: [],
+  },
+  [RELATIONSHIPS.BELONGS_TO]: {
+    from: LABELS.MONTH,
+    to: LABELS.SEASON,
+    properties: [],
+  },
+  [RELATIONSHIPS.SUPPORTS_GOAL]: {
+    from: LABELS.GARDENING_PRACTICE,
+    to: LABELS.SDG,
+    properties: [],
+  },
+};
+
+// Names seen in older queries and data, mapped to their canonical replacement
+// (null means there is no equivalent in the canonical schema)
+export const LEGACY_NAMES = {
+  relationships: {
+    GROWS_IN: RELATIONSHIPS.GROWS_WELL_IN,
+    growsWellIn: RELATIONSHIPS.GROWS_WELL_IN,
+    HAS_SOIL: RELATIONSHIPS.HAS_DOMINANT_SOIL,
+    hasDominantSoil: RELATIONSHIPS.HAS_DOMINANT_SOIL,
+    suitableFor: RELATIONSHIPS.SUITABLE_FOR,
+    recommendedPlant: RELATIONSHIPS.SUITABLE_FOR,
+    PLANTED_IN: RELATIONSHIPS.PLANT_IN,
+    plantIn: RELATIONSHIPS.PLANT_IN,
+    harvestIn: RELATIONSHIPS.HARVEST_IN,
+    companionTo: RELATIONSHIPS.COMPANION_TO,
+    antagonisticTo: RELATIONSHIPS.ANTAGONISTIC_TO,
+    attracts: RELATIONSHIPS.ATTRACTS,
+    PREFERS: null,
+  },
+  labels: {
+    GrowingCondition: null,
+    Pest: null,
+    Disease: null,
+    BeneficialInsect: null,
+  },
+};
+
+/**
+ * Check whether a label is part of the canonical schema
+ * @param {string} label - Node label
+ * @returns {boolean}
+ */
+export function isKnownLabel(label) {
+  return Object.prototype.hasOwnProperty.call(NODE_SCHEMA, label);
+}
+
+/**
+ * Check whether a relationship type is part of the canonical schema
+ * @param {string} type - Relationship type
+ * @returns {boolean}
+ */
+export function isKnownRelationship(type) {
+  return Object.prototype.hasOwnProperty.call(RELATIONSHIP_SCHEMA, type);
+}
+
+/**
+ * Check that a relationship type connects the given labels. Relationship
+ * types cannot be passed as Cypher parameters, so anything interpolated into
+ * a query should be checked with this first.
+ * @param {string} type - Relationship type
+ * @param {string} from - Expected start node label
+ * @param {string} to - Expected end node label
+ * @throws {Error} If the type is unknown or connects different labels
+ */
+export function assertRelationshipBetween(type, from, to) {
+  if (
+    !isKnownRelationship(type) ||
+    RELATIONSHIP_SCHEMA[type].from !== from ||
+    RELATIONSHIP_SCHEMA[type].to !== to
+  ) {
+    throw new Error(`Unknown ${from} to ${to} relationship type: ${type}`);
+  }
+}
+
+/**
+ * Convert a county display name ("Cork", "Co. Cork") to its County.id key
+ * @param {string} countyName - County name as entered by the user
+ * @returns {string} The lowercase county id
+ */
+export function toCountyId(countyName) {
+  return (countyName || "")
+    .trim()
+    .replace(/^(co\.?|county)\s+/i, "")
+    .toLowerCase();
+}
+
+/**
+ * Describe the schema in a compact, prompt-friendly form
+ * @returns {string} Node labels with properties, then relationship patterns
+ */
+export function describeSchema() {
+  const nodeLines = Object.entries(NODE_SCHEMA)
+    .filter(([label]) => label !== LABELS.SCHEMA_MIGRATION)
+    .map(([label, node]) => `(:${label} {${node.properties.join(", ")}})`);
+
+  const relationshipLines = Object.entries(RELATIONSHIP_SCHEMA).map(
+    ([type, rel]) =>
+      `(:${rel.from})-[:${type}${
+        rel.properties.length ? ` {${rel.properties.join(", ")}}` : ""
+      }]->(:${rel.to})`
+  );
+
+  return `NODES:\n${nodeLines.join("\n")}\n\nRELATIONSHIPS:\n${relationshipLines.join("\n")}`;
+}
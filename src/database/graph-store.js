@@ -0,0 +1,66 @@
+/**
+ * Knowledge Graph Store
+ *
+ * The RAG system and the graph recommender read the knowledge graph through
+ * a store with a fixed set of traversals (plant to soil, plant to month,
+ * county to soil, companions, pollinators) rather than writing Cypher
+ * directly. getPlantFacts and getMonthFacts fetch every fact about a set of
+ * plants or months in one read, so callers do not make one round-trip per
+ * fact, and searchPlantsByCriteria runs the GraphRAG plant search (see
+ * plant-query-builder.js). Two backends implement it:
+ *
+ * - "neo4j" (default): Cypher queries against the database in neo4j-client.js
+ * - "memory": an in-process graph built from src/data, for local development,
+ *   demos and tests without a Neo4j connection
+ *
+ * Pick the backend with the GRAPH_BACKEND environment variable.
+ */
+
+import { createNeo4jGraphStore } from "./neo4j-graph-store.js";
+import { createMemoryGraphStore } from "./memory-graph-store.js";
+
+export const GRAPH_BACKENDS = {
+  NEO4J: "neo4j",
+  MEMORY: "memory",
+};
+
+const storeFactories = {
+  [GRAPH_BACKENDS.NEO4J]: createNeo4jGraphStore,
+  [GRAPH_BACKENDS.MEMORY]: createMemoryGraphStore,
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured graph backend name
+ * @returns {string} One of GRAPH_BACKENDS
+ */
+export function getGraphBackend() {
+  const backend = (process.env.GRAPH_BACKEND || GRAPH_BACKENDS.NEO4J)
+    .trim()
+    .toLowerCase();
+
+  if (!storeFactories[backend]) {
+    console.warn(
+      `Unknown GRAPH_BACKEND "${backend}", using "${GRAPH_BACKENDS.NEO4J}"`
+    );
+    return GRAPH_BACKENDS.NEO4J;
+  }
+
+  return backend;
+}
+
+/**
+ * Get the graph store for the configured backend
+ * @returns {Object} Graph store
+ */
+export function getGraphStore() {
+  const backend = getGraphBackend();
+
+  if (!activeStore || activeStore.backend !== backend) {
+    activeStore = storeFactories[backend]();
+    console.log(`Using ${backend} knowledge graph backend`);
+  }
+
+  return activeStore;
+}
@@ -0,0 +1,484 @@
+/**
+ * In-Memory Graph Store
+ *
+ * Builds the knowledge graph in process from src/data, using the same rows
+ * the migrations load into Neo4j, and answers the graph store traversals
+ * (see graph-store.js) without a database. Results match the Neo4j store for
+ * a database seeded with `npm run graph:migrate`.
+ */
+
+import {
+  LABELS,
+  RELATIONSHIPS,
+  assertRelationshipBetween,
+  toCountyId,
+} from "./graph-schema.js";
+import {
+  GROWING_PROPERTY_FACETS,
+  toSeasonName,
+} from "./plant-query-builder.js";
+import { MONTHS, SEASONS } from "./migrations/002-calendar.js";
+import { soilRows, countyRows } from "./migrations/003-soils-and-counties.js";
+import { plantRows } from "./migrations/004-plants.js";
+import {
+  COMPANION_PLANTINGS,
+  POLLINATORS,
+  POLLINATOR_ATTRACTIONS,
+} from "../data/plant-graph-data.js";
+
+// Neo4j's ORDER BY compares strings by code point, not by locale
+const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+// Names of the nodes a plant links to, as collect(DISTINCT node.name)
+const linkedNames = (nodes) => [...new Set(nodes.map((node) => node.name))];
+
+/**
+ * Build the nodes and relationships of the knowledge graph
+ * @returns {Object} Node collections plus outgoing/incoming adjacency maps
+ */
+function buildGraph() {
+  // node -> Map(relationship type -> [{ node, properties }])
+  const outgoing = new Map();
+  const incoming = new Map();
+
+  const link = (from, type, to, properties = {}) => {
+    for (const [index, start, end] of [
+      [outgoing, from, to],
+      [incoming, to, from],
+    ]) {
+      if (!index.has(start)) index.set(start, new Map());
+      const byType = index.get(start);
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push({ node: end, properties });
+    }
+  };
+
+  const seasons = new Map(SEASONS.map((name) => [name, { name }]));
+  const months = MONTHS.map((month) => ({
+    number: month.number,
+    name: month.name,
+    order: month.number,
+    season: month.season,
+  }));
+  for (const month of months) {
+    link(month, RELATIONSHIPS.BELONGS_TO, seasons.get(month.season));
+  }
+  const monthsByNumber = new Map(months.map((month) => [month.number, month]));
+
+  // `type` and `characteristics` mirror name/description, as in migration 003
+  const soilsByCode = new Map(
+    soilRows().map((row) => [
+      row.code,
+      { ...row, type: row.name, characteristics: row.description },
+    ])
+  );
+
+  const counties = countyRows().map(({ soilCode, ...county }) => {
+    const soil = soilsByCode.get(soilCode);
+    if (soil) link(county, RELATIONSHIPS.HAS_DOMINANT_SOIL, soil);
+    return county;
+  });
+
+  const plants = plantRows().map(
+    ({ soilCodes, plantMonths, harvestMonths, ...plant }) => {
+      for (const code of soilCodes) {
+        const soil = soilsByCode.get(code);
+        if (soil) link(plant, RELATIONSHIPS.GROWS_WELL_IN, soil);
+      }
+      for (const number of plantMonths) {
+        link(plant, RELATIONSHIPS.PLANT_IN, monthsByNumber.get(number));
+      }
+      for (const number of harvestMonths) {
+        link(plant, RELATIONSHIPS.HARVEST_IN, monthsByNumber.get(number));
+      }
+      return plant;
+    }
+  );
+  const plantsByName = new Map(plants.map((plant) => [plant.name, plant]));
+
+  for (const pairing of COMPANION_PLANTINGS) {
+    const plant1 = plantsByName.get(pairing.plant1);
+    const plant2 = plantsByName.get(pairing.plant2);
+    if (plant1 && plant2) {
+      link(plant1, pairing.relationship, plant2, { notes: pairing.notes });
+    }
+  }
+
+  const pollinators = new Map(POLLINATORS.map((name) => [name, { name }]));
+  for (const attraction of POLLINATOR_ATTRACTIONS) {
+    const plant = plantsByName.get(attraction.plant);
+    if (!plant) continue;
+    for (const name of attraction.pollinators) {
+      if (pollinators.has(name)) {
+        link(plant, RELATIONSHIPS.ATTRACTS, pollinators.get(name));
+      }
+    }
+  }
+
+  // Derived the same way as migration 008
+  for (const county of counties) {
+    const suitable = new Set();
+    const countySoils = neighbours(
+      outgoing,
+      county,
+      RELATIONSHIPS.HAS_DOMINANT_SOIL
+    );
+    for (const { node: soil } of countySoils) {
+      for (const { node: plant } of neighbours(
+        incoming,
+        soil,
+        RELATIONSHIPS.GROWS_WELL_IN
+      )) {
+        suitable.add(plant);
+      }
+    }
+    for (const plant of suitable) {
+      link(plant, RELATIONSHIPS.SUITABLE_FOR, county);
+    }
+  }
+
+  return {
+    plants,
+    plantsByName,
+    soils: [...soilsByCode.values()],
+    counties,
+    months,
+    outgoing,
+    incoming,
+  };
+}
+
+/**
+ * Get the relationships of one type from a node in an adjacency map
+ * @returns {Array<{node: Object, properties: Object}>}
+ */
+function neighbours(index, node, type) {
+  return index.get(node)?.get(type) || [];
+}
+
+/**
+ * Create a graph store that keeps the knowledge graph in memory
+ * @returns {Object} Graph store
+ */
+export function createMemoryGraphStore() {
+  const graph = buildGraph();
+
+  const out = (node, type) =>
+    neighbours(graph.outgoing, node, type).map(({ node: end }) => end);
+  const into = (node, type) =>
+    neighbours(graph.incoming, node, type).map(({ node: start }) => start);
+  const findMonth = (monthName) =>
+    graph.months.find((month) => month.name === monthName) || null;
+  const findCounty = (countyName) => {
+    const countyId = toCountyId(countyName);
+    return graph.counties.find((county) => county.id === countyId) || null;
+  };
+  const copy = (node) => ({ ...node });
+
+  return {
+    backend: "memory",
+
+    async verifyConnectivity() {
+      return { connected: true };
+    },
+
+    async listPlants() {
+      return [...graph.plants]
+        .sort(byName)
+        .map(({ id, name, type }) => ({ id, name, type }));
+    },
+
+    async listSoilTypes() {
+      return [...graph.soils]
+        .sort(byName)
+        .map(({ code, name, type }) => ({ code, name, type }));
+    },
+
+    async listCounties() {
+      return [...graph.counties].sort(byName).map(copy);
+    },
+
+    async listMonths() {
+      return graph.months.map(copy);
+    },
+
+    async getPlant(plantName) {
+      const plant = graph.plantsByName.get(plantName);
+      return plant ? copy(plant) : null;
+    },
+
+    async searchPlants(searchTerm, { limit = 10 } = {}) {
+      const term = (searchTerm || "").toLowerCase();
+      return graph.plants
+        .filter((plant) => plant.name.toLowerCase().includes(term))
+        .sort(byName)
+        .slice(0, Math.floor(limit))
+        .map(copy);
+    },
+
+    async findPlants({
+      type,
+      soilType,
+      county,
+      plantingMonth,
+      harvestingMonth,
+      limit = 20,
+    } = {}) {
+      const countyNode = county ? findCounty(county) : null;
+      const countySoils = countyNode
+        ? out(countyNode, RELATIONSHIPS.HAS_DOMINANT_SOIL)
+        : [];
+
+      return graph.plants
+        .filter((plant) => {
+          if (type && plant.type !== type) return false;
+
+          const soils = out(plant, RELATIONSHIPS.GROWS_WELL_IN);
+          if (soilType && !soils.some((soil) => soil.type === soilType)) {
+            return false;
+          }
+          if (county && !soils.some((soil) => countySoils.includes(soil))) {
+            return false;
+          }
+          if (
+            plantingMonth &&
+            !out(plant, RELATIONSHIPS.PLANT_IN).some(
+              (month) => month.name === plantingMonth
+            )
+          ) {
+            return false;
+          }
+          if (
+            harvestingMonth &&
+            !out(plant, RELATIONSHIPS.HARVEST_IN).some(
+              (month) => month.name === harvestingMonth
+            )
+          ) {
+            return false;
+          }
+          return true;
+        })
+        .sort(byName)
+        .slice(0, Math.floor(limit))
+        .map(copy);
+    },
+
+    async searchPlantsByCriteria(criteria = {}, { limit = null } = {}) {
+      // The same filters and facets as buildPlantQuery (plant-query-builder.js)
+      const { countyName, plantType, soilType, season, growingProperty } =
+        criteria;
+      const countyIds = countyName ? [].concat(countyName).map(toCountyId) : [];
+      const soilTypes = soilType ? [].concat(soilType) : [];
+      const seasons = season ? [].concat(season).map(toSeasonName) : [];
+      const facetValues = {
+        pollinators: (plant) => linkedNames(out(plant, RELATIONSHIPS.ATTRACTS)),
+        soilPreference: (plant) =>
+          linkedNames(out(plant, RELATIONSHIPS.GROWS_WELL_IN)),
+        growingCondition: (plant) => [
+          plant.sunNeeds ?? null,
+          plant.waterNeeds ?? null,
+        ],
+        plantingSeason: (plant) =>
+          linkedNames(out(plant, RELATIONSHIPS.PLANT_IN)),
+        harvestSeason: (plant) =>
+          linkedNames(out(plant, RELATIONSHIPS.HARVEST_IN)),
+        companionPlants: (plant) =>
+          linkedNames(out(plant, RELATIONSHIPS.COMPANION_TO)),
+      };
+
+      const records = [];
+      for (const plant of [...graph.plants].sort(byName)) {
+        const suitedCounties = out(plant, RELATIONSHIPS.SUITABLE_FOR).filter(
+          (county) => countyIds.includes(county.id)
+        );
+        if (countyName && suitedCounties.length === 0) continue;
+        if (plantType && plant.type !== plantType) continue;
+        if (
+          soilTypes.length > 0 &&
+          !out(plant, RELATIONSHIPS.GROWS_WELL_IN).some((soil) =>
+            soilTypes.includes(soil.name)
+          )
+        ) {
+          continue;
+        }
+        if (
+          seasons.length > 0 &&
+          ![
+            ...out(plant, RELATIONSHIPS.PLANT_IN),
+            ...out(plant, RELATIONSHIPS.HARVEST_IN),
+          ].some((month) => seasons.includes(month.season))
+        ) {
+          continue;
+        }
+
+        const record = {
+          plantName: plant.name,
+          plantId: plant.id,
+          plantType: plant.type,
+        };
+        if (Array.isArray(countyName)) {
+          record.matchedCounties = suitedCounties.map((county) => county.name);
+        }
+        for (const [key, facet] of Object.entries(GROWING_PROPERTY_FACETS)) {
+          record[facet.alias] =
+            key === growingProperty ? facetValues[key](plant) : [];
+        }
+        records.push(record);
+      }
+
+      return limit === null ? records : records.slice(0, Math.floor(limit));
+    },
+
+    async getPlantMonths(plantName, relationship = RELATIONSHIPS.PLANT_IN) {
+      assertRelationshipBetween(relationship, LABELS.PLANT, LABELS.MONTH);
+      const plant = graph.plantsByName.get(plantName);
+      if (!plant) return [];
+      return out(plant, relationship)
+        .sort((a, b) => a.order - b.order)
+        .map(copy);
+    },
+
+    async getPlantsForMonth(monthName, relationship = RELATIONSHIPS.PLANT_IN) {
+      assertRelationshipBetween(relationship, LABELS.PLANT, LABELS.MONTH);
+      const month = findMonth(monthName);
+      if (!month) return [];
+      return into(month, relationship).sort(byName).map(copy);
+    },
+
+    async getMonth(monthName) {
+      const month = findMonth(monthName);
+      return month ? copy(month) : null;
+    },
+
+    async getPlantSoils(plantName) {
+      const plant = graph.plantsByName.get(plantName);
+      if (!plant) return [];
+      return out(plant, RELATIONSHIPS.GROWS_WELL_IN).sort(byName).map(copy);
+    },
+
+    async getCountySoils(countyName) {
+      const county = findCounty(countyName);
+      if (!county) return [];
+      return out(county, RELATIONSHIPS.HAS_DOMINANT_SOIL)
+        .sort(byName)
+        .map(copy);
+    },
+
+    async getRelatedPlants(
+      plantName,
+      relationship = RELATIONSHIPS.COMPANION_TO
+    ) {
+      assertRelationshipBetween(relationship, LABELS.PLANT, LABELS.PLANT);
+      const plant = graph.plantsByName.get(plantName);
+      if (!plant) return [];
+      return out(plant, relationship).sort(byName).map(copy);
+    },
+
+    async getPlantPollinators(plantName) {
+      const plant = graph.plantsByName.get(plantName);
+      if (!plant) return [];
+      return out(plant, RELATIONSHIPS.ATTRACTS)
+        .map((pollinator) => pollinator.name)
+        .sort();
+    },
+
+    async getPlantsForPollinators(pollinatorTypes) {
+      return graph.plants
+        .map((plant) => ({
+          ...plant,
+          pollinators: out(plant, RELATIONSHIPS.ATTRACTS)
+            .map((pollinator) => pollinator.name)
+            .filter((name) => pollinatorTypes.includes(name))
+            .sort(),
+        }))
+        .filter((plant) => plant.pollinators.length > 0)
+        .sort(
+          (a, b) =>
+            b.pollinators.length - a.pollinators.length || byName(a, b)
+        );
+    },
+
+    async getPlantConnections(plantNames) {
+      const connections = {};
+
+      for (const plantName of plantNames) {
+        const plant = graph.plantsByName.get(plantName);
+        if (!plant) continue;
+
+        const relationships = [
+          RELATIONSHIPS.COMPANION_TO,
+          RELATIONSHIPS.ANTAGONISTIC_TO,
+        ].flatMap((type) =>
+          neighbours(graph.outgoing, plant, type).map(
+            ({ node, properties }) => ({
+              type,
+              plantName: node.name,
+              notes: properties.notes ?? null,
+            })
+          )
+        );
+
+        connections[plantName] = {
+          pollinators: out(plant, RELATIONSHIPS.ATTRACTS)
+            .map((pollinator) => pollinator.name)
+            .sort(),
+          relationships: relationships.sort((a, b) =>
+            a.plantName.localeCompare(b.plantName)
+          ),
+        };
+      }
+
+      return connections;
+    },
+
+    async getPlantFacts(plantNames) {
+      const facts = {};
+
+      for (const plantName of plantNames) {
+        const plant = graph.plantsByName.get(plantName);
+        if (!plant) continue;
+
+        facts[plantName] = {
+          plant: copy(plant),
+          plantingMonths: out(plant, RELATIONSHIPS.PLANT_IN)
+            .sort((a, b) => a.order - b.order)
+            .map(copy),
+          harvestingMonths: out(plant, RELATIONSHIPS.HARVEST_IN)
+            .sort((a, b) => a.order - b.order)
+            .map(copy),
+          soils: out(plant, RELATIONSHIPS.GROWS_WELL_IN).sort(byName).map(copy),
+          companions: out(plant, RELATIONSHIPS.COMPANION_TO)
+            .sort(byName)
+            .map(copy),
+          antagonists: out(plant, RELATIONSHIPS.ANTAGONISTIC_TO)
+            .sort(byName)
+            .map(copy),
+          pollinators: out(plant, RELATIONSHIPS.ATTRACTS)
+            .map((pollinator) => pollinator.name)
+            .sort(),
+        };
+      }
+
+      return facts;
+    },
+
+    async getMonthFacts(monthNames) {
+      const facts = {};
+
+      for (const monthName of monthNames) {
+        const month = findMonth(monthName);
+        if (!month) continue;
+
+        facts[monthName] = {
+          month: copy(month),
+          toPlant: into(month, RELATIONSHIPS.PLANT_IN).sort(byName).map(copy),
+          toHarvest: into(month, RELATIONSHIPS.HARVEST_IN)
+            .sort(byName)
+            .map(copy),
+        };
+      }
+
+      return facts;
+    },
+  };
+}
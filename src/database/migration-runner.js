@@ -0,0 +1,204 @@
+/**
+ * Knowledge Graph Migration Runner
+ *
+ * Builds and upgrades the Neo4j knowledge graph from the repo's own data
+ * files. Applied migrations are recorded as (:SchemaMigration) nodes so the
+ * runner can be re-run safely: versioned migrations run once, repeatable
+ * migrations re-run whenever the data they load changes.
+ */
+
+import crypto from "crypto";
+import { neo4jDriver, ensureDriverAvailable } from "./neo4j-client.js";
+import { migrations } from "./migrations/index.js";
+import { invalidateQueryCache } from "./query-cache.js";
+
+/**
+ * Compute a stable checksum for a migration from its code and source data
+ * @param {Object} migration - Migration definition
+ * @returns {string} Hex-encoded SHA-256 checksum
+ */
+export function computeChecksum(migration) {
+  const hash = crypto.createHash("sha256");
+  hash.update(migration.up.toString());
+  if (migration.checksumSource) {
+    hash.update(JSON.stringify(migration.checksumSource()));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Read the migration records stored in the graph
+ * @param {Object} session - Neo4j session
+ * @returns {Promise<Map>} Map of migration id to its stored record
+ */
+async function fetchAppliedMigrations(session) {
+  const result = await session.executeRead((tx) =>
+    tx.run(
+      `MATCH (m:SchemaMigration)
+       RETURN m.id AS id, m.checksum AS checksum, m.appliedAt AS appliedAt,
+              m.runCount AS runCount`
+    )
+  );
+
+  return new Map(
+    result.records.map((record) => [
+      record.get("id"),
+      {
+        checksum: record.get("checksum"),
+        appliedAt: record.get("appliedAt"),
+        runCount: record.get("runCount"),
+      },
+    ])
+  );
+}
+
+/**
+ * Classify a migration against its stored record
+ * @returns {string} "pending", "applied", "changed" (repeatable, will re-run)
+ *                   or "modified" (versioned migration edited after it ran)
+ */
+function classifyMigration(migration, checksum, applied) {
+  if (!applied) return "pending";
+  if (applied.checksum === checksum) return "applied";
+  return migration.repeatable ? "changed" : "modified";
+}
+
+/**
+ * Get the status of every known migration
+ * @returns {Promise<Array>} Array of { id, name, description, repeatable, state, appliedAt }
+ */
+export async function getMigrationStatus() {
+  ensureDriverAvailable();
+  const session = neo4jDriver.session();
+
+  try {
+    const appliedMigrations = await fetchAppliedMigrations(session);
+
+    return migrations.map((migration) => {
+      const checksum = computeChecksum(migration);
+      const applied = appliedMigrations.get(migration.id);
+
+      return {
+        id: migration.id,
+        name: migration.name,
+        description: migration.description,
+        repeatable: !!migration.repeatable,
+        state: classifyMigration(migration, checksum, applied),
+        appliedAt: applied?.appliedAt || null,
+      };
+    });
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Apply pending and changed migrations in order
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Report what would run without writing
+ * @param {boolean} options.force - Re-run every migration regardless of state
+ * @param {string} options.target - Stop after the migration with this id
+ * @returns {Promise<Object>} { applied, skipped, warnings }
+ */
+export async function runMigrations({
+  dryRun = false,
+  force = false,
+  target = null,
+} = {}) {
+  if (target && !migrations.some((migration) => migration.id === target)) {
+    throw new Error(`Unknown migration: ${target}`);
+  }
+
+  ensureDriverAvailable();
+  const session = neo4jDriver.session();
+  const summary = { applied: [], skipped: [], warnings: [] };
+
+  try {
+    const appliedMigrations = await fetchAppliedMigrations(session);
+
+    for (const migration of migrations) {
+      const checksum = computeChecksum(migration);
+      const state = classifyMigration(
+        migration,
+        checksum,
+        appliedMigrations.get(migration.id)
+      );
+
+      if (state === "modified") {
+        summary.warnings.push(
+          `Migration ${migration.id} (${migration.name}) was edited after it was applied - add a new migration instead`
+        );
+      }
+
+      const shouldRun = force || state === "pending" || state === "changed";
+
+      if (!shouldRun) {
+        summary.skipped.push({ id: migration.id, name: migration.name, state });
+      } else if (dryRun) {
+        summary.applied.push({ id: migration.id, name: migration.name, state });
+      } else {
+        console.log(`Applying migration ${migration.id} (${migration.name})...`);
+        const startTime = Date.now();
+
+        // Each migration runs in its own write transaction so a failure
+        // leaves earlier migrations recorded and later ones untouched
+        await session.executeWrite((tx) => migration.up(tx));
+
+        await session.executeWrite((tx) =>
+          tx.run(
+            `MERGE (m:SchemaMigration {id: $id})
+             ON CREATE SET m.runCount = 0
+             SET m.name = $name,
+                 m.checksum = $checksum,
+                 m.repeatable = $repeatable,
+                 m.appliedAt = datetime().epochMillis,
+                 m.runCount = m.runCount + 1`,
+            {
+              id: migration.id,
+              name: migration.name,
+              checksum,
+              repeatable: !!migration.repeatable,
+            }
+          )
+        );
+
+        summary.applied.push({
+          id: migration.id,
+          name: migration.name,
+          state,
+          durationMs: Date.now() - startTime,
+        });
+      }
+
+      if (target && migration.id === target) {
+        break;
+      }
+    }
+
+    return summary;
+  } finally {
+    await session.close();
+
+    // Cached reads may describe the graph as it was before this run
+    if (!dryRun && summary.applied.length > 0) {
+      invalidateQueryCache("migrations applied");
+    }
+  }
+}
+
+/**
+ * Delete every node and relationship in the graph, including migration
+ * records. Constraints and indexes are left in place.
+ * @returns {Promise<void>}
+ */
+export async function resetGraph() {
+  ensureDriverAvailable();
+  const session = neo4jDriver.session();
+
+  try {
+    await session.executeWrite((tx) => tx.run("MATCH (n) DETACH DELETE n"));
+  } finally {
+    await session.close();
+    invalidateQueryCache("graph reset");
+  }
+}
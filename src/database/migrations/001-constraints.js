@@ -0,0 +1,35 @@
+/**
+ * Migration 001: uniqueness constraints and lookup indexes
+ */
+
+export const migration = {
+  id: "001",
+  name: "constraints",
+  description: "Create uniqueness constraints and indexes for the core labels",
+  // Schema operations cannot share a transaction with data writes, which is
+  // why the runner records each migration in a separate transaction
+  async up(tx) {
+    const statements = [
+      "CREATE CONSTRAINT plant_id IF NOT EXISTS FOR (p:Plant) REQUIRE p.id IS UNIQUE",
+      "CREATE CONSTRAINT plant_name IF NOT EXISTS FOR (p:Plant) REQUIRE p.name IS UNIQUE",
+      "CREATE CONSTRAINT soil_code IF NOT EXISTS FOR (s:SoilType) REQUIRE s.code IS UNIQUE",
+      "CREATE CONSTRAINT county_id IF NOT EXISTS FOR (c:County) REQUIRE c.id IS UNIQUE",
+      "CREATE CONSTRAINT month_number IF NOT EXISTS FOR (m:Month) REQUIRE m.number IS UNIQUE",
+      "CREATE CONSTRAINT season_name IF NOT EXISTS FOR (s:Season) REQUIRE s.name IS UNIQUE",
+      "CREATE CONSTRAINT task_id IF NOT EXISTS FOR (t:GardeningTask) REQUIRE t.id IS UNIQUE",
+      "CREATE CONSTRAINT practice_id IF NOT EXISTS FOR (p:GardeningPractice) REQUIRE p.id IS UNIQUE",
+      "CREATE CONSTRAINT pollinator_name IF NOT EXISTS FOR (p:PollinatorType) REQUIRE p.name IS UNIQUE",
+      "CREATE CONSTRAINT sdg_id IF NOT EXISTS FOR (g:SustainableDevelopmentGoal) REQUIRE g.id IS UNIQUE",
+      "CREATE CONSTRAINT migration_id IF NOT EXISTS FOR (m:SchemaMigration) REQUIRE m.id IS UNIQUE",
+      "CREATE INDEX plant_type IF NOT EXISTS FOR (p:Plant) ON (p.type)",
+      "CREATE INDEX plant_native IF NOT EXISTS FOR (p:Plant) ON (p.nativeToIreland)",
+      "CREATE INDEX county_name IF NOT EXISTS FOR (c:County) ON (c.name)",
+      "CREATE INDEX soil_name IF NOT EXISTS FOR (s:SoilType) ON (s.name)",
+      "CREATE INDEX month_name IF NOT EXISTS FOR (m:Month) ON (m.name)",
+    ];
+
+    for (const statement of statements) {
+      await tx.run(statement);
+    }
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration 002: months and seasons
+ */
+
+import { getCurrentSeason } from "../../utils/date-utils.js";
+
+export const SEASONS = ["Spring", "Summer", "Autumn", "Winter"];
+
+export const MONTHS = Array.from({ length: 12 }, (_, index) => {
+  const number = index + 1;
+  const season = getCurrentSeason(number);
+  return {
+    number,
+    name: new Date(2025, index, 1).toLocaleString("en-IE", { month: "long" }),
+    season: season.charAt(0).toUpperCase() + season.slice(1),
+  };
+});
+
+export const migration = {
+  id: "002",
+  name: "calendar",
+  description: "Create Month and Season nodes linked by BELONGS_TO",
+  checksumSource: () => [SEASONS, MONTHS],
+  async up(tx) {
+    await tx.run(
+      `UNWIND $seasons AS seasonName
+       MERGE (:Season {name: seasonName})`,
+      { seasons: SEASONS }
+    );
+
+    await tx.run(
+      `UNWIND $months AS row
+       MERGE (m:Month {number: toInteger(row.number)})
+       SET m.name = row.name,
+           m.order = toInteger(row.number),
+           m.season = row.season
+       WITH m, row
+       MATCH (s:Season {name: row.season})
+       MERGE (m)-[:BELONGS_TO]->(s)`,
+      { months: MONTHS }
+    );
+  },
+};
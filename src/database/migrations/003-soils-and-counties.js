@@ -0,0 +1,76 @@
+/**
+ * Migration 003: soil types and counties
+ * Repeatable - re-runs whenever the Teagasc soil data in irish-soil-data.js changes
+ */
+
+import {
+  IRISH_SOIL_TYPES,
+  COUNTY_SOIL_MAPPING,
+  SOIL_RECOMMENDATIONS,
+} from "../../data/irish-soil-data.js";
+
+export function soilRows() {
+  return Object.entries(IRISH_SOIL_TYPES).map(([code, soil]) => ({
+    code,
+    name: soil.name,
+    description: soil.description,
+    phMin: soil.ph.min,
+    phMax: soil.ph.max,
+    texture: soil.texture,
+    nutrients: soil.nutrients,
+    drainage: soil.drainage,
+    gardeningNotes: soil.gardeningNotes,
+    recommendations: SOIL_RECOMMENDATIONS[code] || SOIL_RECOMMENDATIONS.default,
+  }));
+}
+
+export function countyRows() {
+  return Object.entries(COUNTY_SOIL_MAPPING)
+    .filter(([county]) => county !== "default")
+    .map(([county, soilCode]) => ({
+      id: county,
+      name: county.charAt(0).toUpperCase() + county.slice(1),
+      soilCode,
+    }));
+}
+
+export const migration = {
+  id: "003",
+  name: "soils-and-counties",
+  description: "Load SoilType and County nodes with HAS_DOMINANT_SOIL links",
+  repeatable: true,
+  checksumSource: () => [soilRows(), countyRows()],
+  async up(tx) {
+    // `type` and `characteristics` mirror name/description for the RAG queries
+    await tx.run(
+      `UNWIND $soils AS row
+       MERGE (s:SoilType {code: row.code})
+       SET s.name = row.name,
+           s.type = row.name,
+           s.description = row.description,
+           s.characteristics = row.description,
+           s.phMin = row.phMin,
+           s.phMax = row.phMax,
+           s.texture = row.texture,
+           s.nutrients = row.nutrients,
+           s.drainage = row.drainage,
+           s.gardeningNotes = row.gardeningNotes,
+           s.recommendations = row.recommendations`,
+      { soils: soilRows() }
+    );
+
+    await tx.run(
+      `UNWIND $counties AS row
+       MERGE (c:County {id: row.id})
+       SET c.name = row.name
+       WITH c, row
+       OPTIONAL MATCH (c)-[stale:HAS_DOMINANT_SOIL]->(old:SoilType)
+       WHERE old.code <> row.soilCode
+       DELETE stale
+       WITH DISTINCT c, row
+       MATCH (s:SoilType {code: row.soilCode})
+       MERGE (c)-[:HAS_DOMINANT_SOIL]->(s)`,
+      { counties: countyRows() }
+    );
+  },
+};
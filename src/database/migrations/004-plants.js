@@ -0,0 +1,111 @@
+/**
+ * Migration 004: plants, soil suitability and planting calendar
+ * Repeatable - re-runs whenever plants.js or plant-graph-data.js changes
+ */
+
+import { plants } from "../../data/plants.js";
+import { PLANT_TYPES, PLANTING_CALENDAR } from "../../data/plant-graph-data.js";
+
+export function plantRows() {
+  return plants.map((plant) => ({
+    id: plant.id.toString(),
+    name: plant.commonName,
+    type: PLANT_TYPES[plant.id] || "Plant",
+    latinName: plant.latinName,
+    description: plant.description,
+    waterNeeds: plant.waterNeeds,
+    sunNeeds: plant.sunNeeds,
+    soilPreference: plant.soilPreference,
+    nativeToIreland: plant.nativeToIreland,
+    isPerennial: plant.isPerennial,
+    harvestSeason: plant.harvestSeason || null,
+    floweringSeason: plant.floweringSeason || null,
+    growingSeason: plant.harvestSeason || plant.floweringSeason || null,
+    climateZones: plant.nativeToIreland ? ["Ireland"] : [],
+    imageUrl: plant.imageUrl || "",
+    sustainabilityRating: plant.sustainabilityRating,
+    waterConservationRating: plant.waterConservationRating,
+    biodiversityValue: plant.biodiversityValue,
+    soilCodes: plant.suitableSoilTypes || [],
+    plantMonths: PLANTING_CALENDAR[plant.id]?.plant || [],
+    harvestMonths: PLANTING_CALENDAR[plant.id]?.harvest || [],
+  }));
+}
+
+export const migration = {
+  id: "004",
+  name: "plants",
+  description:
+    "Load Plant nodes with GROWS_WELL_IN, PLANT_IN and HARVEST_IN links",
+  repeatable: true,
+  checksumSource: () => plantRows(),
+  async up(tx) {
+    const rows = plantRows();
+
+    await tx.run(
+      `UNWIND $plants AS row
+       MERGE (p:Plant {id: row.id})
+       SET p.name = row.name,
+           p.type = row.type,
+           p.latinName = row.latinName,
+           p.description = row.description,
+           p.waterNeeds = row.waterNeeds,
+           p.sunNeeds = row.sunNeeds,
+           p.soilPreference = row.soilPreference,
+           p.nativeToIreland = row.nativeToIreland,
+           p.isPerennial = row.isPerennial,
+           p.harvestSeason = row.harvestSeason,
+           p.floweringSeason = row.floweringSeason,
+           p.growingSeason = row.growingSeason,
+           p.climateZones = row.climateZones,
+           p.imageUrl = row.imageUrl,
+           p.sustainabilityRating = toInteger(row.sustainabilityRating),
+           p.waterConservationRating = toInteger(row.waterConservationRating),
+           p.biodiversityValue = toInteger(row.biodiversityValue)`,
+      { plants: rows }
+    );
+
+    // Remove plants that are no longer in the data, with all their links
+    await tx.run(
+      `MATCH (p:Plant)
+       WHERE NOT p.id IN $ids
+       DETACH DELETE p`,
+      { ids: rows.map((row) => row.id) }
+    );
+
+    // Rebuild the derived relationships so removals in the data files propagate
+    await tx.run(
+      `UNWIND $plants AS row
+       MATCH (p:Plant {id: row.id})-[r:GROWS_WELL_IN|PLANT_IN|HARVEST_IN]->()
+       DELETE r`,
+      { plants: rows }
+    );
+
+    await tx.run(
+      `UNWIND $plants AS row
+       MATCH (p:Plant {id: row.id})
+       UNWIND row.soilCodes AS soilCode
+       MATCH (s:SoilType {code: soilCode})
+       MERGE (p)-[:GROWS_WELL_IN]->(s)`,
+      { plants: rows }
+    );
+
+    await tx.run(
+      `UNWIND $plants AS row
+       MATCH (p:Plant {id: row.id})
+       UNWIND row.plantMonths AS monthNumber
+       MATCH (m:Month {number: toInteger(monthNumber)})
+       MERGE (p)-[:PLANT_IN]->(m)`,
+      { plants: rows }
+    );
+
+    await tx.run(
+      `UNWIND $plants AS row
+       MATCH (p:Plant {id: row.id})
+       UNWIND row.harvestMonths AS monthNumber
+       MATCH (m:Month {number: toInteger(monthNumber)})
+       MERGE (p)-[:HARVEST_IN]->(m)`,
+      { plants: rows }
+    );
+  },
+};
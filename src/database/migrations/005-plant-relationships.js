@@ -0,0 +1,56 @@
+/**
+ * Migration 005: companion planting and pollinator relationships
+ * Repeatable - re-runs whenever plant-graph-data.js changes
+ */
+
+import {
+  COMPANION_PLANTINGS,
+  POLLINATORS,
+  POLLINATOR_ATTRACTIONS,
+} from "../../data/plant-graph-data.js";
+
+export const migration = {
+  id: "005",
+  name: "plant-relationships",
+  description:
+    "Load COMPANION_TO, ANTAGONISTIC_TO and ATTRACTS relationships between plants and pollinators",
+  repeatable: true,
+  checksumSource: () => [COMPANION_PLANTINGS, POLLINATORS, POLLINATOR_ATTRACTIONS],
+  async up(tx) {
+    await tx.run(
+      `MATCH (:Plant)-[r:COMPANION_TO|ANTAGONISTIC_TO|ATTRACTS]->()
+       DELETE r`
+    );
+
+    // Relationship types cannot be parameterised, so load each type separately
+    for (const relationship of ["COMPANION_TO", "ANTAGONISTIC_TO"]) {
+      const pairs = COMPANION_PLANTINGS.filter(
+        (pairing) => pairing.relationship === relationship
+      );
+
+      await tx.run(
+        `UNWIND $pairs AS pair
+         MATCH (p1:Plant {name: pair.plant1})
+         MATCH (p2:Plant {name: pair.plant2})
+         MERGE (p1)-[r:${relationship}]->(p2)
+         SET r.notes = pair.notes`,
+        { pairs }
+      );
+    }
+
+    await tx.run(
+      `UNWIND $pollinators AS pollinatorName
+       MERGE (:PollinatorType {name: pollinatorName})`,
+      { pollinators: POLLINATORS }
+    );
+
+    await tx.run(
+      `UNWIND $attractions AS attraction
+       MATCH (plant:Plant {name: attraction.plant})
+       UNWIND attraction.pollinators AS pollinatorName
+       MATCH (pollinator:PollinatorType {name: pollinatorName})
+       MERGE (plant)-[:ATTRACTS]->(pollinator)`,
+      { attractions: POLLINATOR_ATTRACTIONS }
+    );
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration 006: monthly gardening tasks
+ * Repeatable - re-runs whenever gardening-tasks.js changes
+ */
+
+import { gardeningTasks } from "../../data/gardening-tasks.js";
+
+function taskRows() {
+  return gardeningTasks.flatMap((monthData) =>
+    monthData.tasks.map((task) => ({
+      id: task.id,
+      title: task.title,
+      description: task.description,
+      category: task.category,
+      priority: task.priority,
+      month: monthData.month,
+    }))
+  );
+}
+
+export const migration = {
+  id: "006",
+  name: "gardening-tasks",
+  description: "Load GardeningTask nodes with PERFORMED_IN links to months",
+  repeatable: true,
+  checksumSource: () => taskRows(),
+  async up(tx) {
+    const rows = taskRows();
+
+    await tx.run(
+      `MATCH (t:GardeningTask)
+       WHERE NOT t.id IN $ids
+       DETACH DELETE t`,
+      { ids: rows.map((row) => row.id) }
+    );
+
+    await tx.run(
+      `UNWIND $tasks AS row
+       MERGE (t:GardeningTask {id: row.id})
+       SET t.title = row.title,
+           t.description = row.description,
+           t.category = row.category,
+           t.priority = row.priority
+       WITH t, row
+       OPTIONAL MATCH (t)-[stale:PERFORMED_IN]->(:Month)
+       DELETE stale
+       WITH DISTINCT t, row
+       MATCH (m:Month {number: toInteger(row.month)})
+       MERGE (t)-[:PERFORMED_IN]->(m)`,
+      { tasks: rows }
+    );
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Migration 007: sustainable gardening practices and the SDGs they support
+ * Repeatable - re-runs whenever sustainability-metrics.js changes
+ */
+
+import {
+  sdgGoals,
+  sustainablePractices,
+} from "../../data/sustainability-metrics.js";
+
+function goalRows() {
+  return Object.values(sdgGoals).map((goal) => ({
+    id: goal.id,
+    number: goal.number,
+    name: goal.name,
+    description: goal.description,
+  }));
+}
+
+function practiceRows() {
+  return Object.entries(sustainablePractices).flatMap(([categoryKey, category]) =>
+    category.practices.map((practice) => ({
+      id: practice.id,
+      name: practice.name,
+      description: practice.description,
+      category: category.name,
+      categoryKey,
+      impact: practice.impact,
+      difficulty: practice.difficulty,
+      tips: practice.tips || "",
+      sdgs: practice.sdgs || category.sdgs || [],
+    }))
+  );
+}
+
+export const migration = {
+  id: "007",
+  name: "sustainable-practices",
+  description:
+    "Load GardeningPractice and SustainableDevelopmentGoal nodes with SUPPORTS_GOAL links",
+  repeatable: true,
+  checksumSource: () => [goalRows(), practiceRows()],
+  async up(tx) {
+    await tx.run(
+      `UNWIND $goals AS row
+       MERGE (g:SustainableDevelopmentGoal {id: row.id})
+       SET g.number = toInteger(row.number),
+           g.name = row.name,
+           g.description = row.description`,
+      { goals: goalRows() }
+    );
+
+    await tx.run(
+      `UNWIND $practices AS row
+       MERGE (p:GardeningPractice {id: row.id})
+       SET p.name = row.name,
+           p.description = row.description,
+           p.category = row.category,
+           p.categoryKey = row.categoryKey,
+           p.impact = row.impact,
+           p.difficulty = row.difficulty,
+           p.tips = row.tips
+       WITH p, row
+       OPTIONAL MATCH (p)-[stale:SUPPORTS_GOAL]->()
+       DELETE stale
+       WITH DISTINCT p, row
+       UNWIND row.sdgs AS goalId
+       MATCH (g:SustainableDevelopmentGoal {id: goalId})
+       MERGE (p)-[:SUPPORTS_GOAL]->(g)`,
+      { practices: practiceRows() }
+    );
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 008: derived plant-to-county suitability
+ * Repeatable - a plant suits a county when it grows well in the county's
+ * dominant soil, so this re-runs when either the plant or county soil data changes
+ */
+
+import { plants } from "../../data/plants.js";
+import { COUNTY_SOIL_MAPPING } from "../../data/irish-soil-data.js";
+
+export const migration = {
+  id: "008",
+  name: "county-suitability",
+  description: "Derive SUITABLE_FOR links from plant soils and county soils",
+  repeatable: true,
+  checksumSource: () => [
+    COUNTY_SOIL_MAPPING,
+    plants.map((plant) => [plant.commonName, plant.suitableSoilTypes]),
+  ],
+  async up(tx) {
+    await tx.run(
+      `MATCH (:Plant)-[r:SUITABLE_FOR]->(:County)
+       DELETE r`
+    );
+
+    await tx.run(
+      `MATCH (c:County)-[:HAS_DOMINANT_SOIL]->(:SoilType)<-[:GROWS_WELL_IN]-(p:Plant)
+       MERGE (p)-[:SUITABLE_FOR]->(c)`
+    );
+  },
+};
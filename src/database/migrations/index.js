@@ -0,0 +1,29 @@
+/**
+ * Ordered registry of knowledge graph migrations
+ *
+ * Each migration exports { id, name, description, up(tx) } and optionally:
+ * - repeatable: re-run whenever its checksumSource() output changes
+ * - checksumSource: returns the data the migration loads
+ *
+ * New migrations must be appended with the next id - never renumber.
+ */
+
+import { migration as constraints } from "./001-constraints.js";
+import { migration as calendar } from "./002-calendar.js";
+import { migration as soilsAndCounties } from "./003-soils-and-counties.js";
+import { migration as plants } from "./004-plants.js";
+import { migration as plantRelationships } from "./005-plant-relationships.js";
+import { migration as gardeningTasks } from "./006-gardening-tasks.js";
+import { migration as sustainablePractices } from "./007-sustainable-practices.js";
+import { migration as countySuitability } from "./008-county-suitability.js";
+
+export const migrations = [
+  constraints,
+  calendar,
+  soilsAndCounties,
+  plants,
+  plantRelationships,
+  gardeningTasks,
+  sustainablePractices,
+  countySuitability,
+];
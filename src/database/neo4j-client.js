@@ -11,7 +11,9 @@ dotenv.config();
 // Neo4j Aura connection credentials from .env
 const NEO4J_URI =
   process.env.NEO4J_URI || "neo4j+s://20647e1f.databases.neo4j.io";
-const NEO4J_USERNAME = process.env.NEO4J_USERNAME || "neo4j";
+// NEO4J_USER is the name the graph fetcher used before it shared this driver
+const NEO4J_USERNAME =
+  process.env.NEO4J_USERNAME || process.env.NEO4J_USER || "neo4j";
 const NEO4J_PASSWORD = process.env.NEO4J_PASSWORD || "";
 
 // Track driver state
@@ -0,0 +1,363 @@
+/**
+ * Neo4j Graph Store
+ *
+ * Answers the graph store traversals (see graph-store.js) with Cypher queries
+ * against the database configured in neo4j-client.js. Reads go through the
+ * shared query cache (see query-cache.js).
+ */
+
+import { verifyConnectivity } from "./neo4j-client.js";
+import { QUERY_CACHE_TTLS, runCachedQuery } from "./query-cache.js";
+import {
+  LABELS,
+  RELATIONSHIPS,
+  assertRelationshipBetween,
+  toCountyId,
+} from "./graph-schema.js";
+import { buildPlantQuery } from "./plant-query-builder.js";
+
+const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+// The driver returns integers as numbers (disableLosslessIntegers in neo4j-client.js)
+const byMonthOrder = (a, b) => a.order - b.order;
+
+/**
+ * Create a graph store backed by Neo4j
+ * @returns {Object} Graph store
+ */
+export function createNeo4jGraphStore() {
+  return {
+    backend: "neo4j",
+
+    verifyConnectivity,
+
+    async listPlants() {
+      return runCachedQuery(
+        `
+        MATCH (p:${LABELS.PLANT})
+        RETURN p.id AS id, p.name AS name, p.type AS type
+        ORDER BY p.name
+      `,
+        {},
+        { ttlMs: QUERY_CACHE_TTLS.REFERENCE }
+      );
+    },
+
+    async listSoilTypes() {
+      return runCachedQuery(
+        `
+        MATCH (s:${LABELS.SOIL_TYPE})
+        RETURN s.code AS code, s.name AS name, s.type AS type
+        ORDER BY s.name
+      `,
+        {},
+        { ttlMs: QUERY_CACHE_TTLS.REFERENCE }
+      );
+    },
+
+    async listCounties() {
+      return runCachedQuery(
+        `
+        MATCH (c:${LABELS.COUNTY})
+        RETURN c.id AS id, c.name AS name
+        ORDER BY c.name
+      `,
+        {},
+        { ttlMs: QUERY_CACHE_TTLS.REFERENCE }
+      );
+    },
+
+    async listMonths() {
+      const results = await runCachedQuery(
+        `
+        MATCH (m:${LABELS.MONTH})
+        RETURN m
+        ORDER BY m.order
+      `,
+        {},
+        { ttlMs: QUERY_CACHE_TTLS.REFERENCE }
+      );
+      return results.map((record) => record.m);
+    },
+
+    async getPlant(plantName) {
+      const results = await runCachedQuery(
+        `
+        MATCH (p:${LABELS.PLANT} {name: $plantName})
+        RETURN p
+      `,
+        { plantName }
+      );
+      return results.length > 0 ? results[0].p : null;
+    },
+
+    async searchPlants(searchTerm, { limit = 10 } = {}) {
+      const results = await runCachedQuery(
+        `
+        MATCH (p:${LABELS.PLANT})
+        WHERE toLower(p.name) CONTAINS toLower($searchTerm)
+        RETURN p
+        ORDER BY p.name
+        LIMIT ${Math.floor(limit)}
+      `,
+        { searchTerm },
+        { ttlMs: QUERY_CACHE_TTLS.SEARCH }
+      );
+      return results.map((record) => record.p);
+    },
+
+    async findPlants({
+      type,
+      soilType,
+      county,
+      plantingMonth,
+      harvestingMonth,
+      limit = 20,
+    } = {}) {
+      let query = `
+        MATCH (p:${LABELS.PLANT})
+        WHERE 1=1
+      `;
+      const params = {};
+
+      if (type) {
+        query += ` AND p.type = $plantType`;
+        params.plantType = type;
+      }
+
+      if (soilType) {
+        query += ` AND EXISTS {
+          MATCH (p)-[:${RELATIONSHIPS.GROWS_WELL_IN}]->(:${LABELS.SOIL_TYPE} {type: $soilType})
+        }`;
+        params.soilType = soilType;
+      }
+
+      if (county) {
+        query += ` AND EXISTS {
+          MATCH (:${LABELS.COUNTY} {id: $countyId})-[:${RELATIONSHIPS.HAS_DOMINANT_SOIL}]->(:${LABELS.SOIL_TYPE})<-[:${RELATIONSHIPS.GROWS_WELL_IN}]-(p)
+        }`;
+        params.countyId = toCountyId(county);
+      }
+
+      if (plantingMonth) {
+        query += ` AND EXISTS {
+          MATCH (p)-[:${RELATIONSHIPS.PLANT_IN}]->(:${LABELS.MONTH} {name: $plantingMonth})
+        }`;
+        params.plantingMonth = plantingMonth;
+      }
+
+      if (harvestingMonth) {
+        query += ` AND EXISTS {
+          MATCH (p)-[:${RELATIONSHIPS.HARVEST_IN}]->(:${LABELS.MONTH} {name: $harvestingMonth})
+        }`;
+        params.harvestingMonth = harvestingMonth;
+      }
+
+      query += `
+        RETURN p
+        ORDER BY p.name
+        LIMIT ${Math.floor(limit)}
+      `;
+
+      const results = await runCachedQuery(query, params, {
+        ttlMs: QUERY_CACHE_TTLS.SEARCH,
+      });
+      return results.map((record) => record.p);
+    },
+
+    async searchPlantsByCriteria(criteria = {}, { limit = null } = {}) {
+      const { query, params } = buildPlantQuery(criteria, { limit });
+      return runCachedQuery(query, params, { ttlMs: QUERY_CACHE_TTLS.SEARCH });
+    },
+
+    async getPlantMonths(plantName, relationship = RELATIONSHIPS.PLANT_IN) {
+      assertRelationshipBetween(relationship, LABELS.PLANT, LABELS.MONTH);
+      const results = await runCachedQuery(
+        `
+        MATCH (:${LABELS.PLANT} {name: $plantName})-[:${relationship}]->(m:${LABELS.MONTH})
+        RETURN m
+        ORDER BY m.order
+      `,
+        { plantName }
+      );
+      return results.map((record) => record.m);
+    },
+
+    async getPlantsForMonth(monthName, relationship = RELATIONSHIPS.PLANT_IN) {
+      assertRelationshipBetween(relationship, LABELS.PLANT, LABELS.MONTH);
+      const results = await runCachedQuery(
+        `
+        MATCH (p:${LABELS.PLANT})-[:${relationship}]->(:${LABELS.MONTH} {name: $monthName})
+        RETURN p
+        ORDER BY p.name
+      `,
+        { monthName }
+      );
+      return results.map((record) => record.p);
+    },
+
+    async getMonth(monthName) {
+      const results = await runCachedQuery(
+        `
+        MATCH (m:${LABELS.MONTH} {name: $monthName})
+        RETURN m
+      `,
+        { monthName }
+      );
+      return results.length > 0 ? results[0].m : null;
+    },
+
+    async getPlantSoils(plantName) {
+      const results = await runCachedQuery(
+        `
+        MATCH (:${LABELS.PLANT} {name: $plantName})-[:${RELATIONSHIPS.GROWS_WELL_IN}]->(s:${LABELS.SOIL_TYPE})
+        RETURN s
+        ORDER BY s.name
+      `,
+        { plantName }
+      );
+      return results.map((record) => record.s);
+    },
+
+    async getCountySoils(countyName) {
+      const results = await runCachedQuery(
+        `
+        MATCH (:${LABELS.COUNTY} {id: $countyId})-[:${RELATIONSHIPS.HAS_DOMINANT_SOIL}]->(s:${LABELS.SOIL_TYPE})
+        RETURN s
+        ORDER BY s.name
+      `,
+        { countyId: toCountyId(countyName) }
+      );
+      return results.map((record) => record.s);
+    },
+
+    async getRelatedPlants(
+      plantName,
+      relationship = RELATIONSHIPS.COMPANION_TO
+    ) {
+      assertRelationshipBetween(relationship, LABELS.PLANT, LABELS.PLANT);
+      const results = await runCachedQuery(
+        `
+        MATCH (:${LABELS.PLANT} {name: $plantName})-[:${relationship}]->(related:${LABELS.PLANT})
+        RETURN related
+        ORDER BY related.name
+      `,
+        { plantName }
+      );
+      return results.map((record) => record.related);
+    },
+
+    async getPlantPollinators(plantName) {
+      const results = await runCachedQuery(
+        `
+        MATCH (:${LABELS.PLANT} {name: $plantName})-[:${RELATIONSHIPS.ATTRACTS}]->(pol:${LABELS.POLLINATOR_TYPE})
+        RETURN pol.name AS name
+        ORDER BY pol.name
+      `,
+        { plantName }
+      );
+      return results.map((record) => record.name);
+    },
+
+    async getPlantsForPollinators(pollinatorTypes) {
+      const results = await runCachedQuery(
+        `
+        MATCH (plant:${LABELS.PLANT})-[:${RELATIONSHIPS.ATTRACTS}]->(pollinator:${LABELS.POLLINATOR_TYPE})
+        WHERE pollinator.name IN $pollinatorTypes
+        WITH plant, collect(DISTINCT pollinator.name) AS attractedPollinators
+        RETURN plant, attractedPollinators
+        ORDER BY size(attractedPollinators) DESC, plant.name
+      `,
+        { pollinatorTypes }
+      );
+      return results.map((record) => ({
+        ...record.plant,
+        pollinators: [...record.attractedPollinators].sort(),
+      }));
+    },
+
+    async getPlantConnections(plantNames) {
+      const results = await runCachedQuery(
+        `
+        UNWIND $plantNames AS plantName
+        MATCH (plant:${LABELS.PLANT} {name: plantName})
+        OPTIONAL MATCH (plant)-[:${RELATIONSHIPS.ATTRACTS}]->(pollinator:${LABELS.POLLINATOR_TYPE})
+        WITH plant, collect(DISTINCT pollinator.name) AS pollinators
+        OPTIONAL MATCH (plant)-[r:${RELATIONSHIPS.COMPANION_TO}|${RELATIONSHIPS.ANTAGONISTIC_TO}]->(other:${LABELS.PLANT})
+        RETURN plant.name AS name, pollinators,
+               collect(DISTINCT CASE WHEN r IS NULL THEN null ELSE {
+                 type: type(r),
+                 plantName: other.name,
+                 notes: r.notes
+               } END) AS relationships
+      `,
+        { plantNames }
+      );
+
+      const connections = {};
+      for (const record of results) {
+        connections[record.name] = {
+          pollinators: [...record.pollinators].sort(),
+          relationships: [...record.relationships].sort((a, b) =>
+            a.plantName.localeCompare(b.plantName)
+          ),
+        };
+      }
+      return connections;
+    },
+
+    async getPlantFacts(plantNames) {
+      const results = await runCachedQuery(
+        `
+        UNWIND $plantNames AS plantName
+        MATCH (plant:${LABELS.PLANT} {name: plantName})
+        RETURN plant,
+               [(plant)-[:${RELATIONSHIPS.PLANT_IN}]->(m:${LABELS.MONTH}) | m {.*}] AS plantingMonths,
+               [(plant)-[:${RELATIONSHIPS.HARVEST_IN}]->(m:${LABELS.MONTH}) | m {.*}] AS harvestingMonths,
+               [(plant)-[:${RELATIONSHIPS.GROWS_WELL_IN}]->(s:${LABELS.SOIL_TYPE}) | s {.*}] AS soils,
+               [(plant)-[:${RELATIONSHIPS.COMPANION_TO}]->(other:${LABELS.PLANT}) | other {.*}] AS companions,
+               [(plant)-[:${RELATIONSHIPS.ANTAGONISTIC_TO}]->(other:${LABELS.PLANT}) | other {.*}] AS antagonists,
+               [(plant)-[:${RELATIONSHIPS.ATTRACTS}]->(pol:${LABELS.POLLINATOR_TYPE}) | pol.name] AS pollinators
+      `,
+        { plantNames }
+      );
+
+      // Pattern comprehensions are unordered, so sort as the single reads do
+      const facts = {};
+      for (const record of results) {
+        facts[record.plant.name] = {
+          plant: record.plant,
+          plantingMonths: [...record.plantingMonths].sort(byMonthOrder),
+          harvestingMonths: [...record.harvestingMonths].sort(byMonthOrder),
+          soils: [...record.soils].sort(byName),
+          companions: [...record.companions].sort(byName),
+          antagonists: [...record.antagonists].sort(byName),
+          pollinators: [...record.pollinators].sort(),
+        };
+      }
+      return facts;
+    },
+
+    async getMonthFacts(monthNames) {
+      const results = await runCachedQuery(
+        `
+        UNWIND $monthNames AS monthName
+        MATCH (month:${LABELS.MONTH} {name: monthName})
+        RETURN month,
+               [(p:${LABELS.PLANT})-[:${RELATIONSHIPS.PLANT_IN}]->(month) | p {.*}] AS toPlant,
+               [(p:${LABELS.PLANT})-[:${RELATIONSHIPS.HARVEST_IN}]->(month) | p {.*}] AS toHarvest
+      `,
+        { monthNames }
+      );
+
+      const facts = {};
+      for (const record of results) {
+        facts[record.month.name] = {
+          month: record.month,
+          toPlant: [...record.toPlant].sort(byName),
+          toHarvest: [...record.toHarvest].sort(byName),
+        };
+      }
+      return facts;
+    },
+  };
+}
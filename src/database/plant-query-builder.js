@@ -0,0 +1,226 @@
+/**
+ * Plant Query Builder
+ *
+ * Builds fully parameterised Cypher for plant searches. Request values only
+ * ever reach the database as query parameters; the query text is assembled
+ * from fixed clauses and names from graph-schema.js.
+ *
+ * Filters and growing-property facets are declared in tables below, so a new
+ * facet is one more entry in GROWING_PROPERTY_FACETS.
+ */
+
+import { LABELS, RELATIONSHIPS, toCountyId } from "./graph-schema.js";
+
+/**
+ * Create a builder that collects clauses and parameters for one query
+ * @returns {Object} Builder with chainable clause methods and build()
+ */
+export function createCypherBuilder() {
+  const matches = [];
+  const conditions = [];
+  const optionalMatches = [];
+  const columns = [];
+  const params = {};
+  let distinct = false;
+  let orderBy = null;
+  let limit = null;
+
+  const builder = {
+    match(pattern) {
+      matches.push(`MATCH ${pattern}`);
+      return builder;
+    },
+
+    where(condition) {
+      conditions.push(condition);
+      return builder;
+    },
+
+    optionalMatch(pattern) {
+      optionalMatches.push(`OPTIONAL MATCH ${pattern}`);
+      return builder;
+    },
+
+    param(name, value) {
+      if (!/^[A-Za-z_]\w*$/.test(name)) {
+        throw new Error(`Invalid query parameter name: ${name}`);
+      }
+      params[name] = value;
+      return builder;
+    },
+
+    returns(expression, alias, { distinct: isDistinct = false } = {}) {
+      columns.push(alias ? `${expression} AS ${alias}` : expression);
+      distinct = distinct || isDistinct;
+      return builder;
+    },
+
+    orderBy(expression) {
+      orderBy = expression;
+      return builder;
+    },
+
+    limit(count) {
+      limit = Math.floor(count);
+      return builder;
+    },
+
+    build() {
+      if (matches.length === 0 || columns.length === 0) {
+        throw new Error("A query needs at least one MATCH and one RETURN column");
+      }
+
+      const lines = [...matches];
+      if (conditions.length > 0) {
+        lines.push(`WHERE ${conditions.join("\n  AND ")}`);
+      }
+      lines.push(...optionalMatches);
+      lines.push(`RETURN ${distinct ? "DISTINCT " : ""}${columns.join(",\n       ")}`);
+      if (orderBy) lines.push(`ORDER BY ${orderBy}`);
+      if (limit !== null) lines.push(`LIMIT ${limit}`);
+
+      return { query: lines.join("\n"), params: { ...params } };
+    },
+  };
+
+  return builder;
+}
+
+/**
+ * Filters applied to `plant` when the matching criterion is set. Each adds a
+ * WHERE condition and the parameters it needs. County, soil type and season
+ * also accept a list of values, matching any of them, which the relaxation
+ * engine uses for soft matches (see constraint-relaxation.js).
+ */
+export const PLANT_FILTERS = {
+  countyName: (builder, countyName) => {
+    if (!Array.isArray(countyName)) {
+      return builder
+        .where(
+          `EXISTS { MATCH (plant)-[:${RELATIONSHIPS.SUITABLE_FOR}]->(:${LABELS.COUNTY} {id: $countyId}) }`
+        )
+        .param("countyId", toCountyId(countyName));
+    }
+
+    // Report which of the counties each plant suits
+    return builder
+      .where(
+        `EXISTS { MATCH (plant)-[:${RELATIONSHIPS.SUITABLE_FOR}]->(county:${LABELS.COUNTY}) WHERE county.id IN $countyIds }`
+      )
+      .returns(
+        `[(plant)-[:${RELATIONSHIPS.SUITABLE_FOR}]->(county:${LABELS.COUNTY}) WHERE county.id IN $countyIds | county.name]`,
+        "matchedCounties"
+      )
+      .param("countyIds", countyName.map(toCountyId));
+  },
+
+  plantType: (builder, plantType) =>
+    builder.where("plant.type = $plantType").param("plantType", plantType),
+
+  soilType: (builder, soilType) =>
+    builder
+      .where(
+        `EXISTS { MATCH (plant)-[:${RELATIONSHIPS.GROWS_WELL_IN}]->(soil:${LABELS.SOIL_TYPE}) WHERE soil.name IN $soilTypes }`
+      )
+      .param("soilTypes", [].concat(soilType)),
+
+  season: (builder, season) =>
+    builder
+      .where(
+        `EXISTS { MATCH (plant)-[:${RELATIONSHIPS.PLANT_IN}|${RELATIONSHIPS.HARVEST_IN}]->(month:${LABELS.MONTH}) WHERE month.season IN $seasons }`
+      )
+      .param("seasons", [].concat(season).map(toSeasonName)),
+};
+
+/**
+ * Extra data returned for the `growingProperty` the user picked. `match` is
+ * an optional pattern joined with OPTIONAL MATCH and `value` the returned
+ * expression. Every facet's alias is always returned, as an empty list when
+ * the facet is not selected, so result shapes stay stable.
+ */
+export const GROWING_PROPERTY_FACETS = {
+  pollinators: {
+    alias: "pollinators",
+    match: `(plant)-[:${RELATIONSHIPS.ATTRACTS}]->(pollinator:${LABELS.POLLINATOR_TYPE})`,
+    value: "collect(DISTINCT pollinator.name)",
+  },
+  soilPreference: {
+    alias: "soilTypes",
+    match: `(plant)-[:${RELATIONSHIPS.GROWS_WELL_IN}]->(soilType:${LABELS.SOIL_TYPE})`,
+    value: "collect(DISTINCT soilType.name)",
+  },
+  // Growing conditions are stored as plant properties, not separate nodes
+  growingCondition: {
+    alias: "growingConditions",
+    value: "[plant.sunNeeds, plant.waterNeeds]",
+  },
+  plantingSeason: {
+    alias: "plantingMonths",
+    match: `(plant)-[:${RELATIONSHIPS.PLANT_IN}]->(plantMonth:${LABELS.MONTH})`,
+    value: "collect(DISTINCT plantMonth.name)",
+  },
+  harvestSeason: {
+    alias: "harvestMonths",
+    match: `(plant)-[:${RELATIONSHIPS.HARVEST_IN}]->(harvestMonth:${LABELS.MONTH})`,
+    value: "collect(DISTINCT harvestMonth.name)",
+  },
+  companionPlants: {
+    alias: "companionPlants",
+    match: `(plant)-[:${RELATIONSHIPS.COMPANION_TO}]->(companion:${LABELS.PLANT})`,
+    value: "collect(DISTINCT companion.name)",
+  },
+};
+
+/**
+ * Normalise a season name to the capitalised form stored on Month nodes
+ * @param {string} season - e.g. "spring" or "Spring"
+ * @returns {string} e.g. "Spring"
+ */
+export function toSeasonName(season) {
+  const name = season.trim().toLowerCase();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Build the plant search used by the deterministic endpoint
+ * @param {Object} criteria - Search criteria; empty values are ignored
+ * @param {string|Array<string>} criteria.countyName - County (or any of several) the plants must suit
+ * @param {string} criteria.plantType - Plant `type` property (e.g. "Vegetable")
+ * @param {string|Array<string>} criteria.soilType - Soil type name(s)
+ * @param {string|Array<string>} criteria.season - Season(s) with a planting or harvest month
+ * @param {string} criteria.growingProperty - Key of GROWING_PROPERTY_FACETS to include
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of plants
+ * @returns {Object} { query, params }
+ */
+export function buildPlantQuery(criteria = {}, { limit = null } = {}) {
+  const builder = createCypherBuilder()
+    .match(`(plant:${LABELS.PLANT})`)
+    .returns("plant.name", "plantName", { distinct: true })
+    .returns("plant.id", "plantId")
+    .returns("plant.type", "plantType");
+
+  for (const [criterion, applyFilter] of Object.entries(PLANT_FILTERS)) {
+    if (criteria[criterion]) {
+      applyFilter(builder, criteria[criterion]);
+    }
+  }
+
+  const facet = Object.hasOwn(GROWING_PROPERTY_FACETS, criteria.growingProperty)
+    ? GROWING_PROPERTY_FACETS[criteria.growingProperty]
+    : null;
+  if (facet?.match) {
+    builder.optionalMatch(facet.match);
+  }
+
+  for (const candidate of Object.values(GROWING_PROPERTY_FACETS)) {
+    builder.returns(candidate === facet ? candidate.value : "[]", candidate.alias);
+  }
+
+  builder.orderBy("plantName ASC");
+  if (limit !== null) {
+    builder.limit(limit);
+  }
+
+  return builder.build();
+}
@@ -0,0 +1,226 @@
+/**
+ * Query Cache
+ *
+ * A read cache in front of runQuery. Results are keyed by the query text and
+ * its parameters and kept for a per-query TTL, with a bound on the number of
+ * entries (least recently used entries are evicted first).
+ *
+ * Graph facts change when the graph is reseeded, not per request, so the
+ * cache is cleared when migrations run in this process and also notices
+ * reseeds from other processes (`npm run graph:migrate`) by checking the
+ * SchemaMigration records at most once per version check interval.
+ */
+
+import { runQuery } from "./neo4j-client.js";
+import { LABELS } from "./graph-schema.js";
+
+// TTLs for the kinds of reads the app makes
+export const QUERY_CACHE_TTLS = {
+  // Months, soil types, counties and the plant list
+  REFERENCE: 6 * 60 * 60 * 1000,
+  // Per-plant facts: months, soils, companions, pollinators
+  GRAPH_FACTS: 60 * 60 * 1000,
+  // Filtered searches built from user input
+  SEARCH: 10 * 60 * 1000,
+};
+
+export const DEFAULT_MAX_ENTRIES = 1000;
+export const DEFAULT_VERSION_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Build a cache key from a query and its parameters. Whitespace in the query
+ * and the order of parameter keys do not change the key.
+ */
+export function buildCacheKey(query, params = {}) {
+  const sortedParams = Object.keys(params)
+    .sort()
+    .map((key) => [key, params[key]]);
+  return `${query.replace(/\s+/g, " ").trim()}|${JSON.stringify(sortedParams)}`;
+}
+
+/**
+ * Create a query cache
+ * @param {Object} options
+ * @param {number} options.maxEntries - Maximum number of cached results
+ * @param {number} options.defaultTtlMs - TTL when a read does not set one
+ * @param {Function} options.getVersion - Async function returning the current graph version, or null to skip version checks
+ * @param {number} options.versionCheckIntervalMs - Minimum time between version checks
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} Cache with getOrLoad, invalidate and getStats
+ */
+export function createQueryCache({
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  defaultTtlMs = QUERY_CACHE_TTLS.GRAPH_FACTS,
+  getVersion = null,
+  versionCheckIntervalMs = DEFAULT_VERSION_CHECK_INTERVAL_MS,
+  now = Date.now,
+} = {}) {
+  // Map iteration order doubles as recency order for LRU eviction
+  const entries = new Map();
+  // Loads in progress, so concurrent misses for one key share a query
+  const pending = new Map();
+  const stats = {
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    expirations: 0,
+    invalidations: 0,
+  };
+
+  let version;
+  let lastVersionCheck = -Infinity;
+  let lastInvalidation = null;
+
+  function invalidate(reason = "manual") {
+    const cleared = entries.size;
+    entries.clear();
+    pending.clear();
+    stats.invalidations++;
+    lastInvalidation = { reason, cleared, at: new Date(now()).toISOString() };
+    console.log(`Query cache invalidated (${reason}): ${cleared} entries cleared`);
+    return cleared;
+  }
+
+  async function checkVersion() {
+    if (!getVersion || now() - lastVersionCheck < versionCheckIntervalMs) {
+      return;
+    }
+    lastVersionCheck = now();
+
+    try {
+      const currentVersion = await getVersion();
+      if (version !== undefined && currentVersion !== version) {
+        invalidate("graph reseeded");
+      }
+      version = currentVersion;
+    } catch (error) {
+      // Serve what we have; the read itself will report the outage
+      console.warn("Query cache version check failed:", error.message);
+    }
+  }
+
+  return {
+    /**
+     * Return the cached value for `key`, or load, cache and return it
+     * @param {string} key - Cache key (see buildCacheKey)
+     * @param {Function} load - Async function producing the value
+     * @param {Object} options
+     * @param {number} options.ttlMs - How long the value stays fresh
+     * @returns {Promise<*>} A copy of the cached value
+     */
+    async getOrLoad(key, load, { ttlMs = defaultTtlMs } = {}) {
+      await checkVersion();
+
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > now()) {
+        stats.hits++;
+        entries.delete(key);
+        entries.set(key, entry);
+        return structuredClone(entry.value);
+      }
+      if (entry) {
+        stats.expirations++;
+        entries.delete(key);
+      }
+
+      stats.misses++;
+
+      if (!pending.has(key)) {
+        const loading = (async () => {
+          try {
+            const value = await load();
+            // A reseed while loading makes this result stale
+            if (pending.get(key) === loading) {
+              entries.set(key, { value, expiresAt: now() + ttlMs });
+              while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+                stats.evictions++;
+              }
+            }
+            return value;
+          } finally {
+            if (pending.get(key) === loading) pending.delete(key);
+          }
+        })();
+        pending.set(key, loading);
+      }
+
+      return structuredClone(await pending.get(key));
+    },
+
+    invalidate,
+
+    /**
+     * Hit/miss counters and size
+     * @returns {Object} Cache statistics
+     */
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        size: entries.size,
+        maxEntries,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0,
+        version: version ?? null,
+        lastInvalidation,
+      };
+    },
+  };
+}
+
+/**
+ * Graph version from the migration records: changes whenever a migration
+ * runs or the graph is reset
+ */
+async function fetchGraphVersion() {
+  const [record] = await runQuery(
+    `MATCH (m:${LABELS.SCHEMA_MIGRATION})
+     RETURN count(m) AS migrations, max(m.appliedAt) AS lastAppliedAt`
+  );
+  return `${record?.migrations ?? 0}:${record?.lastAppliedAt ?? "none"}`;
+}
+
+const cacheEnabled = process.env.QUERY_CACHE_ENABLED !== "false";
+
+export const queryCache = createQueryCache({
+  maxEntries:
+    parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES,
+  getVersion: fetchGraphVersion,
+});
+
+/**
+ * Run a read query through the shared cache
+ * @param {string} query - Read-only Cypher
+ * @param {Object} params - Query parameters
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long the result stays fresh (see QUERY_CACHE_TTLS)
+ * @returns {Promise<Array>} Records, as returned by runQuery
+ */
+export async function runCachedQuery(query, params = {}, { ttlMs } = {}) {
+  if (!cacheEnabled) {
+    return runQuery(query, params);
+  }
+
+  return queryCache.getOrLoad(
+    buildCacheKey(query, params),
+    () => runQuery(query, params),
+    { ttlMs }
+  );
+}
+
+/**
+ * Clear the shared cache, e.g. after reseeding the graph
+ * @param {string} reason - Logged and reported in the cache stats
+ * @returns {number} Number of entries cleared
+ */
+export function invalidateQueryCache(reason) {
+  return queryCache.invalidate(reason);
+}
+
+/**
+ * Statistics for the shared cache
+ * @returns {Object} Hits, misses, evictions, size and hit rate
+ */
+export function getQueryCacheStats() {
+  return { enabled: cacheEnabled, ...queryCache.getStats() };
+}
@@ -0,0 +1,414 @@
+/**
+ * Schema Drift Checker
+ *
+ * Compares three views of the knowledge graph and reports where they disagree:
+ * - the canonical schema declared in graph-schema.js
+ * - the labels, relationship types and properties referenced by Cypher in code
+ * - the labels, relationship types and properties present in a live database
+ *
+ * A query that names a relationship the database does not have returns zero
+ * rows rather than failing, so these mismatches are otherwise silent.
+ */
+
+import neo4j from "neo4j-driver";
+import { neo4jDriver, ensureDriverAvailable } from "./neo4j-client.js";
+import {
+  NODE_SCHEMA,
+  RELATIONSHIP_SCHEMA,
+  LEGACY_NAMES,
+  isKnownLabel,
+  isKnownRelationship,
+} from "./graph-schema.js";
+
+// (n:Label {prop: ...}) - label plus optional inline property map
+const NODE_PATTERN = /\(\s*[A-Za-z_]\w*\s*:\s*([A-Z]\w*)\s*(?:\{([^}]*)\})?/g;
+// (:Label ...) - anonymous node pattern
+const ANONYMOUS_NODE_PATTERN = /\(\s*:\s*([A-Z]\w*)\s*(?:\{([^}]*)\})?/g;
+// [r:TYPE|OTHER*1..2 {prop: ...}] - relationship types inside a pattern
+const RELATIONSHIP_PATTERN = /\[\s*[A-Za-z_]?\w*\s*:\s*([A-Za-z_][\w|: \t]*?)\s*(?:\*[\d.]*)?\s*(?:\{[^}]*\})?\s*\]/g;
+const PROPERTY_KEY_PATTERN = /([A-Za-z_]\w*)\s*:/g;
+
+/**
+ * Blank out everything except string and template literal contents, keeping
+ * newlines and offsets intact. Cypher in this codebase always lives inside
+ * literals, so this stops comments and type annotations such as
+ * `(props: PlantFormData)` from being mistaken for node patterns.
+ * @param {string} source - JavaScript source
+ * @returns {string} Source of the same length with code and comments masked
+ */
+export function maskNonStringText(source) {
+  const masked = new Array(source.length);
+  // Brace depth inside each open ${ ... } template expression
+  const templateDepths = [];
+  let mode = "code";
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const next = source[i + 1];
+    let keep = false;
+
+    if (mode === "code") {
+      if (ch === "/" && next === "/") mode = "line-comment";
+      else if (ch === "/" && next === "*") mode = "block-comment";
+      else if (ch === "'") mode = "single";
+      else if (ch === '"') mode = "double";
+      else if (ch === "`") mode = "template";
+      else if (ch === "{" && templateDepths.length > 0) {
+        templateDepths[templateDepths.length - 1]++;
+      } else if (ch === "}" && templateDepths.length > 0) {
+        if (templateDepths[templateDepths.length - 1] === 0) {
+          templateDepths.pop();
+          mode = "template";
+        } else {
+          templateDepths[templateDepths.length - 1]--;
+        }
+      }
+    } else if (mode === "line-comment") {
+      if (ch === "\n") mode = "code";
+    } else if (mode === "block-comment") {
+      if (ch === "*" && next === "/") {
+        masked[i] = " ";
+        i++;
+        mode = "code";
+      }
+    } else if (mode === "template" && ch === "$" && next === "{") {
+      templateDepths.push(0);
+      masked[i] = " ";
+      i++;
+      mode = "code";
+    } else if (ch === "\\") {
+      // Keep escaped characters inside literals without ending the literal
+      masked[i] = ch;
+      i++;
+      keep = true;
+    } else if (
+      (mode === "single" && ch === "'") ||
+      (mode === "double" && ch === '"') ||
+      (mode === "template" && ch === "`")
+    ) {
+      mode = "code";
+    } else if (mode !== "template" && ch === "\n") {
+      // Unterminated quote (e.g. an apostrophe in JSX text)
+      mode = "code";
+    } else {
+      keep = true;
+    }
+
+    masked[i] = keep || source[i] === "\n" ? source[i] : " ";
+  }
+
+  return masked.join("");
+}
+
+/**
+ * Find the line number of a character offset
+ */
+function lineAt(source, offset) {
+  return source.slice(0, offset).split("\n").length;
+}
+
+/**
+ * Extract graph schema references from a source file
+ * @param {string} source - File contents
+ * @param {string} file - File path, used in the report
+ * @returns {Array<Object>} References of kind "label", "relationship" or "property"
+ */
+export function findCodeReferences(source, file) {
+  const references = [];
+  const literals = maskNonStringText(source);
+
+  for (const pattern of [NODE_PATTERN, ANONYMOUS_NODE_PATTERN]) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(literals)) !== null) {
+      const line = lineAt(literals, match.index);
+      const label = match[1];
+      references.push({ kind: "label", name: label, file, line });
+
+      if (match[2]) {
+        let propertyMatch;
+        PROPERTY_KEY_PATTERN.lastIndex = 0;
+        while ((propertyMatch = PROPERTY_KEY_PATTERN.exec(match[2])) !== null) {
+          references.push({
+            kind: "property",
+            name: propertyMatch[1],
+            label,
+            file,
+            line,
+          });
+        }
+      }
+    }
+  }
+
+  RELATIONSHIP_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = RELATIONSHIP_PATTERN.exec(literals)) !== null) {
+    const line = lineAt(literals, match.index);
+    for (const type of match[1].split(/[|:]/)) {
+      const name = type.trim();
+      if (name) {
+        references.push({ kind: "relationship", name, file, line });
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Build an issue for a name that is not in the canonical schema
+ */
+function unknownNameIssue(reference, source) {
+  const legacyMap =
+    reference.kind === "relationship"
+      ? LEGACY_NAMES.relationships
+      : LEGACY_NAMES.labels;
+  const isLegacy = Object.prototype.hasOwnProperty.call(
+    legacyMap,
+    reference.name
+  );
+  const replacement = isLegacy ? legacyMap[reference.name] : undefined;
+
+  return {
+    severity: "error",
+    source,
+    kind: `unknown-${reference.kind}`,
+    name: reference.name,
+    file: reference.file,
+    line: reference.line,
+    message: isLegacy
+      ? `${reference.kind} "${reference.name}" is a legacy name${
+          replacement ? ` - use "${replacement}"` : " with no canonical equivalent"
+        }`
+      : `${reference.kind} "${reference.name}" is not declared in graph-schema.js`,
+    suggestion: replacement || null,
+  };
+}
+
+/**
+ * Compare code references against the canonical schema
+ * @param {Array<Object>} references - Output of findCodeReferences
+ * @returns {Array<Object>} Issues found
+ */
+export function compareCodeToSchema(references) {
+  const issues = [];
+
+  for (const reference of references) {
+    if (reference.kind === "label" && !isKnownLabel(reference.name)) {
+      issues.push(unknownNameIssue(reference, "code"));
+    } else if (
+      reference.kind === "relationship" &&
+      !isKnownRelationship(reference.name)
+    ) {
+      issues.push(unknownNameIssue(reference, "code"));
+    } else if (
+      reference.kind === "property" &&
+      isKnownLabel(reference.label) &&
+      !NODE_SCHEMA[reference.label].properties.includes(reference.name)
+    ) {
+      issues.push({
+        severity: "error",
+        source: "code",
+        kind: "unknown-property",
+        name: `${reference.label}.${reference.name}`,
+        file: reference.file,
+        line: reference.line,
+        message: `${reference.label} has no property "${reference.name}" (declared: ${NODE_SCHEMA[
+          reference.label
+        ].properties.join(", ")})`,
+        suggestion: null,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Introspect a live database for labels, relationship types and property keys
+ * @param {number} sampleSize - Nodes sampled per label when collecting property keys
+ * @returns {Promise<Object>} { labels, relationshipTypes, labelProperties, labelCounts, relationshipCounts }
+ */
+export async function fetchLiveSchema(sampleSize = 200) {
+  ensureDriverAvailable();
+  const session = neo4jDriver.session();
+
+  try {
+    const labelsResult = await session.run(
+      "CALL db.labels() YIELD label RETURN label ORDER BY label"
+    );
+    const labels = labelsResult.records.map((record) => record.get("label"));
+
+    const relTypesResult = await session.run(
+      "CALL db.relationshipTypes() YIELD relationshipType RETURN relationshipType ORDER BY relationshipType"
+    );
+    const relationshipTypes = relTypesResult.records.map((record) =>
+      record.get("relationshipType")
+    );
+
+    const labelProperties = {};
+    const labelCounts = {};
+    for (const label of labels) {
+      // Labels come from db.labels(), so interpolating them is safe
+      const result = await session.run(
+        `MATCH (n:\`${label}\`)
+         WITH n LIMIT $sampleSize
+         UNWIND keys(n) AS key
+         RETURN collect(DISTINCT key) AS keys`,
+        { sampleSize: neo4j.int(Math.floor(sampleSize)) }
+      );
+      labelProperties[label] = result.records[0]?.get("keys") || [];
+
+      const countResult = await session.run(
+        `MATCH (n:\`${label}\`) RETURN count(n) AS count`
+      );
+      labelCounts[label] = countResult.records[0]?.get("count") || 0;
+    }
+
+    const relationshipCounts = {};
+    for (const type of relationshipTypes) {
+      const result = await session.run(
+        `MATCH ()-[r:\`${type}\`]->() RETURN count(r) AS count`
+      );
+      relationshipCounts[type] = result.records[0]?.get("count") || 0;
+    }
+
+    return {
+      labels,
+      relationshipTypes,
+      labelProperties,
+      labelCounts,
+      relationshipCounts,
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Compare a live database schema against the canonical schema
+ * @param {Object} liveSchema - Output of fetchLiveSchema
+ * @returns {Array<Object>} Issues found
+ */
+export function compareDataToSchema(liveSchema) {
+  const issues = [];
+  const countOf = (counts, name) => Number(counts?.[name] || 0);
+
+  for (const label of liveSchema.labels) {
+    if (!isKnownLabel(label) && countOf(liveSchema.labelCounts, label) > 0) {
+      issues.push(unknownNameIssue({ kind: "label", name: label }, "data"));
+    }
+  }
+
+  for (const type of liveSchema.relationshipTypes) {
+    if (
+      !isKnownRelationship(type) &&
+      countOf(liveSchema.relationshipCounts, type) > 0
+    ) {
+      issues.push(
+        unknownNameIssue({ kind: "relationship", name: type }, "data")
+      );
+    }
+  }
+
+  for (const [label, node] of Object.entries(NODE_SCHEMA)) {
+    if (countOf(liveSchema.labelCounts, label) === 0) {
+      issues.push({
+        severity: "warning",
+        source: "data",
+        kind: "missing-label",
+        name: label,
+        message: `No ${label} nodes in the database - queries matching (:${label}) return nothing`,
+        suggestion: "Run `npm run graph:migrate`",
+      });
+      continue;
+    }
+
+    const presentKeys = liveSchema.labelProperties[label] || [];
+    if (!presentKeys.includes(node.key)) {
+      issues.push({
+        severity: "error",
+        source: "data",
+        kind: "missing-key",
+        name: `${label}.${node.key}`,
+        message: `${label} nodes have no "${node.key}" key property`,
+        suggestion: null,
+      });
+    }
+
+    for (const key of presentKeys) {
+      if (!node.properties.includes(key)) {
+        issues.push({
+          severity: "info",
+          source: "data",
+          kind: "undeclared-property",
+          name: `${label}.${key}`,
+          message: `${label}.${key} exists in the data but is not declared in graph-schema.js`,
+          suggestion: null,
+        });
+      }
+    }
+  }
+
+  for (const type of Object.keys(RELATIONSHIP_SCHEMA)) {
+    if (countOf(liveSchema.relationshipCounts, type) === 0) {
+      issues.push({
+        severity: "warning",
+        source: "data",
+        kind: "missing-relationship",
+        name: type,
+        message: `No ${type} relationships in the database - traversals over it return nothing`,
+        suggestion: "Run `npm run graph:migrate`",
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Summarise a list of issues by severity
+ * @param {Array<Object>} issues
+ * @returns {Object} { errors, warnings, info, ok }
+ */
+export function summariseIssues(issues) {
+  const summary = { errors: 0, warnings: 0, info: 0 };
+  for (const issue of issues) {
+    if (issue.severity === "error") summary.errors++;
+    else if (issue.severity === "warning") summary.warnings++;
+    else summary.info++;
+  }
+  summary.ok = summary.errors === 0;
+  return summary;
+}
+
+/**
+ * Run the drift check
+ * @param {Object} options
+ * @param {Array<{file: string, source: string}>} options.sourceFiles - Code to scan (optional)
+ * @param {boolean} options.checkData - Whether to introspect the live database
+ * @returns {Promise<Object>} { issues, summary, referencesScanned, liveSchema }
+ */
+export async function checkSchemaDrift({
+  sourceFiles = [],
+  checkData = true,
+} = {}) {
+  const references = sourceFiles.flatMap(({ file, source }) =>
+    findCodeReferences(source, file)
+  );
+  const issues = compareCodeToSchema(references);
+
+  let liveSchema = null;
+  if (checkData) {
+    liveSchema = await fetchLiveSchema();
+    issues.push(...compareDataToSchema(liveSchema));
+  }
+
+  return {
+    issues,
+    summary: summariseIssues(issues),
+    referencesScanned: references.length,
+    liveSchema,
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * API endpoint for potato blight risk windows per county, from the Met
+ * Éireann hourly forecast (see utils/blight-risk.js)
+ *
+ * GET /api/blight-risk?county=Cork,Kerry&model=hutton
+ */
+
+import {
+  BLIGHT_MODELS,
+  DEFAULT_BLIGHT_MODEL,
+  getBlightRisk,
+} from "../../utils/blight-risk.js";
+import { getWeatherCounties } from "../../utils/weather-client.js";
+import logger from "../../utils/unified-logger.js";
+
+export const prerender = false;
+
+export async function GET({ request }) {
+  const url = new URL(request.url);
+  const counties = (url.searchParams.get("county") || "")
+    .split(",")
+    .map((county) => county.trim())
+    .filter(Boolean);
+  const model = url.searchParams.get("model") || DEFAULT_BLIGHT_MODEL;
+
+  if (counties.length === 0) {
+    return new Response(
+      JSON.stringify({ error: "At least one county is required" }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+  if (!Object.values(BLIGHT_MODELS).includes(model)) {
+    return new Response(
+      JSON.stringify({
+        error: `Unknown blight model "${model}"`,
+        models: Object.values(BLIGHT_MODELS),
+      }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+  const unknown = counties.filter(
+    (county) => !getWeatherCounties().includes(county.toLowerCase())
+  );
+  if (unknown.length > 0) {
+    return new Response(
+      JSON.stringify({ error: `Unknown county: ${unknown.join(", ")}` }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  const risks = [];
+  const errors = [];
+  for (const county of counties) {
+    try {
+      risks.push(await getBlightRisk(county, { model }));
+    } catch (error) {
+      logger.error(`Blight risk failed for ${county}: ${error.message}`, {
+        component: "BlightRiskAPI",
+      });
+      errors.push({ county, error: error.message });
+    }
+  }
+
+  // Only a complete failure is an error; a partial one is reported per county
+  return new Response(JSON.stringify({ model, risks, errors }), {
+    status: risks.length === 0 ? 502 : 200,
+    headers: { "Content-Type": "application/json" },
+  });
+}
@@ -0,0 +1,97 @@
+/**
+ * API endpoint to test the blight risk models against the bundled Met
+ * Éireann sample forecast (src/locationforecast.xml) and a synthetic warm,
+ * humid spell that every model should rate high
+ *
+ * Add ?county=Cork to also run the models on that county's live forecast.
+ */
+
+import sampleForecastXml from "../../../locationforecast.xml?raw";
+import { HOUR_MS, parseForecastModel } from "../../../utils/forecast-model.js";
+import {
+  BLIGHT_MODELS,
+  BLIGHT_RISK_LEVELS,
+  assessBlightRisk,
+  getBlightRisk,
+} from "../../../utils/blight-risk.js";
+
+// Three days at 14 °C, with 95% humidity from 06:00 to 20:00 on each of
+// them and 70% otherwise
+function syntheticBlightSpell() {
+  const start = Date.parse("2025-07-01T00:00:00Z");
+  return Array.from({ length: 72 }, (_, i) => ({
+    time: new Date(start + i * HOUR_MS).toISOString(),
+    temperature: 14,
+    humidity: i % 24 >= 6 && i % 24 < 20 ? 95 : 70,
+    precipitation: 0,
+  }));
+}
+
+export async function GET({ request }) {
+  try {
+    const url = new URL(request.url);
+    const county = url.searchParams.get("county");
+
+    const sample = parseForecastModel(sampleForecastXml);
+    const synthetic = syntheticBlightSpell();
+    const models = Object.values(BLIGHT_MODELS);
+
+    const results = models.map((model) => {
+      const sampleRisk = assessBlightRisk(sample.hourly, { model });
+      const syntheticRisk = assessBlightRisk(synthetic, { model });
+      return {
+        model,
+        sample: sampleRisk,
+        synthetic: {
+          level: syntheticRisk.level,
+          windows: syntheticRisk.windows,
+          passed: syntheticRisk.level === BLIGHT_RISK_LEVELS.HIGH,
+        },
+      };
+    });
+
+    let live = null;
+    if (county) {
+      live = {};
+      for (const model of models) {
+        try {
+          live[model] = await getBlightRisk(county, { model });
+        } catch (error) {
+          live[model] = { error: error.message };
+        }
+      }
+    }
+
+    const passed = results.every((result) => result.synthetic.passed);
+    return new Response(
+      JSON.stringify({
+        status: passed ? "success" : "error",
+        sampleForecast: {
+          issuedAt: sample.issuedAt,
+          latitude: sample.location.latitude,
+          longitude: sample.location.longitude,
+          points: sample.hourly.length,
+          from: sample.hourly[0]?.time,
+          to: sample.hourly[sample.hourly.length - 1]?.time,
+        },
+        results,
+        live,
+      }),
+      {
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    return new Response(
+      JSON.stringify({
+        status: "error",
+        message: error.message,
+        stack: error.stack,
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * API endpoint to report drift between the canonical graph schema and the
+ * live Neo4j database (missing, legacy or undeclared labels and relationships)
+ */
+
+import { verifyConnectivity } from "../../../database/neo4j-client.js";
+import { checkSchemaDrift } from "../../../database/schema-drift.js";
+
+export async function GET() {
+  try {
+    const connectionStatus = await verifyConnectivity();
+
+    if (!connectionStatus.connected) {
+      return new Response(JSON.stringify({
+        status: "error",
+        message: "Failed to connect to Neo4j database",
+        error: connectionStatus.error
+      }), {
+        status: 500,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    const { issues, summary, liveSchema } = await checkSchemaDrift({
+      checkData: true
+    });
+
+    return new Response(JSON.stringify({
+      status: summary.ok ? "success" : "drift",
+      connection: connectionStatus,
+      summary,
+      issues,
+      liveSchema
+    }), {
+      headers: { "Content-Type": "application/json" }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: error.message,
+      stack: error.stack
+    }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
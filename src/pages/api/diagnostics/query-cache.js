@@ -0,0 +1,40 @@
+/**
+ * API endpoint to report query cache statistics (GET) and clear the cache
+ * (DELETE), e.g. after reseeding the graph from another machine
+ */
+
+import {
+  getQueryCacheStats,
+  invalidateQueryCache,
+} from "../../../database/query-cache.js";
+
+export async function GET() {
+  return new Response(JSON.stringify({
+    status: "success",
+    cache: getQueryCacheStats()
+  }), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+export async function DELETE() {
+  try {
+    const cleared = invalidateQueryCache("diagnostics endpoint");
+
+    return new Response(JSON.stringify({
+      status: "success",
+      cleared,
+      cache: getQueryCacheStats()
+    }), {
+      headers: { "Content-Type": "application/json" }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: error.message
+    }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
@@ -7,7 +7,7 @@ import {
   getSeasonalRecommendations,
   getPlantRecommendations,
 } from "../../../utils/rag-system.js";
-import { verifyConnectivity, closeDriver } from "../../../database/neo4j-client.js";
+import { getGraphStore } from "../../../database/graph-store.js";
 
 // Get the current month for context
 const getCurrentMonthAndSeason = () => {
@@ -59,13 +59,17 @@ export async function GET(request) {
     const county = url.searchParams.get('county') || 'Dublin';
     const testType = url.searchParams.get('test') || 'all';
     
-    // First verify database connectivity
-    const dbStatus = await verifyConnectivity();
+    // First verify the knowledge graph backend is reachable
+    const store = getGraphStore();
+    const dbStatus = {
+      ...(await store.verifyConnectivity()),
+      backend: store.backend,
+    };
 
     if (!dbStatus.connected) {
       return new Response(JSON.stringify({
         status: "error",
-        message: "Failed to connect to Neo4j database",
+        message: `Failed to connect to the ${store.backend} knowledge graph`,
         dbStatus
       }), {
         status: 500,
@@ -3,7 +3,8 @@
  */
 
 import { verifyConnectivity, closeDriver } from "../../../database/neo4j-client.js";
-import { generateText } from "../../../utils/vertex-client.js";
+import { generateText, LLM_CALL_SITES } from "../../../utils/llm-client.js";
+import { describeSchema } from "../../../database/graph-schema.js";
 
 // Test questions specifically designed to test query generation capabilities
 const TEST_QUESTIONS = [
@@ -12,34 +13,34 @@ const TEST_QUESTIONS = [
     title: "County-specific plant recommendations",
     question: "What vegetables grow well in County Cork?",
     expectedEntities: ["vegetables", "Cork", "County Cork"],
-    expectedRelationships: ["GROWS_IN", "SUITABLE_FOR"],
+    expectedRelationships: ["SUITABLE_FOR"],
   },
   {
     id: "companion-planting",
     title: "Companion planting relationships",
     question: "What are good companion plants for potatoes?",
     expectedEntities: ["potatoes", "Potato"],
-    expectedRelationships: ["SUITABLE_FOR", "GrowingCondition"],
+    expectedRelationships: ["COMPANION_TO"],
   },
   {
     id: "soil-requirements",
     title: "Soil type requirements",
     question: "Which plants grow well in clay soil?",
     expectedEntities: ["Clay", "Gley", "clay soil"],
-    expectedRelationships: ["HAS_SOIL", "SUITABLE_FOR"],
+    expectedRelationships: ["GROWS_WELL_IN"],
   },
   {
     id: "seasonal-planting",
     title: "Seasonal planting advice",
     question: "What can I plant in March in Dublin?",
     expectedEntities: ["March", "Dublin"],
-    expectedRelationships: ["GROWS_IN", "PLANTED_IN", "Season"],
+    expectedRelationships: ["PLANT_IN", "SUITABLE_FOR"],
   },
   {
     id: "pollinators",
     title: "Pollinator attracting plants",
     question: "Which plants attract butterflies and bees?",
-    expectedEntities: ["Butterfly", "Bee", "BeneficialInsect"],
+    expectedEntities: ["Butterfly", "Bee", "PollinatorType"],
     expectedRelationships: ["ATTRACTS"],
   },
 ];
@@ -108,23 +109,7 @@ Create a Cypher query to extract information from a garden knowledge graph datab
 "${question}"
 
 The graph database has the following structure:
-- Nodes with labels: Plant, County, SoilType, GrowingCondition, Pest, Disease, Season, BeneficialInsect
-- Relationships between nodes like: GROWS_IN, HAS_SOIL, SUITABLE_FOR, AFFECTED_BY, TREATED_WITH, PLANTED_IN, ATTRACTS
-
-Plants have properties like:
-- name (e.g., "Potato", "Cabbage", "Kale")
-- type (e.g., "Vegetable", "Fruit", "Flower", "Tree")
-- properties: soilPreference, sunNeeds, waterNeeds, biodiversityValue
-
-Counties have a name property (e.g., "Dublin", "Cork", "Galway").
-
-SoilTypes have properties:
-- name (e.g., "Clay", "Loam", "Sandy")
-- properties: texture, drainage, nutrients
-
-GrowingCondition nodes connect plants to soil types and counties.
-
-BeneficialInsect nodes have a name property (e.g., "Bee", "Butterfly").
+${describeSchema()}
 
 IMPORTANT GUIDELINES:
 1. For the question "${question.replace(
@@ -132,21 +117,20 @@ IMPORTANT GUIDELINES:
       '\\"'
     )}", create an appropriate Cypher query
 2. For queries about vegetables, use Plant nodes with type = "Vegetable" and county-specific queries should use:
-   MATCH (county:County {name: "CountyName"})
-   MATCH (plant:Plant)-[:SUITABLE_FOR]->(gc:GrowingCondition)-[:SUITABLE_FOR]->(county)
+   MATCH (plant:Plant)-[:SUITABLE_FOR]->(county:County {id: "cork"})
    WHERE plant.type = "Vegetable"
-3. For queries about companion planting, find plants that share similar growing conditions by using:
-   MATCH (plant1:Plant)-[:SUITABLE_FOR]->(condition:GrowingCondition)<-[:SUITABLE_FOR]-(plant2:Plant)
-   WHERE NOT plant1 = plant2
-4. For questions about soils, use the HAS_SOIL relationship along with the SUITABLE_FOR relationship:
-   MATCH (soil:SoilType {name: "Clay"})<-[:HAS_SOIL]-(condition:GrowingCondition)<-[:SUITABLE_FOR]-(plant:Plant)
-5. For questions about planting times, use the PLANTED_IN relationship to Season nodes
-6. For questions about pollinators, use the ATTRACTS relationship to BeneficialInsect nodes
+3. For queries about companion planting, use the COMPANION_TO relationship:
+   MATCH (plant:Plant {name: "Potato"})-[:COMPANION_TO]-(companion:Plant)
+4. For questions about soils, use the GROWS_WELL_IN relationship:
+   MATCH (plant:Plant)-[:GROWS_WELL_IN]->(soil:SoilType {name: "Clay"})
+5. For questions about planting times, use the PLANT_IN relationship to Month nodes
+6. For questions about pollinators, use the ATTRACTS relationship to PollinatorType nodes
 
 IMPORTANT: Provide only the raw Cypher query. Start directly with MATCH, CREATE or another valid keyword. No markdown, no comments, no explanations.
 `;
 
         const generatedQuery = await generateText(prompt, {
+          callSite: LLM_CALL_SITES.CYPHER_GENERATION,
           temperature: 0.5, // Lower temperature for more consistent results
           maxTokens: 500,
         });
@@ -252,16 +236,6 @@ function evaluateCypherQuery(query, expectedEntities, expectedRelationships) {
       cleanedQueryLowerCase.includes(relationshipLowerCase) ||
       cleanedQueryLowerCase.includes(relationship);
 
-    // Special cases for various relationships
-    if (
-      relationship === "GrowingCondition" &&
-      cleanedQueryLowerCase.includes("growingcondition")
-    ) {
-      hasRelationship = true;
-    }
-
-    // Other special cases omitted for brevity but kept in the evaluation logic
-
     if (!hasRelationship) {
       results.containsAllRelationships = false;
       results.missingRelationships.push(relationship);
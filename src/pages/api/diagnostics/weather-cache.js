@@ -0,0 +1,40 @@
+/**
+ * API endpoint to report weather cache statistics and the cached places
+ * (GET) and clear the cache (DELETE), e.g. to force fresh forecasts
+ */
+
+import {
+  getWeatherCacheStats,
+  invalidateWeatherCache,
+} from "../../../utils/weather-cache.js";
+
+export async function GET() {
+  return new Response(JSON.stringify({
+    status: "success",
+    cache: getWeatherCacheStats()
+  }), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+export async function DELETE() {
+  try {
+    const cleared = invalidateWeatherCache();
+
+    return new Response(JSON.stringify({
+      status: "success",
+      cleared,
+      cache: getWeatherCacheStats()
+    }), {
+      headers: { "Content-Type": "application/json" }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: error.message
+    }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
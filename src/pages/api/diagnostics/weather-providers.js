@@ -0,0 +1,69 @@
+/**
+ * API endpoint to check the weather providers (see utils/weather-providers.js)
+ *
+ * Fetches a county's forecast from every registered provider (Dublin unless
+ * ?county= says otherwise) and reports which ones answered, alongside the
+ * configured chain, each provider's health and the chain's last choice.
+ * Passes when at least one provider in the chain returns a forecast.
+ */
+
+import {
+  getWeatherProviderStatus,
+  probeWeatherProviders,
+} from "../../../utils/weather-providers.js";
+import { getCountyCoordinates } from "../../../utils/weather-client.js";
+
+export async function GET({ request }) {
+  try {
+    const url = new URL(request.url);
+    const county = url.searchParams.get("county") || "Dublin";
+    const coordinates = getCountyCoordinates(county);
+
+    if (!coordinates) {
+      return new Response(
+        JSON.stringify({
+          status: "error",
+          message: `Unknown county: ${county}`,
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const probes = await probeWeatherProviders(
+      coordinates.lat,
+      coordinates.lon
+    );
+    const status = getWeatherProviderStatus();
+    const chainAnswered = probes.some(
+      (probe) => probe.ok && status.chain.includes(probe.provider)
+    );
+
+    return new Response(
+      JSON.stringify({
+        status: chainAnswered ? "success" : "error",
+        county,
+        coordinates,
+        probes,
+        ...status,
+      }),
+      {
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    return new Response(
+      JSON.stringify({
+        status: "error",
+        message: error.message,
+        stack: error.stack,
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+}
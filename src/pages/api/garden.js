@@ -1,11 +1,49 @@
 import {
-  generateVertexResponse,
-  processGardeningQueryWithVertex,
-} from "../../utils/vertex-client";
+  processGardeningQuery,
+  streamGardeningQuery,
+} from "../../utils/llm-client.js";
+import {
+  isGardenAgentEnabled,
+  streamGardeningAgent,
+  processGardeningAgentQuery,
+} from "../../utils/gardening-agent.js";
+import { createSSEResponse } from "../../utils/sse.js";
+import { getConversationMemory } from "../../utils/conversation-memory.js";
+import { GARDENING_SYSTEM_INSTRUCTION } from "../../utils/assistant-prompts.js";
+import {
+  getWeatherAlerts,
+  describeAlertsForPrompt,
+} from "../../utils/weather-alerts.js";
 
 // Ensure this endpoint is always server-rendered
 export const prerender = false;
 
+/**
+ * Weather alerts for the gardener's county, naming their own plants and the
+ * plants under discussion. Empty when the county is unknown or the forecast
+ * cannot be loaded.
+ */
+async function describeWeatherAlerts(session, gardenPlants) {
+  const county = session.context.county?.name;
+  if (!county) return "";
+
+  const plants = [
+    ...gardenPlants,
+    ...session.context.plants.map((plant) => plant.name),
+  ].filter(
+    (plant, index, all) =>
+      all.findIndex((other) => other.toLowerCase() === plant.toLowerCase()) ===
+      index
+  );
+
+  try {
+    return describeAlertsForPrompt(await getWeatherAlerts(county, { plants }));
+  } catch (error) {
+    console.warn(`No weather alerts for ${county}:`, error.message);
+    return "";
+  }
+}
+
 export async function POST({ request }) {
   try {
     // Debug request
@@ -33,7 +71,8 @@ export async function POST({ request }) {
       );
     }
 
-    const { query, conversationHistory } = data;
+    const { query, conversationHistory, sessionId, stream, gardenPlants } =
+      data;
 
     if (!query) {
       return new Response(
@@ -50,27 +89,98 @@ export async function POST({ request }) {
       );
     }
 
-    // Use default empty array if conversationHistory is not provided
-    const history = conversationHistory || [];
+    // The server-side session holds the history; the client's copy only
+    // seeds a new session
+    const memory = getConversationMemory();
+    const session = await memory.loadSession(sessionId, {
+      conversationHistory: conversationHistory || [],
+    });
+    const turn = await memory.prepareTurn(session, query);
+    const history = memory.getChatMessages(session);
+
+    // Add the conversation summary, resolved context and any weather alerts
+    // for the gardener's county to the system prompt
+    const context = [
+      memory.describeContext(session, turn),
+      await describeWeatherAlerts(
+        session,
+        Array.isArray(gardenPlants) ? gardenPlants : []
+      ),
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const systemInstruction = context
+      ? `${GARDENING_SYSTEM_INSTRUCTION}\n\nCONVERSATION CONTEXT:\n${context}`
+      : undefined;
 
     console.log("Processing query:", query);
-    console.log("History length:", history.length);
+    console.log("Session:", session.id, "History length:", history.length);
 
-    console.log("Calling Vertex AI with query:", query);
+    const remember = (content) =>
+      memory
+        .recordExchange(session, {
+          question: query,
+          standaloneQuestion: turn.question,
+          answer: content,
+        })
+        .catch((error) =>
+          console.error("Failed to save conversation turn:", error)
+        );
 
-    const response = await processGardeningQueryWithVertex(query, history);
+    // The agent looks facts up with tools before answering; without it the
+    // model answers in one call
+    const useAgent = isGardenAgentEnabled();
+    const options = {
+      systemInstruction,
+      entities: turn.entities,
+    };
 
-    console.log(
-      "Detailed Vertex AI response:",
-      JSON.stringify(response, null, 2)
-    );
+    // Stream tokens as Server-Sent Events when the client asks for them:
+    // "tool" events as the agent calls tools, "token" events with text, then
+    // "done" with the content, cards and tool trace
+    if (
+      stream ||
+      request.headers.get("Accept")?.includes("text/event-stream")
+    ) {
+      console.log("Streaming LLM response for query:", query);
 
-    return new Response(JSON.stringify(response), {
-      status: 200,
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+      return createSSEResponse(
+        async (send, signal) => {
+          const events = useAgent
+            ? streamGardeningAgent(query, history, { ...options, signal })
+            : streamGardeningQuery(query, history, { ...options, signal });
+
+          for await (const event of events) {
+            const { type, ...payload } = event;
+            if (type === "done") {
+              await remember(payload.content);
+              payload.sessionId = session.id;
+            }
+            send(type, payload);
+          }
+        },
+        { signal: request.signal }
+      );
+    }
+
+    console.log("Calling LLM provider with query:", query);
+
+    const response = useAgent
+      ? await processGardeningAgentQuery(query, history, options)
+      : await processGardeningQuery(query, history, options);
+    await remember(response.content);
+
+    console.log("Detailed LLM response:", JSON.stringify(response, null, 2));
+
+    return new Response(
+      JSON.stringify({ ...response, sessionId: session.id }),
+      {
+        status: 200,
+        headers: {
+          "Content-Type": "application/json",
+        },
+      }
+    );
   } catch (error) {
     console.error("Error processing garden query:", error);
     return new Response(
@@ -51,7 +51,10 @@ export async function POST({ request }) {
       JSON.stringify({
         answer: response.answer,
         sourceFacts: response.sourceFacts,
+        citations: response.citations,
+        groundingWarnings: response.groundingWarnings,
         entities: response.entities,
+        cardType: response.cardType,
       }),
       {
         status: 200,
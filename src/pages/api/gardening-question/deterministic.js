@@ -1,6 +1,5 @@
 // filepath: /workspaces/atlantec-ai-2025/src/pages/api/gardening-question/deterministic.js
-import { neo4jDriver } from "../../../database/neo4j-client.js";
-import { generateText } from "../../../utils/vertex-client.js";
+import { generateText, LLM_CALL_SITES } from "../../../utils/llm-client.js";
 import { executeWithFallback } from "../../../database/fallback-query.js";
 import { plants as localPlants } from "../../../data/plants.js"; // Import local plant data
 
@@ -45,6 +44,7 @@ If it is NOT gardening-related, respond with "GARDENING: NO"
 Answer with ONLY "GARDENING: YES" or "GARDENING: NO" and nothing else.`;
 
       const topicCheckResponse = await generateText(topicCheckPrompt, {
+        callSite: LLM_CALL_SITES.TOPIC_CHECK,
         maxTokens: 16,
         temperature: 0.1,
       });
@@ -95,119 +95,11 @@ Answer with ONLY "GARDENING: YES" or "GARDENING: NO" and nothing else.`;
       growingProperty: growingProperty || "general", // Default value
     };
 
-    // Function to build a Cypher query based on parameters
-    // Uses only properties that actually exist in the database
-    const buildQuery = (params) => {
-      let cypherQuery = `MATCH (county:County {name: "${params.countyName}"})`;
+    console.log("Executing plant search with fallback mechanism");
 
-      // Basic county-plant relationship for suitability
-      cypherQuery += `\nMATCH (county)-[:suitableFor]->(plant:Plant)`;
-
-      // Add soil type filter if provided
-      if (params.soilType) {
-        cypherQuery += `\nMATCH (soil:SoilType {name: "${params.soilType}"})`;
-        cypherQuery += `\nMATCH (plant)-[:GROWS_IN]->(soil)`;
-      }
-
-      // Add season filter if provided
-      if (params.season) {
-        const seasonMonths = getMonthsForSeason(params.season);
-        if (seasonMonths && seasonMonths.length > 0) {
-          cypherQuery += `\nMATCH (plant)-[:plantIn|harvestIn]->(month:Month)`;
-          cypherQuery += `\nWHERE month.name IN [${seasonMonths
-            .map((m) => `"${m}"`)
-            .join(", ")}]`;
-        }
-      }
-
-      // Filter plants by type using the WHERE clause
-      if (params.plantType === "Vegetable") {
-        cypherQuery += params.season
-          ? `\nAND plant.name IN ["Potato", "Cabbage", "Kale", "Leek", "Onion"]`
-          : `\nWHERE plant.name IN ["Potato", "Cabbage", "Kale", "Leek", "Onion"]`;
-      } else if (params.plantType === "Wildflower") {
-        cypherQuery += params.season
-          ? `\nAND plant.name IN ["Irish Wildflower Mix", "Irish Primrose"]`
-          : `\nWHERE plant.name IN ["Irish Wildflower Mix", "Irish Primrose"]`;
-      } else if (params.plantType === "Tree") {
-        cypherQuery += params.season
-          ? `\nAND plant.name IN ["Hawthorn"]`
-          : `\nWHERE plant.name IN ["Hawthorn"]`;
-      }
-
-      // Add optional matches for additional data based on growingProperty
-      if (params.growingProperty === "pollinators") {
-        cypherQuery += `\nOPTIONAL MATCH (plant)-[:ATTRACTS]->(pollinator:PollinatorType)`;
-      } else if (params.growingProperty === "soilPreference") {
-        cypherQuery += `\nOPTIONAL MATCH (plant)-[:GROWS_IN]->(soilType:SoilType)`;
-      } else if (params.growingProperty === "growingCondition") {
-        cypherQuery += `\nOPTIONAL MATCH (plant)-[:PREFERS]->(condition:GrowingCondition)`;
-      } else if (params.growingProperty === "plantingSeason") {
-        cypherQuery += `\nOPTIONAL MATCH (plant)-[:plantIn]->(plantMonth:Month)`;
-      } else if (params.growingProperty === "harvestSeason") {
-        cypherQuery += `\nOPTIONAL MATCH (plant)-[:harvestIn]->(harvestMonth:Month)`;
-      }
-
-      // Return clause with all collected data
-      cypherQuery += `\nRETURN DISTINCT plant.name as plantName, plant.id as plantId, 
-                      plant.color as plantColor, plant.size as plantSize`;
-
-      // Add collection operations based on growingProperty
-      if (params.growingProperty === "pollinators") {
-        cypherQuery += `,\nCOLLECT(DISTINCT pollinator.name) as pollinators`;
-      } else {
-        cypherQuery += `,\n[] as pollinators`;
-      }
-
-      if (params.growingProperty === "soilPreference") {
-        cypherQuery += `,\nCOLLECT(DISTINCT soilType.name) as soilTypes`;
-      } else {
-        cypherQuery += `,\n[] as soilTypes`;
-      }
-
-      if (params.growingProperty === "growingCondition") {
-        cypherQuery += `,\nCOLLECT(DISTINCT condition.name) as growingConditions`;
-      } else {
-        cypherQuery += `,\n[] as growingConditions`;
-      }
-
-      if (params.growingProperty === "plantingSeason") {
-        cypherQuery += `,\nCOLLECT(DISTINCT plantMonth.name) as plantingMonths`;
-      } else {
-        cypherQuery += `,\n[] as plantingMonths`;
-      }
-
-      if (params.growingProperty === "harvestSeason") {
-        cypherQuery += `,\nCOLLECT(DISTINCT harvestMonth.name) as harvestMonths`;
-      } else {
-        cypherQuery += `,\n[] as harvestMonths`;
-      }
-
-      cypherQuery += `\nORDER BY plantName ASC`;
-
-      return cypherQuery;
-    };
-
-    // Helper function to map seasons to their corresponding months
-    function getMonthsForSeason(season) {
-      switch (season.toLowerCase()) {
-        case "spring":
-          return ["March", "April", "May"];
-        case "summer":
-          return ["June", "July", "August"];
-        case "autumn":
-          return ["September", "October", "November"];
-        case "winter":
-          return ["December", "January", "February"];
-        default:
-          return null;
-      }
-    }
-
-    console.log("Executing Cypher query with fallback mechanism");
-
-    // Use the fallback mechanism to execute the query with progressive relaxation
-    const fallbackResult = await executeWithFallback(params, buildQuery);
+    // Use the fallback mechanism to run the plant search through the graph
+    // store with progressive relaxation
+    const fallbackResult = await executeWithFallback(params);
 
     const records = fallbackResult.records || [];
     console.log(
@@ -244,6 +136,9 @@ Answer with ONLY "GARDENING: YES" or "GARDENING: NO" and nothing else.`;
           growingConditions: record.growingConditions || [],
           plantingMonths: record.plantingMonths || [],
           harvestMonths: record.harvestMonths || [],
+          companionPlants: record.companionPlants || [],
+          // Set when the search was widened to neighbouring counties
+          matchedCounties: record.matchedCounties || [],
         };
 
         // Add local plant data if available
@@ -331,16 +226,12 @@ Format your response as plain text with one of these indicators at the very end
       // Build fallback explanation if needed
       let fallbackExplanation = "";
       if (fallbackResult.fallbackUsed) {
-        const successfulStrategy = fallbackResult.fallbackAttempts.find(
-          (attempt) => attempt.resultCount > 0
-        );
-
         fallbackExplanation = `\n\nNOTE: The user's exact search criteria (${countyName} county, ${plantType}${
           params.soilType ? ", " + params.soilType + " soil" : ""
         }${
           params.season ? ", " + params.season + " season" : ""
         }) didn't return any results.
-Instead, I found results by ${successfulStrategy.description}.
+Instead, the search was relaxed: ${fallbackResult.explanation}
 Please be clear about this in your response and explain that while these aren't exact matches to their criteria, they're the closest available information.`;
       }
 
@@ -376,6 +267,7 @@ Remember to follow all the guidelines above for formatting and tone.
 Include SHOWING_PLANT_CARDS at the end of your response.`;
 
       answer = await generateText(promptTemplate, {
+        callSite: LLM_CALL_SITES.GRAPHRAG_ANSWER,
         maxTokens: 768, // Increased from 512 to allow more detailed responses
         temperature: 0.7,
       });
@@ -414,6 +306,7 @@ Remember to follow all the guidelines above for formatting and tone.`;
 
       // Send to LLM despite not having specific matches
       answer = await generateText(promptTemplate, {
+        callSite: LLM_CALL_SITES.GRAPHRAG_ANSWER,
         maxTokens: 640, // Increased from 1024 to allow more complete responses
         temperature: 0.7,
       });
@@ -424,11 +317,15 @@ Remember to follow all the guidelines above for formatting and tone.`;
         answer,
         results: formattedResults,
         query: fallbackResult.query,
+        queryParams: fallbackResult.queryParams,
         fallbackInfo: {
           fallbackUsed: fallbackResult.fallbackUsed,
           originalParams: fallbackResult.originalParams,
           finalParams: fallbackResult.currentParams,
           attempts: fallbackResult.fallbackAttempts,
+          explanation: fallbackResult.explanation,
+          relaxations: fallbackResult.relaxations,
+          distance: fallbackResult.distance,
         },
         params: {
           countyName,
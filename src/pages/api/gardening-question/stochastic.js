@@ -1,7 +1,35 @@
 // Import directly from the src directory using Node.js-style paths
-import { neo4jDriver } from "../../../database/neo4j-client.js";
-import { generateText } from "../../../utils/vertex-client.js";
-import { determineCardTypeFromQuery } from "../../../utils/rag-system.js";
+import {
+  generateText,
+  streamText,
+  LLM_CALL_SITES,
+} from "../../../utils/llm-client.js";
+import { createSSEResponse } from "../../../utils/sse.js";
+import { getConversationMemory } from "../../../utils/conversation-memory.js";
+import {
+  determineCardTypeFromQuery,
+  retrieveFacts,
+} from "../../../utils/rag-system.js";
+import {
+  FACT_SOURCES,
+  CITATION_INSTRUCTIONS,
+  contentFactId,
+  createFact,
+  createCitationStreamer,
+  formatFactsForPrompt,
+  groundAnswer,
+} from "../../../utils/grounding.js";
+import {
+  detectCardTypeFromResponse,
+  selectCardsForResponse,
+} from "../../../cards/index.js";
+import { extractEntities } from "../../../utils/entity-extraction.js";
+import { generateAndRunCypher } from "../../../utils/cypher-generator.js";
+import {
+  GRAPH_BACKENDS,
+  getGraphBackend,
+  getGraphStore,
+} from "../../../database/graph-store.js";
 
 // Mark this endpoint as server-rendered
 export const prerender = false;
@@ -23,45 +51,156 @@ Your gardening knowledge encompasses:
 - Seasonal gardening tasks and timing
 - Sustainable gardening practices`;
 
-// Helper function to clean the query from markdown formatting and validate it's a Cypher query
-function cleanCypherQuery(query) {
-  // Ensure we have a string
-  if (!query || typeof query !== "string") {
-    console.warn("Invalid query input:", query);
-    return "MATCH (n:Plant) WHERE n.name = 'NO_RESULTS' RETURN n LIMIT 0";
+// Helper function to fill in parameters the generated query refers to
+function buildQueryParams(query, question) {
+  // Extract all parameter names from the query
+  const paramRegex = /\$([a-zA-Z0-9_]+)/g;
+  const requiredParams = new Set();
+  let match;
+
+  while ((match = paramRegex.exec(query)) !== null) {
+    requiredParams.add(match[1]);
   }
 
-  // Remove markdown code block syntax if present
-  const cleaned = query
-    .replace(/```cypher\n?/g, "")
-    .replace(/```\n?/g, "")
-    .replace(/```sql\n?/g, "")
-    .trim();
-
-  // Check if it's actually a Cypher query by looking for common Cypher keywords
-  const cypherKeywords = [
-    "MATCH",
-    "RETURN",
-    "WHERE",
-    "CREATE",
-    "MERGE",
-    "WITH",
-    "OPTIONAL",
-  ];
-  const isCypherQuery = cypherKeywords.some((keyword) =>
-    cleaned.toUpperCase().includes(keyword)
-  );
+  const queryParams = {};
+  if (requiredParams.size === 0) {
+    console.log("No parameters required for this query");
+    return queryParams;
+  }
 
-  if (!isCypherQuery) {
-    console.warn(
-      "Generated text does not appear to be a valid Cypher query:",
-      cleaned
-    );
-    // Return a simple query that will work but return no results
-    return "MATCH (n:Plant) WHERE n.name = 'NO_RESULTS' RETURN n LIMIT 0";
+  // Set default values for common parameters
+  const defaultValues = {
+    // County-related parameter naming variations
+    county: "Dublin",
+    countyName: "Dublin",
+    County: "Dublin",
+    countyCork: "Cork",
+    countyGalway: "Galway",
+    countyKerry: "Kerry",
+    countyMayo: "Mayo",
+
+    // Growing conditions
+    sunExposure: "Full Sun",
+    soilType: "Loam",
+    soilPH: "6.5",
+
+    // Plant-related parameters
+    plantType: "Vegetable",
+    plantName: "Potato",
+    plant: "Potato",
+
+    // Time-related parameters
+    season: "Summer",
+    month: new Date().toLocaleString("en-US", { month: "long" }),
+    currentMonth: new Date().toLocaleString("en-US", { month: "long" }),
+
+    // General catch-all parameters
+    limit: 10,
+    name: "Vegetable",
+  };
+
+  // Detect user context from question to set better defaults
+  if (question) {
+    const lowerQuestion = question.toLowerCase();
+
+    // Extract county name if mentioned
+    const countyMatches = lowerQuestion.match(/county\s+([a-z]+)/i);
+    if (countyMatches && countyMatches[1]) {
+      const county =
+        countyMatches[1].charAt(0).toUpperCase() +
+        countyMatches[1].slice(1);
+      defaultValues["county"] = county;
+      defaultValues["countyName"] = county;
+      defaultValues["County"] = county;
+    }
+
+    // Extract plant type if mentioned
+    if (lowerQuestion.includes("vegetable"))
+      defaultValues["plantType"] = "Vegetable";
+    if (lowerQuestion.includes("fruit"))
+      defaultValues["plantType"] = "Fruit";
+    if (lowerQuestion.includes("flower"))
+      defaultValues["plantType"] = "Flower";
+    if (lowerQuestion.includes("herb"))
+      defaultValues["plantType"] = "Herb";
+
+    // Extract specific plant if mentioned
+    const commonPlants = [
+      "Potato",
+      "Carrot",
+      "Cabbage",
+      "Tomato",
+      "Apple",
+      "Rose",
+      "Tulip",
+    ];
+    for (const plant of commonPlants) {
+      if (lowerQuestion.includes(plant.toLowerCase())) {
+        defaultValues["plantName"] = plant;
+        defaultValues["plant"] = plant;
+        break;
+      }
+    }
   }
 
-  return cleaned;
+  // Add parameters needed by the query
+  for (const param of requiredParams) {
+    if (defaultValues[param] !== undefined) {
+      queryParams[param] = defaultValues[param];
+      console.log(`Using parameter: ${param} = ${defaultValues[param]}`);
+    } else {
+      // For any unknown parameter, try to derive a reasonable default
+      // First check if it's a compound name that contains a known parameter
+      let foundMatch = false;
+      for (const [key, value] of Object.entries(defaultValues)) {
+        if (param.includes(key)) {
+          queryParams[param] = value;
+          console.log(
+            `Using derived parameter: ${param} = ${value} (from ${key})`
+          );
+          foundMatch = true;
+          break;
+        }
+      }
+
+      if (!foundMatch) {
+        console.warn(`Unknown parameter: ${param}, using empty string`);
+        queryParams[param] = "";
+      }
+    }
+  }
+
+  console.log("Query parameters:", JSON.stringify(queryParams));
+
+  return queryParams;
+}
+
+/**
+ * Find the plants for a question through the graph store, from the county,
+ * soil type and season it names. The memory backend has no database to run
+ * generated Cypher against, so it searches this way instead. The result has
+ * the shape of generateAndRunCypher's, with one attempt and no query.
+ */
+async function searchGraphStore(entities) {
+  const store = getGraphStore();
+  const records = await store.searchPlantsByCriteria(
+    {
+      countyName: entities?.counties[0]?.name,
+      soilType: entities?.soilTypes[0]?.name,
+      season: entities?.seasons[0]?.name,
+    },
+    { limit: 10 }
+  );
+  const attempt = {
+    attempt: 1,
+    rawQuery: null,
+    query: null,
+    executedQuery: null,
+    status: records.length > 0 ? "success" : "empty",
+    rowCount: records.length,
+    error: null,
+  };
+  return { records, attempts: [attempt], finalAttempt: attempt };
 }
 
 /**
@@ -86,8 +225,23 @@ export async function POST({ request }) {
     `Starting stochastic endpoint processing at ${new Date().toISOString()}...`
   );
   try {
-    const { question, conversationHistory } = await request.json();
-    console.log(`Received question: "${question}"`);
+    const {
+      question: askedQuestion,
+      conversationHistory,
+      sessionId,
+      stream,
+    } = await request.json();
+    console.log(`Received question: "${askedQuestion}"`);
+
+    // Resolve follow-ups ("and what about in Kerry?") against the session,
+    // so every step below works on a standalone question
+    const memory = getConversationMemory();
+    const session = await memory.loadSession(sessionId, {
+      conversationHistory: conversationHistory || [],
+    });
+    const turn = await memory.prepareTurn(session, askedQuestion);
+    const question = turn.question;
+    const conversationContext = memory.describeContext(session, turn);
 
     // Step 1: Check if the query is gardening-related with a mini-prompt
     const topicCheckPrompt = `
@@ -102,6 +256,7 @@ If it is NOT gardening-related, respond with "GARDENING: NO"
 Answer with ONLY "GARDENING: YES" or "GARDENING: NO" and nothing else.`;
 
     const topicCheckResponse = await generateText(topicCheckPrompt, {
+      callSite: LLM_CALL_SITES.TOPIC_CHECK,
       maxTokens: 16,
       temperature: 0.1,
     });
@@ -120,6 +275,7 @@ Answer with ONLY "GARDENING: YES" or "GARDENING: NO" and nothing else.`;
           answer:
             "I'm Bloom, your gardening assistant. I can only help with gardening-related questions. Please ask me something about plants, gardening, or sustainable garden practices.",
           isGardeningTopic: false,
+          sessionId: session.id,
         }),
         {
           status: 200,
@@ -130,249 +286,40 @@ Answer with ONLY "GARDENING: YES" or "GARDENING: NO" and nothing else.`;
       );
     }
 
-    // Step 2: Generate Cypher query (continuing with gardening-related queries)
-    console.log("Generating Cypher query with Vertex AI...");
-    const cypherPrompt = `
-${GRAPHRAG_SYSTEM_INSTRUCTION}
-
-TASK: Create a valid Neo4j Cypher query for the gardening question: "${question}"
-
-NODE LABELS: Plant, County, SoilType, GrowingCondition, Season, Month
-RELATIONSHIPS: GROWS_IN, HAS_SOIL, SUITABLE_FOR, PLANTED_IN, HARVEST_IN, ATTRACTS, COMPANION_TO, ANTAGONISTIC_TO
-
-QUERY PATTERNS:
-- Vegetables in county: MATCH (plant:Plant)-[:SUITABLE_FOR]->(:GrowingCondition)-[:SUITABLE_FOR]->(county:County {name: "CountyName"})
-- Companions: MATCH (plant:Plant {name: "X"})-[:COMPANION_TO]->(companion:Plant)
-- Soil types: MATCH (plant:Plant)-[:GROWS_WELL_IN]->(soil:SoilType)
-- Planting times: MATCH (plant:Plant)-[:PLANT_IN]->(month:Month)
-
-RESPONSE FORMAT INSTRUCTIONS:
-- Begin your response with the word 'MATCH' or another valid Cypher keyword 
-- Provide ONLY a valid Cypher query with no explanations
-- Your query MUST include a RETURN clause
-- LIMIT all results to 5-10 items maximum
-- Do not include any text, comments, or markdown formatting
-
-Example valid response format:
-MATCH (p:Plant)-[:GROWS_WELL_IN]->(s:SoilType)
-WHERE s.name = 'Clay'
-RETURN p.name as PlantName, p.type as PlantType
-LIMIT 5
-`;
-
-    console.log("Sending prompt to Vertex AI...");
-    const rawGeneratedQuery = await generateText(cypherPrompt, {
-      maxTokens: 512, // Reduced from 1024
-      temperature: 0.2,
-    });
-    console.log("Received response from Vertex AI");
-
-    // Log the raw response for debugging
-    console.log("Raw response from Vertex AI:", rawGeneratedQuery);
-
-    // Clean the query from any markdown formatting and validate it's a proper Cypher query
-    const generatedQuery = cleanCypherQuery(rawGeneratedQuery);
-    console.log("Cleaned Cypher query:", generatedQuery);
-
-    // Step 3: Execute the generated Cypher query against Neo4j
-    console.log("Connecting to Neo4j...");
-    const session = neo4jDriver.session();
-    console.log("Neo4j session created");
-
-    let contextData = [];
-    try {
-      // Additional safety check to ensure we don't execute invalid queries
-      if (generatedQuery.trim().startsWith("I'm Bloom")) {
-        console.log(
-          "Detected assistant response instead of Cypher query, using safe fallback query"
-        );
-        // Use a safe fallback query that will simply return no results
-        generatedQuery =
-          "MATCH (n:Plant) WHERE n.name = 'NO_RESULTS' RETURN n LIMIT 0";
-      }
-
-      console.log("Executing Cypher query...");
-
-      // Extract all parameter names from the query
-      const paramRegex = /\$([a-zA-Z0-9_]+)/g;
-      const requiredParams = new Set();
-      let match;
-
-      while ((match = paramRegex.exec(generatedQuery)) !== null) {
-        requiredParams.add(match[1]);
-      }
-
-      // Declare query parameters and result outside of conditional blocks
-      let queryParams = {};
-      let result;
-
-      // Check if parameters are required
-      if (requiredParams.size === 0) {
-        console.log("No parameters required for this query");
-
-        // Execute without parameters
-        result = await withTimeout(
-          async () => session.run(generatedQuery),
-          10000, // 10 second timeout
-          "Neo4j query execution timed out"
-        );
-      } else {
-        // Set default values for common parameters
-        const defaultValues = {
-          // County-related parameter naming variations
-          county: "Dublin",
-          countyName: "Dublin",
-          County: "Dublin",
-          countyCork: "Cork",
-          countyGalway: "Galway",
-          countyKerry: "Kerry",
-          countyMayo: "Mayo",
-
-          // Growing conditions
-          sunExposure: "Full Sun",
-          soilType: "Loam",
-          soilPH: "6.5",
-
-          // Plant-related parameters
-          plantType: "Vegetable",
-          plantName: "Potato",
-          plant: "Potato",
-
-          // Time-related parameters
-          season: "Summer",
-          month: new Date().toLocaleString("en-US", { month: "long" }),
-          currentMonth: new Date().toLocaleString("en-US", { month: "long" }),
-
-          // General catch-all parameters
-          limit: 10,
-          name: "Vegetable",
-        };
-
-        try {
-          // Detect user context from question to set better defaults
-          const { question } = await request.json();
-          if (question) {
-            const lowerQuestion = question.toLowerCase();
-
-            // Extract county name if mentioned
-            const countyMatches = lowerQuestion.match(/county\s+([a-z]+)/i);
-            if (countyMatches && countyMatches[1]) {
-              const county =
-                countyMatches[1].charAt(0).toUpperCase() +
-                countyMatches[1].slice(1);
-              defaultValues["county"] = county;
-              defaultValues["countyName"] = county;
-              defaultValues["County"] = county;
-            }
-
-            // Extract plant type if mentioned
-            if (lowerQuestion.includes("vegetable"))
-              defaultValues["plantType"] = "Vegetable";
-            if (lowerQuestion.includes("fruit"))
-              defaultValues["plantType"] = "Fruit";
-            if (lowerQuestion.includes("flower"))
-              defaultValues["plantType"] = "Flower";
-            if (lowerQuestion.includes("herb"))
-              defaultValues["plantType"] = "Herb";
-
-            // Extract specific plant if mentioned
-            const commonPlants = [
-              "Potato",
-              "Carrot",
-              "Cabbage",
-              "Tomato",
-              "Apple",
-              "Rose",
-              "Tulip",
-            ];
-            for (const plant of commonPlants) {
-              if (lowerQuestion.includes(plant.toLowerCase())) {
-                defaultValues["plantName"] = plant;
-                defaultValues["plant"] = plant;
-                break;
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(
-            "Error extracting context from question:",
-            error.message
-          );
-          // Continue with default values if there's an error
-        }
-
-        // Add parameters needed by the query
-        for (const param of requiredParams) {
-          if (defaultValues[param] !== undefined) {
-            queryParams[param] = defaultValues[param];
-            console.log(`Using parameter: ${param} = ${defaultValues[param]}`);
-          } else {
-            // For any unknown parameter, try to derive a reasonable default
-            // First check if it's a compound name that contains a known parameter
-            let foundMatch = false;
-            for (const [key, value] of Object.entries(defaultValues)) {
-              if (param.includes(key)) {
-                queryParams[param] = value;
-                console.log(
-                  `Using derived parameter: ${param} = ${value} (from ${key})`
-                );
-                foundMatch = true;
-                break;
-              }
-            }
-
-            if (!foundMatch) {
-              console.warn(`Unknown parameter: ${param}, using empty string`);
-              queryParams[param] = "";
-            }
-          }
-        }
-
-        console.log("Query parameters:", JSON.stringify(queryParams));
+    // Plants, counties, months etc. the question mentions, for the search,
+    // the card type and the facts
+    const entities =
+      turn.entities ||
+      (await extractEntities(question).catch((error) => {
+        console.warn("Entity extraction failed:", error.message);
+        return null;
+      }));
+
+    // Step 2: Generate a Cypher query from the live schema and run it in the
+    // read-only sandbox, repairing it when it fails or returns no rows. The
+    // memory backend searches the graph store instead.
+    const { records, attempts, finalAttempt } =
+      getGraphBackend() === GRAPH_BACKENDS.MEMORY
+        ? await searchGraphStore(entities)
+        : await generateAndRunCypher(question, {
+            systemInstruction: GRAPHRAG_SYSTEM_INSTRUCTION,
+            getParams: (query) => buildQueryParams(query, question),
+            timeoutMs: 10000, // 10 second timeout per query
+          });
 
-        // Execute the query with the prepared parameters
-        result = await withTimeout(
-          async () => session.run(generatedQuery, queryParams),
-          10000, // 10 second timeout
-          "Neo4j query execution timed out"
-        );
-      }
-      console.log(
-        "Cypher query executed",
-        result.records
-          ? `with ${result.records.length} records`
-          : "with no results"
-      );
+    const rawGeneratedQuery = finalAttempt.rawQuery;
+    const sanitisedQuery = finalAttempt.executedQuery;
+    const queryRejection =
+      finalAttempt.status === "rejected" ? finalAttempt.error : null;
+    console.log(
+      `Cypher generation finished after ${attempts.length} attempt(s) with status "${finalAttempt.status}"`
+    );
 
-      // Process Neo4j results into a usable context format
-      if (result.records && result.records.length > 0) {
-        // Limit the number of records processed to avoid overly large contexts
-        const limitedRecords = result.records.slice(0, 10);
-        contextData = limitedRecords.map((record) => {
-          const recordObj = {};
-          record.keys.forEach((key) => {
-            const value = record.get(key);
-            if (typeof value === "object" && value !== null) {
-              // Handle Neo4j node objects
-              if (value.properties) {
-                recordObj[key] = value.properties;
-              } else {
-                recordObj[key] = value;
-              }
-            } else {
-              recordObj[key] = value;
-            }
-          });
-          return recordObj;
-        });
-      }
-    } finally {
-      await session.close();
-      console.log("Neo4j session closed");
-    }
+    // Step 3: Limit the number of records processed to avoid overly large contexts
+    const contextData = records.slice(0, 10);
 
     // Format the retrieved data into a readable context - limit the number of facts
-    const sourceFacts = contextData.slice(0, 5).map((item) => {
+    const recordFacts = contextData.slice(0, 5).map((item) => {
       // Create a more concise representation of each data item
       const factParts = [];
       for (const [key, value] of Object.entries(item)) {
@@ -384,55 +331,69 @@ LIMIT 5
           factParts.push(`${key}: ${value}`);
         }
       }
-      return factParts.join(", ");
+      const text = factParts.join(", ");
+      return createFact({
+        id: contentFactId("graph", text),
+        text,
+        source: { type: FACT_SOURCES.GRAPH, label: "Knowledge graph query" },
+      });
     });
 
+    // Determine the card type from the user's question and what it mentions
+    const cardType = determineCardTypeFromQuery(question, entities);
+    console.log(`Determined card type: ${cardType}`);
+
+    // Add what the graph, Teagasc soil data and the task list say about the
+    // plants, months and county the question names, so the answer can cite
+    // it and be checked against it
+    const entityFacts = entities
+      ? await retrieveFacts(entities).catch((error) => {
+          console.warn("Fact retrieval failed:", error.message);
+          return [];
+        })
+      : [];
+    const sourceFacts = [...recordFacts, ...entityFacts].filter(
+      (fact, index, facts) =>
+        facts.findIndex((other) => other.id === fact.id) === index
+    );
+
     // Check if we have sufficient data from the knowledge graph
-    const hasSufficientData = contextData.length > 0;
+    const hasSufficientData = sourceFacts.length > 0;
 
     // Log to console if data is missing but don't tell the user
     if (!hasSufficientData) {
       console.log(`[KNOWLEDGE GAP] No data found for question: "${question}"`);
-      console.log(`[KNOWLEDGE GAP] Query used: ${generatedQuery}`);
+      console.log(
+        `[KNOWLEDGE GAP] Query used: ${sanitisedQuery || finalAttempt.query}`
+      );
       console.log(
         `[KNOWLEDGE GAP] Falling back to LLM without knowledge graph context`
       );
     }
 
     // Step 4: Generate an answer based on whether we have data or not
-    let answer;
-
-    // Determine the card type based on the user's question
-    const cardType = determineCardTypeFromQuery(question);
-    console.log(`Determined card type: ${cardType}`);
+    let answerPrompt;
+    let answerMaxTokens;
+
+    // Cards for the finished answer; the answer decides the type when the
+    // question did not
+    const selectCards = async (answer) => {
+      const type = cardType || detectCardTypeFromResponse(question, answer);
+      const cards = type
+        ? await selectCardsForResponse(question, {
+            content: answer,
+            cardType: type,
+            entities,
+          })
+        : [];
+      return { cardType: type, cards };
+    };
 
     const userQuestion = question ? question.trim() : null;
 
     if (hasSufficientData) {
-      // Create a simplified context - only include essential data
-      const simplifiedContext = contextData.slice(0, 5).map((item) => {
-        // Filter out complex objects and only keep key properties
-        const simplified = {};
-        for (const [key, value] of Object.entries(item)) {
-          if (typeof value === "object" && value !== null && value.properties) {
-            simplified[key] = {
-              name: value.name || "Unknown",
-              type: value.type || "Unknown",
-            };
-          } else if (typeof value === "object" && value !== null) {
-            // Simplify nested objects, keeping only name and type
-            const simpleObj = {};
-            if (value.name) simpleObj.name = value.name;
-            if (value.type) simpleObj.type = value.type;
-            simplified[key] = simpleObj;
-          } else {
-            simplified[key] = value;
-          }
-        }
-        return simplified;
-      });
-
-      const formatContext = JSON.stringify(simplifiedContext, null, 1);
+      // Each fact with the id the answer cites it by
+      const formatContext = formatFactsForPrompt(sourceFacts);
 
       // More balanced prompt - not too verbose but not too short
       const contextualPrompt = userQuestion
@@ -445,7 +406,9 @@ ${formatContext}
 
 Provide detailed, practical advice specific to Irish growing conditions. 
 Include plant names in italic and use descriptive examples.
-Format with Markdown using headings, lists, and paragraphs as appropriate.`
+Format with Markdown using headings, lists, and paragraphs as appropriate.
+
+${CITATION_INSTRUCTIONS}`
         : `${GRAPHRAG_SYSTEM_INSTRUCTION}
 
 Create a gardening guide based on:
@@ -453,17 +416,12 @@ ${formatContext}
 
 Focus on practical Irish gardening advice with specific examples.
 Include growing conditions, seasonal considerations, and care instructions.
-Format using Markdown with clear headings and organized sections.`;
+Format using Markdown with clear headings and organized sections.
 
-      answer = await withTimeout(
-        async () =>
-          generateText(contextualPrompt, {
-            maxTokens: 768, // Increased from 512 to allow more detailed responses
-            temperature: 0.7,
-          }),
-        15000, // 15 second timeout for answer generation
-        "Answer generation timed out"
-      );
+${CITATION_INSTRUCTIONS}`;
+
+      answerPrompt = contextualPrompt;
+      answerMaxTokens = 768; // Increased from 512 to allow more detailed responses
     } else {
       // Balanced fallback prompt - not too brief
       const fallbackPrompt = userQuestion
@@ -479,29 +437,119 @@ Provide guidance on plants for Irish gardens.
 Include information on seasonal considerations, growing conditions, and care instructions.
 Format as a helpful guide using Markdown with appropriate headings and structure.`;
 
-      answer = await withTimeout(
-        async () =>
-          generateText(fallbackPrompt, {
-            maxTokens: 512, // Increased from 384 to allow more complete responses
+      answerPrompt = fallbackPrompt;
+      answerMaxTokens = 512; // Increased from 384 to allow more complete responses
+    }
+
+    // Let the answer draw on the earlier conversation
+    if (conversationContext) {
+      answerPrompt += `\n\nCONVERSATION CONTEXT:\n${conversationContext}`;
+    }
+
+    const remember = (answer) =>
+      memory
+        .recordExchange(session, {
+          question: askedQuestion,
+          standaloneQuestion: question,
+          answer,
+        })
+        .catch((error) =>
+          console.error("Failed to save conversation turn:", error)
+        );
+
+    // Footnotes for the answer's citations, and warnings for claims the
+    // knowledge graph does not support
+    const ground = async (answer) => {
+      const { answer: groundedAnswer, citations, warnings } =
+        await groundAnswer(answer, sourceFacts);
+      return {
+        answer: groundedAnswer,
+        citations,
+        groundingWarnings: warnings,
+      };
+    };
+
+    const responseData = {
+      sourceFacts, // Retrieved facts with their ids and sources
+      generatedQuery: rawGeneratedQuery, // Return the original query for debugging
+      cleanedQuery: sanitisedQuery, // The query as executed by the sandbox
+      queryRejection, // Structured reason when the sandbox refused the query
+      queryAttempts: attempts, // Every generated query and its outcome
+      hasKnowledgeGraphData: hasSufficientData, // Flag indicating if answer came from knowledge graph
+      cardType, // Include detected card type for card generation
+      entities, // Plants, counties, months etc. resolved to graph ids
+      contextData: contextData, // Include raw Neo4j results for richer card data
+      sessionId: session.id, // Send back with the next question to continue the conversation
+      resolvedQuestion: turn.isFollowUp ? question : null, // Follow-ups rewritten as standalone questions
+    };
+
+    // Stream the answer as Server-Sent Events: "metadata" with everything
+    // above, "token" events with text, then "done" with the full answer and
+    // its cards
+    if (
+      stream ||
+      request.headers.get("Accept")?.includes("text/event-stream")
+    ) {
+      return createSSEResponse(
+        async (send, signal) => {
+          send("metadata", responseData);
+
+          // Citations stream as footnote numbers
+          const citationStreamer = createCitationStreamer(sourceFacts);
+          let answer = "";
+          for await (const chunk of streamText(answerPrompt, {
+            callSite: LLM_CALL_SITES.GRAPHRAG_ANSWER,
+            maxTokens: answerMaxTokens,
             temperature: 0.7,
-          }),
-        15000, // 15 second timeout for fallback answer generation
-        "Fallback answer generation timed out"
+            signal,
+          })) {
+            answer += chunk;
+            const text = citationStreamer.push(chunk);
+            if (text) send("token", { text });
+          }
+          const rest = citationStreamer.flush();
+          if (rest) send("token", { text: rest });
+
+          const grounded = await ground(answer);
+          await remember(grounded.answer);
+          send("done", {
+            ...grounded,
+            ...(await selectCards(grounded.answer)),
+          });
+          console.log(
+            `Completed streaming stochastic endpoint in ${
+              Date.now() - requestStartTime
+            }ms`
+          );
+        },
+        { signal: request.signal }
       );
     }
 
+    const rawAnswer = await withTimeout(
+      async () =>
+        generateText(answerPrompt, {
+          callSite: LLM_CALL_SITES.GRAPHRAG_ANSWER,
+          maxTokens: answerMaxTokens,
+          temperature: 0.7,
+        }),
+      15000, // 15 second timeout for answer generation
+      hasSufficientData
+        ? "Answer generation timed out"
+        : "Fallback answer generation timed out"
+    );
+    const grounded = await ground(rawAnswer);
+    await remember(grounded.answer);
+    const answerCards = await selectCards(grounded.answer);
+
     const executionTime = Date.now() - requestStartTime;
     console.log(`Completed stochastic endpoint in ${executionTime}ms`);
 
     return new Response(
       JSON.stringify({
-        answer,
-        sourceFacts,
-        generatedQuery: rawGeneratedQuery, // Return the original query for debugging
-        cleanedQuery: generatedQuery, // Also return the cleaned query
-        hasKnowledgeGraphData: hasSufficientData, // Flag indicating if answer came from knowledge graph
-        cardType, // Include detected card type for card generation
-        contextData: contextData, // Include raw Neo4j results for richer card data
+        ...responseData,
+        ...grounded,
+        ...answerCards,
       }),
       {
         status: 200,
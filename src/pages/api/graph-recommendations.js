@@ -2,14 +2,18 @@
  * API route for handling graph-based plant recommendations
  */
 
-import { getGraphPlantRecommendations } from "../../utils/graph-recommender.js";
+import {
+  getRecommendations,
+  RecommendationConditionsError,
+} from "../../utils/recommendation-service.js";
 
 // Mark this endpoint as server-rendered to handle POST requests
 export const prerender = false;
 
 export async function POST({ request }) {
   try {
-    const { county, sunExposure, nativeOnly, plantType } = await request.json();
+    const { county, sunExposure, nativeOnly, plantType, profile } =
+      await request.json();
 
     if (!county) {
       return new Response(JSON.stringify({ error: "County is required" }), {
@@ -22,18 +26,33 @@ export async function POST({ request }) {
       console.warn("sunExposure parameter missing, defaulting to 'Full Sun'");
     }
 
-    const recommendations = await getGraphPlantRecommendations({
-      county,
-      sunExposure: sunExposure || "Full Sun", // Provide default to prevent the parameter missing error
-      nativeOnly,
-      plantType,
-    });
-
-    return new Response(JSON.stringify({ recommendations }), {
-      status: 200,
-      headers: { "Content-Type": "application/json" },
-    });
+    const { recommendations, source, fallbackReason, conditions } =
+      await getRecommendations({
+        county,
+        sunExposure: sunExposure || "Full Sun", // Provide default to prevent the parameter missing error
+        nativeOnly,
+        plantType,
+        profile,
+      });
+
+    return new Response(
+      JSON.stringify({ recommendations, source, fallbackReason, conditions }),
+      {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
   } catch (error) {
+    if (error instanceof RecommendationConditionsError) {
+      return new Response(
+        JSON.stringify({ error: error.message, ...error.details }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
     console.error("Error getting graph recommendations:", error);
 
     return new Response(
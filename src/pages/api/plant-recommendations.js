@@ -2,14 +2,17 @@
  * API route for handling plant recommendations
  */
 
-import { getPlantRecommendations } from "../../utils/plant-recommender.js";
+import {
+  getRecommendations,
+  RecommendationConditionsError,
+} from "../../utils/recommendation-service.js";
 
 // Mark this endpoint as server-rendered to handle POST requests
 export const prerender = false;
 
 export async function POST({ request }) {
   try {
-    const { county, sunExposure, soilType, gardenType, plantType } =
+    const { county, sunExposure, soilType, nativeOnly, plantType, profile } =
       await request.json();
 
     if (!county) {
@@ -19,19 +22,34 @@ export async function POST({ request }) {
       });
     }
 
-    const recommendations = await getPlantRecommendations(
-      county,
-      sunExposure,
-      soilType,
-      gardenType,
-      plantType
-    );
+    const { recommendations, source, fallbackReason, conditions } =
+      await getRecommendations({
+        county,
+        sunExposure,
+        soilType,
+        nativeOnly,
+        plantType,
+        profile,
+      });
 
-    return new Response(JSON.stringify({ recommendations }), {
-      status: 200,
-      headers: { "Content-Type": "application/json" },
-    });
+    return new Response(
+      JSON.stringify({ recommendations, source, fallbackReason, conditions }),
+      {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
   } catch (error) {
+    if (error instanceof RecommendationConditionsError) {
+      return new Response(
+        JSON.stringify({ error: error.message, ...error.details }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
     console.error("Error getting plant recommendations:", error);
 
     return new Response(
@@ -0,0 +1,60 @@
+/**
+ * API endpoint for frost, gale, heavy rain and heat alerts for a county,
+ * tied to the gardener's plants (see utils/weather-alerts.js)
+ *
+ * GET /api/weather-alerts?county=Cavan&plants=courgettes,tomatoes
+ *
+ * Returns the alerts, and the same alerts as gardening calendar tasks.
+ */
+
+import { alertsToTasks, getWeatherAlerts } from "../../utils/weather-alerts.js";
+import { getWeatherCounties } from "../../utils/weather-client.js";
+import logger from "../../utils/unified-logger.js";
+
+export const prerender = false;
+
+export async function GET({ request }) {
+  const url = new URL(request.url);
+  const county = url.searchParams.get("county");
+  const plants = (url.searchParams.get("plants") || "")
+    .split(",")
+    .map((plant) => plant.trim())
+    .filter(Boolean);
+
+  if (!county || !getWeatherCounties().includes(county.toLowerCase())) {
+    return new Response(
+      JSON.stringify({
+        error: county ? `Unknown county: ${county}` : "A county is required",
+      }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  try {
+    const result = await getWeatherAlerts(county, { plants });
+    return new Response(
+      JSON.stringify({ ...result, tasks: alertsToTasks(result.alerts) }),
+      {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  } catch (error) {
+    logger.error(`Weather alerts failed for ${county}: ${error.message}`, {
+      component: "WeatherAlertsAPI",
+    });
+    return new Response(
+      JSON.stringify({
+        error: "Failed to load the forecast for weather alerts",
+        details: error.message,
+      }),
+      {
+        status: 502,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+}
@@ -1,16 +1,35 @@
-import { XMLParser } from "fast-xml-parser";
+/**
+ * API endpoint for the forecast model (see utils/forecast-model.js)
+ *
+ * GET /api/weather-proxy?county=Cavan
+ * GET /api/weather-proxy?lat=54.0&lon=-7.3
+ *
+ * Fetches Met Éireann's forecast server-side, through the weather cache, and
+ * returns it as JSON: the hourly series and daily summaries over the whole
+ * forecast range, units, issue time and model runs, and whether the forecast
+ * was fetched for this request ("live") or served from the cache ("cached").
+ * The browser's weather client reads this so it sees the same model as the
+ * server.
+ */
+
+import {
+  getForecast,
+  getForecastAt,
+  getWeatherCounties,
+} from "../../utils/weather-client.js";
 import logger from "../../utils/unified-logger.js";
 
 // This is a server-side API route
 export async function GET({ request }) {
   const url = new URL(request.url);
-  const lat = url.searchParams.get("lat");
-  const lon = url.searchParams.get("lon");
-  const county = url.searchParams.get("county") || "Unknown"; // For logging
+  const county = url.searchParams.get("county");
+  const lat = parseFloat(url.searchParams.get("lat"));
+  const lon = parseFloat(url.searchParams.get("lon"));
+  const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lon);
 
-  if (!lat || !lon) {
+  if (county && !getWeatherCounties().includes(county.toLowerCase())) {
     return new Response(
-      JSON.stringify({ error: "Latitude and longitude are required" }),
+      JSON.stringify({ error: `Unknown county: ${county}` }),
       {
         status: 400,
         headers: { "Content-Type": "application/json" },
@@ -18,52 +37,43 @@ export async function GET({ request }) {
     );
   }
 
-  const metApiUrl = `http://openaccess.pf.api.met.ie/metno-wdb2ts/locationforecast?lat=${lat}&long=${lon}`;
+  if (!county && !hasCoordinates) {
+    return new Response(
+      JSON.stringify({
+        error: "A county, or latitude and longitude, are required",
+      }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
 
+  const place = county || `${lat}, ${lon}`;
   try {
     logger.info(
-      `[API Route /api/weather-proxy] Fetching Met.ie data for ${county} (lat: ${lat}, lon: ${lon})`,
+      `[API Route /api/weather-proxy] Getting the forecast for ${place}`,
       { component: "WeatherProxyAPI" }
     );
-    const response = await fetch(metApiUrl);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      logger.error(
-        `[API Route /api/weather-proxy] Met.ie API error for ${county}: ${response.status} ${response.statusText}`,
-        { component: "WeatherProxyAPI", error: errorText }
-      );
-      return new Response(
-        JSON.stringify({
-          error: `Met.ie API error: ${response.status} ${response.statusText}`,
-          details: errorText,
-        }),
-        {
-          status: response.status,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
-    }
-
-    const xmlText = await response.text();
-    // We return the raw XML text. The client-side weather-client.js already has parsing logic.
-    // Alternatively, we could parse it here and return JSON, but that might duplicate logic.
-    // For now, let's keep it simple and let the client parse.
-    // If we decide to parse here, we'd use XMLParser like in weather-client.js
-    // const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" });
-    // const jsonObj = parser.parse(xmlText);
+    const forecast = county
+      ? await getForecast(county)
+      : await getForecastAt(lat, lon);
 
     logger.info(
-      `[API Route /api/weather-proxy] Successfully fetched Met.ie XML for ${county}`,
-      { component: "WeatherProxyAPI" }
+      `[API Route /api/weather-proxy] Returning ${forecast.hourly.length} ${forecast.dataStatus} forecast points for ${place}`,
+      {
+        component: "WeatherProxyAPI",
+        issuedAt: forecast.issuedAt,
+        fetchedAt: forecast.fetchedAt,
+      }
     );
-    return new Response(xmlText, {
+    return new Response(JSON.stringify(forecast), {
       status: 200,
-      headers: { "Content-Type": "application/xml" }, // Send as XML
+      headers: { "Content-Type": "application/json" },
     });
   } catch (error) {
     logger.error(
-      `[API Route /api/weather-proxy] Server-side fetch error for ${county}: ${error.message}`,
+      `[API Route /api/weather-proxy] Server-side fetch error for ${place}: ${error.message}`,
       { component: "WeatherProxyAPI", stack: error.stack }
     );
     return new Response(
@@ -72,7 +82,7 @@ export async function GET({ request }) {
         details: error.message,
       }),
       {
-        status: 500,
+        status: 502,
         headers: { "Content-Type": "application/json" },
       }
     );
@@ -22,7 +22,7 @@ const testCases = [
       plantType: "Vegetable",
       soilType: "Clay",
       season: "Winter",
-      growingProperty: "waterNeeds",
+      growingProperty: "growingCondition",
     },
   },
   {
@@ -32,7 +32,7 @@ const testCases = [
       plantType: "Tree",
       soilType: "Peat",
       season: "Summer",
-      growingProperty: "sunNeeds",
+      growingProperty: "harvestSeason",
     },
   },
   {
@@ -47,94 +47,6 @@ const testCases = [
   },
 ];
 
-// Function to build a Cypher query based on parameters - simplified for testing
-function buildTestQuery(params) {
-  // Different query patterns based on what we're looking for
-  if (
-    params.growingProperty === "harvestSeason" ||
-    params.growingProperty === "growingSeason"
-  ) {
-    // Query for seasonal information - handle potentially null parameters
-    let cypherQuery = `MATCH (plant:Plant)`;
-    const whereConditions = [];
-    const additionalMatches = [];
-
-    if (params.countyName) {
-      additionalMatches.push(`MATCH (county:County {name: "${params.countyName}"})
-                              MATCH (plant)-[:SUITABLE_FOR]->(gc:GrowingCondition)-[:SUITABLE_FOR]->(county)`);
-    }
-
-    if (params.soilType) {
-      additionalMatches.push(
-        `MATCH (plant)-[:GROWS_WELL_IN]->(soil:SoilType {name: "${params.soilType}"})`
-      );
-    }
-
-    if (params.season) {
-      additionalMatches.push(`MATCH (plant)-[:${
-        params.growingProperty === "harvestSeason" ? "HARVEST_IN" : "PLANT_IN"
-      }]->(month:Month)
-      WHERE month.season = "${params.season}"`);
-    }
-
-    if (params.plantType) {
-      whereConditions.push(`plant.type = "${params.plantType}"`);
-    }
-
-    // Add all additional MATCH clauses
-    cypherQuery += " " + additionalMatches.join(" ");
-
-    // Add WHERE clause if we have conditions
-    if (whereConditions.length > 0) {
-      cypherQuery += ` WHERE ${whereConditions.join(" AND ")}`;
-    }
-
-    // Add RETURN clause with appropriate fields
-    cypherQuery += `
-      RETURN plant.name as plantName, plant.latinName as latinName, plant.description as description
-      LIMIT 5
-    `;
-
-    return cypherQuery;
-  } else {
-    // General query for soil preference or other properties - handle potentially null parameters
-    let cypherQuery = `MATCH (plant:Plant)`;
-    const whereConditions = [];
-    const additionalMatches = [];
-
-    if (params.countyName) {
-      additionalMatches.push(`MATCH (county:County {name: "${params.countyName}"})
-                              MATCH (plant)-[:SUITABLE_FOR]->(gc:GrowingCondition)-[:SUITABLE_FOR]->(county)`);
-    }
-
-    if (params.soilType) {
-      additionalMatches.push(
-        `MATCH (plant)-[:GROWS_WELL_IN]->(soil:SoilType {name: "${params.soilType}"})`
-      );
-    }
-
-    if (params.plantType) {
-      whereConditions.push(`plant.type = "${params.plantType}"`);
-    }
-
-    // Add all additional MATCH clauses
-    cypherQuery += " " + additionalMatches.join(" ");
-
-    // Add WHERE clause if we have conditions
-    if (whereConditions.length > 0) {
-      cypherQuery += ` WHERE ${whereConditions.join(" AND ")}`;
-    }
-
-    // Add RETURN clause with appropriate fields
-    cypherQuery += `
-      RETURN plant.name as plantName, plant.latinName as latinName, plant.description as description
-      LIMIT 5
-    `;
-
-    return cypherQuery;
-  }
-}
-
 // Main test function
 async function testFallbackQuery() {
   console.log(chalk.blue("=".repeat(80)));
@@ -160,11 +72,8 @@ async function testFallbackQuery() {
       console.log("Initial Parameters:");
       console.log(JSON.stringify(testCase.params, null, 2));
 
-      // Execute with fallback
-      const fallbackResult = await executeWithFallback(
-        testCase.params,
-        buildTestQuery
-      );
+      // Execute with fallback, using the same query builder as the deterministic endpoint
+      const fallbackResult = await executeWithFallback(testCase.params);
 
       // Print results
       console.log("\nFallback Query Results:");
@@ -195,6 +104,11 @@ async function testFallbackQuery() {
             );
           }
 
+          console.log(chalk.green(`Explanation: ${fallbackResult.explanation}`));
+          console.log(
+            chalk.green(`Distance from original: ${fallbackResult.distance}`)
+          );
+
           console.log("Final parameters:");
           console.log(JSON.stringify(fallbackResult.currentParams, null, 2));
         }
@@ -230,6 +144,9 @@ async function testFallbackQuery() {
           attempt.query.split("\n").slice(0, 3).join("\n") +
           (attempt.query.split("\n").length > 3 ? "\n..." : "");
         console.log(attemptColor(`  Query: ${queryExcerpt}`));
+        console.log(
+          attemptColor(`  Query params: ${JSON.stringify(attempt.queryParams)}`)
+        );
       });
     }
 
@@ -0,0 +1,387 @@
+// src/utils/assistant-evaluation.js
+// Scoring for the offline assistant evaluation (scripts/evaluate-assistant.js).
+//
+// Each golden set case (src/data/evaluation-golden-set.js) is run on each
+// answer path, and the path's output is normalised to an outcome:
+//
+//   { answer, entities, cardType, retrieved }
+//
+// where `entities` is the grouped extraction result the path used (null if
+// it does not return one) and `retrieved` lists the text the path retrieved
+// (null if it retrieves nothing). The outcome is scored on:
+//
+// - retrievalRecall: expected plants and entities found in what was retrieved
+// - entityRecall: expected entities the path extracted from the question
+// - cardAccuracy: 1 when the path chose the expected card type
+// - groundedness: must-mention terms present, must-not-mention terms absent
+//   and no grounding warnings against the knowledge graph (see grounding.js)
+//
+// A metric that does not apply to a case or path is null and left out of
+// the averages.
+
+import { extractEntities } from "./entity-extraction.js";
+import { retrieveFacts } from "./rag-system.js";
+import { GROUNDING_WARNINGS, groundAnswer } from "./grounding.js";
+
+export const EVALUATION_PATHS = {
+  DETERMINISTIC: "deterministic",
+  STOCHASTIC: "stochastic",
+  LLM: "llm",
+};
+
+export const EVALUATION_METRICS = [
+  "retrievalRecall",
+  "entityRecall",
+  "cardAccuracy",
+  "groundedness",
+];
+
+export const REPORT_FORMAT_VERSION = 1;
+
+// Score changes smaller than this are noise, not regressions
+const SCORE_TOLERANCE = 0.001;
+
+/**
+ * Whether a text contains a term, or any of a set of alternatives
+ */
+function mentions(text, term) {
+  const lowerText = (text || "").toLowerCase();
+  const alternatives = Array.isArray(term) ? term : [term];
+  return alternatives.some((alternative) =>
+    lowerText.includes(alternative.toLowerCase())
+  );
+}
+
+function describeTerm(term) {
+  return Array.isArray(term) ? term.join(" | ") : term;
+}
+
+function ratio(found, total) {
+  return total === 0 ? null : found / total;
+}
+
+function mean(values) {
+  const scored = values.filter((value) => typeof value === "number");
+  return scored.length === 0
+    ? null
+    : scored.reduce((sum, value) => sum + value, 0) / scored.length;
+}
+
+/**
+ * Grounding warnings for an answer, checked against the facts the knowledge
+ * graph has for the entities in the question. Citation warnings are left
+ * out: the paths cite different fact lists.
+ * @param {string} question - The golden set question
+ * @param {string} answer - The path's answer
+ * @returns {Promise<Array<Object>>} Warnings (see grounding.js)
+ */
+export async function checkAnswerGrounding(question, answer) {
+  const entities = await extractEntities(question);
+  const facts = await retrieveFacts(entities);
+  const { warnings } = await groundAnswer(answer, facts);
+  return warnings.filter(
+    (warning) => warning.type !== GROUNDING_WARNINGS.UNKNOWN_CITATION
+  );
+}
+
+/**
+ * Score one path's outcome for a golden set case
+ * @param {Object} testCase - Golden set case
+ * @param {Object} outcome - { answer, entities, cardType, retrieved }
+ * @param {Array<Object>} groundingWarnings - From checkAnswerGrounding
+ * @returns {Object} { scores: { retrievalRecall, entityRecall, cardAccuracy, groundedness }, details }
+ */
+export function scoreOutcome(testCase, outcome, groundingWarnings = []) {
+  const expectedEntities = Object.entries(testCase.expectedEntities || {});
+  const expectedNames = [
+    ...new Set([
+      ...expectedEntities.flatMap(([, names]) => names),
+      ...(testCase.expectedPlants || []),
+    ]),
+  ];
+
+  // Retrieval: expected names anywhere in the retrieved text or entities
+  let retrievalRecall = null;
+  let missedRetrieval = [];
+  if (outcome.retrieved) {
+    const haystack = [
+      ...outcome.retrieved,
+      ...(outcome.entities?.all || []).map((entity) => entity.name),
+    ].join("\n");
+    missedRetrieval = expectedNames.filter((name) => !mentions(haystack, name));
+    retrievalRecall = ratio(
+      expectedNames.length - missedRetrieval.length,
+      expectedNames.length
+    );
+  }
+
+  // Entities: each expected name extracted under its group
+  let entityRecall = null;
+  let missedEntities = [];
+  if (outcome.entities) {
+    missedEntities = expectedEntities.flatMap(([group, names]) => {
+      const extracted = (outcome.entities[group] || []).map((entity) =>
+        entity.name.toLowerCase()
+      );
+      return names
+        .filter((name) => !extracted.includes(name.toLowerCase()))
+        .map((name) => `${group}: ${name}`);
+    });
+    const total = expectedEntities.reduce(
+      (sum, [, names]) => sum + names.length,
+      0
+    );
+    entityRecall = ratio(total - missedEntities.length, total);
+  }
+
+  // Cards: only scored when the case expects a card type (or none)
+  const cardType = outcome.cardType ?? null;
+  const cardAccuracy =
+    testCase.expectedCardType === undefined
+      ? null
+      : Number(cardType === testCase.expectedCardType);
+
+  // Groundedness: every mention check and grounding warning counts once
+  const mustMention = testCase.mustMention || [];
+  const mustNotMention = testCase.mustNotMention || [];
+  const missingMentions = mustMention
+    .filter((term) => !mentions(outcome.answer, term))
+    .map(describeTerm);
+  const forbiddenMentions = mustNotMention
+    .filter((term) => mentions(outcome.answer, term))
+    .map(describeTerm);
+  const checks =
+    mustMention.length + mustNotMention.length + groundingWarnings.length;
+  const failed =
+    missingMentions.length +
+    forbiddenMentions.length +
+    groundingWarnings.length;
+  const groundedness = checks === 0 ? 1 : (checks - failed) / checks;
+
+  return {
+    scores: { retrievalRecall, entityRecall, cardAccuracy, groundedness },
+    details: {
+      missedRetrieval,
+      missedEntities,
+      cardType,
+      expectedCardType: testCase.expectedCardType,
+      missingMentions,
+      forbiddenMentions,
+      groundingWarnings: groundingWarnings.map((warning) => warning.message),
+    },
+  };
+}
+
+/**
+ * Average each metric per path
+ * @param {Array<Object>} results - { path, status, scores, durationMs } per case and path
+ * @returns {Object} Per path: { cases, errors, skipped, meanDurationMs, ...metric averages }
+ */
+export function summarizeResults(results) {
+  const summary = {};
+
+  for (const path of new Set(results.map((result) => result.path))) {
+    const pathResults = results.filter((result) => result.path === path);
+    const scored = pathResults.filter((result) => result.status === "ok");
+
+    summary[path] = {
+      cases: scored.length,
+      errors: pathResults.filter((result) => result.status === "error").length,
+      skipped: pathResults.filter((result) => result.status === "skipped")
+        .length,
+      meanDurationMs: mean(scored.map((result) => result.durationMs)),
+      ...Object.fromEntries(
+        EVALUATION_METRICS.map((metric) => [
+          metric,
+          mean(scored.map((result) => result.scores[metric])),
+        ])
+      ),
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Compare a run with an earlier one: metric deltas per path, and the cases
+ * whose scores went down or up
+ * @param {Object} baseline - Earlier report
+ * @param {Object} current - New report
+ * @returns {Object} { goldenSetChanged, paths, regressions, improvements, newErrors }
+ */
+export function compareReports(baseline, current) {
+  const paths = {};
+  for (const [path, currentSummary] of Object.entries(current.summary)) {
+    const baselineSummary = baseline.summary[path] || {};
+    paths[path] = Object.fromEntries(
+      EVALUATION_METRICS.map((metric) => {
+        const before = baselineSummary[metric] ?? null;
+        const after = currentSummary[metric] ?? null;
+        return [
+          metric,
+          {
+            baseline: before,
+            current: after,
+            delta: before === null || after === null ? null : after - before,
+          },
+        ];
+      })
+    );
+  }
+
+  const baselineResults = new Map(
+    baseline.results.map((result) => [
+      `${result.caseId}:${result.path}`,
+      result,
+    ])
+  );
+  const regressions = [];
+  const improvements = [];
+  const newErrors = [];
+
+  for (const result of current.results) {
+    const before = baselineResults.get(`${result.caseId}:${result.path}`);
+    if (!before) continue;
+
+    if (result.status === "error" && before.status === "ok") {
+      newErrors.push({
+        caseId: result.caseId,
+        path: result.path,
+        error: result.error,
+      });
+      continue;
+    }
+    if (result.status !== "ok" || before.status !== "ok") continue;
+
+    for (const metric of EVALUATION_METRICS) {
+      const was = before.scores[metric];
+      const now = result.scores[metric];
+      if (typeof was !== "number" || typeof now !== "number") continue;
+
+      const change = {
+        caseId: result.caseId,
+        path: result.path,
+        metric,
+        was,
+        now,
+      };
+      if (now < was - SCORE_TOLERANCE) regressions.push(change);
+      if (now > was + SCORE_TOLERANCE) improvements.push(change);
+    }
+  }
+
+  return {
+    baselineRun: baseline.startedAt,
+    currentRun: current.startedAt,
+    goldenSetChanged: baseline.goldenSetVersion !== current.goldenSetVersion,
+    paths,
+    regressions,
+    improvements,
+    newErrors,
+  };
+}
+
+function formatScore(value) {
+  return typeof value === "number" ? value.toFixed(2) : "–";
+}
+
+function formatDelta(value) {
+  if (typeof value !== "number") return "";
+  if (Math.abs(value) < SCORE_TOLERANCE) return " (=)";
+  return ` (${value > 0 ? "+" : ""}${value.toFixed(2)})`;
+}
+
+/**
+ * Markdown table of a report's per-path averages
+ * @param {Object} report - Evaluation report
+ * @returns {string} Markdown
+ */
+export function formatSummaryTable(report) {
+  const lines = [
+    `| Path | Cases | Errors | Skipped | ${EVALUATION_METRICS.join(" | ")} |`,
+    `|------|-------|--------|---------|${EVALUATION_METRICS.map(
+      () => "---"
+    ).join("|")}|`,
+  ];
+  for (const [path, summary] of Object.entries(report.summary)) {
+    lines.push(
+      `| ${path} | ${summary.cases} | ${summary.errors} | ${
+        summary.skipped
+      } | ${EVALUATION_METRICS.map((metric) =>
+        formatScore(summary[metric])
+      ).join(" | ")} |`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Markdown report of a comparison between two runs
+ * @param {Object} comparison - From compareReports
+ * @returns {string} Markdown
+ */
+export function formatComparison(comparison) {
+  const lines = [
+    "# Assistant evaluation comparison",
+    "",
+    `Baseline: ${comparison.baselineRun}`,
+    `Current: ${comparison.currentRun}`,
+  ];
+
+  if (comparison.goldenSetChanged) {
+    lines.push(
+      "",
+      "**The golden set version changed between these runs, so the scores are not directly comparable.**"
+    );
+  }
+
+  lines.push(
+    "",
+    `| Path | ${EVALUATION_METRICS.join(" | ")} |`,
+    `|------|${EVALUATION_METRICS.map(() => "---").join("|")}|`
+  );
+  for (const [path, metrics] of Object.entries(comparison.paths)) {
+    lines.push(
+      `| ${path} | ${EVALUATION_METRICS.map(
+        (metric) =>
+          formatScore(metrics[metric].current) +
+          formatDelta(metrics[metric].delta)
+      ).join(" | ")} |`
+    );
+  }
+
+  const listChanges = (title, changes) => {
+    lines.push("", `## ${title} (${changes.length})`);
+    if (changes.length === 0) lines.push("", "None.");
+    else lines.push("");
+    for (const change of changes) {
+      lines.push(
+        `- ${change.caseId} [${change.path}] ${change.metric}: ${formatScore(
+          change.was
+        )} → ${formatScore(change.now)}`
+      );
+    }
+  };
+  listChanges("Regressions", comparison.regressions);
+  listChanges("Improvements", comparison.improvements);
+
+  if (comparison.newErrors.length > 0) {
+    lines.push("", `## New errors (${comparison.newErrors.length})`, "");
+    for (const { caseId, path, error } of comparison.newErrors) {
+      lines.push(`- ${caseId} [${path}]: ${error}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+export default {
+  EVALUATION_PATHS,
+  EVALUATION_METRICS,
+  checkAnswerGrounding,
+  scoreOutcome,
+  summarizeResults,
+  compareReports,
+  formatSummaryTable,
+  formatComparison,
+};
@@ -0,0 +1,343 @@
+// src/utils/blight-risk.js
+// Potato blight risk from the Met Éireann hourly forecast.
+//
+// Late blight (Phytophthora infestans) spreads in warm, humid weather. Two
+// sets of criteria are used in Ireland and Britain:
+//
+// - Irish Rules: at least 12 consecutive hours with temperature of 10 °C or
+//   more and relative humidity of 90% or more. The modified Irish Rules
+//   (Cucak et al., 2019) lower this to 11 hours at 88%.
+// - Hutton Criteria: two consecutive days, each with a minimum temperature
+//   of 10 °C or more and at least 6 hours of relative humidity at 90% or more.
+//
+// assessBlightRisk() turns an hourly series (the forecast model's hourly
+// points, see forecast-model.js) into risk windows: "high" where the criteria are met,
+// "moderate" where they are nearly met. getBlightRisk() does the same for a
+// county's live forecast.
+
+import { getForecast } from "./weather-client.js";
+import { HOUR_MS, irishDate } from "./forecast-model.js";
+
+export const BLIGHT_MODELS = {
+  IRISH_RULES: "irish-rules",
+  MODIFIED_IRISH_RULES: "modified-irish-rules",
+  HUTTON: "hutton",
+};
+
+export const BLIGHT_RISK_LEVELS = {
+  LOW: "low",
+  MODERATE: "moderate",
+  HIGH: "high",
+};
+
+export const DEFAULT_BLIGHT_MODEL = BLIGHT_MODELS.IRISH_RULES;
+
+// Thresholds for the run-length models. A run of qualifying hours reaching
+// watchHours is a moderate risk.
+const RUN_MODELS = {
+  [BLIGHT_MODELS.IRISH_RULES]: {
+    name: "Irish Rules",
+    minTemperature: 10,
+    minHumidity: 90,
+    minHours: 12,
+    watchHours: 8,
+  },
+  [BLIGHT_MODELS.MODIFIED_IRISH_RULES]: {
+    name: "Modified Irish Rules",
+    minTemperature: 10,
+    minHumidity: 88,
+    minHours: 11,
+    watchHours: 7,
+  },
+};
+
+const HUTTON = {
+  name: "Hutton Criteria",
+  minTemperature: 10,
+  minHumidity: 90,
+  minHumidHours: 6,
+  consecutiveDays: 2,
+  // Days with less forecast than this cannot be judged
+  minCoverageHours: 18,
+};
+
+// Forecast points further apart than this do not form a continuous run
+const MAX_STEP_HOURS = 6;
+
+const LEVEL_ORDER = [
+  BLIGHT_RISK_LEVELS.LOW,
+  BLIGHT_RISK_LEVELS.MODERATE,
+  BLIGHT_RISK_LEVELS.HIGH,
+];
+
+const highestLevel = (levels) =>
+  levels.reduce(
+    (highest, level) =>
+      LEVEL_ORDER.indexOf(level) > LEVEL_ORDER.indexOf(highest)
+        ? level
+        : highest,
+    BLIGHT_RISK_LEVELS.LOW
+  );
+
+/**
+ * The hours each forecast point stands for: until the next point, at most
+ * MAX_STEP_HOURS, and one hour for the last point
+ */
+function withDurations(hours) {
+  return hours.map((hour, index) => {
+    const next = hours[index + 1];
+    const gap = next
+      ? (new Date(next.time) - new Date(hour.time)) / HOUR_MS
+      : 1;
+    return { ...hour, duration: Math.min(gap, MAX_STEP_HOURS), gap };
+  });
+}
+
+function describeWindow(window) {
+  return {
+    ...window,
+    hours: Math.round(window.hours),
+    minTemperature: Math.round(window.minTemperature * 10) / 10,
+    minHumidity: Math.round(window.minHumidity * 10) / 10,
+  };
+}
+
+/**
+ * Runs of consecutive hours at or above the temperature and humidity
+ * thresholds
+ */
+function findRuns(hours, { minTemperature, minHumidity }) {
+  const runs = [];
+  let run = null;
+
+  for (const hour of hours) {
+    const qualifies =
+      hour.temperature >= minTemperature && hour.humidity >= minHumidity;
+
+    if (qualifies) {
+      if (!run) {
+        run = {
+          start: hour.time,
+          hours: 0,
+          minTemperature: hour.temperature,
+          minHumidity: hour.humidity,
+        };
+      }
+      run.hours += hour.duration;
+      run.end = new Date(
+        new Date(hour.time).getTime() + hour.duration * HOUR_MS
+      ).toISOString();
+      run.minTemperature = Math.min(run.minTemperature, hour.temperature);
+      run.minHumidity = Math.min(run.minHumidity, hour.humidity);
+    }
+
+    // A dry or cool hour, or a gap in the forecast, ends the run
+    if (!qualifies || hour.gap > MAX_STEP_HOURS) {
+      if (run) runs.push(run);
+      run = null;
+    }
+  }
+  if (run) runs.push(run);
+
+  return runs;
+}
+
+function assessRuns(hours, modelId) {
+  const model = RUN_MODELS[modelId];
+
+  return findRuns(hours, model)
+    .filter((run) => run.hours >= model.watchHours)
+    .map((run) =>
+      describeWindow({
+        ...run,
+        level:
+          run.hours >= model.minHours
+            ? BLIGHT_RISK_LEVELS.HIGH
+            : BLIGHT_RISK_LEVELS.MODERATE,
+      })
+    );
+}
+
+/**
+ * Per-day temperature and humidity summary, by Irish calendar day
+ */
+function summarizeDays(hours, { minTemperature, minHumidity }) {
+  const days = new Map();
+
+  for (const hour of hours) {
+    const date = irishDate(hour.time);
+    if (!days.has(date)) {
+      days.set(date, {
+        date,
+        start: hour.time,
+        end: hour.time,
+        coverageHours: 0,
+        humidHours: 0,
+        blightHours: 0,
+        minTemperature: hour.temperature,
+        minHumidity: hour.humidity,
+      });
+    }
+
+    const day = days.get(date);
+    day.coverageHours += hour.duration;
+    day.end = new Date(
+      new Date(hour.time).getTime() + hour.duration * HOUR_MS
+    ).toISOString();
+    day.minTemperature = Math.min(day.minTemperature, hour.temperature);
+    day.minHumidity = Math.min(day.minHumidity, hour.humidity);
+    if (hour.humidity >= minHumidity) {
+      day.humidHours += hour.duration;
+      if (hour.temperature >= minTemperature) day.blightHours += hour.duration;
+    }
+  }
+
+  return [...days.values()];
+}
+
+function assessHutton(days) {
+  const qualifies = (day) =>
+    day.coverageHours >= HUTTON.minCoverageHours &&
+    day.minTemperature >= HUTTON.minTemperature &&
+    day.humidHours >= HUTTON.minHumidHours;
+
+  const windows = [];
+  let streak = [];
+  const closeStreak = () => {
+    if (streak.length > 0) {
+      windows.push(
+        describeWindow({
+          start: streak[0].start,
+          end: streak[streak.length - 1].end,
+          hours: streak.reduce((sum, day) => sum + day.coverageHours, 0),
+          minTemperature: Math.min(...streak.map((day) => day.minTemperature)),
+          minHumidity: Math.min(...streak.map((day) => day.minHumidity)),
+          // A single Hutton day is a warning that a period may follow
+          level:
+            streak.length >= HUTTON.consecutiveDays
+              ? BLIGHT_RISK_LEVELS.HIGH
+              : BLIGHT_RISK_LEVELS.MODERATE,
+        })
+      );
+    }
+    streak = [];
+  };
+
+  for (const day of days) {
+    if (qualifies(day)) streak.push(day);
+    else closeStreak();
+  }
+  closeStreak();
+
+  return windows;
+}
+
+/**
+ * Assess the blight risk in an hourly forecast
+ * @param {Array<Object>} hours - { time, temperature, humidity } sorted by time
+ * @param {Object} options
+ * @param {string} options.model - One of BLIGHT_MODELS (default Irish Rules)
+ * @returns {Object} { model, modelName, level, windows: [{ start, end, hours, level, minTemperature, minHumidity }], days: [{ date, blightHours, humidHours, minTemperature, level }], from, to }
+ */
+export function assessBlightRisk(hours, { model = DEFAULT_BLIGHT_MODEL } = {}) {
+  const thresholds =
+    model === BLIGHT_MODELS.HUTTON ? HUTTON : RUN_MODELS[model];
+  if (!thresholds) {
+    throw new Error(
+      `Unknown blight model "${model}" (use ${Object.values(BLIGHT_MODELS).join(
+        ", "
+      )})`
+    );
+  }
+
+  const series = withDurations(hours);
+  const days = summarizeDays(series, thresholds);
+  const windows =
+    model === BLIGHT_MODELS.HUTTON
+      ? assessHutton(days)
+      : assessRuns(series, model);
+
+  // A day takes the highest level of the windows that overlap it
+  const dayLevels = days.map((day) => ({
+    date: day.date,
+    blightHours: Math.round(day.blightHours),
+    humidHours: Math.round(day.humidHours),
+    minTemperature: day.minTemperature,
+    level: highestLevel(
+      windows
+        .filter((window) => window.start < day.end && window.end > day.start)
+        .map((window) => window.level)
+    ),
+  }));
+
+  return {
+    model,
+    modelName: thresholds.name,
+    level: highestLevel(windows.map((window) => window.level)),
+    windows,
+    days: dayLevels,
+    from: series[0]?.time || null,
+    to: series[series.length - 1]?.time || null,
+  };
+}
+
+const formatWhen = (time) =>
+  new Date(time).toLocaleString("en-IE", {
+    timeZone: "Europe/Dublin",
+    weekday: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+/**
+ * One line of advice for a county's blight risk
+ * @param {Object} risk - From assessBlightRisk
+ * @param {string} county - County name
+ * @returns {string}
+ */
+export function describeBlightRisk(risk, county) {
+  const first = risk.windows.find((window) => window.level === risk.level);
+
+  if (risk.level === BLIGHT_RISK_LEVELS.HIGH) {
+    return `Blight conditions (${
+      risk.modelName
+    }) are forecast in ${county} from ${formatWhen(
+      first.start
+    )}. Protect potato and tomato foliage before then, and check the leaves for dark, water-soaked patches in the days after.`;
+  }
+  if (risk.level === BLIGHT_RISK_LEVELS.MODERATE) {
+    return `Conditions in ${county} come close to blight criteria (${
+      risk.modelName
+    }) from ${formatWhen(
+      first.start
+    )}. Keep an eye on potato and tomato leaves.`;
+  }
+  return `No blight conditions (${risk.modelName}) are forecast in ${county} for the coming days.`;
+}
+
+/**
+ * Blight risk for a county from the live Met Éireann forecast
+ * @param {string} county - The Irish county name
+ * @param {Object} options - As for assessBlightRisk
+ * @returns {Promise<Object>} assessBlightRisk's result plus county, issuedAt and advice
+ */
+export async function getBlightRisk(county, options = {}) {
+  const forecast = await getForecast(county);
+  const risk = assessBlightRisk(forecast.hourly, options);
+
+  return {
+    county: forecast.county,
+    issuedAt: forecast.issuedAt,
+    ...risk,
+    advice: describeBlightRisk(risk, forecast.county),
+  };
+}
+
+export default {
+  BLIGHT_MODELS,
+  BLIGHT_RISK_LEVELS,
+  assessBlightRisk,
+  describeBlightRisk,
+  getBlightRisk,
+};
@@ -0,0 +1,286 @@
+// src/utils/card-references.js
+// Structured card payloads from the gardening assistant. The model answers
+// with a JSON object holding the answer text and references to the cards to
+// show under it:
+//
+//   { "answer": "…", "cards": [{ "type": "plant", "id": 3 }] }
+//
+// Each reference is looked up through its card type's definition (see
+// src/cards) before it becomes a card, so the model can only show cards for
+// data that exists. Responses that are not a valid payload fall back to the
+// text markers in card-utils.js and the card types' keyword rules.
+
+import logger from "./unified-logger.js";
+import { detectCardType, createCardMarkerFilter } from "./card-utils.js";
+import {
+  getCardDefinitions,
+  resolveCardReference,
+  selectCardsForResponse,
+} from "../cards/index.js";
+
+// Most cards one answer can show
+export const MAX_CARD_REFERENCES = 6;
+
+/**
+ * Describe the response format and every id the model may reference, for
+ * the assistant's system prompt
+ * @returns {string} Prompt text
+ */
+export function describeCardCatalog() {
+  const referable = getCardDefinitions().filter(
+    (definition) => definition.reference
+  );
+  const uses = referable
+    .map(
+      (definition) =>
+        `"${definition.type}" cards for ${definition.reference.use}`
+    )
+    .join(", ");
+  const idLists = referable.map(
+    (definition) =>
+      `${definition.type.toUpperCase()} IDS:\n${definition.reference
+        .describe()
+        .map((line) => `- ${line}`)
+        .join("\n")}`
+  );
+
+  return `RESPONSE FORMAT:
+Reply with one JSON object and nothing else:
+{"answer": "<your reply to the user as plain text or markdown>", "cards": [{"type": "plant", "id": 1}]}
+- Put "answer" first. It holds your whole reply; never mention the cards' ids in it.
+- "cards" lists up to ${MAX_CARD_REFERENCES} cards to show under the answer, all of the same type. Use [] when no card fits.
+- Use ${uses}.
+- Only use ids from the lists below.
+
+${idLists.join("\n\n")}`;
+}
+
+/**
+ * Find the JSON object in a response, allowing for a Markdown code fence
+ * @param {string} responseText - Raw model response
+ * @returns {Object|null} The parsed value, or null when there is no JSON
+ */
+function parseJSONResponse(responseText) {
+  const text = responseText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a payload against the schema and the card data. Unknown, duplicate
+ * and surplus references are dropped; the payload is invalid when it has no
+ * answer or none of its references resolve.
+ * @param {*} payload - Parsed model output
+ * @returns {Promise<Object>} { valid, answer, cards, errors }
+ */
+export async function validateCardPayload(payload) {
+  const errors = [];
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { valid: false, answer: null, cards: [], errors: ["not an object"] };
+  }
+
+  const answer =
+    typeof payload.answer === "string" && payload.answer.trim()
+      ? payload.answer.trim()
+      : null;
+  if (!answer) errors.push('"answer" must be a non-empty string');
+
+  const references = payload.cards ?? [];
+  if (!Array.isArray(references)) {
+    errors.push('"cards" must be an array');
+    return { valid: false, answer, cards: [], errors };
+  }
+
+  const cards = [];
+  const seen = new Set();
+  let cardType = null;
+
+  for (const [index, reference] of references.entries()) {
+    if (cardType && reference?.type !== cardType) {
+      errors.push(`cards[${index}]: ${reference?.type} mixed with ${cardType}`);
+      continue;
+    }
+
+    const { card, error } = await resolveCardReference(reference);
+    if (!card) {
+      errors.push(`cards[${index}]: ${error}`);
+      continue;
+    }
+    if (seen.has(card.data.id)) continue;
+    if (cards.length === MAX_CARD_REFERENCES) {
+      errors.push(`cards[${index}]: more than ${MAX_CARD_REFERENCES} cards`);
+      continue;
+    }
+
+    seen.add(card.data.id);
+    cardType = card.type;
+    cards.push(card);
+  }
+
+  const valid =
+    Boolean(answer) && (references.length === 0 || cards.length > 0);
+  return { valid, answer, cards, errors };
+}
+
+/**
+ * Turn a complete assistant response into the answer and its cards. A valid
+ * structured payload decides the cards; otherwise the card type comes from
+ * text markers and the cards from the card types' keyword rules.
+ * @param {string} responseText - Raw model response
+ * @param {string} query - The user's question, for the keyword fallback
+ * @param {Object} options
+ * @param {Object} options.entities - Entities extracted from the question, if available
+ * @returns {Promise<Object>} { content, cardType, cards, cardSource: "structured"|"keywords" }
+ */
+export async function resolveCardResponse(
+  responseText,
+  query = "",
+  { entities = null } = {}
+) {
+  const payload = parseJSONResponse(responseText);
+
+  if (payload) {
+    const { valid, answer, cards, errors } = await validateCardPayload(payload);
+
+    if (errors.length > 0) {
+      logger.warn("Card payload did not fully validate", { valid, errors });
+    }
+
+    if (valid) {
+      return {
+        content: answer,
+        cardType: cards[0]?.type || null,
+        cards,
+        cardSource: "structured",
+      };
+    }
+
+    if (answer) {
+      // Keep the answer, but guess the cards from it
+      return resolveFromText(answer, query, entities);
+    }
+  } else {
+    logger.info("Response is not a card payload, using keyword card matching");
+
+    // A payload cut off part way, e.g. at the output token limit
+    const answer = partialAnswer(responseText).trim();
+    if (answer) return resolveFromText(answer, query, entities);
+  }
+
+  return resolveFromText(responseText, query, entities);
+}
+
+/**
+ * The fallback: card markers and keyword rules
+ */
+async function resolveFromText(text, query, entities) {
+  const { content, cardType } = detectCardType(text, query);
+  return {
+    content,
+    cardType,
+    cards: await selectCardsForResponse(query, { content, cardType, entities }),
+    cardSource: "keywords",
+  };
+}
+
+const JSON_ESCAPES = {
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+};
+
+/**
+ * Decode as much of the "answer" string as has arrived in partial JSON
+ * @param {string} json - The JSON received so far
+ * @returns {string} Answer text received so far
+ */
+function partialAnswer(json) {
+  const start = json.match(/"answer"\s*:\s*"/);
+  if (!start) return "";
+
+  let answer = "";
+  for (let i = start.index + start[0].length; i < json.length; i++) {
+    const char = json[i];
+    if (char === '"') break;
+    if (char !== "\\") {
+      answer += char;
+      continue;
+    }
+
+    // Stop before an escape sequence that has not fully arrived
+    const escape = json[i + 1];
+    if (escape === undefined) break;
+    if (escape === "u") {
+      const hex = json.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      answer += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      answer += JSON_ESCAPES[escape] ?? escape;
+      i += 1;
+    }
+  }
+  return answer;
+}
+
+/**
+ * Pull the answer text out of a streamed response as it arrives. A JSON
+ * payload streams the decoded "answer" string; any other response streams
+ * as text with the card markers removed.
+ * @returns {Object} { push(chunk) -> text safe to show, flush() -> remaining text }
+ */
+export function createAnswerStreamer() {
+  const markerFilter = createCardMarkerFilter();
+  let mode = null;
+  let received = "";
+  let sent = 0;
+
+  return {
+    push(chunk) {
+      received += chunk;
+
+      if (!mode) {
+        const opening = received.trimStart();
+        // Wait until the first characters show which kind of response it is
+        if (!opening || (opening.startsWith("`") && opening.length < 3)) {
+          return "";
+        }
+        mode = /^(\{|```)/.test(opening) ? "json" : "text";
+        if (mode === "text") return markerFilter.push(received);
+      } else if (mode === "text") {
+        return markerFilter.push(chunk);
+      }
+
+      const answer = partialAnswer(received);
+      const text = answer.slice(sent);
+      sent = answer.length;
+      return text;
+    },
+    flush() {
+      if (mode === "text") return markerFilter.flush();
+      // Text that never turned out to be JSON
+      if (!mode) return received;
+      return "";
+    },
+  };
+}
+
+export default {
+  describeCardCatalog,
+  validateCardPayload,
+  resolveCardResponse,
+  createAnswerStreamer,
+};
@@ -2,6 +2,11 @@
 // Utilities for card detection and processing
 
 import logger from "./unified-logger.js";
+import { getCardMarkers, detectCardTypeFromResponse } from "../cards/index.js";
+
+// Markers the card type definitions let the model add to a plain-text answer
+export const CARD_MARKERS = getCardMarkers().map(({ marker }) => marker);
+const LONGEST_MARKER = Math.max(...CARD_MARKERS.map((marker) => marker.length));
 
 /**
  * Parse the response to extract any card indicators
@@ -10,99 +15,82 @@ import logger from "./unified-logger.js";
  * @returns {Object} - Object with clean content and detected card type
  */
 export function detectCardType(responseText, query = "") {
-  // Parse the response to extract any card indicators
-  let content = responseText;
-  let cardType = null;
+  const markers = getCardMarkers();
+  const found = markers.find(({ marker }) => responseText.includes(marker));
 
   logger.debug("Checking response for card indicators", {
-    hasPlantCards: responseText.includes("SHOWING_PLANT_CARDS"),
-    hasTaskCards: responseText.includes("SHOWING_TASK_CARDS"),
-    hasSustainabilityCards: responseText.includes(
-      "SHOWING_SUSTAINABILITY_CARDS"
-    ),
+    markers: markers
+      .filter(({ marker }) => responseText.includes(marker))
+      .map(({ type }) => type),
     responseLength: responseText.length,
   });
 
-  if (responseText.includes("SHOWING_PLANT_CARDS")) {
-    content = responseText.replace("SHOWING_PLANT_CARDS", "").trim();
-    cardType = "plant";
-    logger.info("Plant cards detected in response");
-    console.log("Set cardType to 'plant' from explicit marker");
-  } else if (responseText.includes("SHOWING_TASK_CARDS")) {
-    content = responseText.replace("SHOWING_TASK_CARDS", "").trim();
-    cardType = "task";
-    logger.info("Task cards detected in response");
-    console.log("Set cardType to 'task' from explicit marker");
-  } else if (responseText.includes("SHOWING_SUSTAINABILITY_CARDS")) {
-    content = responseText.replace("SHOWING_SUSTAINABILITY_CARDS", "").trim();
-    cardType = "sustainability";
-    logger.info("Sustainability cards detected in response");
-    console.log("Set cardType to 'sustainability' from explicit marker");
+  if (found) {
+    logger.info(`${found.type} cards detected in response`);
+    return {
+      content: responseText.replace(found.marker, "").trim(),
+      cardType: found.type,
+    };
+  }
+
+  // Smart detection of content type without explicit markers
+  const cardType = detectCardTypeFromResponse(query, responseText);
+  if (cardType) {
+    logger.info(`${cardType} cards inferred from content analysis`);
   } else {
-    // Smart detection of content type without explicit markers
-    const lowercaseContent = responseText.toLowerCase();
-    const lowercaseQuery = query.toLowerCase();
+    logger.info("No card indicators found in response");
+  }
 
-    // Check for sustainability-related content patterns
-    if (
-      (lowercaseQuery.includes("carbon") ||
-        lowercaseQuery.includes("footprint") ||
-        lowercaseQuery.includes("sustainability") ||
-        lowercaseQuery.includes("sustainable") ||
-        lowercaseQuery.includes("eco-friendly") ||
-        lowercaseQuery.includes("environment") ||
-        lowercaseQuery.includes("sdg")) &&
-      (lowercaseContent.includes("carbon") ||
-        lowercaseContent.includes("footprint") ||
-        lowercaseContent.includes("emissions") ||
-        lowercaseContent.includes("sustainable") ||
-        lowercaseContent.includes("environmental impact"))
-    ) {
-      cardType = "sustainability";
-      logger.info("Sustainability cards inferred from content analysis");
-      console.log("Set cardType to 'sustainability' based on content analysis");
-    }
-    // Check for plant-related content patterns
-    else if (
-      (lowercaseContent.includes("plant") ||
-        lowercaseContent.includes("flower") ||
-        lowercaseContent.includes("shrub") ||
-        lowercaseContent.includes("tree")) &&
-      (lowercaseContent.includes("recommend") ||
-        lowercaseContent.includes("suggestion") ||
-        responseText.match(/\*\s+[A-Z][a-z]+\s+[a-z]+:/) || // Pattern like "* Plant name:"
-        responseText.match(/\*\s+\*[A-Z][a-z]+\s+[a-z]+\*/)) // Pattern like "* *Plant name*"
-    ) {
-      cardType = "plant";
-      logger.info("Plant cards inferred from content analysis");
-      console.log("Set cardType to 'plant' based on content analysis");
-    }
-    // Check for task-related content patterns
-    else if (
-      (lowercaseContent.includes("task") ||
-        lowercaseContent.includes("jobs") ||
-        lowercaseContent.includes("chore") ||
-        lowercaseContent.includes("to do") ||
-        lowercaseContent.includes("todo")) &&
-      (lowercaseContent.includes("garden") ||
-        lowercaseContent.includes("planting") ||
-        lowercaseContent.includes("maintenance"))
+  return {
+    content: responseText,
+    cardType,
+  };
+}
+
+/**
+ * Strip card markers from streamed text as it arrives. Text that could be
+ * the start of a marker is held back until the next chunk shows whether it
+ * is one, so a marker split across chunks never reaches the reader. The card
+ * type itself is detected from the full text once the stream ends.
+ * @returns {Object} { push(chunk) -> text safe to show, flush() -> remaining text }
+ */
+export function createCardMarkerFilter() {
+  let pending = "";
+
+  const heldBackLength = (text) => {
+    for (
+      let length = Math.min(text.length, LONGEST_MARKER);
+      length > 0;
+      length--
     ) {
-      cardType = "task";
-      logger.info("Task cards inferred from content analysis");
-      console.log("Set cardType to 'task' based on content analysis");
-    } else {
-      logger.info("No card indicators found in response");
-      console.log("No card indicators found in response");
+      const tail = text.slice(-length);
+      if (CARD_MARKERS.some((marker) => marker.startsWith(tail))) {
+        return length;
+      }
     }
-  }
+    return 0;
+  };
 
   return {
-    content,
-    cardType,
+    push(chunk) {
+      pending += chunk;
+      for (const marker of CARD_MARKERS) {
+        pending = pending.split(marker).join("");
+      }
+      const keep = heldBackLength(pending);
+      const ready = pending.slice(0, pending.length - keep);
+      pending = pending.slice(pending.length - keep);
+      return ready;
+    },
+    flush() {
+      const rest = pending;
+      pending = "";
+      return rest;
+    },
   };
 }
 
 export default {
   detectCardType,
-};
\ No newline at end of file
+  createCardMarkerFilter,
+};
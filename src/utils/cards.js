@@ -1,18 +1,17 @@
 // src/utils/cards.js
-import { plants } from "../data/plants";
-import { gardeningTasks } from "../data/gardening-tasks";
-import { calculateCarbonSavings } from "../utils/carbon-footprint";
-import { foodCarbonFootprint } from "../data/sustainability-metrics";
+// Keyword heuristics that pick plant, task, soil and sustainability cards
+// from a question and answer. The card type definitions in src/cards use
+// them when the assistant's answer has no valid card references.
+import { plants } from "../data/plants.js";
+import { gardeningTasks } from "../data/gardening-tasks.js";
+import { calculateCarbonSavings } from "../utils/carbon-footprint.js";
+import { foodCarbonFootprint } from "../data/sustainability-metrics.js";
+import { CARD_TYPES } from "../cards/registry.js";
 
 /**
- * Card types supported by the system
+ * Card types supported by the system (see src/cards/registry.js)
  */
-export const CARD_TYPES = {
-  PLANT: "plant",
-  TASK: "task",
-  SOIL: "soil",
-  SUSTAINABILITY: "sustainability",
-};
+export { CARD_TYPES };
 
 // Sample data for card selection
 // In a production environment, these would be fetched from a database
@@ -30,47 +29,13 @@ export const sampleSoilTypes = [
   "acid-brown-earth",
 ];
 
-/**
- * Selects appropriate cards to display based on the query and LLM response
- * @param {string} query - The user's original query
- * @param {object} llmResponse - The structured response from the LLM
- * @param {string} llmResponse.content - The text content of the response
- * @param {string} llmResponse.cardType - The type of card to show (if any)
- * @returns {Array} - Array of card objects to display
- */
-export function selectCardsForResponse(query, llmResponse) {
-  const { content, cardType } = llmResponse;
-  let cards = [];
-
-  // If not sustainability or no sustainability cards created, proceed with normal card selection
-  switch (cardType) {
-    case CARD_TYPES.PLANT:
-      cards = getPlantCards(query, content);
-      break;
-    case CARD_TYPES.TASK:
-      cards = getTaskCards(query, content);
-      break;
-    case CARD_TYPES.SOIL:
-      cards = getSoilCards(query, content);
-      break;
-    case CARD_TYPES.SUSTAINABILITY:
-      cards = getSustainabilityCards(query, content);
-      break;
-    default:
-      // No cards to display
-      break;
-  }
-
-  return cards;
-}
-
 /**
  * Returns plant cards based on the query and LLM response
  * @param {string} query - The user's original query
  * @param {string} content - The text content of the LLM response
  * @returns {Array} - Array of plant card objects
  */
-function getPlantCards(query, content) {
+export function getPlantCards(query, content) {
   const combinedText = (query + " " + content).toLowerCase();
 
   // Check for specific plant type requests
@@ -342,7 +307,7 @@ function isFoodGrowingSustainabilityQuery(query, content) {
  * @param {string} content - The text content of the LLM response
  * @returns {Array} - Array of sustainability card objects
  */
-function getSustainabilityCards(query, content) {
+export function getSustainabilityCards(query, content) {
   // Check if this is specifically about food growing sustainability
   if (isFoodGrowingSustainabilityQuery(query, content)) {
     return getFoodSustainabilityCards(query, content);
@@ -546,7 +511,7 @@ function extractPlantsFromContent(content) {
  * @param {string} content - The text content of the LLM response
  * @returns {Array} - Array of task card objects
  */
-function getTaskCards(query, content) {
+export function getTaskCards(query, content) {
   // Get the current month
   const currentMonth = new Date().getMonth() + 1; // JavaScript months are 0-indexed
 
@@ -721,7 +686,7 @@ function determineTaskCategory(title) {
  * @param {string} content - The text content of the LLM response
  * @returns {Array} - Array of soil card objects
  */
-function getSoilCards(query, content) {
+export function getSoilCards(query, content) {
   // Extract county or soil type from query or content
   const { county, soilType } = extractSoilInfo(query, content);
   let cards = [];
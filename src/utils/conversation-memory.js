@@ -0,0 +1,629 @@
+/**
+ * Conversation Memory
+ *
+ * Server-side chat sessions for the gardening assistants. A session keeps
+ * the turns of one conversation, a rolling summary of older turns once the
+ * transcript outgrows a token budget, and the context resolved from what the
+ * user has said so far: their county, soil type and the plants under
+ * discussion.
+ *
+ * Follow-up questions are rewritten into standalone questions from that
+ * context. "And what about in Kerry?" after "What vegetables grow well in
+ * Cork?" becomes "What vegetables grow well in Kerry?", so the topic check,
+ * Cypher generation and answer prompts all see the whole question.
+ *
+ * Two backends hold sessions:
+ *
+ * - "memory" (default): in process, least recently used sessions evicted
+ * - "file": one JSON file per session in CONVERSATION_STORE_DIR, so sessions
+ *   survive restarts
+ *
+ * Pick the backend with the CONVERSATION_STORE environment variable.
+ */
+
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import {
+  ENTITY_TYPES,
+  loadGazetteer,
+  findEntities,
+  groupEntities,
+} from "./entity-extraction.js";
+import {
+  generateText,
+  countTokens as countLLMTokens,
+  LLM_CALL_SITES,
+} from "./llm-client.js";
+
+export const CONVERSATION_STORES = {
+  MEMORY: "memory",
+  FILE: "file",
+};
+
+// Tokens of summary plus turns before older turns are summarised
+export const DEFAULT_TOKEN_BUDGET = 2000;
+// Turns (user and assistant messages) always kept verbatim
+export const DEFAULT_KEEP_RECENT_TURNS = 6;
+export const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_MAX_SESSIONS = 500;
+export const DEFAULT_STORE_DIR = "/tmp/bloom-conversations";
+
+// Plants remembered as under discussion, most recent first
+const MAX_CONTEXT_PLANTS = 5;
+
+// Rough characters per token, for when the provider cannot count
+const CHARS_PER_TOKEN = 4;
+
+// Questions that lean on the previous one ("and in Kerry?", "what about carrots?")
+const FOLLOW_UP_PATTERN =
+  /^\s*(?:(?:ok(?:ay)?|right|thanks),?\s+)?(?:and|but|also|what about|how about|what if|same for|same question for)\b/i;
+// Questions that refer back to plants without naming them
+const PRONOUN_PATTERN = /\b(it|them|they|those|these|this one|that one)\b/i;
+
+// Entity types carried from one question into its follow-up
+const CARRIED_TYPES = [
+  ENTITY_TYPES.PLANT,
+  ENTITY_TYPES.COUNTY,
+  ENTITY_TYPES.SOIL_TYPE,
+  ENTITY_TYPES.MONTH,
+  ENTITY_TYPES.SEASON,
+];
+
+// Session ids become file names, so only allow safe characters
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * In-process session backend with least recently used eviction
+ * @param {Object} options
+ * @param {number} options.maxSessions - Sessions kept before evicting
+ * @returns {Object} Backend with get, set and delete
+ */
+export function createMemorySessionBackend({
+  maxSessions = DEFAULT_MAX_SESSIONS,
+} = {}) {
+  // Map iteration order doubles as recency order for LRU eviction
+  const sessions = new Map();
+
+  return {
+    name: CONVERSATION_STORES.MEMORY,
+    async get(id) {
+      const session = sessions.get(id);
+      if (!session) return null;
+      sessions.delete(id);
+      sessions.set(id, session);
+      return structuredClone(session);
+    },
+    async set(session) {
+      sessions.delete(session.id);
+      sessions.set(session.id, structuredClone(session));
+      while (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    },
+    async delete(id) {
+      sessions.delete(id);
+    },
+  };
+}
+
+/**
+ * Session backend writing one JSON file per session
+ * @param {Object} options
+ * @param {string} options.dir - Directory for session files
+ * @returns {Object} Backend with get, set and delete
+ */
+export function createFileSessionBackend({ dir = DEFAULT_STORE_DIR } = {}) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  return {
+    name: CONVERSATION_STORES.FILE,
+    async get(id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(id), "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.warn(`Could not read conversation ${id}:`, error.message);
+        }
+        return null;
+      }
+    },
+    async set(session) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        fileFor(session.id),
+        JSON.stringify(session, null, 2)
+      );
+    },
+    async delete(id) {
+      await fs.promises.rm(fileFor(id), { force: true });
+    },
+  };
+}
+
+/**
+ * Count tokens with the provider used for summaries, estimating when it
+ * cannot count (e.g. no credentials)
+ */
+async function defaultCountTokens(messages) {
+  try {
+    return await countLLMTokens(messages, {
+      callSite: LLM_CALL_SITES.CONVERSATION_SUMMARY,
+    });
+  } catch (error) {
+    console.warn("Token count failed, estimating:", error.message);
+    const characters = messages.reduce(
+      (total, msg) => total + (msg.content || "").length,
+      0
+    );
+    return Math.ceil(characters / CHARS_PER_TOKEN);
+  }
+}
+
+/**
+ * Summary that needs no model: the questions asked so far
+ */
+function listQuestionsSummary(previousSummary, turns) {
+  const questions = turns
+    .filter((turn) => turn.role === "user")
+    .map((turn) => turn.content.trim());
+  return [previousSummary, `Earlier the user asked: ${questions.join("; ")}`]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Fold older turns into the rolling summary with the LLM
+ * @param {string} previousSummary - Summary so far, or ""
+ * @param {Array<Object>} turns - Turns to fold in, oldest first
+ * @returns {Promise<string>} New summary
+ */
+async function defaultSummarize(previousSummary, turns) {
+  const transcript = turns
+    .map((turn) => `${turn.role}: ${turn.content}`)
+    .join("\n");
+
+  const prompt = `Summarise this conversation between a gardener in Ireland and Bloom, a gardening assistant, so that Bloom can carry on from it.
+Keep the gardener's county, soil, the plants discussed, any problems they described and the advice already given.
+Write plain prose of at most 120 words.
+
+EARLIER SUMMARY:
+${previousSummary || "(none)"}
+
+TRANSCRIPT:
+${transcript}`;
+
+  try {
+    const summary = await generateText(prompt, {
+      callSite: LLM_CALL_SITES.CONVERSATION_SUMMARY,
+      maxTokens: 256,
+      temperature: 0.2,
+    });
+    return summary.trim() || listQuestionsSummary(previousSummary, turns);
+  } catch (error) {
+    console.warn("Conversation summary failed:", error.message);
+    return listQuestionsSummary(previousSummary, turns);
+  }
+}
+
+/**
+ * Put text in before a question's closing punctuation
+ */
+function insertBeforeEnd(question, text) {
+  const match = question.match(/[\s?.!]*$/);
+  const end = match.index;
+  return `${question.slice(0, end)}${text}${question.slice(end)}`;
+}
+
+/**
+ * Phrase to add entities of a type to a question that lacks one. Counties
+ * use their resolved names, since "Co. Mayo" would read "in County Co. Mayo".
+ */
+function describeAddition(type, entities) {
+  const list = entities.map((entity) => entity.text).join(" and ");
+  switch (type) {
+    case ENTITY_TYPES.COUNTY:
+      return ` in County ${entities
+        .map((entity) => entity.name)
+        .join(" and ")}`;
+    case ENTITY_TYPES.SOIL_TYPE:
+      return ` in ${list} soil`;
+    case ENTITY_TYPES.PLANT:
+      return ` for ${list}`;
+    default:
+      return ` in ${list}`;
+  }
+}
+
+/**
+ * Rewrite a follow-up into a standalone question. Entities the follow-up
+ * names replace those of the same type in the previous question, and types
+ * the previous question lacks are added to it.
+ * @param {string} question - The follow-up as asked
+ * @param {Array<Object>} entities - Entities found in the follow-up
+ * @param {string} previousQuestion - The previous standalone question
+ * @param {Array<Object>} previousEntities - Entities found in it
+ * @returns {string} Standalone question
+ */
+export function rewriteFollowUp(
+  question,
+  entities,
+  previousQuestion,
+  previousEntities
+) {
+  const carried = entities.filter((entity) =>
+    CARRIED_TYPES.includes(entity.type)
+  );
+  if (carried.length === 0) {
+    return `${question.trim()} (following on from: "${previousQuestion}")`;
+  }
+
+  // Keep the follow-up's own wording ("onions", "Co. Kerry")
+  const entitiesByType = new Map();
+  for (const entity of carried) {
+    const sameType = entitiesByType.get(entity.type) || [];
+    if (!sameType.some((other) => other.text === entity.text)) {
+      sameType.push(entity);
+    }
+    entitiesByType.set(entity.type, sameType);
+  }
+
+  // The first mention of a type takes the new names; later mentions are
+  // dropped along with the "and" or comma joining them to the one before
+  const replaced = new Set();
+  const edits = [];
+  for (const entity of previousEntities) {
+    const sameType = entitiesByType.get(entity.type);
+    if (!sameType) continue;
+
+    if (replaced.has(entity.type)) {
+      const joiner = previousQuestion
+        .slice(0, entity.start)
+        .match(/(?:\s*(?:,|\band\b|\bor\b|&))+\s*$/);
+      edits.push({
+        start: joiner ? joiner.index : entity.start,
+        end: entity.end,
+        text: "",
+      });
+    } else {
+      edits.push({
+        start: entity.start,
+        end: entity.end,
+        text: sameType.map((other) => other.text).join(" and "),
+      });
+      replaced.add(entity.type);
+    }
+  }
+
+  // Apply right to left so earlier offsets stay valid
+  let rewritten = previousQuestion;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    rewritten =
+      rewritten.slice(0, edit.start) + edit.text + rewritten.slice(edit.end);
+  }
+
+  for (const [type, sameType] of entitiesByType) {
+    if (!replaced.has(type)) {
+      rewritten = insertBeforeEnd(rewritten, describeAddition(type, sameType));
+    }
+  }
+
+  return rewritten.replace(/\s{2,}/g, " ").trim();
+}
+
+/**
+ * Create conversation memory over a session backend
+ * @param {Object} options
+ * @param {Object} options.backend - Session backend (default in-process)
+ * @param {number} options.tokenBudget - Tokens of summary plus turns before summarising
+ * @param {number} options.keepRecentTurns - Turns always kept verbatim
+ * @param {number} options.sessionTtlMs - Idle time after which a session is forgotten
+ * @param {Function} options.countTokens - async (messages) => number
+ * @param {Function} options.summarize - async (previousSummary, turns) => string
+ * @param {Function} options.loadGazetteer - async () => gazetteer, for entity extraction
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} Memory with loadSession, prepareTurn, getChatMessages, describeContext and recordExchange
+ */
+export function createConversationMemory({
+  backend = createMemorySessionBackend(),
+  tokenBudget = DEFAULT_TOKEN_BUDGET,
+  keepRecentTurns = DEFAULT_KEEP_RECENT_TURNS,
+  sessionTtlMs = DEFAULT_SESSION_TTL_MS,
+  countTokens = defaultCountTokens,
+  summarize = defaultSummarize,
+  loadGazetteer: getGazetteer = () => loadGazetteer(),
+  now = Date.now,
+} = {}) {
+  const newSession = () => {
+    const timestamp = new Date(now()).toISOString();
+    return {
+      id: randomUUID(),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      turns: [],
+      summary: "",
+      summarizedTurnCount: 0,
+      context: {
+        county: null,
+        soilType: null,
+        plants: [],
+        lastQuestion: null,
+      },
+    };
+  };
+
+  /**
+   * Fold the oldest turns into the summary while over the token budget
+   */
+  async function compact(session) {
+    const messages = () => [
+      ...(session.summary ? [{ role: "user", content: session.summary }] : []),
+      ...session.turns.map(({ role, content }) => ({ role, content })),
+    ];
+
+    if (session.turns.length <= keepRecentTurns) return;
+    const tokens = await countTokens(messages());
+    if (tokens <= tokenBudget) return;
+
+    const older = session.turns.slice(
+      0,
+      session.turns.length - keepRecentTurns
+    );
+    session.summary = await summarize(session.summary, older);
+    session.turns = session.turns.slice(older.length);
+    session.summarizedTurnCount += older.length;
+    console.log(
+      `Summarised ${older.length} turn(s) of conversation ${session.id} (${tokens} tokens over a budget of ${tokenBudget})`
+    );
+  }
+
+  /**
+   * Get a session, or start one. A new session is seeded from the history
+   * the client sent, so clients without a session id keep their context:
+   * its questions are replayed through prepareTurn to resolve the county,
+   * soil, plants and last standalone question, so the first follow-up after
+   * a reload is rewritten like any other.
+   * @param {string} sessionId - Id from an earlier response, if any
+   * @param {Object} options
+   * @param {Array<Object>} options.conversationHistory - Client-side history ({ role, content })
+   * @returns {Promise<Object>} Session
+   */
+  async function loadSession(sessionId, { conversationHistory = [] } = {}) {
+    if (sessionId && SESSION_ID_PATTERN.test(sessionId)) {
+      const session = await backend.get(sessionId);
+      if (session && now() - Date.parse(session.updatedAt) <= sessionTtlMs) {
+        return session;
+      }
+      if (session) await backend.delete(sessionId);
+    }
+
+    const session = newSession();
+    const at = session.createdAt;
+    session.turns = conversationHistory
+      .filter(
+        (msg) =>
+          msg?.content && ["user", "assistant", "model"].includes(msg.role)
+      )
+      .map((msg) => ({
+        role: msg.role === "model" ? "assistant" : msg.role,
+        content: msg.content,
+        at,
+      }));
+
+    for (const turn of session.turns) {
+      if (turn.role !== "user") continue;
+      const prepared = await prepareTurn(session, turn.content);
+      session.context.lastQuestion = prepared.question;
+    }
+
+    await compact(session);
+    return session;
+  }
+
+  /**
+   * Resolve a new question against the session: rewrite follow-ups into
+   * standalone questions and update the county, soil and plants in context
+   * @param {Object} session - From loadSession
+   * @param {string} question - The question as asked
+   * @returns {Promise<Object>} { question, isFollowUp, entities } where question is standalone and entities are grouped by type
+   */
+  async function prepareTurn(session, question) {
+    let gazetteer;
+    try {
+      gazetteer = await getGazetteer();
+    } catch (error) {
+      console.warn("Entity extraction unavailable:", error.message);
+      return { question, isFollowUp: false, entities: null };
+    }
+
+    const found = findEntities(question, gazetteer);
+    const { lastQuestion } = session.context;
+    let standalone = question;
+
+    if (lastQuestion && FOLLOW_UP_PATTERN.test(question)) {
+      standalone = rewriteFollowUp(
+        question,
+        found,
+        lastQuestion,
+        findEntities(lastQuestion, gazetteer)
+      );
+    } else if (
+      PRONOUN_PATTERN.test(question) &&
+      session.context.plants.length > 0 &&
+      !found.some((entity) => entity.type === ENTITY_TYPES.PLANT)
+    ) {
+      const plants = session.context.plants.map((plant) => plant.name);
+      standalone = insertBeforeEnd(question, ` (${plants.join(", ")})`);
+    }
+
+    const entities =
+      standalone === question
+        ? groupEntities(found)
+        : groupEntities(findEntities(standalone, gazetteer));
+
+    // Carry the latest county, soil and plants forward
+    const brief = ({ id, name }) => ({ id, name });
+    const { context } = session;
+    if (entities.counties.length > 0) {
+      context.county = brief(entities.counties[entities.counties.length - 1]);
+    }
+    if (entities.soilTypes.length > 0) {
+      context.soilType = brief(
+        entities.soilTypes[entities.soilTypes.length - 1]
+      );
+    }
+    if (entities.plants.length > 0) {
+      const mentioned = entities.plants.map(brief);
+      context.plants = [
+        ...mentioned,
+        ...context.plants.filter(
+          (plant) => !mentioned.some((other) => other.id === plant.id)
+        ),
+      ].slice(0, MAX_CONTEXT_PLANTS);
+    }
+
+    if (standalone !== question) {
+      console.log(`Resolved follow-up "${question}" as "${standalone}"`);
+    }
+
+    return {
+      question: standalone,
+      isFollowUp: standalone !== question,
+      entities,
+    };
+  }
+
+  /**
+   * The turns kept verbatim, as chat messages
+   * @param {Object} session - From loadSession
+   * @returns {Array<Object>} Messages with role and content
+   */
+  function getChatMessages(session) {
+    return session.turns.map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Describe the summary and resolved context for a prompt
+   * @param {Object} session - From loadSession
+   * @param {Object} turn - From prepareTurn, to mention how a follow-up was read
+   * @returns {string} Prompt text, or "" for a fresh conversation
+   */
+  function describeContext(session, turn = null) {
+    const { county, soilType, plants } = session.context;
+    const lines = [];
+
+    if (session.summary) {
+      lines.push(`Summary of the earlier conversation: ${session.summary}`);
+    }
+    if (county) lines.push(`The gardener's county: ${county.name}`);
+    if (soilType) lines.push(`The gardener's soil type: ${soilType.name}`);
+    if (plants.length > 0) {
+      lines.push(
+        `Plants under discussion: ${plants
+          .map((plant) => plant.name)
+          .join(", ")}`
+      );
+    }
+    if (turn?.isFollowUp) {
+      lines.push(
+        `The latest question is a follow-up; read it as: "${turn.question}"`
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Store a question and its answer, summarising older turns if the
+   * conversation is now over budget
+   * @param {Object} session - From loadSession
+   * @param {Object} exchange
+   * @param {string} exchange.question - The question as asked
+   * @param {string} exchange.standaloneQuestion - The question after resolving follow-ups
+   * @param {string} exchange.answer - The assistant's answer
+   * @returns {Promise<Object>} The saved session
+   */
+  async function recordExchange(
+    session,
+    { question, standaloneQuestion, answer }
+  ) {
+    const at = new Date(now()).toISOString();
+    session.turns.push(
+      { role: "user", content: question, at },
+      { role: "assistant", content: answer, at }
+    );
+    session.context.lastQuestion = standaloneQuestion || question;
+    session.updatedAt = at;
+
+    try {
+      await compact(session);
+    } catch (error) {
+      console.warn(
+        `Could not compact conversation ${session.id}:`,
+        error.message
+      );
+    }
+    await backend.set(session);
+    return session;
+  }
+
+  return {
+    backend: backend.name,
+    loadSession,
+    prepareTurn,
+    getChatMessages,
+    describeContext,
+    recordExchange,
+  };
+}
+
+let activeMemory = null;
+
+/**
+ * Get the configured conversation store name
+ * @returns {string} One of CONVERSATION_STORES
+ */
+export function getConversationStore() {
+  const store = (process.env.CONVERSATION_STORE || CONVERSATION_STORES.MEMORY)
+    .trim()
+    .toLowerCase();
+
+  if (!Object.values(CONVERSATION_STORES).includes(store)) {
+    console.warn(
+      `Unknown CONVERSATION_STORE "${store}", using "${CONVERSATION_STORES.MEMORY}"`
+    );
+    return CONVERSATION_STORES.MEMORY;
+  }
+
+  return store;
+}
+
+/**
+ * Get conversation memory for the configured store
+ * @returns {Object} Conversation memory (see createConversationMemory)
+ */
+export function getConversationMemory() {
+  const store = getConversationStore();
+
+  if (!activeMemory || activeMemory.backend !== store) {
+    const backend =
+      store === CONVERSATION_STORES.FILE
+        ? createFileSessionBackend({
+            dir: process.env.CONVERSATION_STORE_DIR || DEFAULT_STORE_DIR,
+          })
+        : createMemorySessionBackend();
+
+    activeMemory = createConversationMemory({
+      backend,
+      tokenBudget:
+        parseInt(process.env.CONVERSATION_TOKEN_BUDGET, 10) ||
+        DEFAULT_TOKEN_BUDGET,
+      keepRecentTurns:
+        parseInt(process.env.CONVERSATION_KEEP_TURNS, 10) ||
+        DEFAULT_KEEP_RECENT_TURNS,
+    });
+    console.log(`Using ${store} conversation store`);
+  }
+
+  return activeMemory;
+}
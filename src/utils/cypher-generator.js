@@ -0,0 +1,275 @@
+/**
+ * Self-repairing Cypher generation for the stochastic GraphRAG endpoint
+ *
+ * Asks the LLM for a query using the live graph schema, runs it in the
+ * read-only sandbox and, when the query fails or returns no rows, sends the
+ * outcome back to the LLM for a corrected query. Every attempt is recorded
+ * so the UI can show the full repair history.
+ */
+
+import { generateText, LLM_CALL_SITES } from "./llm-client.js";
+import { fetchGraphMetadata } from "./neo4j-graph-fetcher.js";
+import {
+  LABELS,
+  NODE_SCHEMA,
+  RELATIONSHIP_SCHEMA,
+  describeSchema,
+  isKnownLabel,
+  isKnownRelationship,
+} from "../database/graph-schema.js";
+import {
+  CypherSandboxError,
+  extractCypher,
+  runReadOnlyQuery,
+} from "../database/cypher-sandbox.js";
+
+export const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+// The live schema only changes when migrations run
+const SCHEMA_CONTEXT_TTL_MS = 5 * 60 * 1000;
+
+let schemaContextCache = null;
+
+/**
+ * Describe the live graph for the Cypher prompt
+ * @param {Object} metadata - Output of fetchGraphMetadata
+ * @returns {string} Node labels with property keys, relationship patterns and county ids
+ */
+export function buildSchemaContext(metadata) {
+  // Labels and types outside the registry would be rejected by the sandbox
+  const labels = metadata.nodeLabels.filter(
+    (label) => isKnownLabel(label) && label !== LABELS.SCHEMA_MIGRATION
+  );
+  const relationshipTypes = metadata.relationshipTypes.filter((type) =>
+    isKnownRelationship(type)
+  );
+
+  const nodeLines = labels.map((label) => {
+    const keys = metadata.propertyKeys?.[label]?.length
+      ? metadata.propertyKeys[label]
+      : NODE_SCHEMA[label].properties;
+    return `(:${label} {${keys.join(", ")}})`;
+  });
+
+  const relationshipLines = relationshipTypes.map((type) => {
+    const rel = RELATIONSHIP_SCHEMA[type];
+    return `(:${rel.from})-[:${type}${
+      rel.properties.length ? ` {${rel.properties.join(", ")}}` : ""
+    }]->(:${rel.to})`;
+  });
+
+  const countyIds = (metadata.counties || [])
+    .map((county) => county.id)
+    .filter(Boolean);
+
+  return [
+    `NODES:\n${nodeLines.join("\n")}`,
+    `RELATIONSHIPS:\n${relationshipLines.join("\n")}`,
+    countyIds.length ? `COUNTY IDS: ${countyIds.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Get the schema description for the prompt, preferring the live database
+ * @returns {Promise<Object>} { context, source: "live" | "registry" }
+ */
+export async function loadSchemaContext() {
+  if (schemaContextCache && schemaContextCache.expiresAt > Date.now()) {
+    return schemaContextCache.value;
+  }
+
+  let value;
+  try {
+    const metadata = await fetchGraphMetadata();
+    value =
+      metadata.nodeLabels.length > 0
+        ? { context: buildSchemaContext(metadata), source: "live" }
+        : { context: describeSchema(), source: "registry" };
+  } catch (error) {
+    console.warn(
+      "Could not read live graph schema, using the schema registry:",
+      error.message
+    );
+    // Don't cache the fallback so the next request retries the database
+    return { context: describeSchema(), source: "registry" };
+  }
+
+  schemaContextCache = {
+    value,
+    expiresAt: Date.now() + SCHEMA_CONTEXT_TTL_MS,
+  };
+  return value;
+}
+
+/**
+ * Describe an attempt's outcome in words the model can act on
+ */
+function describeOutcome(attempt) {
+  switch (attempt.status) {
+    case "empty":
+      return "The query ran but returned 0 rows. The filters may be too strict or use values that are not in the graph.";
+    case "rejected":
+      return `The query was rejected: ${attempt.error.reason}`;
+    case "error":
+      return `The database returned an error: ${attempt.error.reason}`;
+    default:
+      return `The query returned ${attempt.rowCount} rows.`;
+  }
+}
+
+/**
+ * Build the prompt for the first attempt
+ */
+function buildInitialPrompt(question, schemaContext, systemInstruction) {
+  return `
+${systemInstruction}
+
+TASK: Create a valid Neo4j Cypher query for the gardening question: "${question}"
+
+GRAPH SCHEMA (use only these labels, properties and relationships):
+${schemaContext}
+
+QUERY PATTERNS:
+- Vegetables in county: MATCH (plant:Plant {type: "Vegetable"})-[:SUITABLE_FOR]->(county:County {id: "cork"})
+- Companions: MATCH (plant:Plant {name: "X"})-[:COMPANION_TO]->(companion:Plant)
+- Soil types: MATCH (plant:Plant)-[:GROWS_WELL_IN]->(soil:SoilType)
+- Planting times: MATCH (plant:Plant)-[:PLANT_IN]->(month:Month)
+
+RESPONSE FORMAT INSTRUCTIONS:
+- Begin your response with the word 'MATCH' or another valid Cypher keyword
+- Provide ONLY a valid Cypher query with no explanations
+- Your query MUST include a RETURN clause
+- The query must only read data (no CREATE, MERGE, SET, DELETE or CALL)
+- LIMIT all results to 5-10 items maximum
+- Do not include any text, comments, or markdown formatting
+
+Example valid response format:
+MATCH (p:Plant)-[:GROWS_WELL_IN]->(s:SoilType)
+WHERE s.name = 'Clay'
+RETURN p.name as PlantName, p.type as PlantType
+LIMIT 5
+`;
+}
+
+/**
+ * Build the prompt asking the model to fix its previous attempts
+ */
+function buildRepairPrompt(question, schemaContext, systemInstruction, attempts) {
+  const history = attempts
+    .map(
+      (attempt) =>
+        `ATTEMPT ${attempt.attempt}:\n${attempt.query || "(no query)"}\nOUTCOME: ${describeOutcome(attempt)}`
+    )
+    .join("\n\n");
+
+  return `
+${systemInstruction}
+
+TASK: Your earlier Cypher queries for the gardening question "${question}" did not return usable data. Write a corrected query.
+
+GRAPH SCHEMA (use only these labels, properties and relationships):
+${schemaContext}
+
+PREVIOUS ATTEMPTS:
+${history}
+
+REPAIR INSTRUCTIONS:
+- Fix the error reported for the last attempt
+- If the last attempt returned 0 rows, loosen or remove the most specific filter, or use CONTAINS / toLower() for name matches
+- Do not repeat a query that has already been tried
+- The query must only read data (no CREATE, MERGE, SET, DELETE or CALL)
+- Provide ONLY the Cypher query, with a RETURN clause and LIMIT of 5-10, and no explanations or markdown
+`;
+}
+
+/**
+ * Generate and run a Cypher query, repairing it when it fails or returns nothing
+ * @param {string} question - The user's question
+ * @param {Object} options
+ * @param {string} options.systemInstruction - System prompt prepended to each request
+ * @param {Function} options.getParams - Returns parameters for a generated query
+ * @param {number} options.maxRepairAttempts - Repairs allowed after the first attempt
+ * @param {number} options.timeoutMs - Timeout for each query
+ * @returns {Promise<Object>} { records, attempts, finalAttempt, schemaSource }
+ */
+export async function generateAndRunCypher(
+  question,
+  {
+    systemInstruction = "",
+    getParams = () => ({}),
+    maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS,
+    timeoutMs = 10000,
+  } = {}
+) {
+  const { context: schemaContext, source: schemaSource } =
+    await loadSchemaContext();
+  console.log(`Using ${schemaSource} graph schema for Cypher generation`);
+
+  const attempts = [];
+  let records = [];
+
+  for (let number = 1; number <= maxRepairAttempts + 1; number++) {
+    const prompt =
+      number === 1
+        ? buildInitialPrompt(question, schemaContext, systemInstruction)
+        : buildRepairPrompt(question, schemaContext, systemInstruction, attempts);
+
+    console.log(`Generating Cypher query (attempt ${number})...`);
+    const rawQuery = await generateText(prompt, {
+      callSite: LLM_CALL_SITES.CYPHER_GENERATION,
+      maxTokens: 512,
+      temperature: number === 1 ? 0.2 : 0.3,
+    });
+    console.log("Raw response from LLM:", rawQuery);
+
+    const query = extractCypher(rawQuery);
+    const attempt = {
+      attempt: number,
+      rawQuery,
+      query,
+      executedQuery: null,
+      status: null,
+      rowCount: 0,
+      error: null,
+    };
+    attempts.push(attempt);
+
+    try {
+      const result = await runReadOnlyQuery(query, getParams(query), {
+        timeoutMs,
+      });
+      attempt.executedQuery = result.query;
+      attempt.rowCount = result.records.length;
+      attempt.status = result.records.length > 0 ? "success" : "empty";
+      records = result.records;
+    } catch (error) {
+      if (error instanceof CypherSandboxError) {
+        attempt.status = "rejected";
+        attempt.error = error.toJSON();
+      } else if (error.code?.startsWith("Neo.ClientError.")) {
+        attempt.status = "error";
+        attempt.error = {
+          code: error.code,
+          reason: error.message.split("\n")[0],
+        };
+      } else {
+        // Connection failures won't be fixed by a different query
+        throw error;
+      }
+    }
+
+    console.log(`Attempt ${number}: ${describeOutcome(attempt)}`);
+    if (attempt.status === "success") {
+      break;
+    }
+  }
+
+  return {
+    records,
+    attempts,
+    finalAttempt: attempts[attempts.length - 1],
+    schemaSource,
+  };
+}
@@ -0,0 +1,505 @@
+/**
+ * Entity Extraction
+ *
+ * Finds the plants, counties, soil types, months, seasons, pests and
+ * gardening activities mentioned in a question. Names come from a gazetteer
+ * built from the graph store (plants, counties, soils, months) and local data
+ * (aliases, common crops not in the graph, Irish county names, pests), so a
+ * plant added to the graph is recognised without code changes.
+ *
+ * Matching works on word tokens. Plurals match their singular ("spuds",
+ * "strawberries"), and a misspelling one or two letters off matches the
+ * nearest name with lower confidence. Each entity carries the graph id and
+ * canonical name it resolved to, a confidence and its character offsets in
+ * the question.
+ */
+
+import { getGraphStore } from "../database/graph-store.js";
+import { SEASONS } from "../database/migrations/002-calendar.js";
+import { PLANT_ALIASES, UNLISTED_PLANTS } from "../data/plant-graph-data.js";
+import { COUNTY_IRISH_NAMES } from "../data/irish-county-data.js";
+import { GARDEN_PESTS } from "../data/garden-pest-data.js";
+
+export const ENTITY_TYPES = {
+  PLANT: "plant",
+  COUNTY: "county",
+  SOIL_TYPE: "soilType",
+  MONTH: "month",
+  SEASON: "season",
+  PEST: "pest",
+  ACTIVITY: "activity",
+};
+
+// Key of each entity type in the grouped extraction result
+const ENTITY_GROUPS = {
+  [ENTITY_TYPES.PLANT]: "plants",
+  [ENTITY_TYPES.COUNTY]: "counties",
+  [ENTITY_TYPES.SOIL_TYPE]: "soilTypes",
+  [ENTITY_TYPES.MONTH]: "months",
+  [ENTITY_TYPES.SEASON]: "seasons",
+  [ENTITY_TYPES.PEST]: "pests",
+  [ENTITY_TYPES.ACTIVITY]: "activities",
+};
+
+// Confidence for each kind of match, multiplied by the term weight
+export const MATCH_CONFIDENCE = {
+  exact: 1,
+  plural: 0.95,
+  fuzzy: 0.75,
+};
+
+// An alias is slightly less certain than the canonical name
+const NAME_WEIGHT = 1;
+const ALIAS_WEIGHT = 0.9;
+
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Other names for soil types, by soil code, including the texture phrases
+// gardeners use ("clay soil") for the soil with that texture
+const SOIL_ALIASES = {
+  peat: ["bog", "peat bog", "peaty soil", "boggy soil"],
+  gley: ["clay soil", "heavy clay", "heavy soil", "waterlogged soil"],
+  "brown-earth": ["loamy soil", "loam"],
+  podzol: ["podsol", "sandy soil", "light soil"],
+  rendzina: ["limestone soil", "chalky soil"],
+  alluvial: ["river silt", "alluvium", "silty soil"],
+};
+
+const SEASON_ALIASES = {
+  Autumn: ["fall"],
+};
+
+// Gardening activities and their other forms
+const ACTIVITIES = {
+  plant: ["planting", "planted"],
+  grow: ["growing", "grown"],
+  sow: ["sowing", "sown"],
+  harvest: ["harvesting", "harvested", "pick"],
+  prune: ["pruning", "pruned", "cut back"],
+  fertilize: ["fertilise", "fertilising", "fertilizing", "feed", "feeding"],
+  water: ["watering"],
+  mulch: ["mulching"],
+  weed: ["weeding"],
+  "companion planting": ["companion plant"],
+};
+
+// Ordinary words that are only names when capitalised ("you may", "march on")
+const CAPITALISED_ONLY = new Set(["may", "march"]);
+
+// Misspellings are only considered for words at least this long
+const MIN_FUZZY_LENGTH = 5;
+
+/**
+ * Lowercase a word and strip accents ("Ciarraí" -> "ciarrai")
+ */
+function foldWord(word) {
+  return word
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+/**
+ * Reduce an English plural to its singular. Applied to both the question and
+ * the gazetteer, so it only has to be consistent, not always correct.
+ */
+export function singularize(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies") && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith("oes")) return word.slice(0, -2);
+  if (/(?:ch|sh|x|z|ss)es$/.test(word)) return word.slice(0, -2);
+  if (/(?:ss|us|is)$/.test(word)) return word;
+  if (word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into word tokens with their character offsets
+ * @param {string} text - Text to tokenise
+ * @returns {Array<{text: string, word: string, singular: string, start: number, end: number}>}
+ */
+export function tokenize(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+/gu), (match) => {
+    const word = foldWord(match[0]);
+    return {
+      text: match[0],
+      word,
+      singular: singularize(word),
+      start: match.index,
+      end: match.index + match[0].length,
+    };
+  });
+}
+
+/**
+ * Match a fixed list of names exactly or as plurals, by their singular
+ * tokens ("Brussels sprouts" matches "Brussels Sprout"). For word lists
+ * outside the gazetteer, such as the garden plant names, where a fuzzy match
+ * would do more harm than good.
+ * @param {Array<string>} names - Names to match
+ * @returns {Object} { find(text), findHead(text) }
+ */
+export function createNameMatcher(names) {
+  const singularKey = (tokens) =>
+    tokens.map((token) => token.singular).join(" ");
+  const byKey = new Map(
+    names.map((name) => [singularKey(tokenize(name)), name])
+  );
+  const maxWords = Math.max(
+    ...[...byKey.keys()].map((key) => key.split(" ").length)
+  );
+
+  const match = (text, tokens, start, length) => {
+    const key = singularKey(tokens.slice(start, start + length));
+    if (!byKey.has(key)) return null;
+    return {
+      name: byKey.get(key),
+      key,
+      text: text.slice(tokens[start].start, tokens[start + length - 1].end),
+    };
+  };
+
+  return {
+    /**
+     * The names a text mentions, in order, longest name first at each
+     * position
+     * @param {string} text - Text to search
+     * @returns {Array<{name: string, key: string, text: string}>}
+     */
+    find(text) {
+      const tokens = tokenize(text);
+      const found = [];
+
+      let index = 0;
+      while (index < tokens.length) {
+        let length = Math.min(maxWords, tokens.length - index);
+        for (; length > 0; length--) {
+          const named = match(text, tokens, index, length);
+          if (named) {
+            found.push(named);
+            break;
+          }
+        }
+        index += Math.max(length, 1);
+      }
+      return found;
+    },
+
+    /**
+     * The one name a short phrase refers to. The longest name wins, and
+     * among names of one length the rightmost, since the head noun comes
+     * last: "cherry tomatoes" is a tomato, not a cherry.
+     * @param {string} text - Phrase such as a gardener's plant name
+     * @returns {Object|null} { name, key, text }, or null if none matches
+     */
+    findHead(text) {
+      const tokens = tokenize(text);
+      for (
+        let length = Math.min(maxWords, tokens.length);
+        length > 0;
+        length--
+      ) {
+        for (let start = tokens.length - length; start >= 0; start--) {
+          const named = match(text, tokens, start, length);
+          if (named) return named;
+        }
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compare one question token with one term token
+ * @returns {{kind: string, distance: number}|null} How they match, or null
+ */
+function matchToken(token, termToken) {
+  if (token.word === termToken.word) return { kind: "exact", distance: 0 };
+  if (token.singular === termToken.singular) {
+    return { kind: "plural", distance: 0 };
+  }
+
+  // Misspellings: long words only, first letter must agree
+  if (
+    token.word.length < MIN_FUZZY_LENGTH ||
+    termToken.word.length < MIN_FUZZY_LENGTH ||
+    token.word[0] !== termToken.word[0]
+  ) {
+    return null;
+  }
+  const maxDistance = termToken.word.length >= 8 ? 2 : 1;
+  const distance = editDistance(token.singular, termToken.singular, maxDistance);
+  return distance <= maxDistance ? { kind: "fuzzy", distance } : null;
+}
+
+/**
+ * Build a gazetteer entry for one entity
+ */
+function entry(type, id, name, aliases = [], extra = {}) {
+  const terms = [
+    { text: name, weight: NAME_WEIGHT },
+    ...aliases.map((alias) => ({ text: alias, weight: ALIAS_WEIGHT })),
+  ]
+    .map((term) => ({ ...term, tokens: tokenize(term.text) }))
+    .filter((term) => term.tokens.length > 0);
+
+  return { type, id, name, terms, ...extra };
+}
+
+/**
+ * Build a gazetteer from graph reference data plus local aliases and pests
+ * @param {Object} sources
+ * @param {Array<Object>} sources.plants - Plants with id and name (store.listPlants); UNLISTED_PLANTS are added unless the graph has them
+ * @param {Array<Object>} sources.counties - Counties with id and name (store.listCounties)
+ * @param {Array<Object>} sources.soilTypes - Soils with code and name (store.listSoilTypes)
+ * @param {Array<Object>} sources.months - Months with number and name (store.listMonths)
+ * @param {Array<Object>} sources.pests - Pests and diseases (default GARDEN_PESTS)
+ * @returns {Object} Gazetteer with an `entries` array
+ */
+export function buildGazetteer({
+  plants = [],
+  counties = [],
+  soilTypes = [],
+  months = [],
+  pests = GARDEN_PESTS,
+} = {}) {
+  const graphPlantNames = new Set(
+    plants.map((plant) => plant.name.toLowerCase())
+  );
+
+  const entries = [
+    ...plants.map((plant) =>
+      entry(
+        ENTITY_TYPES.PLANT,
+        plant.id != null ? String(plant.id) : plant.name,
+        plant.name,
+        PLANT_ALIASES[plant.id] || [],
+        { plantType: plant.type }
+      )
+    ),
+    ...UNLISTED_PLANTS.filter(
+      (plant) => !graphPlantNames.has(plant.name.toLowerCase())
+    ).map((plant) =>
+      entry(ENTITY_TYPES.PLANT, plant.id, plant.name, plant.aliases, {
+        plantType: plant.type,
+        inGraph: false,
+      })
+    ),
+    ...counties.map((county) => {
+      const irishName = COUNTY_IRISH_NAMES[county.id];
+      return entry(ENTITY_TYPES.COUNTY, county.id, county.name, [
+        `County ${county.name}`,
+        `Co ${county.name}`,
+        ...(irishName ? [irishName] : []),
+      ]);
+    }),
+    ...soilTypes.map((soil) =>
+      entry(
+        ENTITY_TYPES.SOIL_TYPE,
+        soil.code,
+        soil.name || soil.type,
+        SOIL_ALIASES[soil.code] || []
+      )
+    ),
+    ...months.map((month) =>
+      entry(ENTITY_TYPES.MONTH, Number(month.number ?? month.order), month.name)
+    ),
+    ...SEASONS.map((season) =>
+      entry(
+        ENTITY_TYPES.SEASON,
+        season.toLowerCase(),
+        season,
+        SEASON_ALIASES[season] || []
+      )
+    ),
+    ...pests.map((pest) =>
+      entry(ENTITY_TYPES.PEST, pest.id, pest.name, pest.aliases, {
+        kind: pest.kind,
+        affects: pest.affects,
+      })
+    ),
+    ...Object.entries(ACTIVITIES).map(([activity, forms]) =>
+      entry(ENTITY_TYPES.ACTIVITY, activity, activity, forms)
+    ),
+  ];
+
+  return { entries };
+}
+
+/**
+ * Build the gazetteer for a graph store. The list reads are served from the
+ * query cache on Neo4j, so this is cheap to call per question.
+ * @param {Object} store - Graph store (defaults to the configured one)
+ * @returns {Promise<Object>} Gazetteer
+ */
+export async function loadGazetteer(store = getGraphStore()) {
+  const [plants, counties, soilTypes, months] = await Promise.all([
+    store.listPlants(),
+    store.listCounties(),
+    store.listSoilTypes(),
+    store.listMonths(),
+  ]);
+
+  return buildGazetteer({ plants, counties, soilTypes, months });
+}
+
+/**
+ * Try to match a term at a token position
+ * @returns {Object|null} Candidate match with its confidence
+ */
+function matchTermAt(tokens, index, term) {
+  if (index + term.tokens.length > tokens.length) return null;
+
+  let kind = "exact";
+  let distance = 0;
+  for (let offset = 0; offset < term.tokens.length; offset++) {
+    const token = tokens[index + offset];
+    const termToken = term.tokens[offset];
+
+    if (
+      CAPITALISED_ONLY.has(termToken.word) &&
+      token.text[0] !== token.text[0].toUpperCase()
+    ) {
+      return null;
+    }
+
+    const match = matchToken(token, termToken);
+    if (!match) return null;
+    if (match.kind === "fuzzy" || kind === "exact") kind = match.kind;
+    distance += match.distance;
+  }
+
+  const fuzzyPenalty = kind === "fuzzy" ? 1 - 0.1 * (distance - 1) : 1;
+  return {
+    length: term.tokens.length,
+    kind,
+    confidence: term.weight * MATCH_CONFIDENCE[kind] * fuzzyPenalty,
+  };
+}
+
+/**
+ * Find every gazetteer entity mentioned in a text. At each position the
+ * longest match wins ("companion planting" over "planting"), then the most
+ * confident; matches never overlap.
+ * @param {string} text - Text to search
+ * @param {Object} gazetteer - From buildGazetteer or loadGazetteer
+ * @param {Object} options
+ * @param {number} options.minConfidence - Drop matches below this confidence
+ * @returns {Array<Object>} Entities in text order: { type, id, name, text, start, end, confidence, match }
+ */
+export function findEntities(
+  text,
+  gazetteer,
+  { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}
+) {
+  const tokens = tokenize(text || "");
+  const found = [];
+
+  let index = 0;
+  while (index < tokens.length) {
+    let best = null;
+
+    for (const candidate of gazetteer.entries) {
+      for (const term of candidate.terms) {
+        const match = matchTermAt(tokens, index, term);
+        if (
+          match &&
+          match.confidence >= minConfidence &&
+          (!best ||
+            match.length > best.length ||
+            (match.length === best.length &&
+              match.confidence > best.confidence))
+        ) {
+          best = { ...match, entry: candidate };
+        }
+      }
+    }
+
+    if (!best) {
+      index++;
+      continue;
+    }
+
+    const { entry: matched, length, kind, confidence } = best;
+    const start = tokens[index].start;
+    const end = tokens[index + length - 1].end;
+    const { terms, ...details } = matched;
+    found.push({
+      ...details,
+      text: text.slice(start, end),
+      start,
+      end,
+      confidence: Math.round(confidence * 100) / 100,
+      match: kind,
+    });
+    index += length;
+  }
+
+  return found;
+}
+
+/**
+ * Group entities by type, keeping one entity per id (the most confident)
+ * @param {Array<Object>} entities - From findEntities
+ * @returns {Object} { plants, counties, soilTypes, months, seasons, pests, activities, all }
+ */
+export function groupEntities(entities) {
+  const groups = Object.fromEntries(
+    Object.values(ENTITY_GROUPS).map((group) => [group, []])
+  );
+
+  for (const entity of entities) {
+    const group = groups[ENTITY_GROUPS[entity.type]];
+    const existing = group.findIndex((other) => other.id === entity.id);
+    if (existing === -1) {
+      group.push(entity);
+    } else if (entity.confidence > group[existing].confidence) {
+      group[existing] = entity;
+    }
+  }
+
+  return { ...groups, all: entities };
+}
+
+/**
+ * Extract typed entities from a question using the graph store's gazetteer
+ * @param {string} question - The user's question
+ * @param {Object} options
+ * @param {Object} options.store - Graph store (defaults to the configured one)
+ * @param {Object} options.gazetteer - Prebuilt gazetteer, skipping the store reads
+ * @param {number} options.minConfidence - Drop matches below this confidence
+ * @returns {Promise<Object>} Entities grouped by type (see groupEntities)
+ */
+export async function extractEntities(
+  question,
+  { store, gazetteer, minConfidence } = {}
+) {
+  const activeGazetteer = gazetteer || (await loadGazetteer(store));
+  return groupEntities(
+    findEntities(question, activeGazetteer, { minConfidence })
+  );
+}
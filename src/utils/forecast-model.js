@@ -0,0 +1,444 @@
+// src/utils/forecast-model.js
+// The normalised forecast model shared by the weather proxy, the weather
+// client, the blight and alert modules and the gardening agent.
+//
+// Met Éireann's locationforecast XML mixes point forecasts (temperature,
+// wind, humidity, pressure, cloud, dew point, radiation) with periods ending
+// at each point (precipitation and the weather symbol). parseForecastModel()
+// joins them into one hourly series over the whole forecast range, usually
+// about ten days, and adds a daily summary per Irish calendar day:
+//
+//   {
+//     version, source, issuedAt,
+//     location: { latitude, longitude, altitude },
+//     runs: [{ name, runAt, from, to, nextRunAt }],
+//     units: { temperature: "celsius", windSpeed: "m/s", ... },
+//     hourly: [{ time, periodHours, temperature, humidity, dewpoint, pressure,
+//                windSpeed, windGust, windDirection, windDirectionName,
+//                beaufort, cloudiness, lowClouds, mediumClouds, highClouds,
+//                globalRadiation, precipitation, precipitationMin,
+//                precipitationMax, precipitationProbability, symbol,
+//                symbolNumber }],
+//     daily: [{ date, hours, temperatureMin, temperatureMax, precipitation,
+//               precipitationProbability, windSpeedMax, windGustMax,
+//               humidityMean, cloudinessMean, pressureMean, symbol }]
+//   }
+//
+// Points are hourly for the first few days, then three- and six-hourly.
+// Values Met Éireann leaves out of a point are null.
+//
+// parseOpenMeteoForecast() builds the same model from an Open-Meteo style
+// JSON forecast, the secondary weather provider (see weather-providers.js).
+
+import { XMLParser } from "fast-xml-parser";
+
+export const FORECAST_MODEL_VERSION = 1;
+
+// Units of the model's values; the XML's own unit attributes override these
+export const FORECAST_UNITS = {
+  temperature: "celsius",
+  dewpoint: "celsius",
+  humidity: "percent",
+  pressure: "hPa",
+  windSpeed: "m/s",
+  windGust: "m/s",
+  windDirection: "degrees",
+  cloudiness: "percent",
+  globalRadiation: "W/m^2",
+  precipitation: "mm",
+  precipitationProbability: "percent",
+};
+
+// One hour in milliseconds, shared by the modules that step through forecasts
+export const HOUR_MS = 3600000;
+
+// Forecast range the watering advice looks ahead over
+const WATERING_LOOKAHEAD_HOURS = 48;
+
+const asArray = (value) =>
+  value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+const number = (element, attribute) => {
+  const value = parseFloat(element?.[`@_${attribute}`]);
+  return Number.isFinite(value) ? value : null;
+};
+
+const round = (value, places = 1) =>
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = (values) => {
+  const known = values.filter((value) => value !== null);
+  return known.length === 0
+    ? null
+    : known.reduce((sum, value) => sum + value, 0) / known.length;
+};
+
+const extreme = (values, pick) => {
+  const known = values.filter((value) => value !== null);
+  return known.length === 0 ? null : pick(...known);
+};
+
+/**
+ * Calendar day in Ireland for a time, as YYYY-MM-DD
+ * @param {Date|string} time
+ * @returns {string}
+ */
+export const irishDate = (time) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: "Europe/Dublin" }).format(
+    new Date(time)
+  );
+
+function pointValues(location) {
+  return {
+    temperature: number(location.temperature, "value"),
+    humidity: number(location.humidity, "value"),
+    dewpoint: number(location.dewpointTemperature, "value"),
+    pressure: number(location.pressure, "value"),
+    windSpeed: number(location.windSpeed, "mps"),
+    windGust: number(location.windGust, "mps"),
+    windDirection: number(location.windDirection, "deg"),
+    windDirectionName: location.windDirection?.["@_name"] || null,
+    beaufort: number(location.windSpeed, "beaufort"),
+    cloudiness: number(location.cloudiness, "percent"),
+    lowClouds: number(location.lowClouds, "percent"),
+    mediumClouds: number(location.mediumClouds, "percent"),
+    highClouds: number(location.highClouds, "percent"),
+    globalRadiation: number(location.globalRadiation, "value"),
+  };
+}
+
+function periodValues(location) {
+  return {
+    precipitation: number(location?.precipitation, "value"),
+    precipitationMin: number(location?.precipitation, "minvalue"),
+    precipitationMax: number(location?.precipitation, "maxvalue"),
+    precipitationProbability: number(location?.precipitation, "probability"),
+    symbol: location?.symbol?.["@_id"] || null,
+    symbolNumber: number(location?.symbol, "number"),
+  };
+}
+
+function readUnits(location) {
+  const units = { ...FORECAST_UNITS };
+  if (!location) return units;
+
+  const declared = {
+    temperature: location.temperature?.["@_unit"],
+    dewpoint: location.dewpointTemperature?.["@_unit"],
+    humidity: location.humidity?.["@_unit"],
+    pressure: location.pressure?.["@_unit"],
+    globalRadiation: location.globalRadiation?.["@_unit"],
+  };
+  for (const [name, unit] of Object.entries(declared)) {
+    if (unit) units[name] = unit;
+  }
+  return units;
+}
+
+/**
+ * Daily summaries of an hourly series, by Irish calendar day. Precipitation
+ * is the sum of the periods ending that day.
+ * @param {Array<Object>} hourly - The model's hourly series
+ * @returns {Array<Object>} { date, hours, temperatureMin, temperatureMax, precipitation, precipitationProbability, windSpeedMax, windGustMax, humidityMean, cloudinessMean, pressureMean, symbol }
+ */
+export function summarizeDays(hourly) {
+  const days = new Map();
+  for (const hour of hourly) {
+    const date = irishDate(hour.time);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(hour);
+  }
+
+  return [...days.entries()].map(([date, hours]) => {
+    const values = (name) => hours.map((hour) => hour[name]);
+    const rain = values("precipitation").filter((value) => value !== null);
+
+    // The symbol nearest midday stands for the day
+    const midday = hours.reduce((best, hour) =>
+      Math.abs(new Date(hour.time).getUTCHours() - 12) <
+      Math.abs(new Date(best.time).getUTCHours() - 12)
+        ? hour
+        : best
+    );
+
+    return {
+      date,
+      hours: hours.reduce((sum, hour) => sum + hour.periodHours, 0),
+      temperatureMin: extreme(values("temperature"), Math.min),
+      temperatureMax: extreme(values("temperature"), Math.max),
+      precipitation:
+        rain.length === 0
+          ? null
+          : round(rain.reduce((sum, value) => sum + value, 0)),
+      precipitationProbability: extreme(
+        values("precipitationProbability"),
+        Math.max
+      ),
+      windSpeedMax: extreme(values("windSpeed"), Math.max),
+      windGustMax: extreme(values("windGust"), Math.max),
+      humidityMean: round(mean(values("humidity"))),
+      cloudinessMean: round(mean(values("cloudiness"))),
+      pressureMean: round(mean(values("pressure"))),
+      symbol: midday.symbol,
+    };
+  });
+}
+
+/**
+ * Parse a Met Éireann locationforecast XML document into the forecast model
+ * @param {string} xmlText - locationforecast XML
+ * @returns {Object} The forecast model (see the top of this file)
+ */
+export function parseForecastModel(xmlText) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+  });
+  const jsonObj = parser.parse(xmlText);
+  const allTimes = jsonObj?.weatherdata?.product?.time;
+
+  if (!Array.isArray(allTimes)) {
+    throw new Error("Invalid XML structure from Met.ie API");
+  }
+
+  // Shortest period ending at each time
+  const periodsByEnd = new Map();
+  for (const t of allTimes) {
+    if (!t?.location || t["@_from"] === t["@_to"]) continue;
+
+    const span = (new Date(t["@_to"]) - new Date(t["@_from"])) / HOUR_MS;
+    const known = periodsByEnd.get(t["@_to"]);
+    if (!known || span < known.span) {
+      periodsByEnd.set(t["@_to"], { span, location: t.location });
+    }
+  }
+
+  const points = allTimes.filter(
+    (t) => t?.location && t["@_from"] === t["@_to"]
+  );
+  const hourly = points
+    .map((t) => {
+      const period = periodsByEnd.get(t["@_from"]);
+      return {
+        time: new Date(t["@_from"]).toISOString(),
+        periodHours: period?.span ?? 1,
+        ...pointValues(t.location),
+        ...periodValues(period?.location),
+      };
+    })
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+  const firstLocation = points[0]?.location;
+  return {
+    version: FORECAST_MODEL_VERSION,
+    source: "Met Éireann",
+    issuedAt: jsonObj.weatherdata["@_created"] || null,
+    location: {
+      latitude: number(firstLocation, "latitude"),
+      longitude: number(firstLocation, "longitude"),
+      altitude: number(firstLocation, "altitude"),
+    },
+    runs: asArray(jsonObj.weatherdata.meta?.model).map((model) => ({
+      name: model["@_name"],
+      runAt: model["@_termin"] || null,
+      from: model["@_from"] || null,
+      to: model["@_to"] || null,
+      nextRunAt: model["@_nextrun"] || null,
+    })),
+    units: readUnits(firstLocation),
+    hourly,
+    daily: summarizeDays(hourly),
+  };
+}
+
+// WMO weather codes (Open-Meteo) as Met Éireann symbols
+const WMO_SYMBOLS = {
+  0: ["Sun", 1],
+  1: ["LightCloud", 2],
+  2: ["PartlyCloud", 3],
+  3: ["Cloud", 4],
+  45: ["Fog", 15],
+  48: ["Fog", 15],
+  51: ["Drizzle", 46],
+  53: ["Drizzle", 46],
+  55: ["Drizzle", 46],
+  56: ["Sleet", 12],
+  57: ["Sleet", 12],
+  61: ["LightRain", 9],
+  63: ["Rain", 10],
+  65: ["Rain", 10],
+  66: ["Sleet", 12],
+  67: ["Sleet", 12],
+  71: ["Snow", 13],
+  73: ["Snow", 13],
+  75: ["Snow", 13],
+  77: ["Snow", 13],
+  80: ["LightRainSun", 5],
+  81: ["LightRainSun", 5],
+  82: ["RainSun", 5],
+  85: ["SnowSun", 8],
+  86: ["SnowSun", 8],
+  95: ["RainThunder", 11],
+  96: ["RainThunder", 11],
+  99: ["RainThunder", 11],
+};
+
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+const compassPoint = (degrees) =>
+  degrees === null ? null : COMPASS_POINTS[Math.round(degrees / 45) % 8];
+
+/**
+ * Parse an Open-Meteo style JSON forecast (hourly arrays keyed by variable)
+ * into the forecast model. Open-Meteo does not say when its forecast was
+ * issued, so issuedAt is null and runs is empty.
+ * @param {Object} data - Forecast JSON, requested with timezone=GMT
+ * @returns {Object} The forecast model (see the top of this file)
+ */
+export function parseOpenMeteoForecast(data) {
+  const series = data?.hourly;
+  if (!Array.isArray(series?.time)) {
+    throw new Error("Invalid JSON structure from Open-Meteo API");
+  }
+
+  const offsetMs = (data.utc_offset_seconds || 0) * 1000;
+  const windFactor = data.hourly_units?.wind_speed_10m === "km/h" ? 1 / 3.6 : 1;
+  const at = (name, index) => {
+    const value = series[name]?.[index];
+    return typeof value === "number" ? value : null;
+  };
+  const wind = (name, index) => {
+    const value = at(name, index);
+    return value === null ? null : round(value * windFactor);
+  };
+
+  const hourly = series.time.map((time, index) => {
+    const windDirection = at("wind_direction_10m", index);
+    const [symbol, symbolNumber] = WMO_SYMBOLS[at("weather_code", index)] || [
+      null,
+      null,
+    ];
+    return {
+      time: new Date(Date.parse(`${time}Z`) - offsetMs).toISOString(),
+      periodHours: 1,
+      temperature: at("temperature_2m", index),
+      humidity: at("relative_humidity_2m", index),
+      dewpoint: at("dew_point_2m", index),
+      pressure: at("pressure_msl", index),
+      windSpeed: wind("wind_speed_10m", index),
+      windGust: wind("wind_gusts_10m", index),
+      windDirection,
+      windDirectionName: compassPoint(windDirection),
+      beaufort: null,
+      cloudiness: at("cloud_cover", index),
+      lowClouds: at("cloud_cover_low", index),
+      mediumClouds: at("cloud_cover_mid", index),
+      highClouds: at("cloud_cover_high", index),
+      globalRadiation: at("shortwave_radiation", index),
+      precipitation: at("precipitation", index),
+      precipitationMin: null,
+      precipitationMax: null,
+      precipitationProbability: at("precipitation_probability", index),
+      symbol,
+      symbolNumber,
+    };
+  });
+
+  return {
+    version: FORECAST_MODEL_VERSION,
+    source: "Open-Meteo",
+    issuedAt: null,
+    location: {
+      latitude: data.latitude ?? null,
+      longitude: data.longitude ?? null,
+      altitude: data.elevation ?? null,
+    },
+    runs: [],
+    units: { ...FORECAST_UNITS },
+    hourly,
+    daily: summarizeDays(hourly),
+  };
+}
+
+/**
+ * The forecast point for now: the latest one not in the future, else the
+ * first
+ * @param {Object} model - Forecast model
+ * @param {Date} now - Current time
+ * @returns {Object|null} An hourly entry
+ */
+export function currentConditions(model, now = new Date()) {
+  const past = model.hourly.filter((hour) => new Date(hour.time) <= now);
+  return past[past.length - 1] || model.hourly[0] || null;
+}
+
+/**
+ * Whether to water in the next two days, from the rain and heat forecast
+ * @param {Object} model - Forecast model
+ * @param {Date} now - Current time
+ * @returns {Object} { wateringNeeded, recommendation, rainNext48h, maxTemperatureNext48h }
+ */
+export function wateringAdvice(model, now = new Date()) {
+  const until = now.getTime() + WATERING_LOOKAHEAD_HOURS * HOUR_MS;
+  const ahead = model.hourly.filter((hour) => {
+    const time = new Date(hour.time).getTime();
+    return time > now.getTime() && time <= until;
+  });
+  const rain = round(
+    ahead.reduce((sum, hour) => sum + (hour.precipitation || 0), 0)
+  );
+  const maxTemperature = extreme(
+    ahead.map((hour) => hour.temperature),
+    Math.max
+  );
+  const firstRain = ahead.find((hour) => hour.precipitation >= 1);
+
+  let recommendation;
+  let wateringNeeded;
+  if (rain >= 5) {
+    wateringNeeded = false;
+    recommendation = `${rain} mm of rain expected over the next two days${
+      firstRain
+        ? `, starting ${new Date(firstRain.time).toLocaleString("en-IE", {
+            timeZone: "Europe/Dublin",
+            weekday: "long",
+            hour: "2-digit",
+            minute: "2-digit",
+            hourCycle: "h23",
+          })}`
+        : ""
+    }. Skip watering beds and fill the water butts.`;
+  } else if (maxTemperature !== null && maxTemperature >= 20) {
+    wateringNeeded = true;
+    recommendation = `Little rain and up to ${Math.round(
+      maxTemperature
+    )}°C over the next two days. Water in the early morning or evening to cut evaporation.`;
+  } else if (rain >= 1) {
+    wateringNeeded = true;
+    recommendation =
+      "Only light rain expected. Water pots, seedlings and anything under cover.";
+  } else {
+    wateringNeeded = true;
+    recommendation =
+      "Dry for the next two days. Water seedlings and new plantings, and check pots daily.";
+  }
+
+  return {
+    wateringNeeded,
+    recommendation,
+    rainNext48h: rain,
+    maxTemperatureNext48h: maxTemperature,
+  };
+}
+
+export default {
+  FORECAST_MODEL_VERSION,
+  FORECAST_UNITS,
+  HOUR_MS,
+  irishDate,
+  parseForecastModel,
+  parseOpenMeteoForecast,
+  summarizeDays,
+  currentConditions,
+  wateringAdvice,
+};
@@ -0,0 +1,82 @@
+// src/utils/garden-plants-store.js
+// The plants in the gardener's own garden, kept in localStorage so weather
+// alerts (see weather-alerts.js) can name the plants at risk. Components
+// listen for the "gardenPlantsChange" window event to pick up changes.
+
+import logger from "./unified-logger.js";
+
+const STORAGE_KEY = "irish-garden-plants";
+
+export const GARDEN_PLANTS_EVENT = "gardenPlantsChange";
+
+const isClient = typeof window !== "undefined" && window.localStorage;
+
+/**
+ * The gardener's plants, in their own words
+ * @returns {Array<string>}
+ */
+export const getGardenPlants = () => {
+  if (!isClient) return [];
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    logger.error("Error reading garden plants from localStorage", {
+      component: "GardenPlantsStore",
+      error: error.message,
+    });
+    return [];
+  }
+};
+
+const saveGardenPlants = (plants) => {
+  if (!isClient) return;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(plants));
+    window.dispatchEvent(
+      new CustomEvent(GARDEN_PLANTS_EVENT, { detail: plants })
+    );
+  } catch (error) {
+    logger.error("Error saving garden plants to localStorage", {
+      component: "GardenPlantsStore",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a plant to the garden, ignoring case-insensitive duplicates
+ * @param {string} name - Plant name, e.g. "Courgettes"
+ * @returns {Array<string>} The updated plants
+ */
+export const addGardenPlant = (name) => {
+  const plant = name.trim();
+  const plants = getGardenPlants();
+  if (
+    plant &&
+    !plants.some((known) => known.toLowerCase() === plant.toLowerCase())
+  ) {
+    plants.push(plant);
+    saveGardenPlants(plants);
+  }
+  return plants;
+};
+
+/**
+ * Remove a plant from the garden
+ * @param {string} name - Plant name as stored
+ * @returns {Array<string>} The updated plants
+ */
+export const removeGardenPlant = (name) => {
+  const plants = getGardenPlants().filter((plant) => plant !== name);
+  saveGardenPlants(plants);
+  return plants;
+};
+
+export default {
+  getGardenPlants,
+  addGardenPlant,
+  removeGardenPlant,
+};
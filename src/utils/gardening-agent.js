@@ -0,0 +1,200 @@
+// src/utils/gardening-agent.js
+// The gardening assistant as a tool calling agent. Instead of answering in
+// one call, the model may call the tools in gardening-tools.js (weather,
+// soil, recommendations, tasks, companions, carbon savings), see their
+// results and call more, within a step budget, before it answers:
+//
+//   question -> model -> tool calls -> results -> model -> ... -> answer
+//
+// Every tool call is recorded in a trace that goes back to the UI with the
+// answer. GARDEN_AGENT=false turns the agent off, and any model error falls
+// back to the single call answer in llm-client.js.
+
+import logger from "./unified-logger.js";
+import {
+  LLM_CALL_SITES,
+  generateWithTools,
+  streamGardeningQuery,
+  toChatMessages,
+} from "./llm-client.js";
+import {
+  resolveCardResponse,
+  createAnswerStreamer,
+} from "./card-references.js";
+import {
+  GARDENING_SYSTEM_INSTRUCTION,
+  GARDEN_AGENT_INSTRUCTION,
+} from "./assistant-prompts.js";
+import { getToolDeclarations, runTool } from "./gardening-tools.js";
+
+// Tool calling steps before the model has to answer
+const DEFAULT_MAX_STEPS = 4;
+
+// Tool calls run per step; further calls in the same step are dropped
+const MAX_CALLS_PER_STEP = 4;
+
+/**
+ * Whether the assistant answers through the agent (GARDEN_AGENT, default on)
+ * @returns {boolean}
+ */
+export function isGardenAgentEnabled() {
+  return process.env.GARDEN_AGENT !== "false";
+}
+
+/**
+ * Tool calling steps allowed per question (GARDEN_AGENT_MAX_STEPS)
+ */
+function getMaxSteps() {
+  const steps = parseInt(process.env.GARDEN_AGENT_MAX_STEPS, 10);
+  return Number.isInteger(steps) && steps >= 0 ? steps : DEFAULT_MAX_STEPS;
+}
+
+/**
+ * Run one step's tool calls and turn them into trace entries and tool
+ * result messages for the model
+ */
+async function runStep(step, toolCalls) {
+  const outcomes = await Promise.all(toolCalls.map((call) => runTool(call)));
+
+  return toolCalls.map((call, index) => {
+    const { ok, result, summary, error, durationMs } = outcomes[index];
+    return {
+      trace: {
+        step,
+        name: call.name,
+        args: call.args,
+        ok,
+        ...(ok ? { summary } : { error }),
+        durationMs,
+      },
+      message: {
+        role: "tool",
+        toolCallId: call.id,
+        name: call.name,
+        content: JSON.stringify(ok ? result : { error }),
+      },
+    };
+  });
+}
+
+/**
+ * Answer a gardening question, calling tools as the model asks for them.
+ * The answer is streamed once the model has it; the cards are resolved from
+ * the final response as for streamGardeningQuery.
+ * @param {string} query - The user's gardening question
+ * @param {Array} conversationHistory - Previous messages for context
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the model calls
+ * @param {string} options.systemInstruction - System prompt (default the gardening assistant prompt)
+ * @param {Object} options.entities - Entities extracted from the question, for card selection
+ * @param {number} options.maxSteps - Tool calling steps (default GARDEN_AGENT_MAX_STEPS or 4)
+ * @returns {AsyncGenerator<Object>} { type: "tool", call } for each tool call, { type: "token", text }, then { type: "done", content, cardType, cards, cardSource, toolTrace }
+ */
+export async function* streamGardeningAgent(
+  query,
+  conversationHistory = [],
+  { signal, systemInstruction, entities, maxSteps = getMaxSteps() } = {}
+) {
+  const messages = toChatMessages(query, conversationHistory);
+  const tools = getToolDeclarations();
+  const today = new Date().toISOString().slice(0, 10);
+  const instruction = [
+    systemInstruction || GARDENING_SYSTEM_INSTRUCTION,
+    GARDEN_AGENT_INSTRUCTION,
+    `Today's date: ${today}`,
+  ].join("\n\n");
+  const toolTrace = [];
+
+  let responseText;
+  try {
+    for (let step = 1; responseText === undefined; step++) {
+      // Out of steps: the model has to answer with what it has
+      const lastStep = step > maxSteps;
+      const { text, toolCalls } = await generateWithTools(messages, {
+        callSite: LLM_CALL_SITES.GARDEN_AGENT,
+        signal,
+        systemInstruction: instruction,
+        tools,
+        toolChoice: lastStep ? "none" : "auto",
+      });
+
+      if (lastStep || toolCalls.length === 0) {
+        if (!text.trim()) throw new Error("The model returned no answer");
+        responseText = text;
+        break;
+      }
+
+      const calls = toolCalls.slice(0, MAX_CALLS_PER_STEP);
+      const dropped = toolCalls.length - calls.length;
+      if (dropped > 0) {
+        logger.warn(`Dropped ${dropped} tool calls over the per-step limit`);
+      }
+      messages.push({ role: "assistant", content: text, toolCalls: calls });
+
+      for (const { trace, message } of await runStep(step, calls)) {
+        toolTrace.push(trace);
+        messages.push(message);
+        yield { type: "tool", call: trace };
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.error("Garden agent failed, answering without tools", error);
+
+    for await (const event of streamGardeningQuery(query, conversationHistory, {
+      signal,
+      systemInstruction,
+      entities,
+    })) {
+      yield event.type === "done" ? { ...event, toolTrace } : event;
+    }
+    return;
+  }
+
+  logger.info("Garden agent answered", {
+    steps: new Set(toolTrace.map((call) => call.step)).size,
+    toolCalls: toolTrace.length,
+  });
+
+  const answerStreamer = createAnswerStreamer();
+  const answer = answerStreamer.push(responseText) + answerStreamer.flush();
+  if (answer) yield { type: "token", text: answer };
+
+  yield {
+    type: "done",
+    ...(await resolveCardResponse(responseText, query, { entities })),
+    toolTrace,
+  };
+}
+
+/**
+ * Answer a gardening question through the agent without streaming
+ * @param {string} query - The user's gardening question
+ * @param {Array} conversationHistory - Previous messages for context
+ * @param {Object} options - As for streamGardeningAgent
+ * @returns {Promise<Object>} { content, cardType, cards, cardSource, toolTrace }
+ */
+export async function processGardeningAgentQuery(
+  query,
+  conversationHistory = [],
+  options = {}
+) {
+  let response;
+  for await (const event of streamGardeningAgent(
+    query,
+    conversationHistory,
+    options
+  )) {
+    if (event.type === "done") {
+      const { type, ...payload } = event;
+      response = payload;
+    }
+  }
+  return response;
+}
+
+export default {
+  isGardenAgentEnabled,
+  streamGardeningAgent,
+  processGardeningAgentQuery,
+};
@@ -0,0 +1,253 @@
+// src/utils/gardening-tools.js
+// The app's lookups as tools the gardening assistant can call (see
+// gardening-agent.js). Each tool has a name, a description and JSON Schema
+// parameters for the model, and a run function that calls the existing
+// client or data module and returns a compact result for the prompt.
+
+import logger from "./unified-logger.js";
+import { getCurrentWeather } from "./weather-client.js";
+import { getSoilDataByLocation } from "./soil-client.js";
+import { getRecommendations } from "./recommendation-service.js";
+import { getRelatedPlants } from "./graph-recommender.js";
+import { calculateCarbonSavings } from "./carbon-footprint.js";
+import { getTasksForMonth } from "../data/gardening-tasks.js";
+import { getCurrentMonth, getMonthName } from "./date-utils.js";
+import { RELATIONSHIPS } from "../database/graph-schema.js";
+
+// Recommendations returned to the model per call
+const RECOMMENDATION_LIMIT = 5;
+
+const countyParameter = {
+  type: "string",
+  description: "Irish county name, e.g. Galway",
+};
+
+export const GARDENING_TOOLS = [
+  {
+    name: "getCurrentWeather",
+    description:
+      "Current weather and the daily forecast for the coming week or so for an Irish county: temperature, rainfall and its probability, wind and gusts, humidity, cloud and pressure, plus watering advice.",
+    parameters: {
+      type: "object",
+      properties: { county: countyParameter },
+      required: ["county"],
+    },
+    run: async ({ county }) => {
+      const weather = await getCurrentWeather(county);
+      return {
+        county,
+        temperature: weather.temperature,
+        rainfall: weather.rainfall,
+        windSpeed: weather.windSpeed,
+        windGust: weather.windGust,
+        windDirection: weather.windDirection,
+        humidity: weather.humidity,
+        pressure: weather.pressure,
+        cloudiness: weather.cloudiness,
+        description: weather.weatherDescription,
+        forecast: weather.forecast,
+        watering: weather.watering?.recommendation,
+        units: weather.units,
+        issuedAt: weather.issuedAt,
+        dataStatus: weather.dataStatus,
+        source: weather.source,
+      };
+    },
+    summarize: (result) =>
+      `${result.county}: ${result.temperature}°C, ${result.description}, ${result.forecast.length}-day forecast`,
+  },
+  {
+    name: "getSoilDataByLocation",
+    description:
+      "The dominant soil type of an Irish county from Teagasc data: pH, texture, drainage, suitable plants and challenges.",
+    parameters: {
+      type: "object",
+      properties: { county: countyParameter },
+      required: ["county"],
+    },
+    run: async ({ county }) => {
+      const soil = await getSoilDataByLocation(county);
+      return {
+        county: soil.county,
+        soilType: soil.soilType,
+        soilName: soil.soilName,
+        properties: soil.properties,
+        gardeningNotes: soil.gardeningNotes,
+        suitablePlants: soil.suitablePlants,
+        challenges: soil.challenges,
+        source: soil.source,
+      };
+    },
+    summarize: (result) =>
+      `${result.county}: ${result.soilName}, drainage ${result.properties.drainage}`,
+  },
+  {
+    name: "getGraphPlantRecommendations",
+    description:
+      "Plants from the knowledge graph that suit a garden's county, sun and soil, best match first.",
+    parameters: {
+      type: "object",
+      properties: {
+        county: countyParameter,
+        sunExposure: {
+          type: "string",
+          enum: ["Full Sun", "Partial Shade", "Full Shade"],
+        },
+        plantType: {
+          type: "string",
+          enum: ["vegetable", "fruit", "flower", "shrub", "tree"],
+        },
+        nativeOnly: { type: "boolean" },
+      },
+      required: ["county"],
+    },
+    run: async (conditions) => {
+      const { recommendations, source } = await getRecommendations(conditions, {
+        limit: RECOMMENDATION_LIMIT,
+      });
+      return {
+        source,
+        plants: recommendations.map((plant) => ({
+          id: plant.id,
+          name: plant.commonName,
+          type: plant.plantType,
+          matchPercentage: plant.matchPercentage,
+          sunNeeds: plant.sunNeeds,
+          waterNeeds: plant.waterNeeds,
+          soilPreference: plant.soilPreference,
+        })),
+      };
+    },
+    summarize: (result) =>
+      `${result.plants.length} plants (${result.source}): ${result.plants
+        .map((plant) => plant.name)
+        .join(", ")}`,
+  },
+  {
+    name: "getTasksForMonth",
+    description:
+      "Gardening tasks for a month of the year in Ireland. Defaults to the current month.",
+    parameters: {
+      type: "object",
+      properties: {
+        month: { type: "integer", description: "Month number, 1-12" },
+      },
+    },
+    run: async ({ month = getCurrentMonth() }) => ({
+      month: getMonthName(month),
+      tasks: getTasksForMonth(Number(month)).map((task) => ({
+        id: task.id,
+        title: task.title,
+        description: task.description,
+      })),
+    }),
+    summarize: (result) => `${result.tasks.length} tasks for ${result.month}`,
+  },
+  {
+    name: "getRelatedPlants",
+    description:
+      "Plants that grow well with a plant (companions) or should be kept away from it (antagonists).",
+    parameters: {
+      type: "object",
+      properties: {
+        plantName: {
+          type: "string",
+          description: "Plant name as in the graph, e.g. Carrot",
+        },
+        relationship: {
+          type: "string",
+          enum: [RELATIONSHIPS.COMPANION_TO, RELATIONSHIPS.ANTAGONISTIC_TO],
+        },
+      },
+      required: ["plantName"],
+    },
+    run: async ({ plantName, relationship = RELATIONSHIPS.COMPANION_TO }) => ({
+      plantName,
+      relationship,
+      plants: (await getRelatedPlants(plantName, relationship)).map(
+        (plant) => plant.name
+      ),
+    }),
+    summarize: (result) =>
+      `${result.plants.length} ${result.relationship} ${result.plantName}`,
+  },
+  {
+    name: "calculateCarbonSavings",
+    description:
+      "Carbon and water saved by growing a crop at home instead of buying it.",
+    parameters: {
+      type: "object",
+      properties: {
+        plantName: { type: "string", description: "Crop, e.g. potatoes" },
+        quantity: { type: "number", description: "Number of plants" },
+        isOrganic: { type: "boolean" },
+      },
+      required: ["plantName"],
+    },
+    run: async ({ plantName, quantity = 1, isOrganic = true }) => {
+      const savings = calculateCarbonSavings(plantName, quantity, isOrganic);
+      return {
+        plantName,
+        quantity,
+        totalYieldKg: savings.totalYield,
+        carbonSavedKg: Number(savings.totalEmissionsSaved.toFixed(2)),
+        waterSavedLitres: savings.waterSaved,
+        sustainabilityScore: savings.sustainabilityScore,
+      };
+    },
+    summarize: (result) =>
+      `${result.carbonSavedKg} kg CO2e saved by ${result.quantity} ${result.plantName}`,
+  },
+];
+
+const toolsByName = new Map(GARDENING_TOOLS.map((tool) => [tool.name, tool]));
+
+/**
+ * Tool declarations for the model: name, description and parameters
+ * @returns {Array<Object>}
+ */
+export function getToolDeclarations() {
+  return GARDENING_TOOLS.map(({ name, description, parameters }) => ({
+    name,
+    description,
+    parameters,
+  }));
+}
+
+/**
+ * Run a tool the model asked for. Failures are returned, not thrown, so the
+ * model can see them and carry on.
+ * @param {Object} call - { name, args }
+ * @returns {Promise<Object>} { ok, result, summary, error, durationMs }
+ */
+export async function runTool({ name, args = {} }) {
+  const tool = toolsByName.get(name);
+  if (!tool) {
+    return {
+      ok: false,
+      result: null,
+      error: `Unknown tool "${name}"`,
+      durationMs: 0,
+    };
+  }
+
+  const started = Date.now();
+  try {
+    const result = await tool.run(args || {});
+    return {
+      ok: true,
+      result,
+      summary: tool.summarize(result),
+      error: null,
+      durationMs: Date.now() - started,
+    };
+  } catch (error) {
+    logger.warn(`Tool ${name} failed: ${error.message}`, { args });
+    return {
+      ok: false,
+      result: null,
+      error: error.message,
+      durationMs: Date.now() - started,
+    };
+  }
+}
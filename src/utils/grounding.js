@@ -0,0 +1,314 @@
+// src/utils/grounding.js
+// Citations and grounding checks for answers written from retrieved facts.
+//
+// Every fact the answer prompt lists has a stable id and a source: a node in
+// the knowledge graph, Teagasc soil data, the gardening task list or other
+// local data. The model cites the facts it uses inline:
+//
+//   Sow carrots from March to July [plant-carrot-planting].
+//
+// groundAnswer() turns the citations into numbered footnotes and checks the
+// answer against the knowledge graph: plants the graph does not know and
+// sowing or harvest months outside the retrieved windows are flagged as
+// warnings for the UI.
+
+import { createHash } from "crypto";
+import {
+  ENTITY_TYPES,
+  createNameMatcher,
+  findEntities,
+  loadGazetteer,
+} from "./entity-extraction.js";
+import { GARDEN_PLANT_NAMES } from "../data/garden-plant-names.js";
+
+export const FACT_SOURCES = {
+  GRAPH: "graph",
+  TEAGASC: "teagasc",
+  TASKS: "tasks",
+  LOCAL: "local",
+};
+
+export const GROUNDING_WARNINGS = {
+  UNKNOWN_PLANT: "unknown-plant",
+  PLANTING_WINDOW: "planting-window",
+  UNKNOWN_CITATION: "unknown-citation",
+};
+
+export const CITATION_INSTRUCTIONS = `CITATIONS:
+- Each fact starts with its id in square brackets.
+- After a sentence that uses a fact, cite the fact's id in square brackets, e.g. "Sow carrots from March [plant-carrot-planting]." Cite several facts as [plant-carrot-planting, soil-galway].
+- Only cite ids from the facts list, and only for what that fact says.`;
+
+// One citation group: ids of two or more words joined by hyphens, so that
+// "[x]" task boxes and "[1]" footnotes are left alone
+const CITATION_PATTERN =
+  /\s?\[([a-z0-9]+(?:-[a-z0-9]+)+(?:\s*,\s*[a-z0-9]+(?:-[a-z0-9]+)+)*)\](?!\()/g;
+
+// Longest unclosed "[" the citation streamer holds back
+const MAX_CITATION_LENGTH = 120;
+
+// Words that mark a sentence as being about sowing or about harvesting
+const WINDOW_ACTIVITIES = {
+  planting: /\b(sow\w*|plant|planting|planted|transplant\w*|set out)\b/i,
+  harvesting: /\b(harvest\w*|pick\w*|lift\w*|dig up)\b/i,
+};
+
+// Sentences that qualify their months are not checked, e.g. "don't sow
+// carrots before March"
+const QUALIFIED_TIMING =
+  /\b(not|don't|do not|never|avoid|until|wait|before|after|too early|too late)\b/i;
+
+/**
+ * Build a fact id from its parts ("plant", "Carrot", "planting" ->
+ * "plant-carrot-planting")
+ * @param {...(string|number)} parts - Source kind, then identifying parts
+ * @returns {string} Fact id
+ */
+export function factId(...parts) {
+  return parts
+    .map((part) =>
+      String(part)
+        .normalize("NFD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+    )
+    .filter(Boolean)
+    .join("-");
+}
+
+/**
+ * Id for a fact that has no natural key, e.g. a generated query's row,
+ * stable for the same text
+ * @param {string} kind - Source kind, e.g. "graph"
+ * @param {string} text - Fact text
+ * @returns {string} Fact id
+ */
+export function contentFactId(kind, text) {
+  const hash = createHash("sha256").update(text).digest("hex").slice(0, 8);
+  return factId(kind, hash);
+}
+
+/**
+ * @param {Object} fact
+ * @param {string} fact.id - Stable id (see factId)
+ * @param {string} fact.text - The fact as the prompt states it
+ * @param {Object} fact.source - { type: one of FACT_SOURCES, label }
+ * @param {Object} fact.window - For sowing and harvest calendars: { plant, activity: "planting"|"harvesting", months: [month names] }
+ * @returns {Object} Fact
+ */
+export function createFact({ id, text, source, window = null }) {
+  return { id, text, source, ...(window && { window }) };
+}
+
+/**
+ * List facts for a prompt, each after its id
+ * @param {Array<Object>} facts - Facts from createFact
+ * @returns {string} One fact per line
+ */
+export function formatFactsForPrompt(facts) {
+  return facts.map((fact) => `[${fact.id}] ${fact.text}`).join("\n");
+}
+
+/**
+ * Number citations in the order they first appear. Citations of facts that
+ * were not retrieved are dropped and remembered.
+ */
+function createCitationNumbering(facts) {
+  const factsById = new Map(facts.map((fact) => [fact.id, fact]));
+  const numbers = new Map();
+  const unknownIds = new Set();
+
+  return {
+    replace(text) {
+      return text.replace(CITATION_PATTERN, (match, group) => {
+        const cited = group
+          .split(",")
+          .map((id) => id.trim())
+          .filter((id) => {
+            if (factsById.has(id)) return true;
+            unknownIds.add(id);
+            return false;
+          });
+
+        for (const id of cited) {
+          if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+        }
+        const markers = [...new Set(cited.map((id) => numbers.get(id)))];
+        return markers.length > 0
+          ? ` ${markers.map((number) => `[${number}]`).join("")}`
+          : "";
+      });
+    },
+    citations() {
+      return [...numbers].map(([id, number]) => ({
+        number,
+        ...factsById.get(id),
+      }));
+    },
+    unknownIds() {
+      return [...unknownIds];
+    },
+  };
+}
+
+/**
+ * Replace citations with footnote numbers as an answer streams. Text that
+ * could be the start of a citation is held back until it is complete, and
+ * the numbers match the ones groundAnswer gives the full answer.
+ * @param {Array<Object>} facts - Facts the answer may cite
+ * @returns {Object} { push(chunk) -> text safe to show, flush() -> remaining text }
+ */
+export function createCitationStreamer(facts) {
+  const numbering = createCitationNumbering(facts);
+  let pending = "";
+
+  return {
+    push(chunk) {
+      pending += chunk;
+
+      let hold = pending.length;
+      const open = pending.lastIndexOf("[");
+      if (
+        open !== -1 &&
+        !pending.includes("]", open) &&
+        pending.length - open <= MAX_CITATION_LENGTH
+      ) {
+        hold = open;
+      }
+      // A space before a citation is replaced along with it
+      while (hold > 0 && /\s/.test(pending[hold - 1])) hold--;
+
+      const ready = pending.slice(0, hold);
+      pending = pending.slice(hold);
+      return numbering.replace(ready);
+    },
+    flush() {
+      const rest = numbering.replace(pending);
+      pending = "";
+      return rest;
+    },
+  };
+}
+
+// The garden plant names, matched exactly or as plurals
+const PLANT_NAMES = createNameMatcher(GARDEN_PLANT_NAMES);
+
+/**
+ * Entities in a text that matched exactly or as a plural; a fuzzy match
+ * would read "tomato" as Potato
+ */
+function findExactEntities(text, gazetteer, type) {
+  return findEntities(text, gazetteer).filter(
+    (entity) => entity.type === type && entity.match !== "fuzzy"
+  );
+}
+
+/**
+ * Warnings for plants the answer names that the knowledge graph does not have
+ */
+function checkNamedPlants(answer, gazetteer) {
+  const warnings = new Map();
+
+  for (const plant of PLANT_NAMES.find(answer)) {
+    if (warnings.has(plant.key)) continue;
+    if (findExactEntities(plant.text, gazetteer, ENTITY_TYPES.PLANT).length) {
+      continue;
+    }
+    warnings.set(plant.key, {
+      type: GROUNDING_WARNINGS.UNKNOWN_PLANT,
+      plant: plant.text,
+      message: `"${plant.text}" is not in the knowledge graph, so advice about it could not be checked`,
+    });
+  }
+  return [...warnings.values()];
+}
+
+/**
+ * Warnings for sentences that give a plant sowing or harvest months outside
+ * the window a retrieved fact gives
+ */
+function checkPlantingWindows(answer, facts, gazetteer) {
+  const windowFacts = facts.filter((fact) => fact.window);
+  if (windowFacts.length === 0) return [];
+
+  const warnings = new Map();
+  for (const sentence of answer.split(/(?<=[.!?])\s+|\n+/)) {
+    const activities = Object.keys(WINDOW_ACTIVITIES).filter((activity) =>
+      WINDOW_ACTIVITIES[activity].test(sentence)
+    );
+    if (activities.length !== 1 || QUALIFIED_TIMING.test(sentence)) continue;
+    const [activity] = activities;
+
+    const months = findExactEntities(sentence, gazetteer, ENTITY_TYPES.MONTH);
+    if (months.length === 0) continue;
+
+    for (const plant of findExactEntities(
+      sentence,
+      gazetteer,
+      ENTITY_TYPES.PLANT
+    )) {
+      const fact = windowFacts.find(
+        ({ window }) =>
+          window.plant === plant.name && window.activity === activity
+      );
+      const outside = fact
+        ? months
+            .map((month) => month.name)
+            .filter((month) => !fact.window.months.includes(month))
+        : [];
+      const key = `${plant.name}:${activity}`;
+      if (outside.length === 0 || warnings.has(key)) continue;
+
+      warnings.set(key, {
+        type: GROUNDING_WARNINGS.PLANTING_WINDOW,
+        plant: plant.name,
+        activity,
+        months: outside,
+        window: fact.window.months,
+        factId: fact.id,
+        message: `The answer gives ${outside.join(" and ")} for ${activity} ${
+          plant.name
+        }, but the knowledge graph gives ${fact.window.months.join(", ")}`,
+      });
+    }
+  }
+  return [...warnings.values()];
+}
+
+/**
+ * Turn an answer's citations into numbered footnotes and check its claims
+ * against the knowledge graph
+ * @param {string} answer - Answer text with [fact-id] citations
+ * @param {Array<Object>} facts - Facts the answer prompt listed
+ * @param {Object} options
+ * @param {Object} options.gazetteer - Prebuilt gazetteer (see entity-extraction.js), skipping the store reads
+ * @returns {Promise<Object>} { answer with [n] markers, citations: [{ number, id, text, source }], warnings: [{ type, message, ... }] }
+ */
+export async function groundAnswer(answer, facts = [], { gazetteer } = {}) {
+  const numbering = createCitationNumbering(facts);
+  const text = numbering.replace(answer || "");
+  const activeGazetteer = gazetteer || (await loadGazetteer());
+
+  const warnings = [
+    ...numbering.unknownIds().map((id) => ({
+      type: GROUNDING_WARNINGS.UNKNOWN_CITATION,
+      factId: id,
+      message: `The answer cited "${id}", which is not one of the retrieved facts`,
+    })),
+    ...checkNamedPlants(text, activeGazetteer),
+    ...checkPlantingWindows(text, facts, activeGazetteer),
+  ];
+
+  return { answer: text, citations: numbering.citations(), warnings };
+}
+
+export default {
+  factId,
+  contentFactId,
+  createFact,
+  formatFactsForPrompt,
+  createCitationStreamer,
+  groundAnswer,
+};
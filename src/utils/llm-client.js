@@ -0,0 +1,424 @@
+// src/utils/llm-client.js
+// One entry point for every LLM call in the app. Each call names its call
+// site, and configuration picks the provider and model for that call site:
+//
+// - "vertex" (default): Google Vertex AI (vertex-client.js)
+// - "openai": any OpenAI-compatible endpoint, including local servers
+//   (openai-compatible-client.js)
+// - "mock": deterministic offline responses (mock-llm-client.js)
+//
+// LLM_PROVIDER sets the provider for every call site. LLM_PROVIDER_<SITE>
+// and LLM_MODEL_<SITE> override it for one call site, where <SITE> is the
+// call site in upper snake case (e.g. LLM_PROVIDER_CYPHER_GENERATION=openai).
+// Providers are loaded on first use, so the mock needs no Google packages or
+// credentials.
+
+import dotenv from "dotenv";
+import logger from "./unified-logger.js";
+import {
+  resolveCardResponse,
+  createAnswerStreamer,
+} from "./card-references.js";
+
+// Load environment variables
+dotenv.config();
+
+export const LLM_PROVIDERS = {
+  VERTEX: "vertex",
+  OPENAI: "openai",
+  MOCK: "mock",
+};
+
+export const LLM_CALL_SITES = {
+  DEFAULT: "default",
+  GARDEN_CHAT: "garden-chat",
+  TOPIC_CHECK: "topic-check",
+  CYPHER_GENERATION: "cypher-generation",
+  GRAPHRAG_ANSWER: "graphrag-answer",
+  RAG_ANSWER: "rag-answer",
+  SEASONAL_TIP: "seasonal-tip",
+  PLANT_GUIDE: "plant-guide",
+  PLANTING_PLAN: "planting-plan",
+  CONVERSATION_SUMMARY: "conversation-summary",
+  GARDEN_AGENT: "garden-agent",
+};
+
+const providerLoaders = {
+  [LLM_PROVIDERS.VERTEX]: () =>
+    import("./vertex-client.js").then((module) =>
+      module.createVertexProvider()
+    ),
+  [LLM_PROVIDERS.OPENAI]: () =>
+    import("./openai-compatible-client.js").then((module) =>
+      module.createOpenAICompatibleProvider()
+    ),
+  [LLM_PROVIDERS.MOCK]: () =>
+    import("./mock-llm-client.js").then((module) =>
+      module.createMockProvider()
+    ),
+};
+
+// Provider name -> Promise of the loaded provider
+const providers = new Map();
+
+const FALLBACK_CHAT_RESPONSE =
+  "I'm having trouble connecting to my gardening knowledge base at the moment. Please try again shortly or ask another gardening question.";
+
+/**
+ * Environment variable suffix for a call site ("cypher-generation" -> "CYPHER_GENERATION")
+ */
+function envSuffix(callSite) {
+  return callSite.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+/**
+ * Get the provider and model configured for a call site
+ * @param {string} callSite - One of LLM_CALL_SITES
+ * @returns {Object} { callSite, provider, model } (model undefined means the provider default)
+ */
+export function getLLMConfig(callSite = LLM_CALL_SITES.DEFAULT) {
+  const suffix = envSuffix(callSite);
+  const provider = (
+    process.env[`LLM_PROVIDER_${suffix}`] ||
+    process.env.LLM_PROVIDER ||
+    LLM_PROVIDERS.VERTEX
+  )
+    .trim()
+    .toLowerCase();
+
+  if (!providerLoaders[provider]) {
+    console.warn(
+      `Unknown LLM provider "${provider}" for ${callSite}, using "${LLM_PROVIDERS.VERTEX}"`
+    );
+    return { callSite, provider: LLM_PROVIDERS.VERTEX, model: undefined };
+  }
+
+  return {
+    callSite,
+    provider,
+    model: process.env[`LLM_MODEL_${suffix}`] || undefined,
+  };
+}
+
+/**
+ * Load a provider once and reuse it
+ * @param {string} name - One of LLM_PROVIDERS
+ * @returns {Promise<Object>} Provider
+ */
+export async function getLLMProvider(name) {
+  if (!providers.has(name)) {
+    const loading = providerLoaders[name]().catch((error) => {
+      // Let a later call retry, e.g. after credentials are fixed
+      providers.delete(name);
+      throw error;
+    });
+    providers.set(name, loading);
+    console.log(`Using ${name} LLM provider`);
+  }
+  return providers.get(name);
+}
+
+/**
+ * Save a real response for the mock to replay, when LLM_RECORD_FILE is set.
+ * The prompt is text, or the messages of a chat or tool calling conversation,
+ * stored as the transcript the mock matches them by (see formatTranscript).
+ */
+async function recordResponse(config, provider, prompt, response) {
+  const path = process.env.LLM_RECORD_FILE;
+  if (!path || config.provider === LLM_PROVIDERS.MOCK) return;
+
+  try {
+    const { recordMockResponse, formatTranscript } = await import(
+      "./mock-llm-client.js"
+    );
+    recordMockResponse(
+      {
+        callSite: config.callSite,
+        prompt: typeof prompt === "string" ? prompt : formatTranscript(prompt),
+        response,
+        provider: config.provider,
+        model: config.model || provider.defaultModel,
+      },
+      path
+    );
+  } catch (error) {
+    logger.warn(`Failed to record LLM response: ${error.message}`);
+  }
+}
+
+/**
+ * Generate text for a prompt with the provider configured for the call site
+ * @param {string} prompt - The prompt for text generation
+ * @param {Object} options
+ * @param {string} options.callSite - One of LLM_CALL_SITES (default "default")
+ * @param {string} options.model - Model override; otherwise LLM_MODEL_<SITE> or the provider default
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {string} options.systemInstruction - Optional system prompt
+ * @param {string} options.responseFormat - "json" asks the provider for a JSON object
+ * @returns {Promise<string>} Generated text
+ */
+export async function generateText(prompt, options = {}) {
+  const { callSite = LLM_CALL_SITES.DEFAULT, ...generation } = options;
+  const config = getLLMConfig(callSite);
+  const provider = await getLLMProvider(config.provider);
+
+  const text = await provider.generateText(prompt, {
+    ...generation,
+    model: generation.model || config.model,
+    callSite,
+  });
+  await recordResponse(config, provider, prompt, text);
+  return text;
+}
+
+/**
+ * Generate a chat response with the provider configured for the call site
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - As for generateText; systemInstruction defaults to the gardening assistant prompt
+ * @returns {Promise<string>} The text response from the model
+ */
+export async function generateChatResponse(messages, options = {}) {
+  const { callSite = LLM_CALL_SITES.GARDEN_CHAT, ...generation } = options;
+  const config = getLLMConfig(callSite);
+  const provider = await getLLMProvider(config.provider);
+
+  const text = await provider.generateChat(messages, {
+    ...generation,
+    model: generation.model || config.model,
+    callSite,
+  });
+  await recordResponse(config, provider, messages, text);
+  return text;
+}
+
+/**
+ * Stream text for a prompt with the provider configured for the call site.
+ * Providers without streaming send the whole response as one chunk.
+ * @param {string} prompt - The prompt for text generation
+ * @param {Object} options - As for generateText
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* streamText(prompt, options = {}) {
+  const { callSite = LLM_CALL_SITES.DEFAULT, ...generation } = options;
+  const config = getLLMConfig(callSite);
+  const provider = await getLLMProvider(config.provider);
+  const providerOptions = {
+    ...generation,
+    model: generation.model || config.model,
+    callSite,
+  };
+
+  let text = "";
+  if (provider.streamText) {
+    for await (const chunk of provider.streamText(prompt, providerOptions)) {
+      text += chunk;
+      yield chunk;
+    }
+  } else {
+    text = await provider.generateText(prompt, providerOptions);
+    yield text;
+  }
+  await recordResponse(config, provider, prompt, text);
+}
+
+/**
+ * Stream a chat response with the provider configured for the call site
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - As for generateChatResponse
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* streamChatResponse(messages, options = {}) {
+  const { callSite = LLM_CALL_SITES.GARDEN_CHAT, ...generation } = options;
+  const config = getLLMConfig(callSite);
+  const provider = await getLLMProvider(config.provider);
+  const providerOptions = {
+    ...generation,
+    model: generation.model || config.model,
+    callSite,
+  };
+
+  let text = "";
+  if (provider.streamChat) {
+    for await (const chunk of provider.streamChat(messages, providerOptions)) {
+      text += chunk;
+      yield chunk;
+    }
+  } else {
+    text = await provider.generateChat(messages, providerOptions);
+    yield text;
+  }
+  await recordResponse(config, provider, messages, text);
+}
+
+/**
+ * Send a conversation with tool declarations to the provider configured for
+ * the call site. The model either answers or asks for tools to be called;
+ * running them and sending back the results is up to the caller (see
+ * gardening-agent.js).
+ * @param {Array} messages - Chat messages, plus { role: "assistant", toolCalls } and { role: "tool", toolCallId, name, content } messages from earlier steps
+ * @param {Object} options - As for generateChatResponse
+ * @param {Array} options.tools - { name, description, parameters } declarations
+ * @param {string} options.toolChoice - "none" makes the model answer without calling tools
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }] }
+ */
+export async function generateWithTools(messages, options = {}) {
+  const { callSite = LLM_CALL_SITES.GARDEN_AGENT, ...generation } = options;
+  const config = getLLMConfig(callSite);
+  const provider = await getLLMProvider(config.provider);
+
+  if (!provider.generateWithTools) {
+    throw new Error(`The ${config.provider} provider cannot call tools`);
+  }
+
+  const result = await provider.generateWithTools(messages, {
+    ...generation,
+    model: generation.model || config.model,
+    callSite,
+  });
+  await recordResponse(
+    config,
+    provider,
+    messages,
+    result.toolCalls.length > 0
+      ? JSON.stringify({ toolCalls: result.toolCalls })
+      : result.text
+  );
+  return result;
+}
+
+/**
+ * Convert conversation history and the new query into chat messages
+ */
+export function toChatMessages(query, conversationHistory) {
+  return [
+    ...conversationHistory.map((msg) => ({
+      role: msg.role === "model" ? "assistant" : msg.role,
+      content: msg.content,
+    })),
+    { role: "user", content: query },
+  ];
+}
+
+/**
+ * Process a gardening query and return a structured response. The model is
+ * asked for a card payload (see card-references.js); its card references are
+ * checked against the data, with keyword matching as the fallback.
+ * @param {string} query - The user's gardening question
+ * @param {Array} conversationHistory - Previous messages for context
+ * @param {Object} options
+ * @param {string} options.systemInstruction - System prompt (default the gardening assistant prompt)
+ * @param {Object} options.entities - Entities extracted from the question, for card selection
+ * @returns {Promise<Object>} - { content, cardType, cards, cardSource }
+ */
+export async function processGardeningQuery(
+  query,
+  conversationHistory = [],
+  { systemInstruction, entities } = {}
+) {
+  const messages = toChatMessages(query, conversationHistory);
+
+  let responseText;
+  try {
+    responseText = await generateChatResponse(messages, {
+      callSite: LLM_CALL_SITES.GARDEN_CHAT,
+      systemInstruction,
+      responseFormat: "json",
+    });
+  } catch (error) {
+    logger.error("Error generating garden chat response", error);
+    responseText = FALLBACK_CHAT_RESPONSE;
+  }
+
+  return resolveCardResponse(responseText, query, { entities });
+}
+
+/**
+ * Stream the answer to a gardening query. Only the answer text is streamed,
+ * never the payload's JSON or card markers; the cards are resolved from the
+ * full response at the end.
+ * @param {string} query - The user's gardening question
+ * @param {Array} conversationHistory - Previous messages for context
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @param {string} options.systemInstruction - System prompt (default the gardening assistant prompt)
+ * @param {Object} options.entities - Entities extracted from the question, for card selection
+ * @returns {AsyncGenerator<Object>} { type: "token", text } events, then { type: "done", content, cardType, cards, cardSource }
+ */
+export async function* streamGardeningQuery(
+  query,
+  conversationHistory = [],
+  { signal, systemInstruction, entities } = {}
+) {
+  const messages = toChatMessages(query, conversationHistory);
+  const answerStreamer = createAnswerStreamer();
+
+  let responseText = "";
+  try {
+    for await (const chunk of streamChatResponse(messages, {
+      callSite: LLM_CALL_SITES.GARDEN_CHAT,
+      signal,
+      systemInstruction,
+      responseFormat: "json",
+    })) {
+      responseText += chunk;
+      const text = answerStreamer.push(chunk);
+      if (text) yield { type: "token", text };
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.error("Error streaming garden chat response", error);
+    if (!responseText) {
+      responseText = FALLBACK_CHAT_RESPONSE;
+      answerStreamer.push(FALLBACK_CHAT_RESPONSE);
+    }
+  }
+
+  const rest = answerStreamer.flush();
+  if (rest) yield { type: "token", text: rest };
+
+  yield {
+    type: "done",
+    ...(await resolveCardResponse(responseText, query, { entities })),
+  };
+}
+
+/**
+ * Count tokens in messages for cost estimation
+ * @param {Array} messages - Messages to count tokens for
+ * @param {Object} options
+ * @param {string} options.callSite - Call site whose provider and model to use
+ * @returns {Promise<number>} Token count (an estimate for some providers)
+ */
+export async function countTokens(
+  messages,
+  { callSite = LLM_CALL_SITES.DEFAULT } = {}
+) {
+  const config = getLLMConfig(callSite);
+  const provider = await getLLMProvider(config.provider);
+  return provider.countTokens(messages, { model: config.model });
+}
+
+/**
+ * Check the provider configured for a call site
+ * @param {string} callSite - One of LLM_CALL_SITES
+ * @returns {Promise<Object>} Health status with the provider name
+ */
+export async function checkLLMHealth(callSite = LLM_CALL_SITES.DEFAULT) {
+  const config = getLLMConfig(callSite);
+
+  try {
+    const provider = await getLLMProvider(config.provider);
+    return { provider: config.provider, ...(await provider.checkHealth()) };
+  } catch (error) {
+    return {
+      provider: config.provider,
+      healthy: false,
+      message: `Failed to load the ${config.provider} provider`,
+      error: error.message,
+    };
+  }
+}
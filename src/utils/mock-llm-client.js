@@ -0,0 +1,409 @@
+// src/utils/mock-llm-client.js
+// Deterministic offline LLM provider. Replays scripted or recorded responses
+// and otherwise answers from built-in rules, so the assistant runs without
+// any model credentials.
+//
+// Responses are looked up in order from:
+// 1. responses scripted in-process with scriptMockResponses()
+// 2. the fixture file in LLM_MOCK_FIXTURES, e.g. one written by recording a
+//    real provider (see LLM_RECORD_FILE in llm-client.js)
+// 3. a built-in responder for the call site, else a fixed placeholder
+//
+// A fixture file looks like:
+//   { "responses": [
+//       { "callSite": "topic-check", "match": "tomatoes", "response": "GARDENING: YES" },
+//       { "callSite": "rag-answer", "promptHash": "3f1c…", "response": "…" }
+//   ] }
+// An entry matches when every field it sets matches: `callSite`, `match`
+// (substring of the prompt), `pattern` (case-insensitive regex) and
+// `promptHash` (see promptFingerprint).
+
+import fs from "fs";
+import { createHash } from "crypto";
+import { estimateTokens } from "./openai-compatible-client.js";
+import { extractCountyFromQuery } from "./soil-client.js";
+
+const MOCK_MODEL = "mock";
+
+// Words that make the built-in topic check answer yes
+const GARDENING_TERMS =
+  /\b(garden\w*|plant\w*|grow\w*|sow\w*|seed\w*|soil\w*|compost\w*|harvest\w*|flower\w*|vegetable\w*|fruit\w*|tree\w*|shrub\w*|hedge\w*|weed\w*|prun\w*|mulch\w*|pest\w*|slug\w*|aphid\w*|blight|pollinat\w*|bees?|lawn\w*|potato\w*|spuds?|carrot\w*|cabbage\w*|kale|leeks?|onions?|berr(?:y|ies)|frost|greenhouse\w*|allotment\w*|polytunnel\w*)\b/i;
+
+// Built-in Cypher for the generation call site: read-only and bounded, so
+// the sandbox accepts it
+const MOCK_CYPHER = `MATCH (p:Plant)
+RETURN p.name AS name, p.type AS type, p.description AS description
+ORDER BY p.name
+LIMIT 10`;
+
+// Built-in tool choices for the agent call site: the first tool whose
+// pattern matches the question is called with the arguments it builds
+const MOCK_TOOL_RULES = [
+  {
+    name: "getCurrentWeather",
+    pattern:
+      /\b(weather|rain\w*|frost\w*|wind\w*|this week|today|tomorrow|sow\w*)\b/i,
+    args: (question, county) => county && { county },
+  },
+  {
+    name: "getSoilDataByLocation",
+    pattern: /\b(soil\w*|drainage|ph|sow\w*)\b/i,
+    args: (question, county) => county && { county },
+  },
+  {
+    name: "getGraphPlantRecommendations",
+    pattern:
+      /\b(recommend\w*|suggest\w*|what (?:should|can) i (?:grow|plant))\b/i,
+    args: (question, county) => county && { county },
+  },
+  {
+    name: "getTasksForMonth",
+    pattern: /\b(jobs?|tasks?|to do|this month)\b/i,
+    args: () => ({}),
+  },
+  {
+    name: "getRelatedPlants",
+    pattern: /\b(?:companions?|grow|plant) (?:for|with|next to|beside) (\w+)/i,
+    args: (question) => ({ plantName: plantNameIn(question) }),
+  },
+  {
+    name: "calculateCarbonSavings",
+    pattern: /\b(carbon|co2|emissions?)\b/i,
+    args: (question) => ({
+      plantName:
+        question.match(/\bgrow(?:ing)? (?:my own )?(\w+)/i)?.[1] || "potatoes",
+    }),
+  },
+];
+
+const scripted = [];
+const calls = [];
+let fixtureCache = { path: null, mtimeMs: null, responses: [] };
+
+/**
+ * Stable fingerprint of a prompt, ignoring whitespace differences
+ * @param {string} prompt - Prompt text
+ * @returns {string} 16 hex characters
+ */
+export function promptFingerprint(prompt) {
+  return createHash("sha256")
+    .update((prompt || "").replace(/\s+/g, " ").trim())
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Add responses to replay, ahead of any fixture file
+ * @param {Array<Object>} entries - Entries in the fixture format
+ */
+export function scriptMockResponses(entries) {
+  scripted.push(...entries);
+}
+
+/**
+ * Forget scripted responses and recorded calls
+ */
+export function resetMockLLM() {
+  scripted.length = 0;
+  calls.length = 0;
+}
+
+/**
+ * Every prompt the mock has answered since the last reset
+ * @returns {Array<Object>} { callSite, prompt, promptHash, response, source }
+ */
+export function getMockCalls() {
+  return calls.map((call) => ({ ...call }));
+}
+
+/**
+ * Read a fixture file, or an empty fixture if it does not exist
+ */
+function readFixtureFile(path) {
+  if (!fs.existsSync(path)) return { responses: [] };
+  const fixture = JSON.parse(fs.readFileSync(path, "utf8"));
+  return { responses: fixture.responses || [] };
+}
+
+/**
+ * Responses from LLM_MOCK_FIXTURES, reloaded when the file changes
+ */
+function fixtureResponses() {
+  const path = process.env.LLM_MOCK_FIXTURES;
+  if (!path || !fs.existsSync(path)) return [];
+
+  const { mtimeMs } = fs.statSync(path);
+  if (fixtureCache.path !== path || fixtureCache.mtimeMs !== mtimeMs) {
+    fixtureCache = {
+      path,
+      mtimeMs,
+      responses: readFixtureFile(path).responses,
+    };
+  }
+  return fixtureCache.responses;
+}
+
+/**
+ * Whether a fixture entry applies to a prompt
+ */
+function entryMatches(entry, callSite, prompt, promptHash) {
+  return (
+    (!entry.callSite || entry.callSite === callSite) &&
+    (!entry.promptHash || entry.promptHash === promptHash) &&
+    (!entry.match || prompt.includes(entry.match)) &&
+    (!entry.pattern || new RegExp(entry.pattern, "i").test(prompt))
+  );
+}
+
+/**
+ * Split a response into word-sized chunks, as a streaming model would send
+ * it. LLM_MOCK_STREAM_DELAY_MS spaces the chunks out to exercise the UI.
+ * @param {string} response - Full response text
+ * @param {AbortSignal} signal - Stops the stream early
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* streamChunks(response, signal) {
+  const delayMs = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS, 10) || 0;
+
+  for (const chunk of response.match(/\S+\s*|\s+/g) || []) {
+    if (delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+    signal?.throwIfAborted();
+    yield chunk;
+  }
+}
+
+/**
+ * A plant name from a companion planting question, e.g. "Carrot"
+ */
+function plantNameIn(question) {
+  const name = question.match(
+    /\b(?:companions?|grow|plant) (?:for|with|next to|beside) (\w+)/i
+  )[1];
+  return name.charAt(0).toUpperCase() + name.slice(1).replace(/s$/, "");
+}
+
+/**
+ * The agent's built-in turn: call the tools the question's keywords point
+ * to, then answer once their results are in the transcript
+ */
+function respondWithTools(prompt, { toolChoice } = {}) {
+  const lines = prompt.split("\n");
+  const toolsUsed = [
+    ...new Set(
+      lines
+        .filter((line) => line.startsWith("tool "))
+        .map((line) => line.slice("tool ".length).split(":")[0])
+    ),
+  ];
+
+  if (toolsUsed.length === 0 && toolChoice !== "none") {
+    const question =
+      lines
+        .filter((line) => line.startsWith("user: "))
+        .pop()
+        ?.slice("user: ".length) || "";
+    const county = extractCountyFromQuery(question);
+    const toolCalls = MOCK_TOOL_RULES.filter((rule) =>
+      rule.pattern.test(question)
+    ).flatMap((rule, index) => {
+      const args = rule.args(question, county);
+      return args ? [{ id: `mock_${index}`, name: rule.name, args }] : [];
+    });
+    if (toolCalls.length > 0) return JSON.stringify({ toolCalls });
+  }
+
+  return JSON.stringify({
+    answer:
+      toolsUsed.length > 0
+        ? `Mock answer based on ${toolsUsed.join(", ")}.`
+        : "Mock answer without tools.",
+    cards: [],
+  });
+}
+
+// Answers for call sites whose output the code parses
+const BUILT_IN_RESPONDERS = {
+  "topic-check": (prompt) => {
+    const query = prompt.match(/QUERY:\s*"([\s\S]*?)"/)?.[1] ?? prompt;
+    return GARDENING_TERMS.test(query) ? "GARDENING: YES" : "GARDENING: NO";
+  },
+  "cypher-generation": () => MOCK_CYPHER,
+  "conversation-summary": (prompt) => {
+    const [before, transcript = ""] = prompt.split("TRANSCRIPT:");
+    const earlier = before.split("EARLIER SUMMARY:")[1]?.trim();
+    const questions = transcript
+      .split("\n")
+      .filter((line) => line.startsWith("user: "))
+      .map((line) => line.slice("user: ".length).trim());
+    return [
+      earlier && earlier !== "(none)" ? earlier : null,
+      `The gardener asked: ${questions.join("; ")}`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+  },
+  "garden-agent": respondWithTools,
+};
+
+/**
+ * Find the response for a prompt
+ * @returns {{response: string, source: string}}
+ */
+function respond(callSite, prompt, options = {}) {
+  const promptHash = promptFingerprint(prompt);
+
+  const scriptedEntry = scripted.find((entry) =>
+    entryMatches(entry, callSite, prompt, promptHash)
+  );
+  const fixtureEntry =
+    !scriptedEntry &&
+    fixtureResponses().find((entry) =>
+      entryMatches(entry, callSite, prompt, promptHash)
+    );
+
+  let result;
+  if (scriptedEntry) {
+    result = { response: scriptedEntry.response, source: "scripted" };
+  } else if (fixtureEntry) {
+    result = { response: fixtureEntry.response, source: "fixture" };
+  } else if (BUILT_IN_RESPONDERS[callSite]) {
+    result = {
+      response: BUILT_IN_RESPONDERS[callSite](prompt, options),
+      source: "built-in",
+    };
+  } else {
+    result = {
+      response: `Mock ${callSite} response (prompt ${promptHash}).`,
+      source: "placeholder",
+    };
+  }
+
+  calls.push({ callSite, prompt, promptHash, ...result });
+  return result.response;
+}
+
+/**
+ * Save a real provider's response so the mock can replay it. An existing
+ * entry for the same call site and prompt is replaced.
+ * @param {Object} recording
+ * @param {string} recording.callSite - Call site the prompt came from
+ * @param {string} recording.prompt - Prompt text
+ * @param {string} recording.response - Response to replay
+ * @param {string} recording.provider - Provider that produced it
+ * @param {string} recording.model - Model that produced it
+ * @param {string} path - Fixture file to write
+ */
+export function recordMockResponse(
+  { callSite, prompt, response, provider, model },
+  path
+) {
+  const fixture = readFixtureFile(path);
+  const promptHash = promptFingerprint(prompt);
+  const entry = {
+    callSite,
+    promptHash,
+    promptPreview: prompt.replace(/\s+/g, " ").trim().slice(0, 120),
+    response,
+    recordedFrom: model ? `${provider}:${model}` : provider,
+  };
+
+  const existing = fixture.responses.findIndex(
+    (other) => other.callSite === callSite && other.promptHash === promptHash
+  );
+  if (existing === -1) {
+    fixture.responses.push(entry);
+  } else {
+    fixture.responses[existing] = entry;
+  }
+
+  fs.writeFileSync(path, JSON.stringify(fixture, null, 2) + "\n");
+}
+
+/**
+ * A conversation as one prompt, which is what chat and tool calling fixtures
+ * match against and what recordings of them store
+ * @param {Array} messages - Messages, including any tool calls and results
+ * @returns {string} One line per message, e.g. "user: …" or "tool getCurrentWeather: {…}"
+ */
+export function formatTranscript(messages) {
+  return messages
+    .map((msg) => {
+      if (msg.role === "tool") return `tool ${msg.name}: ${msg.content}`;
+      const calls = (msg.toolCalls || []).map(
+        (call) => `\ncall ${call.name}: ${JSON.stringify(call.args)}`
+      );
+      return `${msg.role}: ${msg.content || ""}${calls.join("")}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Read a tool calling response: a JSON object with "toolCalls" asks for
+ * tool calls, anything else is the final text
+ */
+function parseToolResponse(response) {
+  try {
+    const { toolCalls } = JSON.parse(response);
+    if (Array.isArray(toolCalls)) {
+      return {
+        text: "",
+        toolCalls: toolCalls.map((call, index) => ({
+          id: call.id || `mock_${index}`,
+          name: call.name,
+          args: call.args || {},
+        })),
+      };
+    }
+  } catch {
+    // Not JSON, so it is the answer text
+  }
+  return { text: response, toolCalls: [] };
+}
+
+/**
+ * The mock as an LLM provider (see llm-client.js)
+ * @returns {Object} Provider with generateText, generateChat, streamText, streamChat, generateWithTools, countTokens and checkHealth
+ */
+export function createMockProvider() {
+  return {
+    name: "mock",
+    defaultModel: MOCK_MODEL,
+    async generateText(prompt, { callSite = "default" } = {}) {
+      return respond(callSite, prompt);
+    },
+    async generateChat(messages, { callSite = "default" } = {}) {
+      return respond(callSite, formatTranscript(messages));
+    },
+    async *streamText(prompt, { callSite = "default", signal } = {}) {
+      yield* streamChunks(respond(callSite, prompt), signal);
+    },
+    async *streamChat(messages, { callSite = "default", signal } = {}) {
+      yield* streamChunks(
+        respond(callSite, formatTranscript(messages)),
+        signal
+      );
+    },
+    async generateWithTools(
+      messages,
+      { callSite = "default", toolChoice } = {}
+    ) {
+      const { text, toolCalls } = parseToolResponse(
+        respond(callSite, formatTranscript(messages), { toolChoice })
+      );
+      // A forced answer ignores any tool calls the response asks for
+      return toolChoice === "none"
+        ? { text, toolCalls: [] }
+        : { text, toolCalls };
+    },
+    countTokens: estimateTokens,
+    async checkHealth() {
+      return {
+        healthy: true,
+        message: "Mock LLM provider (offline)",
+        model: MOCK_MODEL,
+      };
+    },
+  };
+}
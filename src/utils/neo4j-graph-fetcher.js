@@ -6,18 +6,21 @@
  */
 
 import neo4j from "neo4j-driver";
-
-// Neo4j connection
-const createDriver = () => {
-  const uri = process.env.NEO4J_URI || "neo4j://localhost:7687";
-  const user = process.env.NEO4J_USER || "neo4j";
-  const password = process.env.NEO4J_PASSWORD || "password";
-
-  return neo4j.driver(
-    uri,
-    neo4j.auth.basic(user, password),
-    { maxConnectionLifetime: 3 * 60 * 60 * 1000 } // 3 hours
-  );
+import {
+  neo4jDriver,
+  ensureDriverAvailable,
+} from "../database/neo4j-client.js";
+import {
+  LABELS,
+  RELATIONSHIPS,
+  isKnownLabel,
+  isKnownRelationship,
+} from "../database/graph-schema.js";
+
+// Sessions come from the pooled driver in neo4j-client.js
+const openSession = () => {
+  ensureDriverAvailable();
+  return neo4jDriver.session();
 };
 
 /**
@@ -25,8 +28,7 @@ const createDriver = () => {
  * @returns {Promise<Object>} Object with nodes and relationships arrays
  */
 export const fetchCompleteGraph = async () => {
-  const driver = createDriver();
-  const session = driver.session();
+  const session = openSession();
 
   try {
     // Fetch all nodes
@@ -70,7 +72,6 @@ export const fetchCompleteGraph = async () => {
     return { nodes, relationships };
   } finally {
     await session.close();
-    await driver.close();
   }
 };
 
@@ -78,10 +79,21 @@ export const fetchCompleteGraph = async () => {
  * Fetch a subgraph focused on specific node types, relationship types or filters
  * @param {Object} filters - Filters to apply when fetching the graph
  * @returns {Promise<Object>} Object with filtered nodes and relationships
+ * @throws {Error} If a label or relationship type is not in graph-schema.js
  */
 export const fetchFilteredGraph = async (filters = {}) => {
-  const driver = createDriver();
-  const session = driver.session();
+  // Labels and relationship types are interpolated into the query, so only
+  // accept the ones the schema declares
+  const unknownLabel = (filters.nodeLabels || []).find(
+    (label) => !isKnownLabel(label)
+  );
+  if (unknownLabel) throw new Error(`Unknown node label: ${unknownLabel}`);
+  const unknownType = (filters.relationshipTypes || []).find(
+    (type) => !isKnownRelationship(type)
+  );
+  if (unknownType) throw new Error(`Unknown relationship type: ${unknownType}`);
+
+  const session = openSession();
 
   try {
     let nodeLabels = filters.nodeLabels || [];
@@ -108,11 +120,11 @@ export const fetchFilteredGraph = async (filters = {}) => {
     // County-specific query for plants suitable in that county
     if (county) {
       const countyQuery = `
-        MATCH (c:County {id: $county})-[:suitableFor|recommendedPlant]->(p:Plant)
+        MATCH (p:${LABELS.PLANT})-[:${RELATIONSHIPS.SUITABLE_FOR}]->(c:${LABELS.COUNTY} {id: $county})
         OPTIONAL MATCH (p)-[r1]-(other)
         RETURN p as n, r1 as r, other as related
         UNION
-        MATCH (c:County {id: $county})
+        MATCH (c:${LABELS.COUNTY} {id: $county})
         RETURN c as n, null as r, null as related
       `;
 
@@ -210,17 +222,17 @@ export const fetchFilteredGraph = async (filters = {}) => {
     return { nodes, relationships };
   } finally {
     await session.close();
-    await driver.close();
   }
 };
 
 /**
- * Get available node labels and relationship types for filtering
- * @returns {Promise<Object>} Object with nodeLabels and relationshipTypes arrays
+ * Get available node labels, relationship types and property keys
+ * @param {Object} options
+ * @param {number} options.sampleSize - Nodes sampled per label when collecting property keys
+ * @returns {Promise<Object>} Object with nodeLabels, relationshipTypes, propertyKeys and counties
  */
-export const fetchGraphMetadata = async () => {
-  const driver = createDriver();
-  const session = driver.session();
+export const fetchGraphMetadata = async ({ sampleSize = 25 } = {}) => {
+  const session = openSession();
 
   try {
     // Get node labels
@@ -245,6 +257,22 @@ export const fetchGraphMetadata = async () => {
       record.get("relationshipType")
     );
 
+    // Sample property keys for each label
+    const propertyKeys = {};
+    for (const label of nodeLabels) {
+      // Labels come from db.labels(), so interpolating them is safe
+      const keysResult = await session.run(
+        `
+        MATCH (n:\`${label}\`)
+        WITH n LIMIT $sampleSize
+        UNWIND keys(n) AS key
+        RETURN collect(DISTINCT key) AS keys
+      `,
+        { sampleSize: neo4j.int(sampleSize) }
+      );
+      propertyKeys[label] = [...(keysResult.records[0]?.get("keys") || [])].sort();
+    }
+
     // Get county IDs for filtering
     const countiesQuery = `
       MATCH (c:County)
@@ -258,10 +286,9 @@ export const fetchGraphMetadata = async () => {
       name: record.get("name"),
     }));
 
-    return { nodeLabels, relationshipTypes, counties };
+    return { nodeLabels, relationshipTypes, propertyKeys, counties };
   } finally {
     await session.close();
-    await driver.close();
   }
 };
 
@@ -271,16 +298,12 @@ export const fetchGraphMetadata = async () => {
  * @returns {Promise<Array>} Array of recommended plants for the county
  */
 export const getCountyPlantRecommendations = async (countyId) => {
-  const driver = createDriver();
-  const session = driver.session();
+  const session = openSession();
 
   try {
     const query = `
-      MATCH (c:County {id: $countyId})-[:suitableFor]->(p:Plant)
-      RETURN p.id as id, p.name as name
-      UNION
-      MATCH (c:County {id: $countyId})-[:recommendedPlant]->(p:Plant)
-      RETURN p.id as id, p.name as name
+      MATCH (p:${LABELS.PLANT})-[:${RELATIONSHIPS.SUITABLE_FOR}]->(c:${LABELS.COUNTY} {id: $countyId})
+      RETURN DISTINCT p.id as id, p.name as name
     `;
 
     const result = await session.run(query, { countyId });
@@ -291,6 +314,5 @@ export const getCountyPlantRecommendations = async (countyId) => {
     }));
   } finally {
     await session.close();
-    await driver.close();
   }
 };
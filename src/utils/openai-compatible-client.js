@@ -0,0 +1,325 @@
+// src/utils/openai-compatible-client.js
+// Client for OpenAI-compatible chat completion endpoints: OpenAI itself, and
+// local or hosted servers that speak the same API (Ollama, vLLM, LM Studio)
+
+import dotenv from "dotenv";
+import logger from "./unified-logger.js";
+import { GARDENING_SYSTEM_INSTRUCTION } from "./assistant-prompts.js";
+import { readSSEEvents } from "./sse.js";
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Rough characters per token, for estimates when the server cannot count
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Read the endpoint configuration from the environment
+ */
+function getConfig() {
+  return {
+    baseUrl: (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(
+      /\/+$/,
+      ""
+    ),
+    apiKey: process.env.OPENAI_API_KEY || "",
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    timeoutMs:
+      parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+    // Some local servers reject response_format, so it can be turned off
+    jsonMode: process.env.OPENAI_JSON_MODE !== "false",
+  };
+}
+
+/**
+ * Send a request to an endpoint under the configured base URL
+ * @param {string} path - Path such as "/chat/completions"
+ * @param {Object} init - fetch options; init.signal aborts the request
+ * @returns {Promise<Response>} The response, once it has an OK status
+ */
+async function send(path, init = {}) {
+  const { baseUrl, apiKey, timeoutMs } = getConfig();
+  const timeout = AbortSignal.timeout(timeoutMs);
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      // Local servers usually need no key
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      ...init.headers,
+    },
+    signal: init.signal ? AbortSignal.any([init.signal, timeout]) : timeout,
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(
+      `OpenAI-compatible API error (${response.status}): ${
+        data.error?.message || JSON.stringify(data)
+      }`
+    );
+  }
+  return response;
+}
+
+/**
+ * Call an endpoint under the configured base URL
+ * @param {string} path - Path such as "/chat/completions"
+ * @param {Object} init - fetch options
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+async function request(path, init = {}) {
+  const response = await send(path, init);
+  return response.json().catch(() => ({}));
+}
+
+/**
+ * Convert a message to the chat completions format, including tool calls
+ * and tool results
+ * @param {Object} msg - { role, content, toolCalls } or { role: "tool", toolCallId, content }
+ * @returns {Object} Chat completions message
+ */
+function toChatMessage(msg) {
+  if (msg.role === "tool") {
+    return { role: "tool", tool_call_id: msg.toolCallId, content: msg.content };
+  }
+  return {
+    role: msg.role === "model" ? "assistant" : msg.role,
+    content: msg.content,
+    ...(msg.toolCalls?.length && {
+      tool_calls: msg.toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.args) },
+      })),
+    }),
+  };
+}
+
+/**
+ * Build a chat completions request body
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - See generateOpenAIChat
+ * @returns {Object} Request body
+ */
+function buildChatRequest(messages, options = {}) {
+  // null means no system prompt at all
+  const systemInstruction =
+    options.systemInstruction === undefined
+      ? GARDENING_SYSTEM_INSTRUCTION
+      : options.systemInstruction;
+
+  return {
+    model: options.model || getConfig().model,
+    messages: [
+      ...(systemInstruction
+        ? [{ role: "system", content: systemInstruction }]
+        : []),
+      ...messages.map(toChatMessage),
+    ],
+    ...(options.temperature !== undefined && {
+      temperature: options.temperature,
+    }),
+    ...(options.maxTokens && { max_tokens: options.maxTokens }),
+    ...(options.responseFormat === "json" &&
+      getConfig().jsonMode && { response_format: { type: "json_object" } }),
+  };
+}
+
+/**
+ * Generate a chat response from an OpenAI-compatible endpoint
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options
+ * @param {string} options.model - Model name (default OPENAI_MODEL)
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {string|null} options.systemInstruction - System prompt (default GARDENING_SYSTEM_INSTRUCTION, null for none)
+ * @param {string} options.responseFormat - "json" for a JSON object response (unless OPENAI_JSON_MODE=false)
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<string>} The text response from the model
+ */
+export async function generateOpenAIChat(messages, options = {}) {
+  const body = buildChatRequest(messages, options);
+
+  logger.info("Sending request to OpenAI-compatible endpoint", {
+    model: body.model,
+    messageCount: body.messages.length,
+  });
+
+  const data = await request("/chat/completions", {
+    method: "POST",
+    body: JSON.stringify(body),
+    signal: options.signal,
+  });
+
+  logger.debug("Received response from OpenAI-compatible endpoint", {
+    finishReason: data.choices?.[0]?.finish_reason || "unknown",
+  });
+
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Stream a chat response from an OpenAI-compatible endpoint
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - As for generateOpenAIChat
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* streamOpenAIChat(messages, options = {}) {
+  const body = { ...buildChatRequest(messages, options), stream: true };
+
+  logger.info("Sending streaming request to OpenAI-compatible endpoint", {
+    model: body.model,
+    messageCount: body.messages.length,
+  });
+
+  const response = await send("/chat/completions", {
+    method: "POST",
+    body: JSON.stringify(body),
+    signal: options.signal,
+  });
+
+  for await (const { data } of readSSEEvents(response.body)) {
+    if (data === "[DONE]") break;
+    const text = JSON.parse(data).choices?.[0]?.delta?.content;
+    if (text) yield text;
+  }
+}
+
+/**
+ * Generate a chat response with tool declarations and return the model's
+ * text or the tool calls it wants made
+ * @param {Array} messages - Messages, including earlier tool calls and results
+ * @param {Object} options - As for generateOpenAIChat
+ * @param {Array} options.tools - { name, description, parameters } declarations
+ * @param {string} options.toolChoice - "none" stops the model calling tools
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }] }
+ */
+export async function generateOpenAIWithTools(messages, options = {}) {
+  const body = {
+    ...buildChatRequest(messages, options),
+    tools: (options.tools || []).map((tool) => ({
+      type: "function",
+      function: tool,
+    })),
+    ...(options.toolChoice === "none" && { tool_choice: "none" }),
+  };
+
+  logger.info("Sending tool calling request to OpenAI-compatible endpoint", {
+    model: body.model,
+    messageCount: body.messages.length,
+    toolCount: body.tools.length,
+  });
+
+  const data = await request("/chat/completions", {
+    method: "POST",
+    body: JSON.stringify(body),
+    signal: options.signal,
+  });
+
+  const message = data.choices?.[0]?.message || {};
+  return {
+    text: message.content || "",
+    toolCalls: (message.tool_calls || []).map((call) => ({
+      id: call.id,
+      name: call.function.name,
+      args: JSON.parse(call.function.arguments || "{}"),
+    })),
+  };
+}
+
+/**
+ * Generate text for a single prompt
+ * @param {string} prompt - The prompt for text generation
+ * @param {Object} options - Generation options (see generateOpenAIChat)
+ * @returns {Promise<string>} Generated text
+ */
+export async function generateOpenAIText(prompt, options = {}) {
+  // Plain prompts carry their own instructions, so only send a system
+  // prompt when the caller gives one
+  return generateOpenAIChat([{ role: "user", content: prompt }], {
+    ...options,
+    systemInstruction: options.systemInstruction || null,
+  });
+}
+
+/**
+ * Stream text for a single prompt
+ * @param {string} prompt - The prompt for text generation
+ * @param {Object} options - Generation options (see streamOpenAIChat)
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* streamOpenAIText(prompt, options = {}) {
+  yield* streamOpenAIChat([{ role: "user", content: prompt }], {
+    ...options,
+    systemInstruction: options.systemInstruction || null,
+  });
+}
+
+/**
+ * Estimate the token count of messages. The chat completions API has no
+ * counting endpoint, so this is a character-based estimate.
+ * @param {Array} messages - Messages to count tokens for
+ * @returns {Promise<number>} Estimated token count
+ */
+export async function estimateTokens(messages) {
+  const characters = messages.reduce(
+    (total, msg) => total + (msg.content || "").length,
+    0
+  );
+  return Math.ceil(characters / CHARS_PER_TOKEN);
+}
+
+/**
+ * Check the endpoint answers and lists the configured model
+ * @returns {Promise<Object>} Health status object
+ */
+export async function checkOpenAIHealth() {
+  const { baseUrl, model } = getConfig();
+
+  try {
+    const data = await request("/models");
+    const models = (data.data || []).map((entry) => entry.id);
+    return {
+      healthy: true,
+      message: `Connected to ${baseUrl}`,
+      model,
+      modelAvailable: models.length === 0 || models.includes(model),
+    };
+  } catch (error) {
+    logger.error("Health check failed", {
+      error: error.message,
+      component: "OPENAI-HEALTH",
+    });
+    return {
+      healthy: false,
+      message: `Failed to connect to ${baseUrl}`,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * An OpenAI-compatible endpoint as an LLM provider (see llm-client.js)
+ * @returns {Object} Provider with generateText, generateChat, streamText, streamChat, generateWithTools, countTokens and checkHealth
+ */
+export function createOpenAICompatibleProvider() {
+  return {
+    name: "openai",
+    defaultModel: getConfig().model,
+    generateText: generateOpenAIText,
+    generateChat: generateOpenAIChat,
+    streamText: streamOpenAIText,
+    streamChat: streamOpenAIChat,
+    generateWithTools: generateOpenAIWithTools,
+    countTokens: estimateTokens,
+    checkHealth: checkOpenAIHealth,
+  };
+}
@@ -1,75 +1,43 @@
 /**
  * RAG (Retrieval-Augmented Generation) system for Bloom
- * Combines knowledge retrieval from Neo4j with Vertex AI generation
+ * Combines knowledge retrieval from the knowledge graph store with Vertex AI generation
  */
 
-import { generateText } from "./vertex-client.js";
-import { runQuery, closeDriver } from "../database/neo4j-client.js";
-import { CARD_TYPES } from "./cards.js";
+import { generateText, LLM_CALL_SITES } from "./llm-client.js";
+import { getGraphStore } from "../database/graph-store.js";
+import { extractEntities } from "./entity-extraction.js";
+import { detectCardTypeFromQuery } from "../cards/index.js";
+import { getSoilDataByLocation } from "./soil-client.js";
+import { getTasksForMonth } from "../data/gardening-tasks.js";
+import {
+  FACT_SOURCES,
+  CITATION_INSTRUCTIONS,
+  createFact,
+  factId,
+  formatFactsForPrompt,
+  groundAnswer,
+} from "./grounding.js";
+
+// Tasks from the task list added per mentioned month
+const TASKS_PER_MONTH = 3;
 
 /**
- * Determines the type of card to display based on the query content
+ * Determines the type of card to display based on the query content, using
+ * the query rules of the card types in src/cards
  * @param {string} query - The user's query
+ * @param {Object} entities - Entities extracted from the query (see entity-extraction.js), if available
  * @returns {string|null} - The type of card to display, or null if no card needed
  */
-export function determineCardTypeFromQuery(query) {
-  const lowerQuery = query.toLowerCase();
-
-  // Check for plant-related content
-  if (
-    (lowerQuery.includes("plant") &&
-      (lowerQuery.includes("recommend") || lowerQuery.includes("grow"))) ||
-    lowerQuery.includes("what vegetable") ||
-    lowerQuery.includes("what flowers") ||
-    lowerQuery.includes("what plants") ||
-    lowerQuery.includes("companion plant")
-  ) {
-    return CARD_TYPES.PLANT;
-  }
-
-  // Check for task-related content
-  if (
-    (lowerQuery.includes("task") ||
-      lowerQuery.includes("job") ||
-      lowerQuery.includes("what to do") ||
-      lowerQuery.includes("garden chore")) &&
-    (lowerQuery.includes("month") ||
-      lowerQuery.includes("season") ||
-      lowerQuery.includes("spring") ||
-      lowerQuery.includes("summer") ||
-      lowerQuery.includes("autumn") ||
-      lowerQuery.includes("winter"))
-  ) {
-    return CARD_TYPES.TASK;
-  }
-
-  // Check for soil-related content
-  if (
-    lowerQuery.includes("soil") &&
-    (lowerQuery.includes("county") || lowerQuery.includes("type"))
-  ) {
-    return CARD_TYPES.SOIL;
-  }
-
-  // Check for sustainability-related content
-  if (
-    lowerQuery.includes("sustain") ||
-    lowerQuery.includes("environment") ||
-    lowerQuery.includes("carbon") ||
-    lowerQuery.includes("footprint") ||
-    lowerQuery.includes("eco")
-  ) {
-    return CARD_TYPES.SUSTAINABILITY;
-  }
-
-  return null;
+export function determineCardTypeFromQuery(query, entities = null) {
+  return detectCardTypeFromQuery(query, entities);
 }
 
 /**
- * Core RAG function to answer gardening questions
+ * Core RAG function to answer gardening questions. The answer cites the
+ * facts it uses, and is checked against them (see grounding.js).
  * @param {string} question - The user's gardening question
  * @param {Object} context - Additional context (county, season, soil type, etc.)
- * @returns {Promise<Object>} The answer with supporting facts
+ * @returns {Promise<Object>} The answer with its source facts, footnote citations and grounding warnings
  */
 export async function answerGardeningQuestion(question, context = {}) {
   try {
@@ -89,10 +57,16 @@ export async function answerGardeningQuestion(question, context = {}) {
     // 4. Generate the answer using Vertex AI
     const answer = await generateAnswer(question, promptContext);
 
+    // 5. Turn citations into footnotes and check the answer's claims
+    const grounded = await groundAnswer(answer, retrievedInfo.facts);
+
     return {
-      answer,
+      answer: grounded.answer,
       sourceFacts: retrievedInfo.facts,
+      citations: grounded.citations,
+      groundingWarnings: grounded.warnings,
       entities: entities,
+      cardType: determineCardTypeFromQuery(question, entities),
     };
   } catch (error) {
     console.error("Error in RAG system:", error);
@@ -105,110 +79,37 @@ export async function answerGardeningQuestion(question, context = {}) {
 }
 
 /**
- * Extract entities (plants, pests, soil types, etc.) from the question
- * @param {string} question - The user's question
- * @returns {Promise<Object>} Extracted entities
+ * Pick the plant fields used in RAG context and recommendation results
+ * @param {Object} plant - Plant node properties from the graph store
+ * @returns {Object} Plant summary
  */
-async function extractEntities(question) {
-  // Start with a simple keyword extraction approach
-  const entities = {
-    plants: [],
-    soilTypes: [],
-    counties: [],
-    seasons: [],
-    months: [],
-    activities: [],
+function summarisePlant(plant) {
+  return {
+    name: plant.name,
+    type: plant.type,
+    description: plant.description,
+    growingSeason: plant.growingSeason,
+    climateZones: plant.climateZones,
   };
+}
 
-  // Plant entities
-  const plantQuery = `
-    MATCH (p:Plant)
-    RETURN p.name AS name, p.type AS type
-  `;
-  const plants = await runQuery(plantQuery);
-
-  for (const plant of plants) {
-    if (question.toLowerCase().includes(plant.name.toLowerCase())) {
-      entities.plants.push(plant);
-    }
-  }
-
-  // Soil type entities
-  const soilQuery = `
-    MATCH (s:SoilType)
-    RETURN s.type AS type
-  `;
-  const soilTypes = await runQuery(soilQuery);
-
-  for (const soil of soilTypes) {
-    if (soil.type && question.toLowerCase().includes(soil.type.toLowerCase())) {
-      entities.soilTypes.push(soil.type);
-    }
-  }
-
-  // County entities
-  const countyQuery = `
-    MATCH (c:County)
-    RETURN c.name AS name
-  `;
-  const counties = await runQuery(countyQuery);
-
-  for (const county of counties) {
-    if (question.toLowerCase().includes(county.name.toLowerCase())) {
-      entities.counties.push(county.name);
-    }
-  }
-
-  // Seasonal entities
-  const seasons = ["Spring", "Summer", "Autumn", "Winter"];
-  for (const season of seasons) {
-    if (question.toLowerCase().includes(season.toLowerCase())) {
-      entities.seasons.push(season);
-    }
-  }
-
-  // Month entities
-  const monthQuery = `
-    MATCH (m:Month)
-    RETURN m.name AS name
-  `;
-  const months = await runQuery(monthQuery);
-
-  for (const month of months) {
-    if (question.toLowerCase().includes(month.name.toLowerCase())) {
-      entities.months.push(month.name);
-    }
-  }
-
-  // Common gardening activities
-  const activities = [
-    "plant",
-    "grow",
-    "sow",
-    "harvest",
-    "prune",
-    "fertilize",
-    "water",
-    "mulch",
-    "weed",
-    "companion planting",
-  ];
-
-  for (const activity of activities) {
-    if (question.toLowerCase().includes(activity.toLowerCase())) {
-      entities.activities.push(activity);
-    }
-  }
-
-  return entities;
+/**
+ * Facts about the plants, months, pests and county a question mentions, from
+ * the knowledge graph, Teagasc soil data, the task list and pest data
+ * @param {Object} entities - Entities extracted from the question
+ * @param {Object} context - Additional context; context.county stands in for a county the question does not name
+ * @returns {Promise<Array<Object>>} Facts (see grounding.js createFact)
+ */
+export async function retrieveFacts(entities, context = {}) {
+  return (await retrieveInformation(null, entities, context)).facts;
 }
 
 /**
- * Retrieve relevant information from Neo4j based on the question and extracted entities
+ * Retrieve relevant information from the knowledge graph based on the question and extracted entities
  * @param {string} question - The user's question
  * @param {Object} entities - Extracted entities
  * @param {Object} context - Additional context
- * @returns {Promise<Object>} Retrieved information
+ * @returns {Promise<Object>} Retrieved information; facts are grounding.js facts
  */
 async function retrieveInformation(question, entities, context) {
   const retrievedInfo = {
@@ -219,176 +120,194 @@ async function retrieveInformation(question, entities, context) {
     companionPlants: [],
     antagonisticPlants: [],
   };
-
-  // If the question mentions specific plants, get information about them
-  if (entities.plants.length > 0) {
-    for (const plant of entities.plants) {
-      // Get plant details
-      const plantQuery = `
-        MATCH (p:Plant {name: $plantName})
-        RETURN p.name AS name, p.type AS type, p.description AS description, 
-               p.growingSeason AS growingSeason, p.climateZones AS climateZones
-      `;
-      const plantDetails = await runQuery(plantQuery, {
-        plantName: plant.name,
+  const store = getGraphStore();
+
+  // One read for every mentioned plant and one for every mentioned month
+  const [plantFacts, monthFacts] = await Promise.all([
+    entities.plants.length > 0
+      ? store.getPlantFacts(entities.plants.map((plant) => plant.name))
+      : {},
+    entities.months.length > 0
+      ? store.getMonthFacts(entities.months.map((month) => month.name))
+      : {},
+  ]);
+
+  // If the question mentions specific plants, add what we know about them
+  for (const plant of entities.plants) {
+    const bundle = plantFacts[plant.name];
+    if (!bundle) continue;
+
+    const plantDetails = bundle.plant;
+    const source = {
+      type: FACT_SOURCES.GRAPH,
+      label: `Plant node: ${plant.name}`,
+    };
+    const plantFact = (aspect, text, window) =>
+      createFact({
+        id: factId("plant", plant.name, aspect),
+        text,
+        source,
+        window,
       });
 
-      if (plantDetails.length > 0) {
-        retrievedInfo.plants.push(plantDetails[0]);
-        retrievedInfo.facts.push(
-          `${plantDetails[0].name} is a ${plantDetails[0].type} that ${plantDetails[0].description}`
-        );
-
-        // Get planting months
-        const plantingMonthsQuery = `
-          MATCH (p:Plant {name: $plantName})-[:PLANT_IN]->(m:Month)
-          RETURN m.name AS month
-          ORDER BY m.order
-        `;
-        const plantingMonths = await runQuery(plantingMonthsQuery, {
-          plantName: plant.name,
-        });
-
-        if (plantingMonths.length > 0) {
-          const monthsList = plantingMonths.map((m) => m.month).join(", ");
-          retrievedInfo.facts.push(
-            `${plant.name} can be planted in: ${monthsList}`
-          );
-          retrievedInfo.seasonalAdvice.push({
-            plant: plant.name,
-            activity: "planting",
-            months: plantingMonths.map((m) => m.month),
-          });
-        }
-
-        // Get harvesting months
-        const harvestingMonthsQuery = `
-          MATCH (p:Plant {name: $plantName})-[:HARVEST_IN]->(m:Month)
-          RETURN m.name AS month
-          ORDER BY m.order
-        `;
-        const harvestingMonths = await runQuery(harvestingMonthsQuery, {
-          plantName: plant.name,
-        });
-
-        if (harvestingMonths.length > 0) {
-          const monthsList = harvestingMonths.map((m) => m.month).join(", ");
-          retrievedInfo.facts.push(
-            `${plant.name} can be harvested in: ${monthsList}`
-          );
-          retrievedInfo.seasonalAdvice.push({
-            plant: plant.name,
-            activity: "harvesting",
-            months: harvestingMonths.map((m) => m.month),
-          });
-        }
-
-        // Get suitable soil types
-        const soilTypesQuery = `
-          MATCH (p:Plant {name: $plantName})-[:GROWS_WELL_IN]->(s:SoilType)
-          RETURN s.type AS soilType
-        `;
-        const soilTypes = await runQuery(soilTypesQuery, {
-          plantName: plant.name,
-        });
+    retrievedInfo.plants.push(summarisePlant(plantDetails));
+    retrievedInfo.facts.push(
+      plantFact(
+        "",
+        `${plantDetails.name} is a ${plantDetails.type} that ${plantDetails.description}`
+      )
+    );
 
-        if (soilTypes.length > 0) {
-          const soilTypesList = soilTypes
-            .map((s) => s.soilType)
-            .filter(Boolean)
-            .join(", ");
-          if (soilTypesList) {
-            retrievedInfo.facts.push(
-              `${plant.name} grows well in these soil types: ${soilTypesList}`
-            );
-            retrievedInfo.soilTypes = retrievedInfo.soilTypes.concat(
-              soilTypes.map((s) => s.soilType).filter(Boolean)
-            );
-          }
-        }
+    // Planting months
+    if (bundle.plantingMonths.length > 0) {
+      const months = bundle.plantingMonths.map((m) => m.name);
+      retrievedInfo.facts.push(
+        plantFact(
+          "planting",
+          `${plant.name} can be planted in: ${months.join(", ")}`,
+          { plant: plant.name, activity: "planting", months }
+        )
+      );
+      retrievedInfo.seasonalAdvice.push({
+        plant: plant.name,
+        activity: "planting",
+        months: bundle.plantingMonths.map((m) => m.name),
+      });
+    }
 
-        // Get companion plants
-        const companionPlantsQuery = `
-          MATCH (p:Plant {name: $plantName})-[:COMPANION_TO]->(companion:Plant)
-          RETURN companion.name AS companionName
-        `;
-        const companionPlants = await runQuery(companionPlantsQuery, {
-          plantName: plant.name,
-        });
+    // Harvesting months
+    if (bundle.harvestingMonths.length > 0) {
+      const months = bundle.harvestingMonths.map((m) => m.name);
+      retrievedInfo.facts.push(
+        plantFact(
+          "harvesting",
+          `${plant.name} can be harvested in: ${months.join(", ")}`,
+          { plant: plant.name, activity: "harvesting", months }
+        )
+      );
+      retrievedInfo.seasonalAdvice.push({
+        plant: plant.name,
+        activity: "harvesting",
+        months: bundle.harvestingMonths.map((m) => m.name),
+      });
+    }
 
-        if (companionPlants.length > 0) {
-          const companionsList = companionPlants
-            .map((c) => c.companionName)
-            .join(", ");
-          retrievedInfo.facts.push(
-            `${plant.name} grows well with these companion plants: ${companionsList}`
-          );
-          retrievedInfo.companionPlants.push({
-            plant: plant.name,
-            companions: companionPlants.map((c) => c.companionName),
-          });
-        }
+    // Suitable soil types
+    const soilTypes = bundle.soils.map((s) => s.type).filter(Boolean);
+    if (soilTypes.length > 0) {
+      retrievedInfo.facts.push(
+        plantFact(
+          "soils",
+          `${plant.name} grows well in these soil types: ${soilTypes.join(", ")}`
+        )
+      );
+      retrievedInfo.soilTypes = retrievedInfo.soilTypes.concat(soilTypes);
+    }
 
-        // Get antagonistic plants
-        const antagonisticPlantsQuery = `
-          MATCH (p:Plant {name: $plantName})-[:ANTAGONISTIC_TO]->(enemy:Plant)
-          RETURN enemy.name AS enemyName
-        `;
-        const antagonisticPlants = await runQuery(antagonisticPlantsQuery, {
-          plantName: plant.name,
-        });
+    // Companion plants
+    if (bundle.companions.length > 0) {
+      const companionsList = bundle.companions.map((c) => c.name).join(", ");
+      retrievedInfo.facts.push(
+        plantFact(
+          "companions",
+          `${plant.name} grows well with these companion plants: ${companionsList}`
+        )
+      );
+      retrievedInfo.companionPlants.push({
+        plant: plant.name,
+        companions: bundle.companions.map((c) => c.name),
+      });
+    }
 
-        if (antagonisticPlants.length > 0) {
-          const enemiesList = antagonisticPlants
-            .map((e) => e.enemyName)
-            .join(", ");
-          retrievedInfo.facts.push(
-            `${plant.name} should not be planted with: ${enemiesList}`
-          );
-          retrievedInfo.antagonisticPlants.push({
-            plant: plant.name,
-            enemies: antagonisticPlants.map((e) => e.enemyName),
-          });
-        }
-      }
+    // Antagonistic plants
+    if (bundle.antagonists.length > 0) {
+      const enemiesList = bundle.antagonists.map((e) => e.name).join(", ");
+      retrievedInfo.facts.push(
+        plantFact(
+          "antagonists",
+          `${plant.name} should not be planted with: ${enemiesList}`
+        )
+      );
+      retrievedInfo.antagonisticPlants.push({
+        plant: plant.name,
+        enemies: bundle.antagonists.map((e) => e.name),
+      });
     }
   }
 
-  // If the question mentions specific months, get seasonal information
-  if (entities.months.length > 0) {
-    for (const month of entities.months) {
-      // What to plant in this month
-      const plantInMonthQuery = `
-        MATCH (p:Plant)-[:PLANT_IN]->(m:Month {name: $monthName})
-        RETURN p.name AS plantName, p.type AS plantType
-      `;
-      const plantsToPlant = await runQuery(plantInMonthQuery, {
-        monthName: month,
-      });
+  // If the question mentions specific months, add seasonal information
+  for (const { id: monthNumber, name: month } of entities.months) {
+    const bundle = monthFacts[month];
+    if (bundle) {
+      const source = {
+        type: FACT_SOURCES.GRAPH,
+        label: `Month node: ${month}`,
+      };
 
-      if (plantsToPlant.length > 0) {
-        const plantList = plantsToPlant.map((p) => p.plantName).join(", ");
+      // What to plant in this month
+      if (bundle.toPlant.length > 0) {
+        const plantList = bundle.toPlant.map((p) => p.name).join(", ");
         retrievedInfo.facts.push(
-          `Plants to sow/plant in ${month}: ${plantList}`
+          createFact({
+            id: factId("month", month, "planting"),
+            text: `Plants to sow/plant in ${month}: ${plantList}`,
+            source,
+          })
         );
       }
 
       // What to harvest in this month
-      const harvestInMonthQuery = `
-        MATCH (p:Plant)-[:HARVEST_IN]->(m:Month {name: $monthName})
-        RETURN p.name AS plantName, p.type AS plantType
-      `;
-      const plantsToHarvest = await runQuery(harvestInMonthQuery, {
-        monthName: month,
-      });
-
-      if (plantsToHarvest.length > 0) {
-        const harvestList = plantsToHarvest.map((p) => p.plantName).join(", ");
+      if (bundle.toHarvest.length > 0) {
+        const harvestList = bundle.toHarvest.map((p) => p.name).join(", ");
         retrievedInfo.facts.push(
-          `Plants to harvest in ${month}: ${harvestList}`
+          createFact({
+            id: factId("month", month, "harvesting"),
+            text: `Plants to harvest in ${month}: ${harvestList}`,
+            source,
+          })
         );
       }
     }
+
+    // Jobs for the month from the task list
+    for (const task of getTasksForMonth(monthNumber).slice(
+      0,
+      TASKS_PER_MONTH
+    )) {
+      retrievedInfo.facts.push(
+        createFact({
+          id: factId("task", task.id),
+          text: `${month} task: ${task.title}. ${task.description}`,
+          source: { type: FACT_SOURCES.TASKS, label: "Gardening task list" },
+        })
+      );
+    }
+  }
+
+  // Pests and diseases come from local data, with the plants they affect
+  for (const pest of entities.pests) {
+    retrievedInfo.facts.push(
+      createFact({
+        id: factId("pest", pest.id),
+        text: `Plants commonly affected by ${pest.name} (${pest.kind}): ${pest.affects.join(", ")}`,
+        source: { type: FACT_SOURCES.LOCAL, label: "Garden pest data" },
+      })
+    );
+  }
+
+  // The county's soil from Teagasc data
+  const county = entities.counties[0]?.name || context.county;
+  if (county) {
+    const soil = await getSoilDataByLocation(county);
+    const { ph, drainage, texture } = soil.properties;
+    const summary = `The dominant soil in ${soil.county} is ${soil.soilName}: ${texture} texture, ${drainage} drainage, pH ${ph.min}-${ph.max}.`;
+    retrievedInfo.facts.push(
+      createFact({
+        id: factId("soil", soil.county),
+        text: [summary, soil.gardeningNotes].filter(Boolean).join(" "),
+        source: { type: FACT_SOURCES.TEAGASC, label: soil.source },
+      })
+    );
   }
 
   return retrievedInfo;
@@ -404,7 +323,8 @@ function formatContextForLLM(retrievedInfo, context) {
   let formattedContext = "Gardening Assistant Context:\n";
 
   if (retrievedInfo.facts.length > 0) {
-    formattedContext += "Facts:\n" + retrievedInfo.facts.join("\n") + "\n";
+    formattedContext +=
+      "Facts:\n" + formatFactsForPrompt(retrievedInfo.facts) + "\n";
   }
 
   if (context.county) {
@@ -433,9 +353,12 @@ async function generateAnswer(question, promptContext) {
     You are a gardening assistant. Answer the following question based on the provided context:
     Question: ${question}
     Context: ${promptContext}
+
+    ${CITATION_INSTRUCTIONS}
   `;
 
   const response = await generateText(prompt, {
+    callSite: LLM_CALL_SITES.RAG_ANSWER,
     temperature: 0.7,
     maxTokens: 500,
   });
@@ -451,43 +374,36 @@ async function generateAnswer(question, promptContext) {
  */
 export async function getSeasonalRecommendations(month, context = {}) {
   try {
-    // What to plant in this month
-    const plantInMonthQuery = `
-      MATCH (p:Plant)-[:PLANT_IN]->(m:Month {name: $monthName})
-      RETURN p.name AS name, p.type AS type, p.description AS description
-    `;
-    const plantsToPlant = await runQuery(plantInMonthQuery, {
-      monthName: month,
-    });
-
-    // What to harvest in this month
-    const harvestInMonthQuery = `
-      MATCH (p:Plant)-[:HARVEST_IN]->(m:Month {name: $monthName})
-      RETURN p.name AS name, p.type AS type, p.description AS description
-    `;
-    const plantsToHarvest = await runQuery(harvestInMonthQuery, {
-      monthName: month,
+    const store = getGraphStore();
+    const toListing = ({ name, type, description }) => ({
+      name,
+      type,
+      description,
     });
 
-    // Get the season for this month
-    const monthInfoQuery = `
-      MATCH (m:Month {name: $monthName})
-      RETURN m.season AS season
-    `;
-    const monthInfo = await runQuery(monthInfoQuery, { monthName: month });
-    const season = monthInfo.length > 0 ? monthInfo[0].season : "";
+    // What to plant and harvest this month, and its season, in one read
+    const monthFacts = (await store.getMonthFacts([month]))[month];
+    const plantsToPlant = (monthFacts?.toPlant || []).map(toListing);
+    const plantsToHarvest = (monthFacts?.toHarvest || []).map(toListing);
+    const season = monthFacts ? monthFacts.month.season : "";
 
     // Get county-specific recommendations if provided
     let countyRecommendations = [];
     if (context.county) {
-      const countySoilQuery = `
-        MATCH (c:County {name: $countyName})-[:HAS_DOMINANT_SOIL]->(s:SoilType)<-[:GROWS_WELL_IN]-(p:Plant)-[:PLANT_IN]->(:Month {name: $monthName})
-        RETURN p.name AS name, p.type AS type, s.type AS soilType
-      `;
-      countyRecommendations = await runQuery(countySoilQuery, {
-        countyName: context.county,
-        monthName: month,
-      });
+      const countySoils = await store.getCountySoils(context.county);
+      for (const soil of countySoils) {
+        const plants = await store.findPlants({
+          soilType: soil.type,
+          plantingMonth: month,
+        });
+        countyRecommendations.push(
+          ...plants.map((p) => ({
+            name: p.name,
+            type: p.type,
+            soilType: soil.type,
+          }))
+        );
+      }
     }
 
     // Generate a seasonal tip using LLM
@@ -509,6 +425,7 @@ export async function getSeasonalRecommendations(month, context = {}) {
     Gardening Tip:`;
 
     const seasonalTip = await generateText(tipPrompt, {
+      callSite: LLM_CALL_SITES.SEASONAL_TIP,
       maxTokens: 200,
       temperature: 0.7,
     });
@@ -536,104 +453,31 @@ export async function getSeasonalRecommendations(month, context = {}) {
  */
 export async function getPlantRecommendations(criteria = {}) {
   try {
-    let query = `
-      MATCH (p:Plant)
-      WHERE 1=1
-    `;
-
-    const params = {};
-
-    // Filter by plant type
-    if (criteria.plantType) {
-      query += ` AND p.type = $plantType`;
-      params.plantType = criteria.plantType;
-    }
-
-    // Filter by soil type
-    if (criteria.soilType) {
-      query += ` AND EXISTS {
-        MATCH (p)-[:GROWS_WELL_IN]->(s:SoilType {type: $soilType})
-      }`;
-      params.soilType = criteria.soilType;
-    }
-
-    // Filter by county (get soil type for county and then match plants)
-    if (criteria.county && !criteria.soilType) {
-      query += ` AND EXISTS {
-        MATCH (c:County {name: $county})-[:HAS_DOMINANT_SOIL]->(s:SoilType)<-[:GROWS_WELL_IN]-(p)
-      }`;
-      params.county = criteria.county;
-    }
-
-    // Filter by planting month
-    if (criteria.plantingMonth) {
-      query += ` AND EXISTS {
-        MATCH (p)-[:PLANT_IN]->(m:Month {name: $plantingMonth})
-      }`;
-      params.plantingMonth = criteria.plantingMonth;
-    }
-
-    // Filter by harvesting month
-    if (criteria.harvestingMonth) {
-      query += ` AND EXISTS {
-        MATCH (p)-[:HARVEST_IN]->(m:Month {name: $harvestingMonth})
-      }`;
-      params.harvestingMonth = criteria.harvestingMonth;
-    }
-
-    // Return results
-    query += `
-      RETURN p.name AS name, p.type AS type, p.description AS description, 
-             p.growingSeason AS growingSeason, p.climateZones AS climateZones
-      ORDER BY p.name
-      LIMIT 20
-    `;
-
-    const recommendations = await runQuery(query, params);
+    const store = getGraphStore();
+
+    // A county only narrows the results when no soil type is given
+    const plants = await store.findPlants({
+      type: criteria.plantType,
+      soilType: criteria.soilType,
+      county: criteria.soilType ? undefined : criteria.county,
+      plantingMonth: criteria.plantingMonth,
+      harvestingMonth: criteria.harvestingMonth,
+      limit: 20,
+    });
+    const recommendations = plants.map(summarisePlant);
 
-    // For each plant, fetch additional information
+    // Months and related plants for every recommendation in one read
+    const plantFacts = await store.getPlantFacts(
+      recommendations.map((plant) => plant.name)
+    );
     for (const plant of recommendations) {
-      // Get planting months
-      const plantingMonthsQuery = `
-        MATCH (p:Plant {name: $name})-[:PLANT_IN]->(m:Month)
-        RETURN m.name AS month
-        ORDER BY m.order
-      `;
-      const plantingMonths = await runQuery(plantingMonthsQuery, {
-        name: plant.name,
-      });
-      plant.plantingMonths = plantingMonths.map((m) => m.month);
-
-      // Get harvesting months
-      const harvestingMonthsQuery = `
-        MATCH (p:Plant {name: $name})-[:HARVEST_IN]->(m:Month)
-        RETURN m.name AS month
-        ORDER BY m.order
-      `;
-      const harvestingMonths = await runQuery(harvestingMonthsQuery, {
-        name: plant.name,
-      });
-      plant.harvestingMonths = harvestingMonths.map((m) => m.month);
-
-      // Get companion plants
-      const companionPlantsQuery = `
-        MATCH (p:Plant {name: $name})-[:COMPANION_TO]->(companion:Plant)
-        RETURN companion.name AS name
-      `;
-      const companionPlants = await runQuery(companionPlantsQuery, {
-        name: plant.name,
-      });
-      plant.companionPlants = companionPlants.map((c) => c.name);
-
-      // Get plants to avoid
-      const plantsToAvoidQuery = `
-        MATCH (p:Plant {name: $name})-[:ANTAGONISTIC_TO]->(avoid:Plant)
-        RETURN avoid.name AS name
-      `;
-      const plantsToAvoid = await runQuery(plantsToAvoidQuery, {
-        name: plant.name,
-      });
-      plant.plantsToAvoid = plantsToAvoid.map((a) => a.name);
+      const bundle = plantFacts[plant.name];
+      plant.plantingMonths = (bundle?.plantingMonths || []).map((m) => m.name);
+      plant.harvestingMonths = (bundle?.harvestingMonths || []).map(
+        (m) => m.name
+      );
+      plant.companionPlants = (bundle?.companions || []).map((c) => c.name);
+      plant.plantsToAvoid = (bundle?.antagonists || []).map((a) => a.name);
     }
 
     return recommendations;
@@ -650,16 +494,10 @@ export async function getPlantRecommendations(criteria = {}) {
  */
 export async function generatePlantGuide(plantName) {
   try {
-    // Find the plant in the database
-    const plantQuery = `
-      MATCH (p:Plant)
-      WHERE toLower(p.name) CONTAINS toLower($searchTerm)
-      RETURN p.name AS name, p.type AS type, p.description AS description, 
-             p.growingSeason AS growingSeason, p.climateZones AS climateZones
-      LIMIT 1
-    `;
+    const store = getGraphStore();
 
-    const plantResults = await runQuery(plantQuery, { searchTerm: plantName });
+    // Find the plant in the database
+    const plantResults = await store.searchPlants(plantName, { limit: 1 });
 
     if (plantResults.length === 0) {
       return {
@@ -669,65 +507,15 @@ export async function generatePlantGuide(plantName) {
 
     const plant = plantResults[0];
 
-    // Get planting information
-    const plantingQuery = `
-      MATCH (p:Plant {name: $plantName})-[:PLANT_IN]->(m:Month)
-      RETURN m.name AS month, m.season AS season
-      ORDER BY m.order
-    `;
-
-    const plantingMonths = await runQuery(plantingQuery, {
-      plantName: plant.name,
-    });
-
-    // Get harvesting information
-    const harvestingQuery = `
-      MATCH (p:Plant {name: $plantName})-[:HARVEST_IN]->(m:Month)
-      RETURN m.name AS month, m.season AS season
-      ORDER BY m.order
-    `;
-
-    const harvestingMonths = await runQuery(harvestingQuery, {
-      plantName: plant.name,
-    });
-
-    // Get soil type compatibility
-    const soilQuery = `
-      MATCH (p:Plant {name: $plantName})-[:GROWS_WELL_IN]->(s:SoilType)
-      RETURN s.type AS soilType, s.characteristics AS characteristics
-    `;
-
-    const compatibleSoils = await runQuery(soilQuery, {
-      plantName: plant.name,
-    });
-
-    // Get companion plants
-    const companionsQuery = `
-      MATCH (p:Plant {name: $plantName})-[:COMPANION_TO]->(companion:Plant)
-      RETURN companion.name AS name, companion.type AS type
-    `;
-
-    const companions = await runQuery(companionsQuery, {
-      plantName: plant.name,
-    });
-
-    // Get plants to avoid
-    const avoidQuery = `
-      MATCH (p:Plant {name: $plantName})-[:ANTAGONISTIC_TO]->(avoid:Plant)
-      RETURN avoid.name AS name, avoid.type AS type
-    `;
-
-    const plantsToAvoid = await runQuery(avoidQuery, { plantName: plant.name });
-
-    // Get pollinators if applicable
-    const pollinatorsQuery = `
-      MATCH (p:Plant {name: $plantName})-[:ATTRACTS]->(pol:PollinatorType)
-      RETURN pol.name AS name
-    `;
-
-    const pollinators = await runQuery(pollinatorsQuery, {
-      plantName: plant.name,
-    });
+    // Months, soils, related plants and pollinators in one read
+    const {
+      plantingMonths,
+      harvestingMonths,
+      soils: compatibleSoils,
+      companions,
+      antagonists: plantsToAvoid,
+      pollinators,
+    } = (await store.getPlantFacts([plant.name]))[plant.name];
 
     // Prepare the facts for the LLM to generate growing tips
     const plantFacts = [
@@ -740,13 +528,13 @@ export async function generatePlantGuide(plantName) {
           : "Various"
       }`,
       `Planting months: ${
-        plantingMonths.map((m) => m.month).join(", ") || "Not specified"
+        plantingMonths.map((m) => m.name).join(", ") || "Not specified"
       }`,
       `Harvesting months: ${
-        harvestingMonths.map((m) => m.month).join(", ") || "Not specified"
+        harvestingMonths.map((m) => m.name).join(", ") || "Not specified"
       }`,
       `Compatible soil types: ${
-        compatibleSoils.map((s) => s.soilType).join(", ") || "Various"
+        compatibleSoils.map((s) => s.type).join(", ") || "Various"
       }`,
     ];
 
@@ -765,7 +553,7 @@ export async function generatePlantGuide(plantName) {
     }
 
     if (pollinators.length > 0) {
-      plantFacts.push(`Attracts: ${pollinators.map((p) => p.name).join(", ")}`);
+      plantFacts.push(`Attracts: ${pollinators.join(", ")}`);
     }
 
     // Generate growing tips using the LLM
@@ -782,6 +570,7 @@ export async function generatePlantGuide(plantName) {
     `;
 
     const growingTips = await generateText(growingTipsPrompt, {
+      callSite: LLM_CALL_SITES.PLANT_GUIDE,
       maxTokens: 500,
       temperature: 0.7,
     });
@@ -800,6 +589,7 @@ export async function generatePlantGuide(plantName) {
     `;
 
     const careCalendar = await generateText(careCalendarPrompt, {
+      callSite: LLM_CALL_SITES.PLANT_GUIDE,
       maxTokens: 600,
       temperature: 0.7,
     });
@@ -818,6 +608,7 @@ export async function generatePlantGuide(plantName) {
     `;
 
     const commonProblems = await generateText(commonProblemsPrompt, {
+      callSite: LLM_CALL_SITES.PLANT_GUIDE,
       maxTokens: 500,
       temperature: 0.7,
     });
@@ -830,15 +621,15 @@ export async function generatePlantGuide(plantName) {
       growingSeason: plant.growingSeason,
       climateZones: plant.climateZones,
       plantingMonths: plantingMonths.map((m) => ({
-        name: m.month,
+        name: m.name,
         season: m.season,
       })),
       harvestingMonths: harvestingMonths.map((m) => ({
-        name: m.month,
+        name: m.name,
         season: m.season,
       })),
       compatibleSoils: compatibleSoils.map((s) => ({
-        type: s.soilType,
+        type: s.type,
         characteristics: s.characteristics,
       })),
       companions: companions.map((c) => ({
@@ -849,7 +640,7 @@ export async function generatePlantGuide(plantName) {
         name: p.name,
         type: p.type,
       })),
-      pollinators: pollinators.map((p) => p.name),
+      pollinators,
       growingTips: growingTips,
       careCalendar: careCalendar,
       commonProblems: commonProblems,
@@ -883,14 +674,11 @@ export async function generatePlantingPlan(specs) {
   try {
     const { county, sunExposure, spaceAvailable, goals } = specs;
 
-    // Get soil type for the county
-    const soilQuery = `
-      MATCH (c:County {name: $countyName})-[:HAS_DOMINANT_SOIL]->(s:SoilType)
-      RETURN s.type AS soilType, s.characteristics AS characteristics
-    `;
+    const store = getGraphStore();
 
-    const soilResults = await runQuery(soilQuery, { countyName: county });
-    const soilType = soilResults.length > 0 ? soilResults[0].soilType : "Loam";
+    // Get soil type for the county
+    const soilResults = await store.getCountySoils(county);
+    const soilType = soilResults.length > 0 ? soilResults[0].type : "Loam";
     const soilCharacteristics =
       soilResults.length > 0 ? soilResults[0].characteristics : "";
 
@@ -914,30 +702,13 @@ export async function generatePlantingPlan(specs) {
     const currentSeason = monthsToSeasons[currentMonth];
 
     // Find suitable plants based on specifications
-    let query = `
-      MATCH (p:Plant)
-      WHERE EXISTS {
-        MATCH (p)-[:GROWS_WELL_IN]->(s:SoilType {type: $soilType})
-      }
-    `;
-
-    if (currentMonth) {
-      query += `
-        AND EXISTS {
-          MATCH (p)-[:PLANT_IN]->(m:Month {name: $currentMonth})
-        }
-      `;
-    }
-
-    query += `
-      RETURN p.name AS name, p.type AS type, p.description AS description
-      LIMIT 15
-    `;
-
-    const plants = await runQuery(query, {
-      soilType,
-      currentMonth,
-    });
+    const plants = (
+      await store.findPlants({
+        soilType,
+        plantingMonth: currentMonth,
+        limit: 15,
+      })
+    ).map(({ name, type, description }) => ({ name, type, description }));
 
     // Determine plant types needed based on goals
     const plantTypes = determinePlantTypesFromGoals(goals);
@@ -951,17 +722,14 @@ export async function generatePlantingPlan(specs) {
       plantsByType[plant.type].push(plant);
     }
 
-    // For each plant, get companion plants
+    // Companions and months for every plant in one read
+    const plantFacts = await store.getPlantFacts(
+      plants.map((plant) => plant.name)
+    );
     for (const plant of plants) {
-      const companionsQuery = `
-        MATCH (p:Plant {name: $plantName})-[:COMPANION_TO]->(companion:Plant)
-        RETURN companion.name AS name
-      `;
-
-      const companions = await runQuery(companionsQuery, {
-        plantName: plant.name,
-      });
-      plant.companions = companions.map((c) => c.name);
+      plant.companions = (plantFacts[plant.name]?.companions || []).map(
+        (c) => c.name
+      );
     }
 
     // Generate layout suggestions based on plant types and space
@@ -971,9 +739,10 @@ export async function generatePlantingPlan(specs) {
     );
 
     // Generate planting schedule
-    const plantingSchedule = await generatePlantingSchedule(
+    const plantingSchedule = generatePlantingSchedule(
       plants,
-      currentMonth
+      currentMonth,
+      plantFacts
     );
 
     // Generate companion planting recommendations
@@ -1000,6 +769,7 @@ export async function generatePlantingPlan(specs) {
     `;
 
     const customPlantingGuide = await generateText(plantingGuidePrompt, {
+      callSite: LLM_CALL_SITES.PLANTING_PLAN,
       maxTokens: 800,
       temperature: 0.7,
     });
@@ -1261,9 +1031,10 @@ function generateLayoutSuggestion(plantsByType, spaceAvailable) {
  * Generate a month-by-month planting schedule
  * @param {Array<Object>} plants - Plants to include in the schedule
  * @param {string} startMonth - Month to start the schedule from
- * @returns {Promise<Object>} Monthly planting schedule
+ * @param {Object} plantFacts - Fact bundles by plant name, from store.getPlantFacts
+ * @returns {Object} Monthly planting schedule
  */
-async function generatePlantingSchedule(plants, startMonth) {
+function generatePlantingSchedule(plants, startMonth, plantFacts) {
   // Get all months in order starting from the start month
   const monthOrder = [
     "January",
@@ -1290,25 +1061,10 @@ async function generatePlantingSchedule(plants, startMonth) {
   const scheduleMonths = orderedMonths.slice(0, 6);
   const schedule = {};
 
-  // For each plant, get planting and harvesting months
+  // For each plant, look up its planting and harvesting months
   for (const plant of plants) {
-    // Get planting months
-    const plantingMonthsQuery = `
-      MATCH (p:Plant {name: $plantName})-[:PLANT_IN]->(m:Month)
-      RETURN m.name AS month
-    `;
-    const plantingMonths = await runQuery(plantingMonthsQuery, {
-      plantName: plant.name,
-    });
-
-    // Get harvesting months
-    const harvestingMonthsQuery = `
-      MATCH (p:Plant {name: $plantName})-[:HARVEST_IN]->(m:Month)
-      RETURN m.name AS month
-    `;
-    const harvestingMonths = await runQuery(harvestingMonthsQuery, {
-      plantName: plant.name,
-    });
+    const plantingMonths = plantFacts[plant.name]?.plantingMonths || [];
+    const harvestingMonths = plantFacts[plant.name]?.harvestingMonths || [];
 
     // Add to schedule for relevant months
     for (const month of scheduleMonths) {
@@ -1321,7 +1077,7 @@ async function generatePlantingSchedule(plants, startMonth) {
       }
 
       // If this is a planting month for this plant, add to planting list
-      if (plantingMonths.some((m) => m.month === month)) {
+      if (plantingMonths.some((m) => m.name === month)) {
         schedule[month].toPlant.push({
           name: plant.name,
           type: plant.type,
@@ -1335,7 +1091,7 @@ async function generatePlantingSchedule(plants, startMonth) {
       }
 
       // If this is a harvesting month for this plant, add to harvesting list
-      if (harvestingMonths.some((m) => m.month === month)) {
+      if (harvestingMonths.some((m) => m.name === month)) {
         schedule[month].toHarvest.push({
           name: plant.name,
           type: plant.type,
@@ -0,0 +1,226 @@
+/**
+ * Recommendation Scoring Profiles
+ *
+ * Plant recommendation scores are built from scoring factors, each of which
+ * rates a plant from 0 to 1 and explains why. A weight profile says how many
+ * points each factor is worth, so tuning the recommender means editing the
+ * weights below rather than the scoring code.
+ */
+
+// Sun exposures from sunniest to shadiest, as the graph and the forms name them
+export const SUN_EXPOSURES = ["Full Sun", "Partial Shade", "Full Shade"];
+
+/**
+ * The sun exposures a plant grows in, from its sunNeeds. A range such as
+ * "Full Sun to Partial Shade" covers both ends and any exposure between.
+ * @param {string} sunNeeds - Plant sunNeeds from the graph
+ * @returns {Array<string>} Exposures from SUN_EXPOSURES, sunniest first
+ */
+export function plantSunExposures(sunNeeds) {
+  const ends = (sunNeeds || "")
+    .split(/\s+to\s+/i)
+    .map((part) =>
+      SUN_EXPOSURES.findIndex(
+        (exposure) => exposure.toLowerCase() === part.trim().toLowerCase()
+      )
+    )
+    .filter((index) => index >= 0);
+  if (ends.length === 0) return [];
+
+  return SUN_EXPOSURES.slice(Math.min(...ends), Math.max(...ends) + 1);
+}
+
+/**
+ * Scoring factors. `rate(plant, conditions, context)` returns
+ * { rating: 0-1, reason }. `context` holds facts the recommendation service
+ * looked up for the plant: `soilMatch`, `soilDescription` and `pollinators`.
+ */
+export const SCORING_FACTORS = {
+  soil: {
+    label: "Soil",
+    rate: (plant, conditions, { soilMatch, soilDescription }) => ({
+      rating: soilMatch ? 1 : 0,
+      reason: soilMatch
+        ? `Grows well in ${soilDescription}`
+        : `Not listed for ${soilDescription}`,
+    }),
+  },
+
+  sun: {
+    label: "Sunlight",
+    rate: (plant, conditions) => {
+      if (plant.sunNeeds === conditions.sunExposure) {
+        return { rating: 1, reason: `Prefers ${conditions.sunExposure}` };
+      }
+      if (plantSunExposures(plant.sunNeeds).includes(conditions.sunExposure)) {
+        return {
+          rating: 0.6,
+          reason: `Tolerates ${conditions.sunExposure} (prefers ${plant.sunNeeds})`,
+        };
+      }
+      // Recommended for a shadier garden than it likes (see recommendation-service.js)
+      return {
+        rating: 0.3,
+        reason: `Needs more light than ${conditions.sunExposure} (prefers ${plant.sunNeeds})`,
+      };
+    },
+  },
+
+  native: {
+    label: "Native",
+    rate: (plant) => ({
+      rating: plant.nativeToIreland === true ? 1 : 0,
+      reason:
+        plant.nativeToIreland === true
+          ? "Native to Ireland"
+          : "Not native to Ireland",
+    }),
+  },
+
+  sustainability: {
+    label: "Sustainability",
+    rate: (plant) => ({
+      rating: (plant.sustainabilityRating || 0) / 5,
+      reason: `Sustainability rating ${plant.sustainabilityRating || 0}/5`,
+    }),
+  },
+
+  pollinators: {
+    label: "Pollinators",
+    rate: (plant, conditions, { pollinators = [] }) => ({
+      // Three or more pollinator groups earns the full rating
+      rating: Math.min(pollinators.length / 3, 1),
+      reason:
+        pollinators.length > 0
+          ? `Attracts ${pollinators.join(", ")}`
+          : "No recorded pollinators",
+    }),
+  },
+
+  biodiversity: {
+    label: "Biodiversity",
+    rate: (plant) => ({
+      rating: (plant.biodiversityValue || 0) / 5,
+      reason: `Biodiversity value ${plant.biodiversityValue || 0}/5`,
+    }),
+  },
+
+  food: {
+    label: "Food",
+    rate: (plant) => {
+      const isCrop = plant.type === "Vegetable" || plant.type === "Fruit";
+      return {
+        rating: isCrop ? 1 : 0,
+        reason: isCrop
+          ? `Edible harvest (${plant.harvestSeason || "seasonal"})`
+          : "Not grown for food",
+      };
+    },
+  },
+
+  maintenance: {
+    label: "Low maintenance",
+    rate: (plant) => {
+      const waterRating = { Low: 0.5, Medium: 0.25 }[plant.waterNeeds] || 0;
+      const perennialRating = plant.isPerennial === true ? 0.5 : 0;
+      return {
+        rating: waterRating + perennialRating,
+        reason: `${plant.isPerennial === true ? "Perennial" : "Annual"}, ${(
+          plant.waterNeeds || "unknown"
+        ).toLowerCase()} water needs`,
+      };
+    },
+  },
+
+  waterConservation: {
+    label: "Water conservation",
+    rate: (plant) => ({
+      rating: (plant.waterConservationRating || 0) / 5,
+      reason: `Water conservation rating ${plant.waterConservationRating || 0}/5`,
+    }),
+  },
+};
+
+/**
+ * Weight profiles: points per factor, plus condition overrides the profile
+ * implies. "balanced" reproduces the original 30/25/10/15 scoring.
+ */
+export const WEIGHT_PROFILES = {
+  balanced: {
+    label: "Balanced",
+    description: "Suits your soil and light, favouring sustainable plants",
+    weights: { soil: 30, sun: 25, native: 10, sustainability: 15 },
+  },
+  "pollinator-first": {
+    label: "Pollinator-first",
+    description: "Plants that feed bees, butterflies and other pollinators",
+    weights: { soil: 25, sun: 20, pollinators: 30, biodiversity: 15, native: 10 },
+  },
+  "food-production": {
+    label: "Food production",
+    description: "Vegetables and fruit that crop well in your conditions",
+    weights: { soil: 30, sun: 25, food: 30, sustainability: 10 },
+  },
+  "low-maintenance": {
+    label: "Low maintenance",
+    description: "Perennials with modest watering needs",
+    weights: { soil: 25, sun: 20, maintenance: 30, waterConservation: 15, native: 10 },
+  },
+  "native-only": {
+    label: "Native only",
+    description: "Irish native plants, ranked by their value to wildlife",
+    weights: { soil: 30, sun: 25, biodiversity: 20, pollinators: 15 },
+    conditions: { nativeOnly: true },
+  },
+};
+
+export const DEFAULT_WEIGHT_PROFILE = "balanced";
+
+/**
+ * Get a weight profile by key, falling back to the default profile
+ * @param {string} key - Profile key, e.g. "pollinator-first"
+ * @returns {Object} Profile with its `key`
+ */
+export function getWeightProfile(key) {
+  const profileKey = Object.hasOwn(WEIGHT_PROFILES, key)
+    ? key
+    : DEFAULT_WEIGHT_PROFILE;
+  return { key: profileKey, ...WEIGHT_PROFILES[profileKey] };
+}
+
+/**
+ * Score a plant against the conditions with a weight profile
+ * @param {Object} plant - Plant node properties
+ * @param {Object} conditions - Normalised conditions
+ * @param {Object} context - Facts about the plant (see SCORING_FACTORS)
+ * @param {Object} profile - Weight profile (see getWeightProfile)
+ * @returns {Object} { score, maxScore, matchPercentage, breakdown }
+ */
+export function scorePlant(plant, conditions, context, profile) {
+  const breakdown = Object.entries(profile.weights).map(([factor, weight]) => {
+    const { rating, reason } = SCORING_FACTORS[factor].rate(
+      plant,
+      conditions,
+      context
+    );
+
+    return {
+      factor,
+      label: SCORING_FACTORS[factor].label,
+      points: Math.round(weight * rating),
+      maxPoints: weight,
+      reason,
+    };
+  });
+
+  const score = breakdown.reduce((total, factor) => total + factor.points, 0);
+  const maxScore = breakdown.reduce((total, factor) => total + factor.maxPoints, 0);
+
+  return {
+    score,
+    maxScore,
+    matchPercentage:
+      maxScore > 0 ? Math.min(Math.round((score / maxScore) * 100), 100) : 0,
+    breakdown,
+  };
+}
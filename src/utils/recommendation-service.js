@@ -0,0 +1,338 @@
+/**
+ * Plant Recommendation Service
+ *
+ * One entry point for plant recommendations. Conditions are normalised to a
+ * single schema and every plant is scored the same way, with the weight
+ * profile the user picked (see recommendation-profiles.js) and a per-factor
+ * breakdown, whichever source answers.
+ *
+ * The configured graph store (see graph-store.js) is preferred. When Neo4j
+ * cannot be reached, the same traversals run against the in-memory store
+ * built from src/data, and the result says so.
+ */
+
+import { getGraphStore, GRAPH_BACKENDS } from "../database/graph-store.js";
+import { createMemoryGraphStore } from "../database/memory-graph-store.js";
+import { toCountyId } from "../database/graph-schema.js";
+import {
+  IRISH_SOIL_TYPES,
+  COUNTY_SOIL_MAPPING,
+} from "../data/irish-soil-data.js";
+import {
+  getWeightProfile,
+  scorePlant,
+  plantSunExposures,
+  SUN_EXPOSURES,
+} from "./recommendation-profiles.js";
+
+export const RECOMMENDATION_SOURCES = {
+  GRAPH: "graph",
+  LOCAL: "local",
+};
+
+export const DEFAULT_RECOMMENDATION_LIMIT = 8;
+
+// Plant `type` values selected by each plant type the forms send
+const PLANT_TYPE_ALIASES = {
+  vegetable: ["Vegetable"],
+  fruit: ["Fruit"],
+  // Flowering shrubs such as fuchsia and heather count as flowers
+  flower: ["Wildflower", "Shrub"],
+  wildflower: ["Wildflower"],
+  shrub: ["Shrub"],
+  tree: ["Tree"],
+};
+
+// Other ways forms and tool calls describe sun exposure
+const SUN_EXPOSURE_ALIASES = {
+  sun: "Full Sun",
+  sunny: "Full Sun",
+  "part shade": "Partial Shade",
+  "partial sun": "Partial Shade",
+  "semi shade": "Partial Shade",
+  shade: "Full Shade",
+  shady: "Full Shade",
+};
+
+// Plant exposures that suit each garden exposure. The graph lists no plant
+// for Full Shade, so a shaded garden gets the plants that take partial shade.
+const SUITABLE_SUN_EXPOSURES = {
+  "Full Sun": ["Full Sun"],
+  "Partial Shade": ["Partial Shade"],
+  "Full Shade": ["Full Shade", "Partial Shade"],
+};
+
+// Every graph plant is fetched, then scored; the graph holds a few dozen
+const CANDIDATE_LIMIT = 500;
+
+let localStore = null;
+
+/**
+ * Error raised when recommendation conditions are missing or unknown
+ */
+export class RecommendationConditionsError extends Error {
+  /**
+   * @param {string} message - Reason suitable for showing to users
+   * @param {Object} details - The offending field and value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "RecommendationConditionsError";
+    this.details = details;
+  }
+}
+
+/**
+ * Find a soil code from either its code ("brown-earth") or name ("Brown Earth")
+ * @param {string} soilType - Soil code or name
+ * @returns {string|null} Soil code, or null if unknown
+ */
+function toSoilCode(soilType) {
+  if (!soilType) return null;
+  const value = soilType.trim().toLowerCase();
+
+  return (
+    Object.keys(IRISH_SOIL_TYPES).find(
+      (code) =>
+        code === value || IRISH_SOIL_TYPES[code].name.toLowerCase() === value
+    ) || null
+  );
+}
+
+/**
+ * Find a sun exposure from any capitalisation or alias ("full shade", "shade")
+ * @param {string} sunExposure - Sun exposure
+ * @returns {string|null} One of SUN_EXPOSURES, or null if unknown
+ */
+function toSunExposure(sunExposure) {
+  if (typeof sunExposure !== "string") return null;
+  const value = sunExposure.trim().toLowerCase().replace(/[-_]+/g, " ");
+
+  return (
+    SUN_EXPOSURES.find((exposure) => exposure.toLowerCase() === value) ||
+    SUN_EXPOSURE_ALIASES[value] ||
+    null
+  );
+}
+
+/**
+ * Normalise recommendation conditions from either form
+ * @param {Object} input - Raw conditions
+ * @param {string} input.county - Irish county (required)
+ * @param {string} input.sunExposure - 'Full Sun', 'Partial Shade' or 'Full Shade', in any case (default 'Full Sun')
+ * @param {string|Array<string>} input.plantType - Plant types, e.g. ["vegetable", "flower"]
+ * @param {boolean} input.nativeOnly - Only recommend plants native to Ireland
+ * @param {string} input.soilType - Soil code or name, overriding the county's dominant soil
+ * @param {string} input.profile - Weight profile key (see WEIGHT_PROFILES)
+ * @returns {Object} Conditions with every field present
+ */
+export function normalizeConditions(input = {}) {
+  const plantTypes = [].concat(input.plantType || []).filter(Boolean);
+  const profile = getWeightProfile(input.profile);
+
+  return {
+    county: typeof input.county === "string" ? input.county.trim() : "",
+    sunExposure: toSunExposure(input.sunExposure) || "Full Sun",
+    plantType: plantTypes.map((type) => type.toLowerCase()),
+    nativeOnly: input.nativeOnly === true || input.nativeOnly === "true",
+    soilType: toSoilCode(input.soilType),
+    profile: profile.key,
+    // Profiles such as "native-only" imply conditions of their own
+    ...profile.conditions,
+  };
+}
+
+/**
+ * Whether a plant grows in a garden's sun exposure
+ */
+function suitsSunExposure(plant, sunExposure) {
+  return plantSunExposures(plant.sunNeeds).some((exposure) =>
+    SUITABLE_SUN_EXPOSURES[sunExposure].includes(exposure)
+  );
+}
+
+/**
+ * Whether a plant is one of the requested plant types
+ */
+function matchesPlantType(plant, plantTypes) {
+  if (plantTypes.length === 0) return true;
+
+  return plantTypes.some((type) =>
+    (PLANT_TYPE_ALIASES[type] || []).includes(plant.type)
+  );
+}
+
+/**
+ * Score and rank plants using one graph store
+ * @param {Object} store - Graph store (see graph-store.js)
+ * @param {Object} conditions - Normalised conditions
+ * @param {number} limit - Maximum number of recommendations
+ * @returns {Promise<Array>} Recommendations, best first
+ */
+async function recommendFromStore(store, conditions, limit) {
+  const soilName = conditions.soilType
+    ? IRISH_SOIL_TYPES[conditions.soilType].name
+    : null;
+
+  const [plants, soilMatches] = await Promise.all([
+    store.findPlants({ limit: CANDIDATE_LIMIT }),
+    store.findPlants(
+      soilName
+        ? { soilType: soilName, limit: CANDIDATE_LIMIT }
+        : { county: conditions.county, limit: CANDIDATE_LIMIT }
+    ),
+  ]);
+
+  const soilMatchNames = new Set(soilMatches.map((plant) => plant.name));
+  const soilDescription = soilName
+    ? `${soilName} soil`
+    : `the dominant soil in ${conditions.county}`;
+
+  const candidates = plants
+    .filter((plant) => suitsSunExposure(plant, conditions.sunExposure))
+    .filter((plant) => !conditions.nativeOnly || plant.nativeToIreland === true)
+    .filter((plant) => matchesPlantType(plant, conditions.plantType));
+
+  // Pollinators feed into some profiles, so look them up before scoring
+  const connections = await store.getPlantConnections(
+    candidates.map((plant) => plant.name)
+  );
+  const profile = getWeightProfile(conditions.profile);
+
+  return candidates
+    .map((plant) => {
+      const { pollinators = [], relationships = [] } =
+        connections[plant.name] || {};
+      const scoring = scorePlant(
+        plant,
+        conditions,
+        {
+          soilMatch: soilMatchNames.has(plant.name),
+          soilDescription,
+          pollinators,
+        },
+        profile
+      );
+
+      return {
+        id: parseInt(plant.id),
+        commonName: plant.name,
+        latinName: plant.latinName,
+        description: plant.description,
+        plantType: plant.type,
+        waterNeeds: plant.waterNeeds,
+        sunNeeds: plant.sunNeeds,
+        soilPreference: plant.soilPreference,
+        nativeToIreland: plant.nativeToIreland,
+        isPerennial: plant.isPerennial,
+        harvestSeason: plant.harvestSeason,
+        floweringSeason: plant.floweringSeason,
+        imageUrl: plant.imageUrl,
+        sustainabilityRating: plant.sustainabilityRating,
+        waterConservationRating: plant.waterConservationRating,
+        biodiversityValue: plant.biodiversityValue,
+        ...scoring,
+        profile: profile.key,
+        pollinators,
+        plantRelationships: relationships,
+        pollinatorCount: pollinators.length,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.commonName < b.commonName ? -1 : a.commonName > b.commonName ? 1 : 0)
+    )
+    .slice(0, limit);
+}
+
+/**
+ * In-memory store over src/data, created on first use
+ */
+function getLocalStore() {
+  if (!localStore) {
+    localStore = createMemoryGraphStore();
+  }
+  return localStore;
+}
+
+/**
+ * Recommend plants for a garden
+ *
+ * Uses the configured graph store and falls back to local data when Neo4j
+ * is unreachable or a graph query fails.
+ *
+ * @param {Object} input - Conditions (see normalizeConditions)
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of recommendations
+ * @returns {Promise<Object>} { recommendations, source, fallbackReason, conditions }
+ * @throws {RecommendationConditionsError} If the county is missing or unknown,
+ *   or a soil type is given that matches no known soil
+ */
+export async function getRecommendations(
+  input,
+  { limit = DEFAULT_RECOMMENDATION_LIMIT } = {}
+) {
+  const conditions = normalizeConditions(input);
+  if (!conditions.county) {
+    throw new RecommendationConditionsError("County is required", {
+      field: "county",
+    });
+  }
+  const countyId = toCountyId(conditions.county);
+  if (countyId === "default" || !COUNTY_SOIL_MAPPING[countyId]) {
+    throw new RecommendationConditionsError(
+      `Unknown county: ${conditions.county}`,
+      { field: "county", value: conditions.county }
+    );
+  }
+  // normalizeConditions maps an unknown soil to null, which would silently
+  // fall back to the county's dominant soil
+  const soilType = input?.soilType?.trim?.();
+  if (soilType && !conditions.soilType) {
+    throw new RecommendationConditionsError(`Unknown soil type: ${soilType}`, {
+      field: "soilType",
+      value: soilType,
+    });
+  }
+
+  console.log("Using plant recommendation conditions:", JSON.stringify(conditions));
+
+  const store = getGraphStore();
+  if (store.backend === GRAPH_BACKENDS.MEMORY) {
+    return {
+      recommendations: await recommendFromStore(store, conditions, limit),
+      source: RECOMMENDATION_SOURCES.LOCAL,
+      fallbackReason: null,
+      conditions,
+    };
+  }
+
+  let fallbackReason;
+  const connection = await store.verifyConnectivity();
+
+  if (connection.connected) {
+    try {
+      return {
+        recommendations: await recommendFromStore(store, conditions, limit),
+        source: RECOMMENDATION_SOURCES.GRAPH,
+        fallbackReason: null,
+        conditions,
+      };
+    } catch (error) {
+      console.error("Graph recommendation error:", error);
+      fallbackReason = `Graph query failed: ${error.message}`;
+    }
+  } else {
+    fallbackReason = `Neo4j unreachable: ${connection.error}`;
+  }
+
+  console.warn(`Using local plant data for recommendations (${fallbackReason})`);
+
+  return {
+    recommendations: await recommendFromStore(getLocalStore(), conditions, limit),
+    source: RECOMMENDATION_SOURCES.LOCAL,
+    fallbackReason,
+    conditions,
+  };
+}
@@ -0,0 +1,133 @@
+// src/utils/sse.js
+// Server-Sent Events helpers shared by the streaming API routes, the LLM
+// provider clients that read streaming model APIs, and the chat UI.
+// Only uses web platform APIs, so it runs on the server and in the browser.
+
+export const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache, no-transform",
+  Connection: "keep-alive",
+  // Stop reverse proxies from buffering the stream
+  "X-Accel-Buffering": "no",
+};
+
+/**
+ * Format one event for the wire
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ * @returns {string} The event as text
+ */
+export function formatSSEEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse one blank-line separated block into an event
+ * @returns {{event: string, data: string}|null} null for comments and empty blocks
+ */
+function parseEventBlock(block) {
+  let event = "message";
+  const data = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+
+  return data.length > 0 ? { event, data: data.join("\n") } : null;
+}
+
+/**
+ * Read events from a streamed response body. Stopping early cancels the
+ * stream, which closes the underlying connection.
+ * @param {ReadableStream} stream - Response body
+ * @returns {AsyncGenerator<{event: string, data: string}>} Events; data is the raw text
+ */
+export async function* readSSEEvents(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let finished = false;
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+        const event = parseEventBlock(block);
+        if (event) yield event;
+      }
+    }
+
+    finished = true;
+    const event = parseEventBlock(buffer + decoder.decode());
+    if (event) yield event;
+  } finally {
+    if (!finished) {
+      reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Build a streaming response. The producer sends events until it returns;
+ * an error it throws is sent as an "error" event. The signal passed to the
+ * producer aborts when the client disconnects or cancels the stream, so it
+ * can be handed on to upstream requests.
+ * @param {Function} produce - async (send, signal) => void, where send(event, data) writes one event
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - The incoming request's signal
+ * @returns {Response} A text/event-stream response
+ */
+export function createSSEResponse(produce, { signal } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort, { once: true });
+
+  const encoder = new TextEncoder();
+
+  const run = async (stream) => {
+    const send = (event, data) => {
+      if (!controller.signal.aborted) {
+        stream.enqueue(encoder.encode(formatSSEEvent(event, data)));
+      }
+    };
+
+    try {
+      await produce(send, controller.signal);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error("Error while streaming response:", error);
+        send("error", { error: error.message });
+      }
+    } finally {
+      signal?.removeEventListener("abort", abort);
+      if (!controller.signal.aborted) {
+        stream.close();
+      }
+    }
+  };
+
+  const body = new ReadableStream({
+    start(stream) {
+      // Not awaited, so a cancel from the client is seen straight away
+      run(stream);
+    },
+    cancel() {
+      abort();
+    },
+  });
+
+  return new Response(body, { status: 200, headers: SSE_HEADERS });
+}
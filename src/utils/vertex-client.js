@@ -9,7 +9,8 @@ import path from "path";
 
 // Use the unified logger which works in both dev and Netlify environments
 import logger from "./unified-logger.js";
-import { detectCardType } from "./card-utils.js";
+import { GARDENING_SYSTEM_INSTRUCTION } from "./assistant-prompts.js";
+import { readSSEEvents } from "./sse.js";
 
 // Load environment variables
 dotenv.config();
@@ -27,7 +28,8 @@ const temperature = parseFloat(process.env.TEMPERATURE || "0.7");
 const maxTokens = parseInt(process.env.MAX_TOKENS || "1024");
 
 // Endpoint for direct API access
-const API_ENDPOINT = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${modelName}:generateContent`;
+const apiEndpoint = (model, method = "generateContent") =>
+  `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:${method}`;
 
 // Create auth client using Google Auth Library
 const auth = new GoogleAuth({
@@ -119,142 +121,87 @@ if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
 // Initialize the Vertex client
 const vertexAI = new VertexAI(vertexOptions);
 
-// System prompt for gardening assistance
-const GARDENING_SYSTEM_INSTRUCTION = `You are Bloom, an expert Irish gardening assistant focused EXCLUSIVELY on gardening topics.
-
-STRICT RESPONSE POLICY:
-- You MUST ONLY respond to gardening-related queries. For ANY non-gardening topic, respond ONLY with: "I'm Bloom, your gardening assistant. I can only help with gardening-related questions. Please ask me something about plants, gardening, or sustainable garden practices."
-- You must NEVER provide information on illegal plants, controlled substances, or any topic outside of legitimate garden plants and practices.
-- You must NEVER engage in discussions about politics, news, technology, personal advice, or any non-gardening topics.
-- If you're unsure whether a query is gardening-related, treat it as non-gardening and provide the standard response above.
-
-Your gardening responses MUST be:
-- Friendly, warm and personal - use conversational language and connect with the user
-- Use "you" and "your garden" to make advice feel tailored to the specific user
-- Brief and to the point (especially for task-related queries)
-- Helpful and specific to Irish growing conditions
-- Tailored to Irish climate zones, weather patterns, and native plants
-- Informed by Irish soil types and local pest management strategies
-
-Focus on delivering practical gardening advice:
-- Use bullet points for lists instead of paragraphs
-- Provide specific gardening actions rather than general information
-- Skip introductory phrases like "As an Irish gardening assistant..."
-- Avoid repetition of the user's question
-- Address the user directly and conversationally
-- Add occasional Irish expressions or terminology when appropriate
-
-SUSTAINABILITY GUIDANCE:
-When users ask about sustainability in gardening contexts:
-- Provide specific information on carbon footprint savings from growing plants
-- Mention water conservation benefits for Irish gardens
-- Highlight biodiversity benefits of certain garden plants
-- Explain gardening practices that align with UN Sustainable Development Goals
-- Offer practical sustainable gardening tips specific to Irish conditions
-- Be encouraging and positive about the environmental benefits of home gardening
-- Indicate SHOWING_SUSTAINABILITY_CARDS in your response for sustainability queries
-
-For plant recommendations:
-- Provide a very brief introduction (1 sentence)
-- Mention that you're showing plant cards
-- Indicate SHOWING_PLANT_CARDS in your response
-
-For gardening tasks:
-- Keep responses to 1-2 short sentences
-- Direct users to the calendar view: "Check the calendar view to see your monthly tasks."
-- Indicate SHOWING_TASK_CARDS in your response
-
-For soil information:
-- Provide 1-2 sentences about the soil type
-- Direct users to view detailed information: "View soil details for more information."
-
-Format your response as plain text with one of these indicators at the very end if appropriate: SHOWING_PLANT_CARDS, SHOWING_TASK_CARDS, or SHOWING_SUSTAINABILITY_CARDS.`;
-
 /**
- * Generate a chat response using Google Vertex AI
+ * Send a conversation to Vertex AI through the SDK
  * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Optional parameters for the API call
+ * @param {Object} options
+ * @param {string} options.model - Model name (default VERTEX_MODEL)
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {string} options.systemInstruction - System prompt (default GARDENING_SYSTEM_INSTRUCTION)
+ * @param {string} options.responseFormat - "json" for a JSON object response
  * @returns {Promise<string>} - The text response from the model
  */
-export async function generateVertexResponse(messages, options = {}) {
-  try {
-    // Convert messages format from OpenAI style to Vertex AI style
-    const vertexMessages = messages.map((msg) => ({
-      role: msg.role === "assistant" ? "model" : msg.role,
-      parts: [{ text: msg.content }],
-    }));
+async function generateVertexChat(messages, options = {}) {
+  const model = options.model || modelName;
 
-    // Initialize the model with configuration
-    const generativeModel = vertexAI.getGenerativeModel({
-      model: modelName,
-      generationConfig: {
-        temperature: temperature,
-        maxOutputTokens: maxTokens,
-      },
-      systemInstruction: {
-        role: "system",
-        parts: [{ text: GARDENING_SYSTEM_INSTRUCTION }],
-      },
-    });
-
-    // Create the request
-    const request = {
-      contents: vertexMessages,
-    };
+  // Convert messages format from OpenAI style to Vertex AI style
+  const vertexMessages = messages.map((msg) => ({
+    role: msg.role === "assistant" ? "model" : msg.role,
+    parts: [{ text: msg.content }],
+  }));
 
-    // Generate content
-    logger.info("Sending request to Vertex AI", {
-      model: modelName,
-      messageCount: vertexMessages.length,
-    });
+  // Initialize the model with configuration
+  const generativeModel = vertexAI.getGenerativeModel({
+    model,
+    generationConfig: {
+      temperature: options.temperature ?? temperature,
+      maxOutputTokens: options.maxTokens || maxTokens,
+      ...(options.responseFormat === "json" && {
+        responseMimeType: "application/json",
+      }),
+    },
+    systemInstruction: {
+      role: "system",
+      parts: [
+        { text: options.systemInstruction || GARDENING_SYSTEM_INSTRUCTION },
+      ],
+    },
+  });
 
-    // Log the request
-    logger.debug(
-      `Sending request to model: ${modelName} with ${vertexMessages.length} messages`,
-      { component: "VERTEX-REQUEST" }
-    );
-    logger.debug(
-      `Sending request to model: ${modelName} with ${vertexMessages.length} messages`,
-      { component: "VERTEX-REQUEST" }
-    );
+  // Create the request
+  const request = {
+    contents: vertexMessages,
+  };
 
-    const response = await generativeModel.generateContent(request);
+  // Generate content
+  logger.info("Sending request to Vertex AI", {
+    model,
+    messageCount: vertexMessages.length,
+  });
 
-    // Log the response
-    logger.debug(
-      `Received response from Vertex AI: ${
-        response.response?.candidates ? "Success" : "Error"
-      }`,
-      { component: "VERTEX-RESPONSE" }
-    );
+  const response = await generativeModel.generateContent(request);
 
-    logger.debug(
-      `Received response from Vertex AI: ${
-        response.response?.candidates ? "Success" : "Error"
-      }`,
-      { component: "VERTEX-RESPONSE" }
-    );
+  // Log response summary without sensitive content
+  logger.info("Received response from Vertex AI", {
+    statusCode: response.response?.candidates ? 200 : 500,
+    candidateCount: response.response?.candidates?.length || 0,
+    finishReason: response.response?.candidates?.[0]?.finishReason || "unknown",
+  });
 
-    // Log response summary without sensitive content
-    logger.info("Received response from Vertex AI", {
-      statusCode: response.response?.candidates ? 200 : 500,
-      candidateCount: response.response?.candidates?.length || 0,
-      finishReason:
-        response.response?.candidates?.[0]?.finishReason || "unknown",
-    });
+  // Only log full response in debug mode
+  logger.debug("Raw Vertex AI response", {
+    response: JSON.stringify(response),
+  });
 
-    // Only log full response in debug mode
-    logger.debug("Raw Vertex AI response", {
-      response: JSON.stringify(response),
-    });
+  const responseText = response.response.candidates[0].content.parts[0].text;
+  logger.debug("Extracted response text", {
+    textLength: responseText.length,
+    preview: responseText.substring(0, 100) + "...",
+  });
 
-    const responseText = response.response.candidates[0].content.parts[0].text;
-    logger.debug("Extracted response text", {
-      textLength: responseText.length,
-      preview: responseText.substring(0, 100) + "...",
-    });
+  return responseText;
+}
 
-    return responseText;
+/**
+ * Generate a chat response using Google Vertex AI
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Optional parameters for the API call (see generateVertexChat)
+ * @returns {Promise<string>} - The text response from the model
+ */
+export async function generateVertexResponse(messages, options = {}) {
+  try {
+    return await generateVertexChat(messages, options);
   } catch (error) {
     logger.error("Error calling Vertex AI API", error);
 
@@ -300,46 +247,12 @@ export async function generateVertexResponse(messages, options = {}) {
   }
 }
 
-/**
- * Process a gardening query and return a structured response using Vertex AI
- * @param {string} query - The user's gardening question
- * @param {Array} conversationHistory - Previous messages for context
- * @returns {Promise<Object>} - Structured response with content and optional cards
- */
-export async function processGardeningQueryWithVertex(
-  query,
-  conversationHistory = []
-) {
-  // Prepare the conversation history
-  const vertexConversation = conversationHistory.map((msg) => ({
-    role: msg.role === "assistant" ? "model" : msg.role,
-    content: msg.content,
-  }));
-
-  // Add the current query
-  vertexConversation.push({ role: "user", content: query });
-
-  // Generate the response
-  const responseText = await generateVertexResponse(vertexConversation);
-
-  // Use the card detection utility to extract card indicators
-  const result = detectCardType(responseText, query);
-
-  logger.debug("Final structured response", {
-    contentLength: result.content.length,
-    cardType: result.cardType,
-    contentPreview: result.content.substring(0, 100) + "...",
-  });
-
-  return result;
-}
-
 /**
  * Count tokens in a message for cost estimation
  * @param {Array} messages - Messages to count tokens for
  * @returns {Promise<number>} - Estimated token count
  */
-export async function countTokens(messages) {
+export async function countTokens(messages, options = {}) {
   try {
     // Convert messages format from OpenAI style to Vertex AI style
     const vertexMessages = messages.map((msg) => ({
@@ -349,7 +262,7 @@ export async function countTokens(messages) {
 
     // Initialize the model
     const generativeModel = vertexAI.getGenerativeModel({
-      model: modelName,
+      model: options.model || modelName,
     });
 
     // Create the request
@@ -373,7 +286,6 @@ export async function countTokens(messages) {
 export async function createUnifiedClient() {
   return {
     generateChatResponse: generateVertexResponse,
-    processGardeningQuery: processGardeningQueryWithVertex,
     countTokens,
     provider: "vertex",
   };
@@ -427,37 +339,17 @@ export async function generateText(prompt, options = {}) {
     const client = await auth.getClient();
     const token = await client.getAccessToken();
 
-    const maxTokens = options.maxTokens || maxTokens;
-    const tempValue = options.temperature || temperature;
-
-    // Prepare request for Gemini API (using the generateContent endpoint)
-    const requestBody = {
-      contents: [
-        {
-          role: "user",
-          parts: [
-            {
-              text: prompt,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: tempValue,
-        maxOutputTokens: maxTokens,
-        topK: 40,
-        topP: 0.95,
-      },
-    };
+    const model = options.model || modelName;
+    const requestBody = buildTextRequest(prompt, options);
 
     logger.debug("Sending direct API request to Vertex AI", {
-      endpoint: API_ENDPOINT,
+      endpoint: apiEndpoint(model),
       promptLength: prompt.length,
-      model: modelName,
+      model,
     });
 
     // Make the API request
-    const response = await fetch(API_ENDPOINT, {
+    const response = await fetch(apiEndpoint(model), {
       method: "POST",
       headers: {
         Authorization: `Bearer ${token.token}`,
@@ -489,51 +381,304 @@ export async function generateText(prompt, options = {}) {
 }
 
 /**
- * Generates a gardening answer using Vertex AI
- * @param {string} question - The gardening question
- * @param {Object} gardenContext - Additional context about the garden
- * @returns {Promise<string>} The gardening advice
+ * Build a generateContent request body for a single prompt
+ * @param {string} prompt - The prompt for text generation
+ * @param {Object} options - Generation options (see generateText)
+ * @returns {Object} Request body
  */
-export async function generateGardeningAnswer(question, gardenContext = {}) {
-  const { county, soilType, sunExposure } = gardenContext;
+function buildTextRequest(prompt, options = {}) {
+  return {
+    ...(options.systemInstruction && {
+      systemInstruction: {
+        role: "system",
+        parts: [{ text: options.systemInstruction }],
+      },
+    }),
+    contents: [
+      {
+        role: "user",
+        parts: [
+          {
+            text: prompt,
+          },
+        ],
+      },
+    ],
+    generationConfig: {
+      temperature: options.temperature ?? temperature,
+      maxOutputTokens: options.maxTokens || maxTokens,
+      topK: 40,
+      topP: 0.95,
+      ...(options.responseFormat === "json" && {
+        responseMimeType: "application/json",
+      }),
+    },
+  };
+}
 
-  let contextPrompt =
-    "As an Irish gardening assistant, please provide helpful advice for the following question:\n\n";
+/**
+ * Stream a generateContent request through the streamGenerateContent REST
+ * endpoint, which sends each chunk of the candidate as a Server-Sent Event
+ * @param {string} model - Model name
+ * @param {Object} requestBody - generateContent request body
+ * @param {AbortSignal} signal - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* streamVertexContent(model, requestBody, signal) {
+  const client = await auth.getClient();
+  const token = await client.getAccessToken();
+
+  logger.info("Sending streaming request to Vertex AI", { model });
 
-  if (county) {
-    contextPrompt += `Location: County ${county}, Ireland\n`;
+  const response = await fetch(
+    `${apiEndpoint(model, "streamGenerateContent")}?alt=sse`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token.token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(requestBody),
+      signal,
+    }
+  );
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(
+      `Vertex AI API error: ${data.error?.message || JSON.stringify(data)}`
+    );
   }
 
-  if (soilType) {
-    contextPrompt += `Soil type: ${soilType}\n`;
+  let finishReason = "unknown";
+  for await (const { data } of readSSEEvents(response.body)) {
+    const chunk = JSON.parse(data);
+    const candidate = chunk.candidates?.[0];
+    if (candidate?.finishReason) finishReason = candidate.finishReason;
+
+    const text = (candidate?.content?.parts || [])
+      .map((part) => part.text || "")
+      .join("");
+    if (text) yield text;
   }
 
-  if (sunExposure) {
-    contextPrompt += `Sun exposure: ${sunExposure}\n`;
+  logger.info("Finished streaming response from Vertex AI", { finishReason });
+}
+
+/**
+ * Stream text for a single prompt
+ * @param {string} prompt - The prompt for text generation
+ * @param {Object} options - Generation options (see generateText)
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* streamText(prompt, options = {}) {
+  yield* streamVertexContent(
+    options.model || modelName,
+    buildTextRequest(prompt, options),
+    options.signal
+  );
+}
+
+/**
+ * Stream a chat response
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - As for generateVertexChat
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+export async function* streamVertexChat(messages, options = {}) {
+  const requestBody = {
+    systemInstruction: {
+      role: "system",
+      parts: [
+        { text: options.systemInstruction || GARDENING_SYSTEM_INSTRUCTION },
+      ],
+    },
+    contents: messages.map((msg) => ({
+      role: msg.role === "assistant" ? "model" : msg.role,
+      parts: [{ text: msg.content }],
+    })),
+    generationConfig: {
+      temperature: options.temperature ?? temperature,
+      maxOutputTokens: options.maxTokens || maxTokens,
+      ...(options.responseFormat === "json" && {
+        responseMimeType: "application/json",
+      }),
+    },
+  };
+
+  yield* streamVertexContent(
+    options.model || modelName,
+    requestBody,
+    options.signal
+  );
+}
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset Gemini function declarations
+ * use, which spells types in upper case
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const { type, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    ...(type && { type: type.toUpperCase() }),
+    ...(properties && {
+      properties: Object.fromEntries(
+        Object.entries(properties).map(([key, property]) => [
+          key,
+          toGeminiSchema(property),
+        ])
+      ),
+    }),
+    ...(items && { items: toGeminiSchema(items) }),
+  };
+}
+
+/**
+ * Convert messages with tool calls and tool results to Vertex contents. The
+ * results of one step's calls go back together in one user turn.
+ * @param {Array} messages - { role, content, toolCalls } and { role: "tool", name, content } messages
+ * @returns {Array} Vertex contents
+ */
+function toVertexContents(messages) {
+  const contents = [];
+
+  for (const msg of messages) {
+    if (msg.role === "tool") {
+      const part = {
+        functionResponse: {
+          name: msg.name,
+          response: JSON.parse(msg.content),
+        },
+      };
+      const previous = contents[contents.length - 1];
+      if (previous?.parts.some((other) => other.functionResponse)) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: "user", parts: [part] });
+      }
+      continue;
+    }
+
+    contents.push({
+      role: msg.role === "assistant" ? "model" : msg.role,
+      parts: [
+        ...(msg.content ? [{ text: msg.content }] : []),
+        ...(msg.toolCalls || []).map((call) => ({
+          functionCall: { name: call.name, args: call.args },
+        })),
+      ],
+    });
   }
+  return contents;
+}
 
-  contextPrompt += `\nQuestion: ${question}\n\nPlease provide practical, specific advice tailored to Irish gardening conditions.`;
+/**
+ * Send a conversation with tool declarations and return the model's text or
+ * the tool calls it wants made
+ * @param {Array} messages - Messages, including earlier tool calls and results
+ * @param {Object} options - As for generateVertexChat
+ * @param {Array} options.tools - { name, description, parameters } declarations
+ * @param {string} options.toolChoice - "none" stops the model calling tools
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }] }
+ */
+export async function generateVertexWithTools(messages, options = {}) {
+  const client = await auth.getClient();
+  const token = await client.getAccessToken();
+  const model = options.model || modelName;
+
+  const requestBody = {
+    systemInstruction: {
+      role: "system",
+      parts: [
+        { text: options.systemInstruction || GARDENING_SYSTEM_INSTRUCTION },
+      ],
+    },
+    contents: toVertexContents(messages),
+    tools: [
+      {
+        functionDeclarations: (options.tools || []).map((tool) => ({
+          ...tool,
+          parameters: toGeminiSchema(tool.parameters),
+        })),
+      },
+    ],
+    ...(options.toolChoice === "none" && {
+      toolConfig: { functionCallingConfig: { mode: "NONE" } },
+    }),
+    generationConfig: {
+      temperature: options.temperature ?? temperature,
+      maxOutputTokens: options.maxTokens || maxTokens,
+    },
+  };
 
-  logger.info("Generating gardening answer", {
-    questionLength: question.length,
-    hasCounty: !!county,
-    hasSoilType: !!soilType,
-    hasSunExposure: !!sunExposure,
+  logger.info("Sending function calling request to Vertex AI", {
+    model,
+    messageCount: requestBody.contents.length,
+    toolCount: requestBody.tools[0].functionDeclarations.length,
   });
 
-  return generateText(contextPrompt, {
-    maxTokens: 800,
-    temperature: 0.5,
+  const response = await fetch(apiEndpoint(model), {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token.token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(requestBody),
+    signal: options.signal,
   });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(
+      `Vertex AI API error: ${data.error?.message || JSON.stringify(data)}`
+    );
+  }
+
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return {
+    text: parts.map((part) => part.text || "").join(""),
+    toolCalls: parts
+      .filter((part) => part.functionCall)
+      .map((part, index) => ({
+        id: `call_${messages.length}_${index}`,
+        name: part.functionCall.name,
+        args: part.functionCall.args || {},
+      })),
+  };
+}
+
+/**
+ * Vertex AI as an LLM provider (see llm-client.js)
+ * @returns {Object} Provider with generateText, generateChat, streamText, streamChat, generateWithTools, countTokens and checkHealth
+ */
+export function createVertexProvider() {
+  return {
+    name: "vertex",
+    defaultModel: modelName,
+    generateText,
+    generateChat: generateVertexChat,
+    streamText,
+    streamChat: streamVertexChat,
+    generateWithTools: generateVertexWithTools,
+    countTokens,
+    checkHealth: checkLLMHealth,
+  };
 }
 
 // Add the new functions to the default export
 export default {
   generateVertexResponse,
-  processGardeningQueryWithVertex,
   countTokens,
   createUnifiedClient,
   checkLLMHealth, // Added from llm-client.js
   generateText, // Added from llm-client.js
-  generateGardeningAnswer, // Added from llm-client.js
+  streamText,
+  streamVertexChat,
+  createVertexProvider,
 };
@@ -0,0 +1,395 @@
+// src/utils/weather-alerts.js
+// Frost, gale, heavy rain and heat alerts from the Met Éireann hourly
+// forecast, tied to the plants a gardener grows.
+//
+// findWeatherEvents() scans the whole hourly series (the forecast model's
+// hourly points, see forecast-model.js) for spells past the thresholds below.
+// buildWeatherAlerts() turns each spell into an alert naming the gardener's
+// plants at risk and what to do: "Cover the courgettes tonight, −1 °C
+// expected in Cavan". Plant sensitivity comes from
+// data/plant-weather-sensitivity.js.
+//
+// The alerts feed WeatherWidget.jsx and GardeningCalendar.jsx through
+// /api/weather-alerts, and the chat assistant's system prompt through
+// describeAlertsForPrompt().
+
+import { getForecast } from "./weather-client.js";
+import { HOUR_MS, irishDate } from "./forecast-model.js";
+import { createNameMatcher } from "./entity-extraction.js";
+import {
+  HARDINESS,
+  HARDINESS_MIN_TEMPERATURE,
+  PLANT_HARDINESS,
+  WIND_EXPOSED_PLANTS,
+  HEAT_SENSITIVE_PLANTS,
+} from "../data/plant-weather-sensitivity.js";
+
+export const ALERT_TYPES = {
+  FROST: "frost",
+  GALE: "gale",
+  HEAVY_RAIN: "heavy-rain",
+  HEAT: "heat",
+};
+
+export const ALERT_SEVERITIES = {
+  WATCH: "watch",
+  WARNING: "warning",
+};
+
+// Thresholds per alert type: a spell reaching `watch` raises an alert, one
+// reaching `warning` raises it as a warning. Rain is a daily total in mm,
+// wind a gust in m/s, the rest air temperature in °C.
+export const ALERT_THRESHOLDS = {
+  // Ground frost is likely below 3 °C on a clear night; air frost below 0
+  [ALERT_TYPES.FROST]: { watch: 3, warning: 0 },
+  // Gusts of 65 km/h break staked plants; 90 km/h is a Met Éireann wind warning
+  [ALERT_TYPES.GALE]: { watch: 18, warning: 25 },
+  [ALERT_TYPES.HEAVY_RAIN]: { watch: 20, warning: 30 },
+  // 27 °C is Met Éireann's high temperature warning level
+  [ALERT_TYPES.HEAT]: { watch: 25, warning: 27 },
+};
+
+// Forecast points further apart than this belong to separate spells
+const MAX_STEP_HOURS = 6;
+
+const MS_TO_KMH = 3.6;
+
+// The plants in PLANT_HARDINESS, matched exactly or as plurals
+const PLANT_NAMES = createNameMatcher(Object.keys(PLANT_HARDINESS));
+
+/**
+ * The plant a gardener's name for it refers to: "Courgettes" -> "courgette",
+ * "Apple Tree (Irish Varieties)" -> "apple", "cherry tomatoes" -> "tomato"
+ * (see createNameMatcher's findHead). Null when it is not one we know.
+ * @param {string} name - Plant name as the gardener gave it
+ * @returns {string|null} Key in PLANT_HARDINESS
+ */
+export function lookupPlant(name) {
+  return PLANT_NAMES.findHead(name || "")?.name ?? null;
+}
+
+const irishHour = (time) =>
+  Number(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: "Europe/Dublin",
+      hour: "2-digit",
+      hourCycle: "h23",
+    }).format(new Date(time))
+  );
+
+const addHours = (time, hours) =>
+  new Date(new Date(time).getTime() + hours * HOUR_MS).toISOString();
+
+/**
+ * Spells of consecutive forecast points that pass a test, with the most
+ * extreme value in each
+ */
+function findSpells(hours, passes, valueOf, extreme) {
+  const spells = [];
+  let spell = null;
+
+  hours.forEach((hour, index) => {
+    const next = hours[index + 1];
+    const step = next
+      ? (new Date(next.time) - new Date(hour.time)) / HOUR_MS
+      : 1;
+
+    if (passes(hour)) {
+      if (!spell) spell = { start: hour.time, value: valueOf(hour) };
+      spell.value = extreme(spell.value, valueOf(hour));
+      spell.end = addHours(hour.time, Math.min(step, MAX_STEP_HOURS));
+    }
+    if (spell && (!passes(hour) || step > MAX_STEP_HOURS)) {
+      spells.push(spell);
+      spell = null;
+    }
+  });
+  if (spell) spells.push(spell);
+
+  return spells;
+}
+
+/**
+ * Daily rainfall totals, by Irish calendar day
+ */
+function dailyRainfall(hours) {
+  const days = new Map();
+  for (const hour of hours) {
+    if (hour.precipitation === null || hour.precipitation === undefined) {
+      continue;
+    }
+    const date = irishDate(hour.time);
+    if (!days.has(date)) {
+      days.set(date, { start: hour.time, end: hour.time, value: 0 });
+    }
+    const day = days.get(date);
+    day.value += hour.precipitation;
+    day.end = hour.time;
+  }
+  return [...days.values()];
+}
+
+/**
+ * Spells in an hourly forecast past the alert thresholds
+ * @param {Array<Object>} hours - { time, temperature, windGust, precipitation } sorted by time
+ * @returns {Array<Object>} { type, severity, start, end, value } sorted by start
+ */
+export function findWeatherEvents(hours) {
+  const severityFor = (type, value, worse) =>
+    worse(value, ALERT_THRESHOLDS[type].warning)
+      ? ALERT_SEVERITIES.WARNING
+      : ALERT_SEVERITIES.WATCH;
+  const atMost = (value, threshold) => value <= threshold;
+  const atLeast = (value, threshold) => value >= threshold;
+
+  const frost = findSpells(
+    hours,
+    (hour) => hour.temperature <= ALERT_THRESHOLDS[ALERT_TYPES.FROST].watch,
+    (hour) => hour.temperature,
+    Math.min
+  ).map((spell) => ({
+    type: ALERT_TYPES.FROST,
+    severity: severityFor(ALERT_TYPES.FROST, spell.value, atMost),
+    ...spell,
+  }));
+
+  const gale = findSpells(
+    hours,
+    (hour) => hour.windGust >= ALERT_THRESHOLDS[ALERT_TYPES.GALE].watch,
+    (hour) => hour.windGust,
+    Math.max
+  ).map((spell) => ({
+    type: ALERT_TYPES.GALE,
+    severity: severityFor(ALERT_TYPES.GALE, spell.value, atLeast),
+    ...spell,
+  }));
+
+  const heat = findSpells(
+    hours,
+    (hour) => hour.temperature >= ALERT_THRESHOLDS[ALERT_TYPES.HEAT].watch,
+    (hour) => hour.temperature,
+    Math.max
+  ).map((spell) => ({
+    type: ALERT_TYPES.HEAT,
+    severity: severityFor(ALERT_TYPES.HEAT, spell.value, atLeast),
+    ...spell,
+  }));
+
+  const rain = dailyRainfall(hours)
+    .filter(
+      (day) => day.value >= ALERT_THRESHOLDS[ALERT_TYPES.HEAVY_RAIN].watch
+    )
+    .map((day) => ({
+      type: ALERT_TYPES.HEAVY_RAIN,
+      severity: severityFor(ALERT_TYPES.HEAVY_RAIN, day.value, atLeast),
+      ...day,
+    }));
+
+  return [...frost, ...gale, ...heat, ...rain].sort(
+    (a, b) => new Date(a.start) - new Date(b.start)
+  );
+}
+
+/**
+ * When a spell starts, as a gardener would say it: "tonight", "tomorrow",
+ * "on Friday night"
+ */
+export function describeWhen(time, now = new Date()) {
+  const days = Math.round(
+    (new Date(irishDate(time)) - new Date(irishDate(now))) / (24 * HOUR_MS)
+  );
+  const hour = irishHour(time);
+  const isNight = hour >= 18 || hour < 6;
+
+  // The small hours belong to the night before
+  if (hour < 6 && days === 1) return "tonight";
+  if (days <= 0) return isNight ? "tonight" : "today";
+  if (days === 1) return isNight ? "tomorrow night" : "tomorrow";
+  if (hour < 6 && days === 2) return "tomorrow night";
+
+  const weekday = new Date(time).toLocaleDateString("en-IE", {
+    timeZone: "Europe/Dublin",
+    weekday: "long",
+  });
+  return `on ${weekday}${isNight ? " night" : ""}`;
+}
+
+function formatTemperature(value) {
+  const rounded = Math.round(value);
+  return `${rounded < 0 ? "−" : ""}${Math.abs(rounded)} °C`;
+}
+
+function listNames(names) {
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * The gardener's plants a spell puts at risk, in their own words
+ */
+function plantsAtRisk(event, plants) {
+  return plants.filter((plant) => {
+    const key = lookupPlant(plant);
+    if (!key) return false;
+
+    switch (event.type) {
+      case ALERT_TYPES.FROST:
+        return event.value <= HARDINESS_MIN_TEMPERATURE[PLANT_HARDINESS[key]];
+      case ALERT_TYPES.GALE:
+        return WIND_EXPOSED_PLANTS.includes(key);
+      case ALERT_TYPES.HEAT:
+        return HEAT_SENSITIVE_PLANTS.includes(key);
+      default:
+        return false;
+    }
+  });
+}
+
+function alertText(event, { county, plants, when }) {
+  const named = `the ${listNames(plants.map((plant) => plant.toLowerCase()))}`;
+
+  switch (event.type) {
+    case ALERT_TYPES.FROST: {
+      const temperature = formatTemperature(event.value);
+      return plants.length > 0
+        ? {
+            message: `Cover ${named} ${when}, ${temperature} expected in ${county}`,
+            action:
+              "Put fleece or cloches over them before dusk, and move pots against the house or under cover.",
+          }
+        : {
+            message: `${capitalize(
+              event.severity === ALERT_SEVERITIES.WARNING
+                ? "frost"
+                : "ground frost possible"
+            )} ${when}, ${temperature} expected in ${county}`,
+            action: `Keep ${HARDINESS.TENDER} plants and seedlings under cover.`,
+          };
+    }
+    case ALERT_TYPES.GALE: {
+      const gust = `gusts of ${Math.round(event.value * MS_TO_KMH)} km/h`;
+      return plants.length > 0
+        ? {
+            message: `Tie in ${named} before ${when}'s wind, ${gust} expected in ${county}`,
+            action:
+              "Check stakes and ties, and move pots and cloches somewhere sheltered.",
+          }
+        : {
+            message: `Strong wind ${when}, ${gust} expected in ${county}`,
+            action:
+              "Secure cloches, fleece and netting, and check stakes and ties.",
+          };
+    }
+    case ALERT_TYPES.HEAT: {
+      const temperature = formatTemperature(event.value);
+      return plants.length > 0
+        ? {
+            message: `Water ${named} early ${when} and give them shade, ${temperature} expected in ${county}`,
+            action:
+              "Water in the morning or evening, mulch to keep the soil cool, and shade seedlings.",
+          }
+        : {
+            message: `Hot spell ${when}, ${temperature} expected in ${county}`,
+            action:
+              "Water in the morning or evening, and shade seedlings and greenhouses.",
+          };
+    }
+    default:
+      return {
+        message: `Heavy rain ${when}, ${Math.round(
+          event.value
+        )} mm expected in ${county}`,
+        action:
+          "Hold off sowing and spreading feed, and clear drains and gutters onto water butts.",
+      };
+  }
+}
+
+/**
+ * Turn the spells in a forecast into alerts for a gardener
+ * @param {Object} forecast - Forecast model from getForecast
+ * @param {Object} options
+ * @param {string} options.county - County name, for the messages
+ * @param {Array<string>} options.plants - The gardener's plants, in their own words
+ * @param {Date} options.now - Current time (for "tonight" and "tomorrow")
+ * @returns {Array<Object>} { id, type, severity, county, start, end, value, plants, message, action } sorted by start
+ */
+export function buildWeatherAlerts(
+  forecast,
+  { county, plants = [], now = new Date() } = {}
+) {
+  return findWeatherEvents(forecast.hourly)
+    .filter((event) => new Date(event.end) > now)
+    .map((event) => {
+      const atRisk = plantsAtRisk(event, plants);
+      const when = describeWhen(event.start, now);
+      return {
+        id: `${event.type}-${event.start}`,
+        ...event,
+        county,
+        plants: atRisk,
+        ...alertText(event, { county, plants: atRisk, when }),
+      };
+    });
+}
+
+/**
+ * Weather alerts for a county from the live Met Éireann forecast
+ * @param {string} county - The Irish county name
+ * @param {Object} options - { plants, now } as for buildWeatherAlerts
+ * @returns {Promise<Object>} { county, issuedAt, alerts }
+ */
+export async function getWeatherAlerts(county, options = {}) {
+  const forecast = await getForecast(county);
+  return {
+    county: forecast.county,
+    issuedAt: forecast.issuedAt,
+    alerts: buildWeatherAlerts(forecast, {
+      ...options,
+      county: forecast.county,
+    }),
+  };
+}
+
+/**
+ * Alerts as tasks for the gardening calendar
+ * @param {Array<Object>} alerts - From buildWeatherAlerts
+ * @returns {Array<Object>} Tasks in the shape of data/gardening-tasks.js, plus dueDate and alertType
+ */
+export function alertsToTasks(alerts) {
+  return alerts.map((alert) => ({
+    id: `alert-${alert.id}`,
+    title: alert.message,
+    description: alert.action,
+    category: "protection",
+    priority: alert.severity === ALERT_SEVERITIES.WARNING ? "high" : "medium",
+    dueDate: alert.start,
+    alertType: alert.type,
+  }));
+}
+
+/**
+ * Alerts as lines for the assistant's system prompt
+ * @param {Object} result - From getWeatherAlerts
+ * @returns {string} Empty when there are no alerts
+ */
+export function describeAlertsForPrompt({ county, alerts }) {
+  if (alerts.length === 0) return "";
+  return [
+    `Weather alerts for ${county} from the Met Éireann forecast (mention any that bear on the question):`,
+    ...alerts.map((alert) => `- ${alert.message}. ${alert.action}`),
+  ].join("\n");
+}
+
+export default {
+  ALERT_TYPES,
+  ALERT_SEVERITIES,
+  lookupPlant,
+  findWeatherEvents,
+  buildWeatherAlerts,
+  getWeatherAlerts,
+  alertsToTasks,
+  describeAlertsForPrompt,
+};
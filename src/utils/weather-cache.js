@@ -0,0 +1,289 @@
+/**
+ * Weather Cache
+ *
+ * A server-side cache of forecast models (see forecast-model.js) keyed by
+ * coordinates rounded to two decimal places, so every county lookup, proxy
+ * call and chat turn for one place shares a single fetch from the weather
+ * providers (see weather-providers.js).
+ *
+ * Freshness follows the forecast itself: a forecast stays fresh until the
+ * earliest next model run it lists (within MIN_FRESH_MS and MAX_FRESH_MS of
+ * the fetch). After that it is stale:
+ *
+ * - Up to MAX_STALE_MS past fresh, the stale forecast is served at once and
+ *   refetched in the background.
+ * - Beyond that, callers wait for a refetch.
+ * - If a refetch fails, callers get the last good forecast, however old,
+ *   and only fall through to the error when there is none.
+ *
+ * Concurrent requests for one place share a fetch. Every result says whether
+ * it came from a fetch ("live") or the cache ("cached").
+ */
+
+export const WEATHER_DATA_STATUS = {
+  LIVE: "live",
+  CACHED: "cached",
+  MOCK: "mock",
+};
+
+export const COORDINATE_DECIMALS = 2;
+export const MIN_FRESH_MS = 15 * 60 * 1000;
+export const MAX_FRESH_MS = 3 * 60 * 60 * 1000;
+export const MAX_STALE_MS = 6 * 60 * 60 * 1000;
+export const DEFAULT_MAX_ENTRIES = 200;
+
+/**
+ * Build a cache key from coordinates, rounded so nearby points share it
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} e.g. "54.00,-7.30"
+ */
+export function weatherCacheKey(lat, lon) {
+  return `${Number(lat).toFixed(COORDINATE_DECIMALS)},${Number(lon).toFixed(
+    COORDINATE_DECIMALS
+  )}`;
+}
+
+/**
+ * When a forecast fetched at `fetchedAt` stops being fresh: at the earliest
+ * next model run still ahead, kept between MIN_FRESH_MS and MAX_FRESH_MS.
+ * When every next run is already due, the new forecast is about to be
+ * published, so it is only fresh for MIN_FRESH_MS. So is a forecast from a
+ * fallback provider (see weather-providers.js), so the primary is retried
+ * soon.
+ * @param {Object} model - Forecast model, with `runs`
+ * @param {number} fetchedAt - Fetch time in milliseconds
+ * @returns {number} Time in milliseconds
+ */
+export function forecastFreshUntil(model, fetchedAt) {
+  if (model?.fallback) return fetchedAt + MIN_FRESH_MS;
+
+  const nextRuns = (model?.runs || [])
+    .map((run) => new Date(run.nextRunAt).getTime())
+    .filter((time) => Number.isFinite(time));
+  if (nextRuns.length === 0) return fetchedAt + MAX_FRESH_MS;
+
+  const ahead = nextRuns.filter((time) => time > fetchedAt);
+  if (ahead.length === 0) return fetchedAt + MIN_FRESH_MS;
+
+  return Math.min(
+    Math.max(Math.min(...ahead), fetchedAt + MIN_FRESH_MS),
+    fetchedAt + MAX_FRESH_MS
+  );
+}
+
+// Whether forecast `a` was issued after forecast `b`
+const issuedAfter = (a, b) =>
+  new Date(a?.issuedAt).getTime() > new Date(b?.issuedAt).getTime();
+
+/**
+ * Create a weather cache
+ * @param {Object} options
+ * @param {number} options.maxEntries - Maximum number of cached forecasts
+ * @param {number} options.maxStaleMs - How long past fresh a forecast is served while refetching
+ * @param {Function} options.freshUntil - (value, fetchedAt) => fresh-until time (see forecastFreshUntil)
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} Cache with get, invalidate and getStats
+ */
+export function createWeatherCache({
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  maxStaleMs = MAX_STALE_MS,
+  freshUntil = forecastFreshUntil,
+  now = Date.now,
+} = {}) {
+  // Map iteration order doubles as recency order for LRU eviction
+  const entries = new Map();
+  // Fetches in progress, so concurrent requests for one place share one
+  const pending = new Map();
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    coalesced: 0,
+    revalidations: 0,
+    failures: 0,
+    fallbacks: 0,
+    evictions: 0,
+  };
+
+  function store(key, fetched) {
+    // A fetch can return an older issue than the one cached, e.g. from a
+    // lagging mirror; keep the newer forecast
+    const known = entries.get(key);
+    const value =
+      known && issuedAfter(known.value, fetched) ? known.value : fetched;
+    const fetchedAt = now();
+    entries.delete(key);
+    entries.set(key, {
+      value,
+      fetchedAt,
+      freshUntil: freshUntil(value, fetchedAt),
+    });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+    return value;
+  }
+
+  function fetchOnce(key, load) {
+    if (pending.has(key)) {
+      stats.coalesced++;
+      return pending.get(key);
+    }
+
+    const loading = (async () => {
+      try {
+        return store(key, await load());
+      } catch (error) {
+        stats.failures++;
+        throw error;
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, loading);
+    return loading;
+  }
+
+  const result = (value, status, entry) => ({
+    value: structuredClone(value),
+    status,
+    fetchedAt: new Date(entry ? entry.fetchedAt : now()).toISOString(),
+    stale: entry ? entry.freshUntil <= now() : false,
+  });
+
+  return {
+    /**
+     * Return the forecast for `key`, fetching it with `load` when it is
+     * missing or too stale to serve
+     * @param {string} key - Cache key (see weatherCacheKey)
+     * @param {Function} load - Async function fetching the forecast
+     * @returns {Promise<Object>} { value, status: "live" | "cached", fetchedAt, stale }
+     */
+    async get(key, load) {
+      const entry = entries.get(key);
+
+      if (entry && entry.freshUntil > now()) {
+        stats.hits++;
+        entries.delete(key);
+        entries.set(key, entry);
+        return result(entry.value, WEATHER_DATA_STATUS.CACHED, entry);
+      }
+
+      if (entry && entry.freshUntil + maxStaleMs > now()) {
+        stats.staleHits++;
+        if (!pending.has(key)) {
+          stats.revalidations++;
+          fetchOnce(key, load).catch((error) =>
+            console.warn(
+              `Weather cache revalidation failed for ${key}:`,
+              error.message
+            )
+          );
+        }
+        return result(entry.value, WEATHER_DATA_STATUS.CACHED, entry);
+      }
+
+      stats.misses++;
+      try {
+        const value = await fetchOnce(key, load);
+        return result(value, WEATHER_DATA_STATUS.LIVE);
+      } catch (error) {
+        // Take the entry again: a concurrent fetch may have stored one
+        const lastGood = entries.get(key);
+        if (!lastGood) throw error;
+
+        stats.fallbacks++;
+        console.warn(
+          `Weather fetch failed for ${key}, serving the forecast fetched at ${new Date(
+            lastGood.fetchedAt
+          ).toISOString()}:`,
+          error.message
+        );
+        return result(lastGood.value, WEATHER_DATA_STATUS.CACHED, lastGood);
+      }
+    },
+
+    /**
+     * Drop every cached forecast
+     * @returns {number} Number of entries cleared
+     */
+    invalidate() {
+      const cleared = entries.size;
+      entries.clear();
+      console.log(`Weather cache invalidated: ${cleared} entries cleared`);
+      return cleared;
+    },
+
+    /**
+     * Counters, size and the cached places
+     * @returns {Object} Cache statistics
+     */
+    getStats() {
+      const lookups = stats.hits + stats.staleHits + stats.misses;
+      return {
+        ...stats,
+        size: entries.size,
+        maxEntries,
+        pending: pending.size,
+        hitRate: lookups > 0 ? (stats.hits + stats.staleHits) / lookups : 0,
+        entries: [...entries.entries()].map(([key, entry]) => ({
+          key,
+          provider: entry.value?.provider ?? null,
+          issuedAt: entry.value?.issuedAt ?? null,
+          fetchedAt: new Date(entry.fetchedAt).toISOString(),
+          freshUntil: new Date(entry.freshUntil).toISOString(),
+          stale: entry.freshUntil <= now(),
+        })),
+      };
+    },
+  };
+}
+
+const cacheEnabled =
+  typeof process === "undefined" ||
+  process.env.WEATHER_CACHE_ENABLED !== "false";
+
+export const weatherCache = createWeatherCache({
+  maxEntries:
+    (typeof process !== "undefined" &&
+      parseInt(process.env.WEATHER_CACHE_MAX_ENTRIES, 10)) ||
+    DEFAULT_MAX_ENTRIES,
+});
+
+/**
+ * Get the forecast for a point through the shared cache
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Function} load - Async function fetching the forecast
+ * @returns {Promise<Object>} { value, status, fetchedAt, stale }
+ */
+export async function getCachedForecast(lat, lon, load) {
+  if (!cacheEnabled) {
+    return {
+      value: await load(),
+      status: WEATHER_DATA_STATUS.LIVE,
+      fetchedAt: new Date().toISOString(),
+      stale: false,
+    };
+  }
+
+  return weatherCache.get(weatherCacheKey(lat, lon), load);
+}
+
+/**
+ * Clear the shared cache
+ * @returns {number} Number of entries cleared
+ */
+export function invalidateWeatherCache() {
+  return weatherCache.invalidate();
+}
+
+/**
+ * Statistics for the shared cache
+ * @returns {Object} Hits, misses, revalidations, fallbacks, size and entries
+ */
+export function getWeatherCacheStats() {
+  return { enabled: cacheEnabled, ...weatherCache.getStats() };
+}
@@ -2,14 +2,13 @@
 // Weather data client for Irish counties
 
 import logger from "./unified-logger.js";
-import { XMLParser } from "fast-xml-parser"; // Added import
-
-// Simple cache for weather data - disabled for testing county selection
-// const weatherCache = new Map();
-const weatherCache = {
-  get: () => null,
-  set: () => {},
-};
+import { WEATHER_DATA_STATUS, getCachedForecast } from "./weather-cache.js";
+import {
+  FORECAST_UNITS,
+  currentConditions,
+  irishDate,
+  wateringAdvice,
+} from "./forecast-model.js";
 
 // County to coordinates mapping for Ireland
 const countyCoordinates = {
@@ -48,269 +47,145 @@ const countyCoordinates = {
 };
 
 /**
- * Get current weather for a specific Irish county
- * @param {string} county - The Irish county name
- * @returns {Promise<Object>} Weather data
+ * Counties the weather client has coordinates for
+ * @returns {Array<string>} Lower-case county names
  */
-export async function getCurrentWeather(county) {
-  // Check cache first (cache for 1 hour)
-  const cacheKey = `weather_${county}`;
-  const cachedData = weatherCache.get(cacheKey);
-  const now = new Date().getTime(); // Used for cache timestamp
+export function getWeatherCounties() {
+  return Object.keys(countyCoordinates);
+}
 
-  if (cachedData && now - cachedData.timestamp < 3600000) {
-    return cachedData.data;
-  }
+/**
+ * Coordinates the weather client uses for a county
+ * @param {string} county - The Irish county name
+ * @returns {Object|null} { lat, lon }
+ */
+export function getCountyCoordinates(county) {
+  return countyCoordinates[county.toLowerCase()] || null;
+}
 
-  try {
-    const normalizedCounty = county.toLowerCase();
-    const coordinates = countyCoordinates[normalizedCounty] || {
-      lat: 53.35,
-      lon: -6.26,
-    }; // Default to Dublin
+/**
+ * Get the forecast model for a point (server-side), through the weather
+ * cache (see weather-cache.js) and the provider chain (see
+ * weather-providers.js)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} The forecast model, plus provider, dataStatus
+ * ("live" or "cached"), fetchedAt and stale
+ */
+export async function getForecastAt(lat, lon) {
+  // Server-only: the providers read recorded forecasts from disk
+  const { getForecastFromProviders } = await import("./weather-providers.js");
+  const { value, status, fetchedAt, stale } = await getCachedForecast(
+    lat,
+    lon,
+    () => getForecastFromProviders(lat, lon)
+  );
+  return { ...value, dataStatus: status, fetchedAt, stale };
+}
 
-    logger.info(`Getting weather for county: ${county} via proxy`, {
-      // MODIFIED LOG
-      component: "WeatherClient",
-      coordinates: coordinates,
-    });
+/**
+ * Get the forecast model for a county (see forecast-model.js). On the server
+ * this reads the weather cache, fetching from the weather providers when
+ * needed; in the browser it asks the /api/weather-proxy route, which returns
+ * the same model as JSON. There is no mock fallback: a made-up series would
+ * give made-up blight and frost risks.
+ * @param {string} county - The Irish county name
+ * @returns {Promise<Object>} As getForecastAt, plus the county
+ */
+export async function getForecast(county) {
+  const coordinates = countyCoordinates[county.toLowerCase()];
+  if (!coordinates) {
+    throw new Error(`No weather coordinates for county "${county}"`);
+  }
 
-    // Determine whether we're running in browser or server-side
-    const isServer = typeof window === 'undefined';
-    
-    let response;
-    if (isServer) {
-      // When running on the server, directly access Met.ie API
-      logger.info(`Server-side context detected, directly accessing Met.ie API for ${county}`, {
-        component: "WeatherClient",
-        isServer
-      });
-      const metApiUrl = `http://openaccess.pf.api.met.ie/metno-wdb2ts/locationforecast?lat=${coordinates.lat}&long=${coordinates.lon}`;
-      response = await fetch(metApiUrl);
-    } else {
-      // When running in the browser, use the proxy API route
-      const proxyUrl = `/api/weather-proxy?lat=${coordinates.lat}&lon=${
-        coordinates.lon
-      }&county=${encodeURIComponent(county)}`;
-      response = await fetch(proxyUrl);
-    }
+  const isServer = typeof window === "undefined";
+  if (isServer) {
+    return {
+      county,
+      ...(await getForecastAt(coordinates.lat, coordinates.lon)),
+    };
+  }
 
-    if (!response.ok) {
-      const errorBody = await response.text(); // Get more details from proxy error
-      logger.error("Proxy API error", {
-        status: response.status,
-        body: errorBody,
-        county,
-      });
-      throw new Error(
-        `Failed to fetch weather data via proxy: ${response.status} ${response.statusText}`
-      );
-    }
+  const response = await fetch(
+    `/api/weather-proxy?county=${encodeURIComponent(county)}`
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch weather data via proxy: ${data.error || response.status}`
+    );
+  }
+  return data;
+}
 
-    const xmlText = await response.text();
+/**
+ * Get current weather for a specific Irish county
+ * @param {string} county - The Irish county name
+ * @returns {Promise<Object>} Weather data: the current conditions, a daily
+ * forecast from tomorrow to the end of the forecast range, watering advice
+ * and dataStatus ("live", "cached" or "mock")
+ */
+export async function getCurrentWeather(county) {
+  try {
+    // Default to Dublin for places we have no coordinates for
+    const forecastCounty = countyCoordinates[county.toLowerCase()]
+      ? county
+      : "Dublin";
 
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: "@_",
+    logger.info(`Getting weather for county: ${county}`, {
+      component: "WeatherClient",
+      coordinates: countyCoordinates[forecastCounty.toLowerCase()],
     });
-    const jsonObj = parser.parse(xmlText);
 
-    // Corrected check for XML structure
-    if (
-      !jsonObj ||
-      !jsonObj.weatherdata ||
-      !jsonObj.weatherdata.product ||
-      !Array.isArray(jsonObj.weatherdata.product.time)
-    ) {
-      logger.error("Invalid XML structure from Met.ie API", { data: jsonObj }); // Log the problematic data
-      throw new Error("Invalid XML structure from Met.ie API");
-    }
-
-    // Corrected assignment of allTimes
-    const allTimes = jsonObj.weatherdata.product.time;
+    const model = await getForecast(forecastCounty);
     const currentTime = new Date();
-
-    // Filter and sort time entries
-    // Point times are for specific moments (temperature, wind, humidity)
-    const pointTimes = allTimes
-      .filter(
-        (t) =>
-          t &&
-          t["@_from"] === t["@_to"] &&
-          t.location &&
-          t.location.temperature &&
-          t.location.windSpeed &&
-          t.location.windDirection &&
-          t.location.humidity
-      )
-      .sort(
-        (a, b) =>
-          new Date(a["@_from"]).getTime() - new Date(b["@_from"]).getTime()
-      ); // Sort ascending to find latest past point
-
-    logger.debug("Sorted pointTimes", {
-      count: pointTimes.length,
-      first: pointTimes[0],
-      last: pointTimes[pointTimes.length - 1],
-    });
-    logger.debug("Current time for matching", { currentTime });
-
-    // Period times are for intervals (precipitation, symbol)
-    const periodTimes = allTimes
-      .filter(
-        (t) =>
-          t &&
-          t["@_from"] !== t["@_to"] &&
-          t.location &&
-          t.location.precipitation &&
-          t.location.symbol
-      )
-      .sort(
-        (a, b) =>
-          new Date(a["@_from"]).getTime() - new Date(b["@_from"]).getTime()
-      ); // Sort ascending
-
-    logger.debug("Sorted periodTimes", {
-      count: periodTimes.length,
-      first: periodTimes[0],
-      last: periodTimes[periodTimes.length - 1],
-    });
-
-    // Find current weather data points
-    // For point data, find the latest entry that is not in the future
-    let currentPoint = null;
-    for (let i = pointTimes.length - 1; i >= 0; i--) {
-      if (new Date(pointTimes[i]["@_from"]) <= currentTime) {
-        currentPoint = pointTimes[i];
-        break;
-      }
-    }
-    // If no past point found, take the earliest point as a fallback (should be rare)
-    if (!currentPoint && pointTimes.length > 0) {
-      currentPoint = pointTimes[0];
+    const current = currentConditions(model, currentTime);
+    if (!current) {
+      throw new Error("No forecast points in Met.ie response.");
     }
 
-    // For period data, find the period that encapsulates the current time
-    // or the most recent past period if current time is after all periods.
-    let currentPeriod = periodTimes.find(
-      (t) =>
-        t &&
-        new Date(t["@_from"]) <= currentTime &&
-        currentTime < new Date(t["@_to"])
-    );
-
-    if (!currentPeriod) {
-      // If current time is past all periods, find the most recent one
-      const pastPeriods = periodTimes.filter(
-        (t) => t && new Date(t["@_to"]) <= currentTime
-      );
-      if (pastPeriods.length > 0) {
-        currentPeriod = pastPeriods[pastPeriods.length - 1]; // get the last one
-      } else if (periodTimes.length > 0) {
-        // Fallback to the earliest period if no other match (e.g. if API data starts in future)
-        currentPeriod = periodTimes[0];
-      }
-    }
-
-    if (!currentPoint || !currentPoint.location) {
-      logger.error(
-        "Could not find current point weather data in Met.ie response",
-        { pointTimes, currentTime }
-      );
-      throw new Error(
-        "Could not find current point weather data in Met.ie response."
-      );
-    }
-    if (!currentPeriod || !currentPeriod.location) {
-      logger.error(
-        "Could not find current period weather data in Met.ie response",
-        { periodTimes, currentTime }
-      );
-      throw new Error(
-        "Could not find current period weather data in Met.ie response."
-      );
-    }
+    // Rain and the symbol come from the period running now
+    const currentPeriod =
+      model.hourly.find((hour) => new Date(hour.time) > currentTime) || current;
+    const today = irishDate(currentTime);
 
     const weatherData = {
       location: county,
-      date: new Date(currentPoint["@_from"]),
-      temperature: parseFloat(currentPoint.location.temperature["@_value"]),
-      rainfall: parseFloat(currentPeriod.location.precipitation["@_value"]),
-      windSpeed: parseFloat(currentPoint.location.windSpeed["@_mps"]),
-      windDirection: currentPoint.location.windDirection["@_name"],
-      humidity: parseFloat(currentPoint.location.humidity["@_value"]),
-      weatherDescription: currentPeriod.location.symbol["@_id"],
-      forecast: [],
-      source: `Met Éireann API (openaccess.pf.api.met.ie) for ${county}`,
+      date: new Date(current.time),
+      temperature: current.temperature,
+      rainfall: currentPeriod.precipitation ?? 0,
+      windSpeed: current.windSpeed,
+      windGust: current.windGust,
+      windDirection: current.windDirectionName,
+      humidity: current.humidity,
+      pressure: current.pressure,
+      cloudiness: current.cloudiness,
+      dewpoint: current.dewpoint,
+      weatherDescription: currentPeriod.symbol || "N/A",
+      forecast: model.daily
+        .filter((day) => day.date > today)
+        .map((day) => ({
+          date: day.date,
+          temperature: { min: day.temperatureMin, max: day.temperatureMax },
+          rainfall: day.precipitation ?? 0,
+          description: day.symbol || "N/A",
+          precipitationProbability: day.precipitationProbability,
+          windSpeedMax: day.windSpeedMax,
+          windGustMax: day.windGustMax,
+          humidity: day.humidityMean,
+          cloudiness: day.cloudinessMean,
+          pressure: day.pressureMean,
+        })),
+      watering: wateringAdvice(model, currentTime),
+      issuedAt: model.issuedAt,
+      units: model.units,
+      dataStatus: model.dataStatus,
+      fetchedAt: model.fetchedAt,
+      stale: model.stale,
+      provider: model.provider,
+      source: `${model.source} for ${county}`,
     };
 
-    // Simplified 3-day forecast
-    const forecastDays = [];
-    const today = new Date(currentTime.toISOString().split("T")[0]); // Get date part of current time
-
-    for (let i = 1; i <= 3; i++) {
-      const targetDate = new Date(today);
-      targetDate.setUTCDate(today.getUTCDate() + i);
-      const targetDateStr = targetDate.toISOString().split("T")[0];
-
-      const dayPointTimes = pointTimes.filter(
-        (t) => t && t["@_from"].startsWith(targetDateStr)
-      );
-      const dayPeriodTimes = periodTimes.filter(
-        (t) => t && t["@_from"].startsWith(targetDateStr)
-      );
-
-      if (dayPointTimes.length === 0) {
-        logger.warn(`No point data for forecast day: ${targetDateStr}`, {
-          county,
-        });
-        continue;
-      }
-      if (dayPeriodTimes.length === 0) {
-        logger.warn(`No period data for forecast day: ${targetDateStr}`, {
-          county,
-        });
-        continue;
-      }
-
-      const temps = dayPointTimes.map((t) =>
-        parseFloat(t.location.temperature["@_value"])
-      );
-      const minTemp = Math.min(...temps);
-      const maxTemp = Math.max(...temps);
-
-      const totalRainfall = dayPeriodTimes.reduce((sum, t) => {
-        const precip = t.location.precipitation;
-        return sum + (precip ? parseFloat(precip["@_value"]) : 0);
-      }, 0);
-
-      const middayPeriod =
-        dayPeriodTimes.find(
-          (t) =>
-            t["@_from"].includes("T12:00:00Z") ||
-            t["@_from"].includes("T13:00:00Z")
-        ) || dayPeriodTimes[0];
-      const dayDescription =
-        middayPeriod && middayPeriod.location && middayPeriod.location.symbol
-          ? middayPeriod.location.symbol["@_id"]
-          : "N/A";
-
-      if (minTemp !== Infinity && maxTemp !== -Infinity) {
-        forecastDays.push({
-          date: targetDateStr,
-          temperature: { min: minTemp, max: maxTemp },
-          rainfall: parseFloat(totalRainfall.toFixed(1)),
-          description: dayDescription,
-        });
-      }
-    }
-    weatherData.forecast = forecastDays;
-
-    weatherCache.set(cacheKey, {
-      timestamp: new Date().getTime(), // Use current time for cache set
-      data: weatherData,
-    });
-
     return weatherData;
   } catch (error) {
     logger.error("Weather API error (Met.ie) or XML parsing error", {
@@ -392,6 +267,8 @@ function getMockWeatherDataForCounty(county) {
         description: getRainfallDescription(rainBase + 0.2),
       },
     ],
+    units: { ...FORECAST_UNITS, windSpeed: "km/h" },
+    dataStatus: WEATHER_DATA_STATUS.MOCK,
     source: `Mock Data for ${county} (Development Only - Met.ie integration pending XML parsing)`,
   };
 
@@ -0,0 +1,409 @@
+// src/utils/weather-providers.js
+// Where forecasts come from. A weather provider fetches the forecast for a
+// point and returns it as the forecast model (see forecast-model.js):
+//
+// - met-eireann: Met Éireann's locationforecast XML, the primary provider
+// - open-meteo: an Open-Meteo style JSON API, the secondary provider.
+//   OPEN_METEO_URL points it at any server with the same API.
+// - fixture: replays a recorded XML or JSON forecast (WEATHER_FIXTURE_PATH,
+//   by default the Met Éireann sample in src/locationforecast.xml), so tests
+//   and offline demos get realistic, deterministic weather
+//
+// getForecastFromProviders() tries the providers in WEATHER_PROVIDERS order
+// (default "met-eireann,open-meteo") and returns the first forecast that
+// parses, tagged with the provider it came from. Every attempt updates that
+// provider's health; failures and fallbacks are logged, and
+// /api/diagnostics/weather-providers shows the chain, each provider's health
+// and the last choice made. More providers can be added with
+// registerWeatherProvider().
+//
+// The providers run server-side; the browser reads forecasts through
+// /api/weather-proxy.
+
+import logger from "./unified-logger.js";
+import {
+  HOUR_MS,
+  parseForecastModel,
+  parseOpenMeteoForecast,
+  summarizeDays,
+} from "./forecast-model.js";
+import { weatherCacheKey } from "./weather-cache.js";
+
+export const WEATHER_PROVIDER_IDS = {
+  MET_EIREANN: "met-eireann",
+  OPEN_METEO: "open-meteo",
+  FIXTURE: "fixture",
+};
+
+export const DEFAULT_PROVIDER_CHAIN = [
+  WEATHER_PROVIDER_IDS.MET_EIREANN,
+  WEATHER_PROVIDER_IDS.OPEN_METEO,
+];
+
+export const DEFAULT_PROVIDER_TIMEOUT_MS = 10000;
+
+const MET_FORECAST_URL =
+  "http://openaccess.pf.api.met.ie/metno-wdb2ts/locationforecast";
+const DEFAULT_OPEN_METEO_URL = "https://api.open-meteo.com/v1/forecast";
+const DEFAULT_FIXTURE_PATH = "src/locationforecast.xml";
+
+// Hourly variables requested from Open-Meteo, as parseOpenMeteoForecast reads them
+const OPEN_METEO_HOURLY = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "dew_point_2m",
+  "pressure_msl",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "cloud_cover",
+  "cloud_cover_low",
+  "cloud_cover_mid",
+  "cloud_cover_high",
+  "shortwave_radiation",
+  "precipitation",
+  "precipitation_probability",
+  "weather_code",
+];
+
+const env = (name) =>
+  typeof process !== "undefined" ? process.env[name] : undefined;
+
+async function fetchOk(url, label) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(
+      parseInt(env("WEATHER_PROVIDER_TIMEOUT_MS"), 10) ||
+        DEFAULT_PROVIDER_TIMEOUT_MS
+    ),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `${label} error: ${response.status} ${response.statusText}`
+    );
+  }
+  return response;
+}
+
+/**
+ * Parse a recorded forecast: Met Éireann XML, Open-Meteo JSON, or a forecast
+ * model saved from /api/weather-proxy
+ * @param {string} text - File contents
+ * @returns {Object} The forecast model
+ */
+export function parseRecordedForecast(text) {
+  if (text.trimStart().startsWith("<")) {
+    return parseForecastModel(text);
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data?.hourly?.time)) {
+    return parseOpenMeteoForecast(data);
+  }
+  if (Array.isArray(data?.hourly)) {
+    return data;
+  }
+  throw new Error("Unrecognised recorded forecast format");
+}
+
+/**
+ * Move a recorded forecast so its first point falls in the current hour,
+ * keeping its values and spacing
+ * @param {Object} model - Forecast model
+ * @param {Date} now - Current time
+ * @returns {Object} The shifted model, with daily summaries rebuilt
+ */
+export function alignForecastToNow(model, now = new Date()) {
+  const first = Date.parse(model.hourly[0]?.time);
+  if (!Number.isFinite(first)) return model;
+
+  const shiftMs = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS - first;
+  const shift = (time) =>
+    time ? new Date(Date.parse(time) + shiftMs).toISOString() : time;
+
+  const hourly = model.hourly.map((hour) => ({
+    ...hour,
+    time: shift(hour.time),
+  }));
+  return {
+    ...model,
+    issuedAt: shift(model.issuedAt),
+    runs: model.runs.map((run) => ({
+      ...run,
+      runAt: shift(run.runAt),
+      from: shift(run.from),
+      to: shift(run.to),
+      nextRunAt: shift(run.nextRunAt),
+    })),
+    hourly,
+    daily: summarizeDays(hourly),
+  };
+}
+
+const providers = new Map();
+
+/**
+ * Add a weather provider, or replace one with the same id
+ * @param {Object} provider
+ * @param {string} provider.id - Id used in WEATHER_PROVIDERS
+ * @param {string} provider.name - Display name
+ * @param {Function} provider.fetchForecast - async ({ lat, lon }) => forecast model
+ * @returns {Object} The provider
+ */
+export function registerWeatherProvider(provider) {
+  if (!provider?.id || typeof provider.fetchForecast !== "function") {
+    throw new Error("A weather provider needs an id and a fetchForecast()");
+  }
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+registerWeatherProvider({
+  id: WEATHER_PROVIDER_IDS.MET_EIREANN,
+  name: "Met Éireann",
+  async fetchForecast({ lat, lon }) {
+    const response = await fetchOk(
+      `${MET_FORECAST_URL}?lat=${lat}&long=${lon}`,
+      "Met.ie API"
+    );
+    return parseForecastModel(await response.text());
+  },
+});
+
+registerWeatherProvider({
+  id: WEATHER_PROVIDER_IDS.OPEN_METEO,
+  name: "Open-Meteo",
+  async fetchForecast({ lat, lon }) {
+    const url = new URL(env("OPEN_METEO_URL") || DEFAULT_OPEN_METEO_URL);
+    url.search = new URLSearchParams({
+      latitude: lat,
+      longitude: lon,
+      hourly: OPEN_METEO_HOURLY.join(","),
+      wind_speed_unit: "ms",
+      timezone: "GMT",
+      forecast_days: "10",
+    });
+    const response = await fetchOk(url, "Open-Meteo API");
+    return parseOpenMeteoForecast(await response.json());
+  },
+});
+
+registerWeatherProvider({
+  id: WEATHER_PROVIDER_IDS.FIXTURE,
+  name: "Recorded forecast",
+  async fetchForecast({ lat, lon }) {
+    const { readFile, stat } = await import("node:fs/promises");
+    const path = await import("node:path");
+
+    // A directory holds one recording per place, named by the rounded
+    // coordinates (e.g. "54.00,-7.30.xml"), with "default" for the rest
+    const root = path.resolve(
+      env("WEATHER_FIXTURE_PATH") || DEFAULT_FIXTURE_PATH
+    );
+    let file = root;
+    if ((await stat(root)).isDirectory()) {
+      const candidates = [weatherCacheKey(lat, lon), "default"].flatMap(
+        (name) => [`${name}.xml`, `${name}.json`]
+      );
+      file = null;
+      for (const name of candidates) {
+        const candidate = path.join(root, name);
+        if (await stat(candidate).catch(() => null)) {
+          file = candidate;
+          break;
+        }
+      }
+      if (!file) {
+        throw new Error(
+          `No recorded forecast for ${weatherCacheKey(lat, lon)} in ${root}`
+        );
+      }
+    }
+
+    const recorded = parseRecordedForecast(await readFile(file, "utf8"));
+    const model = {
+      ...recorded,
+      source: `${recorded.source} (recorded, ${path.basename(file)})`,
+    };
+    // Replayed as recorded when WEATHER_FIXTURE_ALIGN=false, else moved to now
+    return env("WEATHER_FIXTURE_ALIGN") === "false"
+      ? model
+      : alignForecastToNow(model);
+  },
+});
+
+// Health per provider id, and the last choice the chain made
+const health = new Map();
+let lastChoice = null;
+
+function recordAttempt(id, { ok, durationMs, error = null }) {
+  const known = health.get(id) || {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+  };
+  const at = new Date().toISOString();
+  health.set(id, {
+    ...known,
+    healthy: ok,
+    successes: known.successes + (ok ? 1 : 0),
+    failures: known.failures + (ok ? 0 : 1),
+    consecutiveFailures: ok ? 0 : known.consecutiveFailures + 1,
+    lastSuccessAt: ok ? at : known.lastSuccessAt,
+    lastFailureAt: ok ? known.lastFailureAt : at,
+    lastError: ok ? known.lastError : error,
+    lastDurationMs: durationMs,
+  });
+}
+
+/**
+ * The providers to try, in order, from WEATHER_PROVIDERS (comma-separated
+ * ids). Unknown ids are skipped with a warning.
+ * @returns {Array<Object>} Providers
+ */
+export function getProviderChain() {
+  const ids = (env("WEATHER_PROVIDERS") || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = (ids.length > 0 ? ids : DEFAULT_PROVIDER_CHAIN)
+    .filter((id) => {
+      if (providers.has(id)) return true;
+      logger.warn(`Unknown weather provider "${id}" in WEATHER_PROVIDERS`, {
+        component: "WeatherProviders",
+      });
+      return false;
+    })
+    .map((id) => providers.get(id));
+
+  return chain.length > 0
+    ? chain
+    : DEFAULT_PROVIDER_CHAIN.map((id) => providers.get(id));
+}
+
+async function attempt(provider, lat, lon) {
+  const started = Date.now();
+  try {
+    const model = await provider.fetchForecast({ lat, lon });
+    if (!model?.hourly?.length) {
+      throw new Error("Forecast has no points");
+    }
+    const durationMs = Date.now() - started;
+    recordAttempt(provider.id, { ok: true, durationMs });
+    return { model, durationMs };
+  } catch (error) {
+    const durationMs = Date.now() - started;
+    recordAttempt(provider.id, { ok: false, durationMs, error: error.message });
+    return { error, durationMs };
+  }
+}
+
+/**
+ * Get the forecast for a point from the first provider in the chain that
+ * returns one
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} The forecast model, plus provider (its id) and
+ * fallback (true when an earlier provider failed)
+ */
+export async function getForecastFromProviders(lat, lon) {
+  const chain = getProviderChain();
+  const attempts = [];
+
+  for (const [index, provider] of chain.entries()) {
+    const { model, error, durationMs } = await attempt(provider, lat, lon);
+    attempts.push({
+      provider: provider.id,
+      ok: !error,
+      durationMs,
+      ...(error && { error: error.message }),
+    });
+
+    if (error) {
+      logger.warn(
+        `Weather provider ${provider.name} failed for ${lat}, ${lon}: ${error.message}`,
+        { component: "WeatherProviders", provider: provider.id }
+      );
+      continue;
+    }
+
+    lastChoice = {
+      at: new Date().toISOString(),
+      place: weatherCacheKey(lat, lon),
+      provider: provider.id,
+      attempts,
+    };
+    const message = `Weather for ${lat}, ${lon} from ${provider.name}`;
+    if (index > 0) {
+      logger.warn(`${message} after ${index} provider(s) failed`, {
+        component: "WeatherProviders",
+        attempts,
+      });
+    } else {
+      logger.info(message, { component: "WeatherProviders", durationMs });
+    }
+    return { ...model, provider: provider.id, fallback: index > 0 };
+  }
+
+  lastChoice = {
+    at: new Date().toISOString(),
+    place: weatherCacheKey(lat, lon),
+    provider: null,
+    attempts,
+  };
+  throw new Error(
+    `All weather providers failed: ${attempts
+      .map((a) => `${a.provider}: ${a.error}`)
+      .join("; ")}`
+  );
+}
+
+/**
+ * Fetch a point's forecast from every registered provider, for diagnostics.
+ * Results count towards each provider's health.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Array<Object>>} { provider, name, ok, durationMs, points, issuedAt, from, to, error }
+ */
+export async function probeWeatherProviders(lat, lon) {
+  const results = [];
+  for (const provider of providers.values()) {
+    const { model, error, durationMs } = await attempt(provider, lat, lon);
+    results.push({
+      provider: provider.id,
+      name: provider.name,
+      ok: !error,
+      durationMs,
+      ...(error
+        ? { error: error.message }
+        : {
+            source: model.source,
+            points: model.hourly.length,
+            issuedAt: model.issuedAt,
+            from: model.hourly[0].time,
+            to: model.hourly[model.hourly.length - 1].time,
+          }),
+    });
+  }
+  return results;
+}
+
+/**
+ * The chain, each registered provider's health and the last choice made
+ * @returns {Object} { chain, providers, lastChoice }
+ */
+export function getWeatherProviderStatus() {
+  return {
+    chain: getProviderChain().map((provider) => provider.id),
+    providers: [...providers.values()].map((provider) => ({
+      id: provider.id,
+      name: provider.name,
+      healthy: null,
+      ...health.get(provider.id),
+    })),
+    lastChoice,
+  };
+}
@@ -1,27 +1,32 @@
 /**
  * Weather data service for Irish garden applications
- * This module provides weather data and smart recommendations for water usage
+ * This module provides weather data and smart recommendations for water usage,
+ * from the forecast model the weather client gets through the weather
+ * provider chain (see weather-client.js and weather-providers.js)
  */
 
-// API key would normally be in environment variables, for demo purposes we're hardcoding
-// In production, use process.env.WEATHER_API_KEY
-const API_KEY = "demo_weather_api_key";
+import { getForecast, getWeatherCounties } from "./weather-client.js";
+import { wateringAdvice } from "./forecast-model.js";
+
+// Rain in an hour that counts as "rain coming" (mm)
+const RAIN_HOUR_THRESHOLD = 0.5;
+
+// How far ahead predictRain looks (hours)
+const RAIN_LOOKAHEAD_HOURS = 72;
 
 /**
- * Get current weather for a location in Ireland
- * @param {string} location - Location name or postal code
- * @returns {Promise<Object>} Weather data
+ * Get the forecast for a county in Ireland
+ * @param {string} location - County name; others fall back to Dublin
+ * @returns {Promise<Object|null>} The forecast model plus the location, or
+ * null when no provider has a forecast
  */
 export const getWeatherData = async (location = "Dublin") => {
   try {
-    // For demo purposes, we're simulating an API response
-    // In production, this would be a real API call
-    // const response = await fetch(`https://api.weatherapi.com/v1/forecast.json?key=${API_KEY}&q=${location}&days=7`);
-    // const data = await response.json();
-
-    // Simulate response for demo
-    const data = simulateWeatherResponse(location);
-    return data;
+    const county = getWeatherCounties().includes(location.toLowerCase())
+      ? location
+      : "Dublin";
+    const forecast = await getForecast(county);
+    return { location: county, ...forecast };
   } catch (error) {
     console.error("Error fetching weather data:", error);
     return null;
@@ -46,36 +51,19 @@ export const getWaterUsageRecommendation = async (location = "Dublin") => {
     };
   }
 
-  // Check if rain is expected in the next 48 hours
+  // Check when rain is next expected, and what the next 48 hours bring
   const rainForecast = predictRain(weatherData);
-
-  // Calculate soil moisture estimate based on recent conditions
-  const soilMoisture = estimateSoilMoisture(weatherData);
-
-  let recommendation = "";
-  let wateringNeeded = false;
-
-  if (rainForecast.willRainSoon) {
-    recommendation = `Rain expected within ${rainForecast.hoursUntilRain} hours. Consider skipping watering to conserve resources.`;
-    wateringNeeded = false;
-  } else if (soilMoisture.dry) {
-    recommendation = `Soil likely to be dry due to ${soilMoisture.dryDays} days without significant rain. Water needed for most plants.`;
-    wateringNeeded = true;
-  } else {
-    recommendation =
-      "Moderate watering recommended based on current conditions.";
-    wateringNeeded = true;
-  }
+  const advice = wateringAdvice(weatherData);
 
   return {
-    recommendation,
-    wateringNeeded,
+    recommendation: advice.recommendation,
+    wateringNeeded: advice.wateringNeeded,
     rainProbability: rainForecast.probability,
     nextRainDate: rainForecast.nextRainDate,
-    recentRainfall: soilMoisture.recentRainfall,
-    estimatedSoilMoisture: soilMoisture.value,
+    rainNext48h: advice.rainNext48h,
+    provider: weatherData.provider,
     // Irish context tips
-    irishContextTip: getIrishWaterContextTip(rainForecast, soilMoisture),
+    irishContextTip: getIrishWaterContextTip(rainForecast, advice),
   };
 };
 
@@ -136,7 +124,7 @@ export const calculateWeatherAwareWaterSavings = async (
 /**
  * Get Irish-specific water conservation tip based on weather
  */
-const getIrishWaterContextTip = (rainForecast, soilMoisture) => {
+const getIrishWaterContextTip = (rainForecast, advice) => {
   const tips = [
     "In Ireland's climate, a water butt can collect over 600 liters of rainwater per month during wet seasons.",
     "Irish gardens typically need 40% less watering than equivalent UK mainland gardens due to higher humidity and rainfall.",
@@ -146,7 +134,7 @@ const getIrishWaterContextTip = (rainForecast, soilMoisture) => {
 
   if (rainForecast.willRainSoon) {
     return "With Ireland's frequent rain showers, checking the forecast before watering can save thousands of liters annually.";
-  } else if (soilMoisture.dry) {
+  } else if (advice.rainNext48h < 1) {
     return "Even in dry periods, Irish soil often retains moisture below the surface. Water deeply but less frequently.";
   } else {
     return tips[Math.floor(Math.random() * tips.length)];
@@ -156,123 +144,27 @@ const getIrishWaterContextTip = (rainForecast, soilMoisture) => {
 // Helper functions for weather analysis
 
 /**
- * Predict rainfall from weather data
+ * When rain is next expected: the first forecast hour in the next three days
+ * with at least RAIN_HOUR_THRESHOLD mm
  */
 const predictRain = (weatherData) => {
-  // Simulated rain prediction
-  const willRainSoon = weatherData.forecast.some((day) => day.rainChance > 60);
-
-  // Find the first day with high rain probability
-  const rainDay = weatherData.forecast.find((day) => day.rainChance > 60);
-
-  return {
-    willRainSoon,
-    hoursUntilRain: rainDay
-      ? Math.round((new Date(rainDay.date) - new Date()) / (1000 * 60 * 60))
-      : 72,
-    probability: rainDay ? rainDay.rainChance : 0,
-    nextRainDate: rainDay ? new Date(rainDay.date) : null,
-  };
-};
-
-/**
- * Estimate soil moisture based on weather history
- */
-const estimateSoilMoisture = (weatherData) => {
-  // Count days without significant rain
-  const significantRainThreshold = 2; // mm
-  let dryDays = 0;
-  let recentRainfall = 0;
-
-  for (const day of weatherData.history) {
-    if (day.rainfall < significantRainThreshold) {
-      dryDays++;
-    } else {
-      break; // Stop counting if we find a rainy day
-    }
-
-    recentRainfall += day.rainfall;
-  }
-
-  // Calculate soil moisture value (0-100)
-  // Starting from full saturation (100), we lose about 10 points per dry day
-  const moistureValue = Math.max(0, 100 - dryDays * 10);
-
-  return {
-    value: moistureValue,
-    dry: moistureValue < 40,
-    dryDays,
-    recentRainfall,
-  };
-};
-
-/**
- * Simulate weather data response for demo purposes
- */
-const simulateWeatherResponse = (location) => {
-  const today = new Date();
-
-  // Generate a 7-day forecast
-  const forecast = [];
-  for (let i = 0; i < 7; i++) {
-    const forecastDate = new Date();
-    forecastDate.setDate(today.getDate() + i);
-
-    // Random rain chance but weighted to be realistic for Ireland
-    const rainChance = Math.min(
-      90,
-      Math.max(20, Math.floor(Math.random() * 100))
-    );
-
-    forecast.push({
-      date: forecastDate.toISOString(),
-      temperature: 12 + Math.floor(Math.random() * 10), // 12-22°C
-      rainChance: rainChance,
-      rainfall:
-        rainChance > 70
-          ? 2 + Math.random() * 8
-          : rainChance > 40
-          ? 0.5 + Math.random() * 2
-          : 0,
-    });
-  }
-
-  // Generate past 5 days of weather history
-  const history = [];
-  for (let i = 5; i >= 1; i--) {
-    const historyDate = new Date();
-    historyDate.setDate(today.getDate() - i);
-
-    const rainChance = Math.min(
-      90,
-      Math.max(20, Math.floor(Math.random() * 100))
+  const now = Date.now();
+  const rainHour = weatherData.hourly.find((hour) => {
+    const time = Date.parse(hour.time);
+    return (
+      time > now &&
+      time <= now + RAIN_LOOKAHEAD_HOURS * 60 * 60 * 1000 &&
+      hour.precipitation >= RAIN_HOUR_THRESHOLD
     );
-
-    history.push({
-      date: historyDate.toISOString(),
-      temperature: 10 + Math.floor(Math.random() * 10), // 10-20°C
-      rainfall:
-        rainChance > 70
-          ? 3 + Math.random() * 10
-          : rainChance > 40
-          ? 0.5 + Math.random() * 3
-          : 0,
-    });
-  }
+  });
 
   return {
-    location: location,
-    current: {
-      temperature: 15 + Math.floor(Math.random() * 5), // 15-20°C
-      humidity: 60 + Math.floor(Math.random() * 30), // 60-90%
-      condition:
-        Math.random() > 0.6
-          ? "Partly Cloudy"
-          : Math.random() > 0.3
-          ? "Overcast"
-          : "Rain",
-    },
-    forecast,
-    history,
+    willRainSoon: Boolean(rainHour),
+    hoursUntilRain: rainHour
+      ? Math.round((Date.parse(rainHour.time) - now) / (1000 * 60 * 60))
+      : RAIN_LOOKAHEAD_HOURS,
+    // Met Éireann only gives a probability for the first few days
+    probability: rainHour ? rainHour.precipitationProbability ?? 0 : 0,
+    nextRainDate: rainHour ? new Date(rainHour.time) : null,
   };
 };